@@ -17,6 +17,15 @@ const SinclaveEnhancedEngine = require('./sinclave-enhanced-engine');
 const TokenDiscovery = require('./token-discovery');
 const TradingStrategy = require('./trading-strategy');
 const StrategyBuilder = require('./strategy-builder');
+const BacktestEngine = require('./backtest-engine');
+const PaperTradingExecutor = require('./paper-trading-executor');
+const WalletKeystore = require('./wallet-keystore');
+const TradeJournal = require('./trade-journal');
+const LotAccounting = require('./lot-accounting');
+const PriceDatabase = require('./price-database');
+const DcaScheduler = require('./dca-scheduler');
+const Logger = require('./logger');
+const RpcManager = require('./rpc-manager');
 
 class AlgoritmitCLI {
     constructor() {
@@ -27,6 +36,15 @@ class AlgoritmitCLI {
         this.tokenDiscovery = null;
         this.tradingStrategy = null;
         this.strategyBuilder = null;
+        this.backtestEngine = null;
+        this.paperTrading = null;
+        this.priceDatabase = null;
+        this.dcaScheduler = null;
+        this.keystore = new WalletKeystore(this.config);
+        this.tradeJournal = new TradeJournal(this.config);
+        this.lotAccounting = new LotAccounting(this.config);
+        this.lotAccounting.attachJournal(this.tradeJournal);
+        this.walletsPath = WalletKeystore.WALLETS_PATH;
         
         // Console interface
         this.rl = readline.createInterface({
@@ -48,21 +66,54 @@ class AlgoritmitCLI {
 
     async initialize() {
         try {
+            // Record CLI output in the JSON-lines log files as well
+            Logger.getInstance().captureConsole();
+            
             console.log('🤖 ALGORITMIT CLI - Initializing...');
             
+            // Same scored RPC routing as the bot: wallets and engines share one provider
+            this.rpcManager = new RpcManager();
+            this.rpcManager.start();
+            this.provider = this.rpcManager.getProvider();
+            
             // Load wallets
             await this.loadWallets();
             
             // Initialize engines
-            this.tradingEngine = new TradingEngine(this.config);
-            this.sinclaveEngine = new SinclaveEnhancedEngine(this.config);
-            this.tokenDiscovery = new TokenDiscovery(this.config);
+            this.tradingEngine = new TradingEngine(this.provider, this.config);
+            this.sinclaveEngine = new SinclaveEnhancedEngine(this.provider, this.config);
+            this.sinclaveEngine.setRpcManager(this.rpcManager);
+            
+            // Paper trading (PAPER_TRADING=true in .env)
+            this.paperTrading = new PaperTradingExecutor(this.config);
+            this.tradingEngine.setPaperTradingExecutor(this.paperTrading);
+            this.sinclaveEngine.setPaperTradingExecutor(this.paperTrading);
+            this.tokenDiscovery = new TokenDiscovery(this.provider, this.config);
             this.tradingStrategy = new TradingStrategy(this.tradingEngine, this.sinclaveEngine, this.config);
             this.strategyBuilder = new StrategyBuilder(this.tradingEngine, this.sinclaveEngine, this.config);
+            this.backtestEngine = new BacktestEngine(this.strategyBuilder, null, this.config);
+            
+            // Journal every executed swap
+            this.tradingStrategy.setTradeJournal(this.tradeJournal);
+            this.strategyBuilder.setTradeJournal(this.tradeJournal);
             
             // Set wallet objects for strategies
             this.tradingStrategy.setWalletObjects(this.wallets);
             
+            // DCA plans: stored price history for skip rules; the CLI only manages plans - schedules run in the bot,
+            // or here after `dca start` (DCA_RUN_IN_CLI=true starts them right away)
+            this.priceDatabase = new PriceDatabase(this.sinclaveEngine, this.config);
+            this.dcaScheduler = new DcaScheduler(this.sinclaveEngine, this.config);
+            this.dcaScheduler.setPriceDatabase(this.priceDatabase);
+            this.dcaScheduler.setTradeJournal(this.tradeJournal);
+            this.dcaScheduler.setWalletResolver((address) => {
+                const walletObj = Array.from(this.wallets.values()).find(w => w.address.toLowerCase() === address);
+                return walletObj ? walletObj.wallet : null;
+            });
+            if (process.env.DCA_RUN_IN_CLI === 'true') {
+                this.dcaScheduler.start();
+            }
+            
             console.log('✅ ALGORITMIT CLI initialized successfully');
             console.log('💡 Type "help" for available commands or "exit" to quit');
             
@@ -74,7 +125,51 @@ class AlgoritmitCLI {
         }
     }
 
+    // Load wallets from the encrypted keystore (wallets.json), falling back to PRIVATE_KEY_n
     async loadWallets() {
+        const storedWallets = this.keystore.loadWalletsFile(this.walletsPath);
+        
+        if (this.keystore.hasEncryptedKeys(storedWallets)) {
+            if (this.keystore.hasPlaintextKeys(storedWallets)) {
+                console.log('⚠️  wallets.json still has plaintext keys - run the main bot to migrate them');
+            }
+            
+            const passphrase = process.env.KEYSTORE_PASSPHRASE || await this.getHiddenInput('🔑 Keystore passphrase: ');
+            
+            try {
+                this.keystore.unlock(storedWallets, passphrase);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            
+            const provider = this.provider;
+            let walletIndex = 1;
+            
+            for (const walletData of storedWallets) {
+                if (!this.keystore.isEncrypted(walletData)) continue;
+                
+                const wallet = new ethers.Wallet(this.keystore.getPrivateKey(walletData.address), provider);
+                this.wallets.set(walletIndex, {
+                    wallet,
+                    name: walletData.name || `Wallet ${walletIndex}`,
+                    address: wallet.address
+                });
+                
+                console.log(`📝 Loaded ${walletData.name || `Wallet ${walletIndex}`}: ${wallet.address}`);
+                walletIndex++;
+            }
+            
+            // The signers hold the keys for the rest of the session (the CLI has no auto-lock);
+            // only the keystore's own copy is dropped here
+            this.keystore.lock();
+            return;
+        }
+        
+        if (this.keystore.hasPlaintextKeys(storedWallets)) {
+            console.log('⚠️  wallets.json has plaintext keys - run the main bot to encrypt them. Using PRIVATE_KEY_n from .env instead.');
+        }
+        
         let walletIndex = 1;
         while (true) {
             const privateKey = process.env[`PRIVATE_KEY_${walletIndex}`];
@@ -82,15 +177,18 @@ class AlgoritmitCLI {
             
             if (!privateKey || privateKey === 'your_private_key_here') {
                 if (walletIndex === 1) {
-                    console.error('❌ No wallet configured. Please set PRIVATE_KEY_1 in .env file');
+                    console.error('❌ No wallet configured. Create one in the main bot keystore or set PRIVATE_KEY_1 in .env file');
                     process.exit(1);
                 }
                 break;
             }
             
             try {
-                const provider = new ethers.JsonRpcProvider(this.config.RPC_URL);
-                const wallet = new ethers.Wallet(privateKey, provider);
+                const wallet = new ethers.Wallet(privateKey, this.provider);
+                
+                if (walletIndex === 1) {
+                    console.log('⚠️  Using plaintext PRIVATE_KEY_n from .env - prefer the encrypted keystore in wallets.json');
+                }
                 
                 this.wallets.set(walletIndex, {
                     wallet,
@@ -107,6 +205,21 @@ class AlgoritmitCLI {
         }
     }
 
+    // Read input without echoing it
+    async getHiddenInput(prompt) {
+        return new Promise((resolve) => {
+            const originalWrite = this.rl._writeToOutput;
+            
+            this.rl.question(prompt, (answer) => {
+                this.rl._writeToOutput = originalWrite;
+                this.rl.output.write('\n');
+                resolve(answer.trim());
+            });
+            
+            this.rl._writeToOutput = () => {};
+        });
+    }
+
     startCLI() {
         this.showPrompt();
     }
@@ -183,10 +296,32 @@ class AlgoritmitCLI {
                     await this.toggleMonitoring();
                     break;
                     
+                case 'backtest':
+                case 'bt':
+                    await this.runBacktest(args);
+                    break;
+                    
                 case 'stats':
                     await this.showStatistics();
                     break;
                     
+                case 'trades':
+                case 'journal':
+                    await this.showTradeJournal(args);
+                    break;
+                    
+                case 'pnl':
+                    await this.showProfitAndLoss(args);
+                    break;
+                    
+                case 'manual':
+                    await this.recordManualTrade(args);
+                    break;
+                    
+                case 'dca':
+                    await this.manageDcaPlans(args);
+                    break;
+                    
                 case 'clear':
                 case 'cls':
                     console.clear();
@@ -219,6 +354,10 @@ class AlgoritmitCLI {
   positions, pos             Show open trading positions
   strategies, strat          Show active strategies
   stats                      Show trading statistics
+  trades [filters]           Show trade journal (token= wallet= strategy= from= to= side= limit=)
+  pnl [fifo|lifo|average]    Show realized/unrealized P&L from cost basis lots
+  pnl export [year]          Export disposals CSV for tax reporting
+  manual <buy|sell> <token> <qty> <wld> [date]   Record a trade made outside the bot
 
 💹 TRADING:
   buy <token> <amount>       Buy token with WLD
@@ -237,6 +376,15 @@ class AlgoritmitCLI {
   start <strategy_id>        Start strategy monitoring
   stop <strategy_id>         Stop strategy monitoring
   monitor                    Toggle position monitoring
+  backtest <strategy_id> [csv]    Backtest strategy on stored prices or CSV
+  backtest <id> b<bal> f<fee> s<slip>   Set balance (WLD), fee % and slippage %
+
+📅 DCA PLANS:
+  dca [list]                 Show DCA plans
+  dca add <token> <wld> <schedule> [x<buys>] [w<wallet>] [skip <expression>]
+  dca pause|resume|run|remove <plan>    Manage a plan (id, id prefix or name)
+  dca history [plan]         Show fills and skipped runs
+  dca start|stop             Run (or stop running) the schedules in this CLI
 
 🔍 UTILITIES:
   discover [wallet]          Discover tokens in wallet
@@ -250,6 +398,10 @@ class AlgoritmitCLI {
   buy RAMEN 1h               Buy RAMEN at 1-hour optimal rate
   balance 2                  Show balance for wallet 2
   quote WLD YIELD 1.0        Get quote for 1 WLD to YIELD
+  backtest strategy_123 prices.csv b5   Backtest with 5 WLD on CSV history
+  trades token=ORO from=2024-01-01 limit=20   Last 20 ORO trades since Jan 1st
+  pnl export 2024            Export 2024 disposals to CSV
+  dca add ORO 2 daily 09:00 x30 w1 skip price > sma(7d)   Buy 2 WLD of ORO daily, 30 times
 
 Type any command to get started!
         `);
@@ -261,10 +413,11 @@ Type any command to get started!
 ═══════════════════════
 
 💼 Wallets: ${this.wallets.size} loaded
-🔗 RPC: ${this.config.RPC_URL}
+🔗 RPC: ${this.rpcManager.getStats().availableProviders}/${this.rpcManager.getStats().totalProviders} endpoints available
 💰 WLD Address: ${this.config.WLD_ADDRESS}
 ⚙️  Default Slippage: ${this.config.DEFAULT_SLIPPAGE}%
 ⛽ Max Gas Price: ${this.config.MAX_GAS_PRICE} gwei
+📝 Paper Trading: ${this.paperTrading?.isEnabled() ? '🟢 Enabled (simulated swaps)' : '🔴 Disabled'}
 
 📊 Strategy Status: ${this.tradingStrategy?.isRunning ? '🟢 Running' : '🔴 Stopped'}
 🎯 Active Strategies: ${this.strategyBuilder?.getAllStrategies().filter(s => s.isActive).length || 0}
@@ -380,6 +533,7 @@ Type any command to get started!
             );
 
             if (result.success) {
+                this.journalSwap(walletObj, this.config.WLD_ADDRESS, tokenAddress, amount, result, tokenSymbol, 'cli_buy');
                 console.log(`✅ Buy successful!`);
                 console.log(`   Amount: ${amount} WLD → ${result.outputAmount} ${tokenSymbol}`);
                 console.log(`   Gas Used: ${result.gasUsed}`);
@@ -460,6 +614,7 @@ Type any command to get started!
             );
 
             if (result.success) {
+                this.journalSwap(walletObj, tokenAddress, this.config.WLD_ADDRESS, amount, result, tokenSymbol, 'cli_sell');
                 console.log(`✅ Sell successful!`);
                 console.log(`   Amount: ${amount} ${tokenSymbol} → ${result.outputAmount} WLD`);
                 console.log(`   Gas Used: ${result.gasUsed}`);
@@ -473,6 +628,20 @@ Type any command to get started!
         }
     }
 
+    // Record a console command swap in the trade journal
+    journalSwap(walletObj, tokenIn, tokenOut, amount, result, tokenSymbol, reason) {
+        this.tradeJournal.recordSwap({
+            source: 'cli',
+            wallet: walletObj,
+            tokenIn,
+            tokenOut,
+            amountIn: amount,
+            result,
+            tokenSymbol,
+            reason
+        });
+    }
+
     async getTokenAddress(symbol) {
         // Try known tokens first
         const knownTokens = {
@@ -689,6 +858,7 @@ Type any command to get started!
         );
 
         if (result.success) {
+            this.journalSwap(walletObj, this.config.WLD_ADDRESS, tokenAddress, amount, result, tokenSymbol, `cli_buy_${timeframe}`);
             console.log(`✅ Time-based buy successful!`);
             console.log(`   Amount: ${amount} WLD → ${result.outputAmount} ${tokenSymbol}`);
             console.log(`   Timeframe: ${timeframe} optimal`);
@@ -723,6 +893,7 @@ Type any command to get started!
         );
 
         if (result.success) {
+            this.journalSwap(walletObj, tokenAddress, this.config.WLD_ADDRESS, amount, result, tokenSymbol, `cli_sell_${timeframe}`);
             console.log(`✅ Time-based sell successful!`);
             console.log(`   Amount: ${amount} ${tokenSymbol} → ${result.outputAmount} WLD`);
             console.log(`   Timeframe: ${timeframe} optimal`);
@@ -766,7 +937,7 @@ Type any command to get started!
             return;
         }
 
-        const [name, tokenSymbol, ...configArgs] = args;
+        const [name, tokenSymbol] = args;
         
         try {
             const tokenAddress = await this.getTokenAddress(tokenSymbol);
@@ -794,6 +965,296 @@ Type any command to get started!
         }
     }
 
+    async showTradeJournal(args) {
+        // Filters as key=value pairs, e.g. token=ORO wallet=0x... strategy=strategy_123 from=2024-01-01
+        const filters = { limit: 20 };
+        for (const arg of args) {
+            const [key, value] = arg.split('=');
+            if (!value) continue;
+            filters[key.toLowerCase()] = key.toLowerCase() === 'limit' ? parseInt(value) : value;
+        }
+        
+        // Resolve token symbols the journal has not seen yet
+        if (filters.token && !filters.token.startsWith('0x')) {
+            const known = this.tradeJournal.readAll().some(t => t.pair.toLowerCase().split('-').includes(filters.token.toLowerCase()));
+            if (!known) {
+                filters.token = await this.getTokenAddress(filters.token) || filters.token;
+            }
+        }
+        
+        let trades;
+        try {
+            trades = this.tradeJournal.query(filters);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+        
+        console.log('\n📋 Trade Journal:');
+        
+        if (trades.length === 0) {
+            console.log('   No trades match these filters');
+            return;
+        }
+        
+        for (const trade of trades) {
+            const side = trade.side === 'buy' ? '🟢 BUY ' : '🔴 SELL';
+            const slippage = trade.slippagePercent !== null ? `${trade.slippagePercent.toFixed(2)}%` : 'N/A';
+            
+            console.log(`   ${side} ${trade.pair}${trade.paper ? ' 📝 [PAPER]' : ''}  ${new Date(trade.timestamp).toLocaleString()}`);
+            console.log(`      ${trade.amountIn} → ${trade.amountOut} @ ${trade.effectivePrice !== null ? trade.effectivePrice.toFixed(8) : 'N/A'} WLD`);
+            console.log(`      Gas: ${trade.gasCostETH.toFixed(8)} ETH | Slippage vs quote: ${slippage}`);
+            console.log(`      ${trade.source}${trade.strategyId ? ` (${trade.strategyId})` : ''}${trade.reason ? ` - ${trade.reason}` : ''}`);
+            console.log(`      Wallet: ${trade.wallet} | TX: ${trade.txHash || 'N/A'}`);
+        }
+        
+        const summary = this.tradeJournal.getSummary(trades);
+        console.log(`\n   ${summary.totalTrades} trades (${summary.buys} buys, ${summary.sells} sells) | WLD spent: ${summary.wldSpent.toFixed(6)} | WLD received: ${summary.wldReceived.toFixed(6)} | Gas: ${summary.totalGasETH.toFixed(8)} ETH`);
+    }
+
+    async showProfitAndLoss(args) {
+        try {
+            if (args[0] && args[0].toLowerCase() !== 'export') {
+                this.lotAccounting.setMethod(args[0]);
+            }
+            
+            if (args[0] && args[0].toLowerCase() === 'export') {
+                const year = args[1];
+                const filters = year ? { from: `${year}-01-01T00:00:00`, to: `${year}-12-31T23:59:59.999` } : {};
+                this.lotAccounting.exportDisposalsCSV(null, filters);
+                return;
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+        
+        // CLI has no live price feed - value open lots with a fresh quote per token
+        const positions = this.lotAccounting.getPositions();
+        const prices = {};
+        for (const position of positions) {
+            try {
+                const quote = await this.sinclaveEngine.getHoldStationQuote(position.token, this.config.WLD_ADDRESS, 1, position.wallet);
+                prices[position.token] = quote ? parseFloat(quote.expectedOutput) : 0;
+            } catch (error) {
+                prices[position.token] = 0;
+            }
+        }
+        
+        const summary = this.lotAccounting.getSummary(prices);
+        
+        console.log(`\n💹 P&L (${summary.method.toUpperCase()}):`);
+        console.log(`   Realized: ${summary.realizedWLD.toFixed(6)} WLD over ${summary.disposals} disposals`);
+        console.log(`   Unrealized: ${summary.unrealizedWLD.toFixed(6)} WLD (basis ${summary.costBasisWLD.toFixed(6)}, value ${summary.marketValueWLD.toFixed(6)})`);
+        
+        for (const position of this.lotAccounting.getPositions(prices)) {
+            const pnl = position.unrealizedWLD !== null ? `${position.unrealizedWLD.toFixed(6)} WLD` : 'no quote';
+            console.log(`   ${position.symbol || position.token}${position.paper ? ' 📝' : ''}: ${position.quantity.toFixed(6)} @ ${position.averageCost.toFixed(8)} WLD → ${pnl}`);
+        }
+    }
+
+    async recordManualTrade(args) {
+        if (args.length < 4) {
+            console.log('❌ Usage: manual <buy|sell> <token> <qty> <wld> [date]');
+            console.log('   Example: manual buy ORO 500 10 2024-03-01');
+            return;
+        }
+        
+        const [side, tokenSymbol, quantity, amountWLD, date] = args;
+        
+        try {
+            const token = tokenSymbol.startsWith('0x') ? tokenSymbol : await this.getTokenAddress(tokenSymbol);
+            if (!token) {
+                console.log(`❌ Token ${tokenSymbol} not found`);
+                return;
+            }
+            
+            this.lotAccounting.recordManualTrade({
+                wallet: this.wallets.get(1).address,
+                token,
+                symbol: tokenSymbol.startsWith('0x') ? null : tokenSymbol.toUpperCase(),
+                side: side.toLowerCase(),
+                quantity,
+                amountWLD,
+                timestamp: date || null
+            });
+            
+            console.log(`✅ Manual ${side} recorded: ${quantity} ${tokenSymbol} for ${amountWLD} WLD`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    async manageDcaPlans(args) {
+        const [action = 'list', ...rest] = args;
+        const scheduler = this.dcaScheduler;
+        
+        try {
+            switch (action.toLowerCase()) {
+                case 'list':
+                case 'ls': {
+                    const plans = scheduler.getAllPlans();
+                    console.log('\n📅 DCA Plans:');
+                    if (plans.length === 0) {
+                        console.log('   No DCA plans - create one with: dca add ORO 2 daily 09:00 x30');
+                    }
+                    for (const plan of plans) {
+                        const averagePrice = scheduler.getAveragePrice(plan);
+                        console.log(`   ${plan.status === 'active' ? '🟢' : plan.status === 'paused' ? '⏸️ ' : '🏁'} ${plan.id}  ${plan.name} [${plan.status}]`);
+                        console.log(`      ${plan.amountWLD} WLD → ${plan.tokenSymbol} | ${plan.scheduleText} (${plan.schedule}) | ${plan.walletName || plan.walletAddress}`);
+                        console.log(`      Buys: ${plan.fills}${plan.totalBuys ? `/${plan.totalBuys}` : ''}, skipped ${plan.skips}, failed ${plan.failures} | Spent ${plan.totalSpentWLD.toFixed(4)} WLD${averagePrice ? ` @ avg ${averagePrice.toFixed(8)}` : ''}`);
+                        if (plan.skipIf) console.log(`      Skip if: ${plan.skipIf}`);
+                        if (plan.pausedReason) console.log(`      ⚠️  Paused: ${plan.pausedReason}`);
+                    }
+                    if (!scheduler.isRunner) {
+                        console.log('   ⚠️  Schedules are not run by this CLI (the bot runs them, or use: dca start)');
+                    }
+                    break;
+                }
+                
+                case 'start':
+                    if (scheduler.start()) {
+                        console.log('✅ DCA schedules now run in this CLI');
+                    }
+                    break;
+                
+                case 'stop':
+                    scheduler.stop();
+                    console.log('⏹️  DCA schedules stopped in this CLI');
+                    break;
+                
+                case 'add':
+                case 'create': {
+                    // dca add <token> <wld> <schedule words...> [x<buys>] [w<wallet>] [skip <expression...>]
+                    const [tokenSymbol, amount, ...options] = rest;
+                    if (!tokenSymbol || !amount) {
+                        console.log('❌ Usage: dca add <token> <wld> <schedule> [x<buys>] [w<wallet>] [skip <expression>]');
+                        console.log('   Example: dca add ORO 2 daily 09:00 x30 w1 skip price > sma(7d)');
+                        return;
+                    }
+                    
+                    const skipIndex = options.findIndex(option => option.toLowerCase() === 'skip');
+                    const skipIf = skipIndex >= 0 ? options.slice(skipIndex + 1).join(' ') : null;
+                    const scheduleWords = [];
+                    let totalBuys = null;
+                    let walletIndex = 1;
+                    
+                    for (const option of skipIndex >= 0 ? options.slice(0, skipIndex) : options) {
+                        if (/^x\d+$/i.test(option)) {
+                            totalBuys = parseInt(option.substring(1));
+                        } else if (/^w\d+$/i.test(option)) {
+                            walletIndex = parseInt(option.substring(1));
+                        } else {
+                            scheduleWords.push(option);
+                        }
+                    }
+                    
+                    const walletObj = this.wallets.get(walletIndex);
+                    if (!walletObj) {
+                        console.log(`❌ Wallet ${walletIndex} not found`);
+                        return;
+                    }
+                    
+                    const tokenAddress = tokenSymbol.startsWith('0x') ? tokenSymbol : await this.getTokenAddress(tokenSymbol);
+                    if (!tokenAddress) {
+                        console.log(`❌ Token ${tokenSymbol} not found`);
+                        return;
+                    }
+                    
+                    const plan = scheduler.createPlan({
+                        tokenAddress,
+                        tokenSymbol: tokenSymbol.startsWith('0x') ? null : tokenSymbol.toUpperCase(),
+                        amountWLD: amount,
+                        schedule: scheduleWords.join(' ') || 'daily 09:00',
+                        totalBuys,
+                        walletAddress: walletObj.address,
+                        walletName: walletObj.name,
+                        skipIf
+                    });
+                    console.log(`   ID: ${plan.id} | cron: ${plan.schedule}`);
+                    break;
+                }
+                
+                case 'pause':
+                    scheduler.pausePlan(rest.join(' '));
+                    break;
+                    
+                case 'resume':
+                    scheduler.resumePlan(rest.join(' '));
+                    break;
+                    
+                case 'remove':
+                case 'delete':
+                    scheduler.deletePlan(rest.join(' '));
+                    break;
+                    
+                case 'run': {
+                    const plan = scheduler.getPlan(rest.join(' '));
+                    const result = await scheduler.executePlan(plan.id, 'manual');
+                    if (!result.success && !result.entry) console.log(`❌ ${result.error}`);
+                    break;
+                }
+                
+                case 'history': {
+                    const plan = rest.length > 0 ? scheduler.getPlan(rest.join(' ')) : null;
+                    const history = scheduler.getHistory(plan ? plan.id : null, 20);
+                    console.log(`\n📜 DCA History${plan ? ` - ${plan.name}` : ''}:`);
+                    if (history.length === 0) console.log('   No runs yet');
+                    for (const entry of history) {
+                        const when = new Date(entry.timestamp).toLocaleString();
+                        if (entry.status === 'filled') {
+                            console.log(`   ✅ ${when} ${entry.planName}: ${entry.amountWLD} WLD → ${entry.tokensReceived.toFixed(6)}${entry.price ? ` @ ${entry.price.toFixed(8)}` : ''}${entry.paper ? ' 📝 [PAPER]' : ''}${entry.txHash ? ` (${entry.txHash})` : ''}`);
+                        } else if (entry.status === 'skipped') {
+                            console.log(`   ⏭️  ${when} ${entry.planName}: skipped - ${entry.skipCheck}`);
+                        } else {
+                            console.log(`   ❌ ${when} ${entry.planName}: ${entry.error}`);
+                        }
+                    }
+                    break;
+                }
+                
+                default:
+                    console.log(`❌ Unknown dca action: ${action} (use list, add, pause, resume, run, remove, history, start, stop)`);
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    async runBacktest(args) {
+        if (args.length < 1) {
+            console.log('❌ Usage: backtest <strategy_id> [csv_file] [b<balance>] [f<fee%>] [s<slippage%>]');
+            console.log('   Example: backtest strategy_123 prices.csv b5 f0.3 s0.5');
+            return;
+        }
+
+        const [strategyId, ...options] = args;
+        const backtestOptions = {};
+
+        for (const option of options) {
+            if (/^b[\d.]+$/i.test(option)) {
+                backtestOptions.startingBalance = parseFloat(option.substring(1));
+            } else if (/^f[\d.]+$/i.test(option)) {
+                backtestOptions.feePercent = parseFloat(option.substring(1));
+            } else if (/^s[\d.]+$/i.test(option)) {
+                backtestOptions.slippagePercent = parseFloat(option.substring(1));
+            } else {
+                backtestOptions.csvPath = path.resolve(option);
+            }
+        }
+
+        try {
+            const result = await this.backtestEngine.runBacktest(strategyId, backtestOptions);
+            this.backtestEngine.displayResults(result);
+
+            if (result.trades.length > 0) {
+                this.backtestEngine.exportTradeLogCSV(result);
+            }
+        } catch (error) {
+            console.error(`❌ Backtest failed: ${error.message}`);
+        }
+    }
+
     async toggleMonitoring() {
         try {
             if (this.tradingStrategy.isRunning) {
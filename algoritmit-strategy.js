@@ -1,6 +1,7 @@
-const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const StateStore = require('./state-store');
+const Logger = require('./logger');
 
 // Machine Learning Components
 class SimpleLinearRegression {
@@ -134,6 +135,7 @@ class AlgoritmitStrategy extends EventEmitter {
         this.sinclaveEngine = sinclaveEngine;
         this.priceDatabase = priceDatabase;
         this.config = config;
+        this.logger = Logger.forModule('ml');
         
         // ML Models
         this.pricePredictor = new SimpleLinearRegression();
@@ -175,11 +177,22 @@ class AlgoritmitStrategy extends EventEmitter {
         // Active Positions
         this.activePositions = new Map();
         
+        // Wallet used for paper trades (set by main bot)
+        this.tradeJournal = null; // Records executed ML swaps
+        this.tradingWallet = null;
+        
+        // WLD token address
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+        
         // File Paths
         this.dataPath = path.join(process.cwd(), 'algoritmit-data.json');
         this.modelPath = path.join(process.cwd(), 'algoritmit-models.json');
         this.metricsPath = path.join(process.cwd(), 'algoritmit-metrics.json');
         
+        // Crash-safe storage
+        this.dataStore = new StateStore(this.dataPath, { name: 'algoritmit-data', version: 1 });
+        this.metricsStore = new StateStore(this.metricsPath, { name: 'algoritmit-metrics', version: 1 });
+        
         // Load existing data
         this.loadData();
         this.loadMetrics();
@@ -205,6 +218,50 @@ class AlgoritmitStrategy extends EventEmitter {
         this.saveData();
     }
     
+    // Set wallet used for ML trades
+    setTradingWallet(wallet) {
+        this.tradingWallet = wallet;
+    }
+    
+    // Set trade journal for recording executed swaps
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+    
+    // Record an executed ML swap in the trade journal
+    journalTrade(tokenIn, tokenOut, amountIn, result, signal) {
+        if (!this.tradeJournal) return;
+        
+        this.tradeJournal.recordSwap({
+            source: 'ml_strategy',
+            wallet: this.tradingWallet,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            result,
+            strategyId: 'algoritmit_ml',
+            strategyName: 'ALGORITMIT ML',
+            reason: `${signal.action || 'signal'} (confidence ${(signal.confidence * 100).toFixed(1)}%)`
+        });
+    }
+    
+    // Open ML paper positions
+    getOpenPaperPositions() {
+        return Array.from(this.activePositions.values()).filter(p => p.paper === true);
+    }
+    
+    // Drop ML paper positions without a swap (paper trading was switched off)
+    closePaperPositions() {
+        const positions = this.getOpenPaperPositions();
+        positions.forEach(position => this.activePositions.delete(position.tokenAddress));
+        return positions.length;
+    }
+    
+    // Check if swaps go through the paper trading executor
+    isPaperTrading() {
+        return !!(this.sinclaveEngine && this.sinclaveEngine.isPaperTrading && this.sinclaveEngine.isPaperTrading());
+    }
+    
     // Set Learning Mode
     setLearningMode(enabled) {
         this.strategyConfig.learningMode = enabled;
@@ -286,7 +343,7 @@ class AlgoritmitStrategy extends EventEmitter {
             }
             
         } catch (error) {
-            console.error('❌ Error processing market data:', error.message);
+            this.logger.error(`❌ Error processing market data: ${error.message}`);
         }
     }
     
@@ -300,28 +357,29 @@ class AlgoritmitStrategy extends EventEmitter {
             
             const currentPrice = priceData.currentPrice;
             const recentPrices = priceData.prices.slice(-20).map(p => p.price);
+            const indicators = this.priceDatabase.getIndicators(tokenAddress); // Computed over the full tick history
             
             // Add to training data if in learning mode
             if (this.strategyConfig.learningMode) {
-                this.addTrainingData(tokenAddress, currentPrice, recentPrices);
+                this.addTrainingData(tokenAddress, currentPrice, recentPrices, indicators);
             }
             
             // Make prediction if auto-trading is enabled
             if (this.strategyConfig.autoTradingMode) {
-                await this.makePredictionAndTrade(tokenAddress, currentPrice, recentPrices);
+                await this.makePredictionAndTrade(tokenAddress, currentPrice, recentPrices, indicators);
             }
             
         } catch (error) {
-            console.error(`❌ Error analyzing token ${tokenAddress}:`, error.message);
+            this.logger.error(`❌ Error analyzing token ${tokenAddress}: ${error.message}`);
         }
     }
     
     // Add Training Data
-    addTrainingData(tokenAddress, currentPrice, priceSequence) {
+    addTrainingData(tokenAddress, currentPrice, priceSequence, indicators = null) {
         if (priceSequence.length < 5) return;
         
         // Create features from price sequence
-        const features = this.extractFeatures(priceSequence);
+        const features = this.extractFeatures(priceSequence, indicators);
         
         // Store for training
         if (!this.trainingData[tokenAddress]) {
@@ -350,7 +408,7 @@ class AlgoritmitStrategy extends EventEmitter {
     }
     
     // Extract Features from Price Data
-    extractFeatures(prices) {
+    extractFeatures(prices, indicators = null) {
         if (prices.length < 5) return [];
         
         const features = [];
@@ -381,6 +439,14 @@ class AlgoritmitStrategy extends EventEmitter {
         const trend = (prices[prices.length - 1] - prices[0]) / prices[0];
         features.push(trend);
         
+        // Indicator features (0 until there is enough history, so the vector length stays fixed)
+        const rsi = indicators && indicators.rsi !== null ? indicators.rsi : 50;
+        features.push((rsi - 50) / 50); // RSI scaled to -1..1
+        features.push(indicators && indicators.macd && indicators.macd.histogram !== null ? indicators.macd.histogram / currentPrice : 0);
+        features.push(indicators && indicators.bollinger && indicators.bollinger.percentB !== null ? indicators.bollinger.percentB - 0.5 : 0);
+        features.push(indicators && indicators.atr && indicators.atr.percent !== null ? indicators.atr.percent / 100 : 0);
+        features.push(indicators && indicators.twap && indicators.twap.deviation !== null ? indicators.twap.deviation / 100 : 0);
+        
         return features;
     }
     
@@ -402,7 +468,7 @@ class AlgoritmitStrategy extends EventEmitter {
     }
     
     // Make Prediction and Execute Trade
-    async makePredictionAndTrade(tokenAddress, currentPrice, priceSequence) {
+    async makePredictionAndTrade(tokenAddress, currentPrice, priceSequence, indicators = null) {
         try {
             if (!this.trainingData[tokenAddress] || 
                 this.trainingData[tokenAddress].features.length < 10) {
@@ -410,7 +476,7 @@ class AlgoritmitStrategy extends EventEmitter {
             }
             
             // Extract current features
-            const currentFeatures = this.extractFeatures(priceSequence);
+            const currentFeatures = this.extractFeatures(priceSequence, indicators);
             
             // Make price prediction
             const pricePrediction = this.predictPrice(tokenAddress, currentFeatures);
@@ -431,7 +497,7 @@ class AlgoritmitStrategy extends EventEmitter {
             this.saveMetrics();
             
         } catch (error) {
-            console.error(`❌ Error in ML prediction for ${tokenAddress}:`, error.message);
+            this.logger.error(`❌ Error in ML prediction for ${tokenAddress}: ${error.message}`);
         }
     }
     
@@ -533,7 +599,7 @@ class AlgoritmitStrategy extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error executing ML trade:`, error.message);
+            this.logger.error(`❌ Error executing ML trade: ${error.message}`);
         }
     }
     
@@ -546,27 +612,53 @@ class AlgoritmitStrategy extends EventEmitter {
             const riskAdjustedAmount = baseAmount * confidenceMultiplier * (1 - this.strategyConfig.riskTolerance);
             
             const tradeAmount = Math.max(0.01, Math.min(baseAmount, riskAdjustedAmount));
-            
-            // Find a wallet to use (use first available)
-            const wallets = Object.values(this.priceDatabase.findWalletByAddress ? {} : {});
-            if (wallets.length === 0) {
-                console.log('❌ No wallets available for ML trading');
-                return;
+            let tokensReceived = tradeAmount / currentPrice;
+            const paper = this.isPaperTrading();
+            
+            if (paper) {
+                // Paper mode: fill through the simulated executor at the live quote
+                if (!this.tradingWallet) {
+                    console.log('❌ No wallet configured for ML paper trading');
+                    return;
+                }
+                
+                const result = await this.sinclaveEngine.executeOptimizedSwap(
+                    this.tradingWallet,
+                    this.WLD_ADDRESS,
+                    tokenAddress,
+                    tradeAmount,
+                    this.config.slippage || 1
+                );
+                tokensReceived = parseFloat(result.amountOut);
+                this.journalTrade(this.WLD_ADDRESS, tokenAddress, tradeAmount, result, signal);
+                
+                console.log(`🤖 ML BUY EXECUTED 📝 [PAPER]`);
+                console.log(`   💰 Amount: ${tradeAmount.toFixed(6)} WLD`);
+                console.log(`   📊 Tokens received: ${tokensReceived.toFixed(2)}`);
+            } else {
+                // Find a wallet to use (use first available)
+                const wallets = Object.values(this.priceDatabase.findWalletByAddress ? {} : {});
+                if (wallets.length === 0) {
+                    console.log('❌ No wallets available for ML trading');
+                    return;
+                }
+                
+                // For now, we'll simulate the trade execution
+                // In a real implementation, you'd use the trading engine
+                console.log(`🤖 ML BUY EXECUTED (SIMULATED)`);
+                console.log(`   💰 Amount: ${tradeAmount.toFixed(6)} WLD`);
+                console.log(`   📊 Expected tokens: ~${(tradeAmount / currentPrice).toFixed(2)}`);
             }
             
-            // For now, we'll simulate the trade execution
-            // In a real implementation, you'd use the trading engine
-            console.log(`🤖 ML BUY EXECUTED (SIMULATED)`);
-            console.log(`   💰 Amount: ${tradeAmount.toFixed(6)} WLD`);
-            console.log(`   📊 Expected tokens: ~${(tradeAmount / currentPrice).toFixed(2)}`);
-            
             // Record the position
             const position = {
                 tokenAddress,
                 entryPrice: currentPrice,
                 entryAmount: tradeAmount,
+                entryAmountToken: tokensReceived,
                 entryTime: Date.now(),
                 signal: signal,
+                paper: paper,
                 status: 'open'
             };
             
@@ -579,21 +671,38 @@ class AlgoritmitStrategy extends EventEmitter {
                 tokenAddress,
                 amount: tradeAmount,
                 price: currentPrice,
-                confidence: signal.confidence
+                confidence: signal.confidence,
+                paper: paper
             });
             
         } catch (error) {
-            console.error('❌ Error executing ML buy:', error.message);
+            this.logger.error(`❌ Error executing ML buy: ${error.message}`);
         }
     }
     
     // Execute Sell Order
     async executeSell(tokenAddress, currentPrice, signal, position) {
         try {
-            const profit = (currentPrice - position.entryPrice) / position.entryPrice;
+            let profit = (currentPrice - position.entryPrice) / position.entryPrice;
             const holdTime = Date.now() - position.entryTime;
             
-            console.log(`🤖 ML SELL EXECUTED (SIMULATED)`);
+            if (position.paper && this.tradingWallet) {
+                // Paper position: sell the virtual tokens (even if paper mode was switched off since) and use the actual fill for profit
+                const result = await this.sinclaveEngine.executeOptimizedSwap(
+                    this.tradingWallet,
+                    tokenAddress,
+                    this.WLD_ADDRESS,
+                    position.entryAmountToken,
+                    this.config.slippage || 1,
+                    { paper: true, exit: true }
+                );
+                profit = (parseFloat(result.amountOut) - position.entryAmount) / position.entryAmount;
+                this.journalTrade(tokenAddress, this.WLD_ADDRESS, position.entryAmountToken, result, signal);
+                
+                console.log(`🤖 ML SELL EXECUTED 📝 [PAPER]`);
+            } else {
+                console.log(`🤖 ML SELL EXECUTED (SIMULATED)`);
+            }
             console.log(`   💰 Entry: ${position.entryPrice.toFixed(8)} WLD`);
             console.log(`   💰 Exit: ${currentPrice.toFixed(8)} WLD`);
             console.log(`   📊 Profit: ${(profit * 100).toFixed(2)}%`);
@@ -615,11 +724,12 @@ class AlgoritmitStrategy extends EventEmitter {
                 tokenAddress,
                 profit: profit,
                 holdTime: holdTime,
-                confidence: signal.confidence
+                confidence: signal.confidence,
+                paper: position.paper === true
             });
             
         } catch (error) {
-            console.error('❌ Error executing ML sell:', error.message);
+            this.logger.error(`❌ Error executing ML sell: ${error.message}`);
         }
     }
     
@@ -648,7 +758,7 @@ class AlgoritmitStrategy extends EventEmitter {
             console.log(`✅ Model retraining complete. Accuracy: ${(this.metrics.accuracy * 100).toFixed(1)}%`);
             
         } catch (error) {
-            console.error('❌ Error retraining models:', error.message);
+            this.logger.error(`❌ Error retraining models: ${error.message}`);
         }
     }
     
@@ -678,24 +788,21 @@ class AlgoritmitStrategy extends EventEmitter {
     // Save Training Data
     saveData() {
         try {
-            const data = {
+            this.dataStore.save({
                 strategyConfig: this.strategyConfig,
                 trainingData: this.trainingData,
                 timestamp: Date.now()
-            };
-            
-            fs.writeFileSync(this.dataPath, JSON.stringify(data, null, 2));
+            });
         } catch (error) {
-            console.error('❌ Error saving ALGORITMIT data:', error.message);
+            this.logger.error(`❌ Error saving ALGORITMIT data: ${error.message}`);
         }
     }
     
     // Load Training Data
     loadData() {
         try {
-            if (fs.existsSync(this.dataPath)) {
-                const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
-                
+            const data = this.dataStore.load();
+            if (data) {
                 if (data.strategyConfig) {
                     Object.assign(this.strategyConfig, data.strategyConfig);
                 }
@@ -707,29 +814,29 @@ class AlgoritmitStrategy extends EventEmitter {
                 console.log('📊 ALGORITMIT data loaded');
             }
         } catch (error) {
-            console.error('❌ Error loading ALGORITMIT data:', error.message);
+            this.logger.error(`❌ Error loading ALGORITMIT data: ${error.message}`);
         }
     }
     
     // Save Metrics
     saveMetrics() {
         try {
-            fs.writeFileSync(this.metricsPath, JSON.stringify(this.metrics, null, 2));
+            this.metricsStore.save(this.metrics);
         } catch (error) {
-            console.error('❌ Error saving ALGORITMIT metrics:', error.message);
+            this.logger.error(`❌ Error saving ALGORITMIT metrics: ${error.message}`);
         }
     }
     
     // Load Metrics
     loadMetrics() {
         try {
-            if (fs.existsSync(this.metricsPath)) {
-                const data = JSON.parse(fs.readFileSync(this.metricsPath, 'utf8'));
+            const data = this.metricsStore.load();
+            if (data) {
                 Object.assign(this.metrics, data);
                 console.log('📊 ALGORITMIT metrics loaded');
             }
         } catch (error) {
-            console.error('❌ Error loading ALGORITMIT metrics:', error.message);
+            this.logger.error(`❌ Error loading ALGORITMIT metrics: ${error.message}`);
         }
     }
     
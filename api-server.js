@@ -0,0 +1,628 @@
+/**
+ * ALGORITMIT API Server
+ * Local HTTP/JSON REST API and WebSocket event feed for scripting and integrating the bot
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+
+class ApiServer extends EventEmitter {
+    constructor(bot, config = {}) {
+        super();
+        this.bot = bot; // Main bot instance - gives access to every module
+        this.config = config;
+
+        // Localhost only unless explicitly configured otherwise
+        this.host = config.apiHost || process.env.API_HOST || '127.0.0.1';
+        this.port = parseInt(config.apiPort || process.env.API_PORT) || 8787;
+        this.maxBodyBytes = 1024 * 1024;
+        this.dashboardPath = path.join(__dirname, 'dashboard.html');
+        this.maxHistoryPoints = 500;
+
+        // Bearer token: API_TOKEN from .env, or generated once and kept in .api-token
+        this.tokenPath = path.join(process.cwd(), '.api-token');
+        this.token = process.env.API_TOKEN || this.loadOrCreateToken();
+
+        this.server = null;
+        this.wss = null;
+        this.routes = [];
+        this.eventBindings = [];
+        this.metricsCollector = null;
+
+        this.registerRoutes();
+    }
+
+    // Load the persisted API token or create a new one
+    loadOrCreateToken() {
+        try {
+            if (fs.existsSync(this.tokenPath)) {
+                const saved = fs.readFileSync(this.tokenPath, 'utf8').trim();
+                if (saved) return saved;
+            }
+
+            const token = crypto.randomBytes(24).toString('hex');
+            fs.writeFileSync(this.tokenPath, token + '\n', { mode: 0o600 });
+            return token;
+        } catch (error) {
+            console.error('❌ Error saving API token:', error.message);
+            return crypto.randomBytes(24).toString('hex');
+        }
+    }
+
+    // Set metrics collector served on /metrics
+    setMetricsCollector(metricsCollector) {
+        this.metricsCollector = metricsCollector;
+    }
+
+    // Check if the server is listening
+    isRunning() {
+        return this.server !== null && this.server.listening;
+    }
+
+    // Start HTTP and WebSocket servers
+    async start() {
+        if (this.isRunning()) return this.getInfo();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.bindEvents();
+
+        console.log(`🌐 API server listening on http://${this.host}:${this.port}`);
+        if (!['127.0.0.1', 'localhost', '::1'].includes(this.host)) {
+            console.log(`⚠️  API server is bound to ${this.host} - it is reachable from other machines`);
+        }
+
+        this.emit('started', this.getInfo());
+        return this.getInfo();
+    }
+
+    // Stop servers and detach event listeners
+    async stop() {
+        if (!this.server) return;
+
+        this.unbindEvents();
+
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        this.wss.close();
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.wss = null;
+
+        console.log('🛑 API server stopped');
+        this.emit('stopped');
+    }
+
+    // Connection details for display
+    getInfo() {
+        return {
+            running: this.isRunning(),
+            url: `http://${this.host}:${this.port}`,
+            websocket: `ws://${this.host}:${this.port}/ws`,
+            dashboard: `http://${this.host}:${this.port}/`,
+            metrics: `http://${this.host}:${this.port}/metrics`,
+            clients: this.wss ? this.wss.clients.size : 0
+        };
+    }
+
+    // Constant-time token comparison
+    isAuthorized(req, url) {
+        const header = req.headers['authorization'] || '';
+        const provided = header.startsWith('Bearer ')
+            ? header.slice(7).trim()
+            : (req.headers['x-api-key'] || url.searchParams.get('token') || '');
+
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(String(provided));
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    // Register a route; path segments starting with ':' become params
+    route(method, pattern, handler) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+
+        this.routes.push({ method, regex, keys, handler });
+    }
+
+    // All REST endpoints
+    registerRoutes() {
+        this.route('GET', '/api/status', () => this.getStatus());
+
+        // Strategies (StrategyBuilder)
+        this.route('GET', '/api/strategies', () => this.bot.strategyBuilder.getAllStrategies());
+        this.route('GET', '/api/strategies/:id', ({ params }) => this.requireStrategy(params.id));
+        this.route('POST', '/api/strategies', ({ body }) => this.createStrategy(body));
+        this.route('POST', '/api/strategies/:id/start', ({ params, body }) => {
+            const wallet = this.resolveWallet(body.wallet);
+            return this.bot.strategyBuilder.startStrategy(params.id, wallet);
+        });
+        this.route('POST', '/api/strategies/:id/stop', ({ params }) => this.bot.strategyBuilder.stopStrategy(params.id));
+        this.route('DELETE', '/api/strategies/:id', ({ params }) => ({ deleted: this.bot.strategyBuilder.deleteStrategy(params.id) }));
+
+        // Positions
+        this.route('GET', '/api/positions', () => this.getPositions());
+
+        // Triggers (PriceDatabase)
+        this.route('GET', '/api/triggers', () => this.bot.priceDatabase.getAllTriggers());
+        this.route('POST', '/api/triggers', ({ body }) => this.createTrigger(body));
+        this.route('DELETE', '/api/triggers/:id', ({ params }) => ({ deleted: this.bot.priceDatabase.deleteTrigger(params.id) }));
+        this.route('POST', '/api/triggers/:id/activate', ({ params }) => this.bot.priceDatabase.setTriggerActive(params.id, true));
+        this.route('POST', '/api/triggers/:id/deactivate', ({ params }) => this.bot.priceDatabase.setTriggerActive(params.id, false));
+        this.route('POST', '/api/triggers/:id/cancel', ({ params }) => this.bot.priceDatabase.cancelTrigger(params.id, 'api'));
+        
+        // Background price monitoring (PriceDatabase)
+        this.route('POST', '/api/monitoring/start', () => {
+            this.bot.priceDatabase.startBackgroundMonitoring();
+            return this.bot.priceDatabase.getStatus();
+        });
+        this.route('POST', '/api/monitoring/stop', () => {
+            this.bot.priceDatabase.stopBackgroundMonitoring();
+            return this.bot.priceDatabase.getStatus();
+        });
+
+        // Market data
+        this.route('GET', '/api/quote', ({ query }) => this.getQuote(query));
+        this.route('GET', '/api/prices', () => this.getPrices());
+        this.route('GET', '/api/prices/:token/history', ({ params, query }) => this.getPriceHistory(params.token, query));
+        this.route('GET', '/api/prices/:token/candles', ({ params, query }) => this.getCandles(params.token, query));
+
+        // Wallets
+        this.route('GET', '/api/balances', ({ query }) => this.getBalances(query));
+
+        // Trade log (TradeJournal)
+        this.route('GET', '/api/trades', ({ query }) => this.bot.tradeJournal.query({
+            token: query.token,
+            wallet: query.wallet,
+            strategy: query.strategy,
+            side: query.side,
+            source: query.source,
+            from: query.from,
+            to: query.to,
+            limit: query.limit ? parseInt(query.limit) : 100
+        }));
+    }
+
+    // Request path and query against a fixed base - the client's Host header is not trusted; null if malformed
+    parseUrl(req) {
+        try {
+            return new URL(req.url, 'http://localhost');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Dispatch an HTTP request
+    async handleRequest(req, res) {
+        const url = this.parseUrl(req);
+        if (!url) {
+            return this.sendJSON(res, 400, { error: 'Bad request URL' });
+        }
+
+        // Dashboard page holds no data - it asks for the token and calls the API
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+            return this.serveDashboard(res);
+        }
+
+        if (req.method === 'GET' && url.pathname === '/metrics') {
+            return this.serveMetrics(req, res, url);
+        }
+
+        if (!url.pathname.startsWith('/api/')) {
+            return this.sendJSON(res, 404, { error: 'Not found' });
+        }
+
+        if (!this.isAuthorized(req, url)) {
+            return this.sendJSON(res, 401, { error: 'Unauthorized - send Authorization: Bearer <token>' });
+        }
+
+        const route = this.routes.find(r => r.method === req.method && r.regex.test(url.pathname));
+        if (!route) {
+            return this.sendJSON(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+        }
+
+        try {
+            const match = url.pathname.match(route.regex);
+            const params = {};
+            route.keys.forEach((key, index) => {
+                params[key] = decodeURIComponent(match[index + 1]);
+            });
+
+            const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await this.readBody(req) : {};
+            const query = Object.fromEntries(url.searchParams.entries());
+            delete query.token;
+
+            const result = await route.handler({ params, query, body });
+            this.sendJSON(res, 200, { success: true, data: result });
+        } catch (error) {
+            const status = error.statusCode || (/not found/i.test(error.message) ? 404 : 400);
+            this.sendJSON(res, status, { success: false, error: error.message });
+        }
+    }
+
+    // Serve the self-contained dashboard page
+    serveDashboard(res) {
+        try {
+            const html = fs.readFileSync(this.dashboardPath, 'utf8');
+            res.writeHead(200, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self' ws: wss:"
+            });
+            res.end(html);
+        } catch (error) {
+            this.sendJSON(res, 500, { error: `Dashboard unavailable: ${error.message}` });
+        }
+    }
+
+    // Serve Prometheus metrics (same bearer token as the API)
+    serveMetrics(req, res, url) {
+        if (!this.isAuthorized(req, url)) {
+            return this.sendJSON(res, 401, { error: 'Unauthorized - send Authorization: Bearer <token>' });
+        }
+        if (!this.metricsCollector) {
+            return this.sendJSON(res, 404, { error: 'Metrics not available' });
+        }
+
+        try {
+            const body = this.metricsCollector.render();
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Cache-Control': 'no-store'
+            });
+            res.end(body);
+        } catch (error) {
+            this.sendJSON(res, 500, { error: `Metrics unavailable: ${error.message}` });
+        }
+    }
+
+    // Read and parse a JSON request body
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    const error = new Error('Request body too large');
+                    error.statusCode = 413;
+                    req.destroy();
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf8');
+                if (!raw.trim()) return resolve({});
+
+                try {
+                    resolve(JSON.parse(raw));
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    // Serialize without wallet secrets; BigInt becomes string
+    serialize(payload) {
+        return JSON.stringify(payload, (key, value) => {
+            if (key === 'walletObject' || key === 'privateKey' || key === 'keystore') return undefined;
+            if (typeof value === 'bigint') return value.toString();
+            if (value instanceof Map) return Object.fromEntries(value);
+            return value;
+        });
+    }
+
+    // Write a JSON response
+    sendJSON(res, status, payload) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(this.serialize(payload));
+    }
+
+    // Authenticate and accept WebSocket connections on /ws
+    handleUpgrade(req, socket, head) {
+        const url = this.parseUrl(req);
+        if (!url) {
+            socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        if (url.pathname !== '/ws' || !this.isAuthorized(req, url)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.send(this.serialize({ type: 'hello', data: this.getStatus(), timestamp: Date.now() }));
+            this.emit('clientConnected', { clients: this.wss.clients.size });
+        });
+    }
+
+    // Push an event to every connected client
+    broadcast(type, data) {
+        if (!this.wss || this.wss.clients.size === 0) return;
+
+        const message = this.serialize({ type, data, timestamp: Date.now() });
+        for (const client of this.wss.clients) {
+            if (client.readyState === 1) {
+                client.send(message);
+            }
+        }
+    }
+
+    // Forward module events to WebSocket clients
+    bindEvents() {
+        const sources = [
+            [this.bot.priceDatabase, ['priceUpdate', 'triggerExecuted', 'triggerExpired', 'triggerCancelled']],
+            [this.bot.tradeJournal, ['tradeRecorded']],
+            [this.bot.strategyBuilder, ['dipBuyExecuted', 'profitSellExecuted', 'strategyCompleted']],
+            [this.bot.tradingStrategy, ['positionOpened', 'positionClosed']],
+            [this.bot.algoritmitStrategy, ['mlTradeExecuted']]
+        ];
+
+        for (const [emitter, events] of sources) {
+            if (!emitter) continue;
+
+            for (const event of events) {
+                const listener = (data) => this.broadcast(event, data);
+                emitter.on(event, listener);
+                this.eventBindings.push({ emitter, event, listener });
+            }
+        }
+    }
+
+    // Remove forwarded event listeners
+    unbindEvents() {
+        for (const { emitter, event, listener } of this.eventBindings) {
+            emitter.removeListener(event, listener);
+        }
+        this.eventBindings = [];
+    }
+
+    // Bot status summary
+    getStatus() {
+        return {
+            paperTrading: this.bot.paperTrading ? this.bot.paperTrading.isEnabled() : false,
+            keystoreUnlocked: this.bot.keystore ? this.bot.keystore.isUnlocked() : null,
+            wallets: this.bot.wallets.map(w => ({ name: w.name, address: w.address })),
+            strategies: {
+                total: this.bot.strategyBuilder.getAllStrategies().length,
+                active: this.bot.strategyBuilder.getActiveStrategies().length
+            },
+            priceDatabase: this.bot.priceDatabase.getStatus(),
+            api: this.getInfo()
+        };
+    }
+
+    // Get a strategy or throw a 404
+    requireStrategy(strategyId) {
+        const strategy = this.bot.strategyBuilder.getStrategy(strategyId);
+        if (!strategy) {
+            throw new Error(`Strategy ${strategyId} not found`);
+        }
+        return strategy;
+    }
+
+    // Find a wallet by name or address (default: first wallet)
+    resolveWallet(selector) {
+        const wallets = this.bot.wallets;
+        if (wallets.length === 0) {
+            throw new Error('No wallets configured');
+        }
+
+        if (!selector) return wallets[0];
+
+        const wallet = wallets.find(w =>
+            w.address.toLowerCase() === String(selector).toLowerCase() || w.name === selector);
+        if (!wallet) {
+            throw new Error(`Wallet not found: ${selector}`);
+        }
+        return wallet;
+    }
+
+    // Create a strategy from a JSON body
+    createStrategy(body) {
+        if (!body.targetToken || !body.tokenSymbol) {
+            throw new Error('targetToken and tokenSymbol are required');
+        }
+        return this.bot.strategyBuilder.createStrategy(body);
+    }
+
+    // Create a price trigger from a JSON body
+    createTrigger(body) {
+        const required = ['tokenAddress', 'tokenSymbol', 'action', 'condition', 'threshold'];
+        const missing = required.filter(key => body[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing fields: ${missing.join(', ')}`);
+        }
+        if (!['buy', 'sell'].includes(body.action)) {
+            throw new Error(`action must be 'buy' or 'sell'`);
+        }
+
+        return this.bot.priceDatabase.createTrigger({
+            ...body,
+            walletAddress: this.resolveWallet(body.wallet || body.walletAddress).address
+        });
+    }
+
+    // Strategy, trading strategy and lot positions
+    getPositions() {
+        const prices = (token) => this.bot.priceDatabase.getCurrentPrice(token);
+
+        // Strategy positions live on each strategy object
+        const strategies = this.bot.strategyBuilder.getAllStrategies().flatMap(strategy =>
+            (strategy.positions || []).map(position => ({
+                ...position,
+                strategyName: strategy.name,
+                tokenSymbol: strategy.tokenSymbol,
+                currentPrice: prices(strategy.targetToken) || null
+            })));
+
+        return {
+            strategies,
+            trading: this.bot.tradingStrategy.getAllPositions(),
+            lots: this.bot.lotAccounting ? this.bot.lotAccounting.getPositions(prices) : []
+        };
+    }
+
+    // Live swap quote
+    async getQuote(query) {
+        const tokenIn = this.resolveToken(query.tokenIn || query.from);
+        const tokenOut = this.resolveToken(query.tokenOut || query.to);
+        const amount = parseFloat(query.amount);
+
+        if (!tokenIn || !tokenOut || !(amount > 0)) {
+            throw new Error('Usage: /api/quote?tokenIn=<addr|symbol>&tokenOut=<addr|symbol>&amount=<n>');
+        }
+
+        const receiver = this.bot.wallets[0] ? this.bot.wallets[0].address : '0x0000000000000000000000000000000000000001';
+        const quote = await this.bot.sinclaveEngine.getHoldStationQuote(tokenIn, tokenOut, amount, receiver);
+
+        return {
+            tokenIn,
+            tokenOut,
+            amountIn: amount,
+            expectedOutput: quote ? quote.expectedOutput : null,
+            rate: quote && quote.expectedOutput ? parseFloat(quote.expectedOutput) / amount : null
+        };
+    }
+
+    // Token symbol or address -> address
+    resolveToken(value) {
+        if (!value) return null;
+        if (value.startsWith('0x')) return value;
+        if (value.toUpperCase() === 'WLD') return this.bot.WLD_ADDRESS;
+
+        const token = Object.values(this.bot.discoveredTokens || {})
+            .find(t => t.symbol && t.symbol.toLowerCase() === value.toLowerCase());
+        return token ? token.address : null;
+    }
+
+    // Current prices of tracked tokens
+    getPrices() {
+        return Array.from(this.bot.priceDatabase.priceData.entries()).map(([tokenAddress, data]) => ({
+            tokenAddress,
+            symbol: data.symbol,
+            price: data.currentPrice,
+            change24h: data.priceChange24h,
+            lastUpdate: data.lastPriceUpdate,
+            smas: Object.fromEntries(Object.entries(data.smaCache || {}).map(([period, sma]) => [period, sma.average || null])),
+            indicators: this.bot.priceDatabase.getIndicators(tokenAddress)
+        }));
+    }
+
+    // Price history with rolling SMA overlays (downsampled for charts)
+    getPriceHistory(tokenAddress, query) {
+        const priceData = this.bot.priceDatabase.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) {
+            throw new Error(`Token ${tokenAddress} not found in price database`);
+        }
+
+        const hours = parseFloat(query.hours) || 24;
+        const cutoff = Date.now() - hours * 3600000;
+        const points = this.bot.priceDatabase.getSeries(tokenAddress, cutoff); // Ticks, or candles beyond the tick retention
+
+        // Rolling SMA windows (same periods as PriceDatabase.calculateSMAs)
+        const windows = { '5min': 300000, '1hour': 3600000, '6hour': 21600000, '24hour': 86400000 };
+        const sma = {};
+
+        for (const [period, windowMs] of Object.entries(windows)) {
+            let start = 0;
+            let sum = 0;
+            sma[period] = points.map((point, index) => {
+                sum += point.price;
+                while (points[start].timestamp < point.timestamp - windowMs) {
+                    sum -= points[start].price;
+                    start++;
+                }
+                return sum / (index - start + 1);
+            });
+        }
+
+        // Downsample evenly, always keeping the latest point
+        const step = Math.max(1, Math.ceil(points.length / this.maxHistoryPoints));
+        const indexes = [];
+        for (let i = 0; i < points.length; i += step) indexes.push(i);
+        if (points.length > 0 && indexes[indexes.length - 1] !== points.length - 1) indexes.push(points.length - 1);
+
+        return {
+            tokenAddress: tokenAddress.toLowerCase(),
+            symbol: priceData.symbol,
+            hours,
+            points: indexes.map(i => ({ timestamp: points[i].timestamp, price: points[i].price })),
+            sma: Object.fromEntries(Object.entries(sma).map(([period, values]) => [period, indexes.map(i => values[i])]))
+        };
+    }
+
+    // OHLCV candles (?resolution=1m|5m|1h|1d&hours=N)
+    getCandles(tokenAddress, query) {
+        const priceData = this.bot.priceDatabase.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) {
+            throw new Error(`Token ${tokenAddress} not found in price database`);
+        }
+
+        const resolution = query.resolution || '1h';
+        const from = query.hours ? Date.now() - parseFloat(query.hours) * 3600000 : 0;
+
+        return {
+            tokenAddress: tokenAddress.toLowerCase(),
+            symbol: priceData.symbol,
+            resolution,
+            candles: this.bot.priceDatabase.getCandles(tokenAddress, resolution, from)
+        };
+    }
+
+    // On-chain (or paper ledger) balances for one or all wallets
+    async getBalances(query) {
+        const wallets = query.wallet ? [this.resolveWallet(query.wallet)] : this.bot.wallets;
+        const tokens = [this.bot.WLD_ADDRESS, ...Array.from(this.bot.priceDatabase.trackedTokens)];
+        const paper = this.bot.paperTrading && this.bot.paperTrading.isEnabled();
+
+        const results = [];
+        for (const wallet of wallets) {
+            results.push({
+                name: wallet.name,
+                address: wallet.address,
+                paper,
+                balances: paper
+                    ? this.bot.paperTrading.getBalances(wallet.address)
+                    : await this.bot.tradingEngine.getWalletBalances(wallet.address, [...new Set(tokens)])
+            });
+        }
+        return results;
+    }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,687 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const StateStore = require('./state-store');
+const PriceDatabase = require('./price-database');
+const CandleAggregator = require('./candle-aggregator');
+
+class BacktestEngine extends EventEmitter {
+    constructor(strategyBuilder, priceDatabase = null, config = {}) {
+        super();
+        this.strategyBuilder = strategyBuilder;
+        this.priceDatabase = priceDatabase;
+        this.config = config;
+
+        // Simulation defaults (overridable per run)
+        this.defaults = {
+            feePercent: config.backtestFeePercent || 0.3,        // DEX pool fee per swap
+            slippagePercent: config.backtestSlippagePercent || 0.5, // Simulated execution slippage
+            gasCostWLD: config.backtestGasCostWLD || 0,          // Flat gas cost per swap in WLD
+            maxEquityPoints: 500                                  // Equity curve points kept in saved results
+        };
+
+        // File paths
+        this.resultsPath = path.join(process.cwd(), 'backtest-results.json');
+        this.resultsStore = new StateStore(this.resultsPath, {
+            name: 'backtest-results',
+            version: 1,
+            migrations: {
+                1: (data) => ({ results: data.results || [] }) // Drop legacy version/timestamp
+            }
+        });
+        this.maxSavedResults = 20;
+
+        // WLD token address
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        console.log('🧪 Backtest Engine initialized');
+    }
+
+    // Load {timestamp, price} series for a token from the price database
+    loadSeriesFromPriceDatabase(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        let tokenData = null;
+
+        if (this.priceDatabase && this.priceDatabase.priceData) {
+            tokenData = this.priceDatabase.priceData.get(key);
+        } else {
+            // No live PriceDatabase (e.g. CLI) - query the configured storage directly
+            const storage = PriceDatabase.createStorage(this.config);
+            try {
+                const candles = Object.fromEntries(Object.keys(CandleAggregator.RESOLUTIONS)
+                    .map(resolution => [resolution, storage.queryCandles(key, resolution)]));
+                tokenData = { prices: storage.queryTicks(key), candles };
+            } finally {
+                storage.close();
+            }
+        }
+
+        // Long-term history lives in candles; raw ticks only cover the most recent hours
+        const series = tokenData ? new CandleAggregator().stitch(tokenData.prices || [], tokenData.candles) : [];
+        if (series.length === 0) {
+            throw new Error(`No stored price history for ${tokenAddress}`);
+        }
+
+        return this.normalizeSeries(series);
+    }
+
+    // Load {timestamp, price} series from a CSV file (timestamp,price per line, or candle CSV with a close column)
+    loadSeriesFromCSV(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`CSV file not found: ${filePath}`);
+        }
+
+        const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+        const series = [];
+        let priceColumn = 1;
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const fields = trimmed.split(/[,;\t]/).map(v => v.trim());
+            const closeColumn = fields.findIndex(field => field.toLowerCase() === 'close');
+            if (closeColumn > 0 && series.length === 0) {
+                priceColumn = closeColumn; // Exported candles: replay the closes
+                continue;
+            }
+
+            const rawTimestamp = fields[0];
+            const rawPrice = fields[priceColumn];
+            const price = parseFloat(rawPrice);
+            const timestamp = this.parseTimestamp(rawTimestamp);
+
+            // Skips the header row and any malformed lines
+            if (timestamp === null || isNaN(price) || price <= 0) continue;
+
+            series.push({ timestamp, price });
+        }
+
+        if (series.length === 0) {
+            throw new Error(`No valid price rows found in ${filePath}`);
+        }
+
+        return this.normalizeSeries(series);
+    }
+
+    // Parse epoch seconds, epoch milliseconds or ISO date strings
+    parseTimestamp(value) {
+        if (!value) return null;
+
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const numeric = parseFloat(value);
+            return numeric < 1e12 ? Math.round(numeric * 1000) : Math.round(numeric);
+        }
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    // Sort by time and drop invalid points
+    normalizeSeries(prices) {
+        return prices
+            .filter(p => p && typeof p.price === 'number' && p.price > 0 && p.timestamp)
+            .map(p => ({ timestamp: p.timestamp, price: p.price }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Build an isolated copy of a strategy so the replay never touches the live one
+    createSimulationStrategy(strategy) {
+        const { walletObject, ...stored } = strategy;
+        const sim = JSON.parse(JSON.stringify(stored));
+
+        sim.isActive = false;
+        sim.status = 'backtesting';
+        sim.positions = [];
+        sim.priceHistory = [];
+        sim.profitRangeState = null;
+        sim.autoSellExecuted = false;
+        sim.completedCycles = 0;
+        sim.totalTrades = 0;
+        sim.successfulTrades = 0;
+        sim.totalProfit = 0;
+        sim.volatilityProfile = 'normal';
+
+        // Older strategies may lack position sizing if tradeAmount was missing at creation
+        const tradeAmount = sim.tradeAmount || 0.1;
+        if (!sim.smartPositionSizing || isNaN(sim.smartPositionSizing.small)) {
+            sim.smartPositionSizing = {
+                small: tradeAmount * 0.5,
+                medium: tradeAmount * 1.0,
+                large: tradeAmount * 1.5,
+                extreme: tradeAmount * 2.0
+            };
+        }
+
+        (sim.dipBuyingLevels || []).forEach(level => { level.executed = false; });
+        this.strategyBuilder.updateSmartThresholds(sim);
+
+        return sim;
+    }
+
+    // Run a backtest for a strategy against a stored or imported price series
+    async runBacktest(strategyOrId, options = {}) {
+        const strategy = typeof strategyOrId === 'string'
+            ? this.strategyBuilder.getStrategy(strategyOrId)
+            : strategyOrId;
+
+        if (!strategy) {
+            throw new Error(`Strategy ${strategyOrId} not found`);
+        }
+
+        let series = options.series;
+        if (!series) {
+            series = options.csvPath
+                ? this.loadSeriesFromCSV(options.csvPath)
+                : this.loadSeriesFromPriceDatabase(strategy.targetToken);
+        }
+
+        if (series.length < 2) {
+            throw new Error('At least 2 price points are required for a backtest');
+        }
+
+        const sim = this.createSimulationStrategy(strategy);
+        const settings = {
+            feePercent: options.feePercent !== undefined ? options.feePercent : this.defaults.feePercent,
+            slippagePercent: options.slippagePercent !== undefined ? options.slippagePercent : this.defaults.slippagePercent,
+            gasCostWLD: options.gasCostWLD !== undefined ? options.gasCostWLD : this.defaults.gasCostWLD,
+            startingBalance: options.startingBalance || (sim.tradeAmount || 0.1) * 10
+        };
+
+        const state = {
+            cash: settings.startingBalance,
+            tokens: 0,
+            costBasis: 0,
+            history: [],
+            trades: [],
+            equityCurve: [],
+            totalFees: 0,
+            skippedBuys: 0,
+            cycleStartEquity: settings.startingBalance,
+            cycleResults: [],
+            stopped: false
+        };
+
+        console.log(`🧪 Backtesting ${sim.name} on ${series.length} price points...`);
+        console.log(`   📅 ${new Date(series[0].timestamp).toLocaleString()} → ${new Date(series[series.length - 1].timestamp).toLocaleString()}`);
+        console.log(`   💰 Starting Balance: ${settings.startingBalance.toFixed(6)} WLD | Fee: ${settings.feePercent}% | Slippage: ${settings.slippagePercent}%`);
+
+        for (const point of series) {
+            if (state.stopped) break;
+            this.processPricePoint(sim, state, settings, point);
+
+            const equity = state.cash + state.tokens * point.price;
+            state.equityCurve.push({ timestamp: point.timestamp, price: point.price, equity });
+        }
+
+        const result = this.buildResult(strategy, sim, state, settings, series);
+        this.saveResult(result);
+        this.emit('backtestCompleted', result);
+
+        return result;
+    }
+
+    // Replay one price point through the monitorStrategy decision flow
+    processPricePoint(sim, state, settings, point) {
+        const { timestamp, price } = point;
+
+        state.history.push({ timestamp, price });
+
+        // Only the DIP timeframe window is needed for decisions
+        const cutoffTime = timestamp - Math.max(sim.dipTimeframe || 300000, 60000);
+        while (state.history.length > 0 && state.history[0].timestamp < cutoffTime) {
+            state.history.shift();
+        }
+
+        const openPositions = sim.positions.filter(p => p.status === 'open');
+
+        if (openPositions.length > 0) {
+            // Exit rules take priority over profit taking, as in monitorStrategy
+            if (this.checkExitRules(sim, state, settings, openPositions, point)) return;
+
+            this.checkPositionsForProfit(sim, state, settings, openPositions, point);
+
+            // DIP buying levels can still improve the average while holding
+            if (!state.stopped && sim.positions.some(p => p.status === 'open')) {
+                this.checkDipBuyingLevels(sim, state, settings, point);
+            }
+        } else {
+            this.checkForSmartDip(sim, state, settings, point);
+        }
+    }
+
+    // Mirror of checkForSmartDipOpportunity/executeSmartDipBuy for the initial entry
+    checkForSmartDip(sim, state, settings, point) {
+        if (state.history.length < 2) return;
+
+        const highestPrice = Math.max(...state.history.map(p => p.price));
+        const dipPercent = ((highestPrice - point.price) / highestPrice) * 100;
+        const thresholds = sim.smartDipThresholds;
+        const sizing = sim.smartPositionSizing;
+
+        let dipLevel = null;
+        if (dipPercent >= thresholds.extreme) {
+            dipLevel = 'extreme';
+        } else if (dipPercent >= thresholds.large) {
+            dipLevel = 'large';
+        } else if (dipPercent >= thresholds.medium) {
+            dipLevel = 'medium';
+        } else if (dipPercent >= thresholds.small) {
+            dipLevel = 'small';
+        }
+
+        if (!dipLevel) return;
+
+        const bought = this.simulateBuy(sim, state, settings, point, sizing[dipLevel], `smart_${dipLevel}_dip`, dipPercent);
+
+        // The first configured DIP level is covered by the initial entry
+        if (bought && sim.dipBuyingLevels && sim.dipBuyingLevels.length > 0) {
+            sim.dipBuyingLevels[0].executed = true;
+        }
+    }
+
+    // Additional DIP levels only buy below the current average (average price protection)
+    checkDipBuyingLevels(sim, state, settings, point) {
+        if (!sim.dipBuyingLevels || state.history.length < 2) return;
+
+        const averagePrice = state.costBasis / state.tokens;
+        if (point.price >= averagePrice) return;
+
+        const highestPrice = Math.max(...state.history.map(p => p.price));
+        const dipPercent = ((highestPrice - point.price) / highestPrice) * 100;
+
+        const level = sim.dipBuyingLevels.find(l => !l.executed && dipPercent >= l.dipThreshold);
+        if (!level) return;
+
+        if (this.simulateBuy(sim, state, settings, point, level.buyAmount, `dip_level_${level.level}`, dipPercent)) {
+            level.executed = true;
+        }
+    }
+
+    // Mirror of StrategyBuilder.checkExitRules (stop-loss, trailing stop, max hold time)
+    checkExitRules(sim, state, settings, openPositions, point) {
+        if (!(sim.stopLoss > 0) && !(sim.trailingStop > 0) && !(sim.maxHoldTime > 0)) return false;
+
+        const pnlPercent = ((state.tokens * point.price - state.costBasis) / state.costBasis) * 100;
+
+        let peakPrice = 0;
+        openPositions.forEach(pos => {
+            pos.peakPrice = Math.max(pos.peakPrice || pos.entryPrice, point.price);
+            peakPrice = Math.max(peakPrice, pos.peakPrice);
+        });
+        const dropFromPeak = ((peakPrice - point.price) / peakPrice) * 100;
+        const heldFor = point.timestamp - Math.min(...openPositions.map(pos => pos.entryTimestamp));
+
+        let reason = null;
+        if (sim.stopLoss > 0 && pnlPercent <= -sim.stopLoss) {
+            reason = 'stop_loss';
+        } else if (sim.trailingStop > 0 && dropFromPeak >= sim.trailingStop) {
+            reason = 'trailing_stop';
+        } else if (sim.maxHoldTime > 0 && heldFor >= sim.maxHoldTime) {
+            reason = 'time_exit';
+        }
+
+        if (!reason) return false;
+
+        this.simulateSell(sim, state, settings, point, state.tokens, reason);
+        return true;
+    }
+
+    // Mirror of checkPositionForProfit (simple target or profit range mode)
+    checkPositionsForProfit(sim, state, settings, openPositions, point) {
+        const averagePrice = state.costBasis / state.tokens;
+        const unrealizedPnLPercent = ((state.tokens * point.price - state.costBasis) / state.costBasis) * 100;
+
+        if (!sim.enableProfitRange) {
+            const targetPrice = averagePrice * (1 + sim.profitTarget / 100);
+            if (point.price >= targetPrice) {
+                this.simulateSell(sim, state, settings, point, state.tokens, 'profit_target_reached');
+            }
+            return;
+        }
+
+        this.strategyBuilder.analyzeVolatility(sim, point.price);
+
+        if (!sim.profitRangeState) {
+            sim.profitRangeState = {
+                sellSteps: [],
+                totalSold: 0,
+                baseTokens: state.tokens
+            };
+            this.strategyBuilder.calculateProfitRangeSteps(sim);
+        }
+
+        // Profit range steps sell a share of the tokens held when the range started
+        const rangeState = sim.profitRangeState;
+        for (const step of rangeState.sellSteps) {
+            if (step.executed || state.tokens <= 0) continue;
+
+            step.triggerPrice = averagePrice * (1 + step.profitPercent / 100);
+            if (point.price < step.triggerPrice) continue;
+
+            const tokensToSell = Math.min(state.tokens, rangeState.baseTokens * (step.sellPercentage / 100));
+            const trade = this.simulateSell(sim, state, settings, point, tokensToSell, `profit_range_step_${step.stepNumber}`);
+
+            step.executed = true;
+            step.executedAt = point.timestamp;
+            step.actualTokensSold = tokensToSell;
+            step.actualWLDReceived = trade.amountWLD;
+            rangeState.totalSold += tokensToSell;
+        }
+
+        if (state.tokens <= 0) return;
+
+        // Volatility-adjusted auto-sell used by handleProfitRange
+        const smartSell = this.strategyBuilder.analyzeSmartSellOpportunity(sim, unrealizedPnLPercent);
+        if (smartSell.shouldSell) {
+            this.simulateSell(sim, state, settings, point, state.tokens, smartSell.reason);
+        }
+    }
+
+    // Simulated WLD → token swap with fee, slippage and gas
+    simulateBuy(sim, state, settings, point, amountWLD, reason, dipPercent) {
+        if (!amountWLD || amountWLD <= 0) return null;
+
+        if (state.cash < amountWLD + settings.gasCostWLD) {
+            state.skippedBuys++;
+            return null;
+        }
+
+        const fee = amountWLD * (settings.feePercent / 100);
+        const fillPrice = point.price * (1 + settings.slippagePercent / 100);
+        const tokensReceived = (amountWLD - fee) / fillPrice;
+
+        state.cash -= amountWLD + settings.gasCostWLD;
+        state.tokens += tokensReceived;
+        state.costBasis += amountWLD + settings.gasCostWLD;
+        state.totalFees += fee + settings.gasCostWLD;
+
+        const position = {
+            id: `bt_pos_${point.timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+            entryPrice: point.price,
+            entryAmountWLD: amountWLD,
+            entryAmountToken: tokensReceived,
+            entryTimestamp: point.timestamp,
+            dipPercent: dipPercent,
+            volatilityProfile: sim.volatilityProfile,
+            status: 'open'
+        };
+        sim.positions.push(position);
+        sim.totalTrades++;
+
+        const trade = {
+            timestamp: point.timestamp,
+            side: 'buy',
+            reason,
+            cycle: sim.completedCycles + 1,
+            marketPrice: point.price,
+            fillPrice,
+            amountWLD,
+            amountToken: tokensReceived,
+            fee: fee + settings.gasCostWLD,
+            realizedPnL: 0
+        };
+        state.trades.push(trade);
+
+        console.log(`   📉 ${new Date(point.timestamp).toLocaleString()} BUY ${amountWLD.toFixed(6)} WLD → ${tokensReceived.toFixed(6)} @ ${fillPrice.toFixed(8)} (${reason}, ${dipPercent.toFixed(2)}% dip)`);
+        return trade;
+    }
+
+    // Simulated token → WLD swap; closes the cycle when everything is sold
+    simulateSell(sim, state, settings, point, tokensToSell, reason) {
+        const fillPrice = point.price * (1 - settings.slippagePercent / 100);
+        const grossWLD = tokensToSell * fillPrice;
+        const fee = grossWLD * (settings.feePercent / 100);
+        const amountWLD = grossWLD - fee - settings.gasCostWLD;
+
+        const sellRatio = tokensToSell / state.tokens;
+        const costOfSold = state.costBasis * sellRatio;
+        const realizedPnL = amountWLD - costOfSold;
+
+        state.cash += amountWLD;
+        state.tokens -= tokensToSell;
+        state.costBasis -= costOfSold;
+        state.totalFees += fee + settings.gasCostWLD;
+
+        sim.totalTrades++;
+        sim.totalProfit += realizedPnL;
+        if (realizedPnL > 0) sim.successfulTrades++;
+
+        const trade = {
+            timestamp: point.timestamp,
+            side: 'sell',
+            reason,
+            cycle: sim.completedCycles + 1,
+            marketPrice: point.price,
+            fillPrice,
+            amountWLD,
+            amountToken: tokensToSell,
+            fee: fee + settings.gasCostWLD,
+            realizedPnL
+        };
+        state.trades.push(trade);
+
+        console.log(`   📈 ${new Date(point.timestamp).toLocaleString()} SELL ${tokensToSell.toFixed(6)} → ${amountWLD.toFixed(6)} WLD @ ${fillPrice.toFixed(8)} (${reason}, P&L ${realizedPnL >= 0 ? '+' : ''}${realizedPnL.toFixed(6)} WLD)`);
+
+        // Dust left after partial sells counts as fully closed
+        if (state.tokens < 0.000001) {
+            state.tokens = 0;
+            state.costBasis = 0;
+            this.completeCycle(sim, state, point);
+        } else {
+            sim.positions.filter(p => p.status === 'open').forEach(pos => {
+                pos.entryAmountToken -= pos.entryAmountToken * sellRatio;
+                pos.entryAmountWLD -= pos.entryAmountWLD * sellRatio;
+            });
+        }
+
+        return trade;
+    }
+
+    // Close all positions, update cycle tracking and honour maxCycles
+    completeCycle(sim, state, point) {
+        sim.positions.filter(p => p.status === 'open').forEach(pos => {
+            pos.status = 'closed';
+            pos.exitPrice = point.price;
+            pos.exitTimestamp = point.timestamp;
+        });
+
+        const equity = state.cash;
+        state.cycleResults.push({
+            cycle: sim.completedCycles + 1,
+            endedAt: point.timestamp,
+            profit: equity - state.cycleStartEquity
+        });
+        state.cycleStartEquity = equity;
+
+        sim.completedCycles++;
+        sim.profitRangeState = null;
+        (sim.dipBuyingLevels || []).forEach(level => { level.executed = false; });
+
+        // Fresh DIP detection window for the next cycle
+        state.history = [{ timestamp: point.timestamp, price: point.price }];
+
+        if (sim.maxCycles > 0 && sim.completedCycles >= sim.maxCycles) {
+            console.log(`   🎯 Cycle limit reached (${sim.completedCycles}/${sim.maxCycles}) - stopping replay`);
+            state.stopped = true;
+        }
+    }
+
+    // Compute summary statistics for a finished run
+    buildResult(strategy, sim, state, settings, series) {
+        const lastPoint = series[series.length - 1];
+        const finalEquity = state.cash + state.tokens * lastPoint.price;
+
+        // Max drawdown over the full equity curve
+        let peak = state.equityCurve.length > 0 ? state.equityCurve[0].equity : settings.startingBalance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const point of state.equityCurve) {
+            if (point.equity > peak) peak = point.equity;
+            const drawdown = peak - point.equity;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+            }
+        }
+
+        const sells = state.trades.filter(t => t.side === 'sell');
+        const wins = sells.filter(t => t.realizedPnL > 0).length;
+
+        return {
+            id: `backtest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: Date.now(),
+            strategyId: strategy.id,
+            strategyName: strategy.name,
+            tokenSymbol: strategy.targetTokenSymbol || strategy.tokenSymbol,
+            targetToken: strategy.targetToken,
+            settings,
+            period: {
+                start: series[0].timestamp,
+                end: lastPoint.timestamp,
+                pricePoints: series.length
+            },
+            trades: state.trades,
+            cycles: state.cycleResults,
+            equityCurve: state.equityCurve,
+            summary: {
+                startingBalance: settings.startingBalance,
+                finalEquity,
+                totalReturn: finalEquity - settings.startingBalance,
+                totalReturnPercent: ((finalEquity - settings.startingBalance) / settings.startingBalance) * 100,
+                buyAndHoldPercent: ((lastPoint.price - series[0].price) / series[0].price) * 100,
+                maxDrawdown,
+                maxDrawdownPercent,
+                totalTrades: state.trades.length,
+                buys: state.trades.length - sells.length,
+                sells: sells.length,
+                wins,
+                losses: sells.length - wins,
+                winRate: sells.length > 0 ? (wins / sells.length) * 100 : 0,
+                totalFees: state.totalFees,
+                completedCycles: sim.completedCycles,
+                skippedBuys: state.skippedBuys,
+                openTokens: state.tokens,
+                openCostBasis: state.costBasis
+            }
+        };
+    }
+
+    // Print a backtest report
+    displayResults(result) {
+        const s = result.summary;
+
+        console.log(`\n🧪 BACKTEST RESULTS: ${result.strategyName}`);
+        console.log(`════════════════════════════════════════════════════════════`);
+        console.log(`   📊 Pair: WLD → ${result.tokenSymbol}`);
+        console.log(`   📅 Period: ${new Date(result.period.start).toLocaleString()} → ${new Date(result.period.end).toLocaleString()} (${result.period.pricePoints} points)`);
+        console.log(`   💰 Starting Balance: ${s.startingBalance.toFixed(6)} WLD`);
+        console.log(`   💎 Final Equity: ${s.finalEquity.toFixed(6)} WLD`);
+        console.log(`   💹 Total Return: ${s.totalReturn >= 0 ? '+' : ''}${s.totalReturn.toFixed(6)} WLD (${s.totalReturnPercent.toFixed(2)}%)`);
+        console.log(`   📈 Buy & Hold: ${s.buyAndHoldPercent.toFixed(2)}%`);
+        console.log(`   📉 Max Drawdown: ${s.maxDrawdown.toFixed(6)} WLD (${s.maxDrawdownPercent.toFixed(2)}%)`);
+        console.log(`   🎯 Win Rate: ${s.winRate.toFixed(1)}% (${s.wins}W / ${s.losses}L)`);
+        console.log(`   🔄 Trades: ${s.totalTrades} (${s.buys} buys, ${s.sells} sells) | Cycles: ${s.completedCycles}`);
+        console.log(`   💸 Total Fees: ${s.totalFees.toFixed(6)} WLD`);
+
+        if (s.skippedBuys > 0) {
+            console.log(`   ⚠️  Skipped Buys (insufficient balance): ${s.skippedBuys}`);
+        }
+        if (s.openTokens > 0) {
+            console.log(`   💼 Still Holding: ${s.openTokens.toFixed(6)} ${result.tokenSymbol} (cost ${s.openCostBasis.toFixed(6)} WLD)`);
+        }
+
+        if (result.trades.length > 0) {
+            console.log(`\n📋 TRADE LOG (last ${Math.min(20, result.trades.length)}):`);
+            result.trades.slice(-20).forEach(trade => {
+                const icon = trade.side === 'buy' ? '🟢' : '🔴';
+                const pnl = trade.side === 'sell' ? ` | P&L ${trade.realizedPnL >= 0 ? '+' : ''}${trade.realizedPnL.toFixed(6)}` : '';
+                console.log(`   ${icon} ${new Date(trade.timestamp).toLocaleString()} ${trade.side.toUpperCase()} ${trade.amountToken.toFixed(6)} @ ${trade.fillPrice.toFixed(8)} = ${trade.amountWLD.toFixed(6)} WLD [${trade.reason}]${pnl}`);
+            });
+        }
+
+        if (result.equityCurve.length > 1) {
+            console.log(`\n📈 EQUITY CURVE:`);
+            console.log(`   ${this.renderSparkline(result.equityCurve.map(p => p.equity))}`);
+        }
+
+        console.log(`════════════════════════════════════════════════════════════`);
+    }
+
+    // Compact text chart of a numeric series
+    renderSparkline(values, width = 60) {
+        const blocks = '▁▂▃▄▅▆▇█';
+        const step = Math.max(1, Math.floor(values.length / width));
+        const sampled = values.filter((_, index) => index % step === 0);
+        const min = Math.min(...sampled);
+        const max = Math.max(...sampled);
+        const range = max - min || 1;
+
+        return sampled.map(v => blocks[Math.round(((v - min) / range) * (blocks.length - 1))]).join('');
+    }
+
+    // Export the trade log of a result to CSV
+    exportTradeLogCSV(result, filePath = null) {
+        const outputPath = filePath || path.join(process.cwd(), `${result.id}-trades.csv`);
+        const header = 'timestamp,iso_time,side,reason,cycle,market_price,fill_price,amount_wld,amount_token,fee_wld,realized_pnl_wld';
+        const rows = result.trades.map(t => [
+            t.timestamp,
+            new Date(t.timestamp).toISOString(),
+            t.side,
+            t.reason,
+            t.cycle,
+            t.marketPrice,
+            t.fillPrice,
+            t.amountWLD,
+            t.amountToken,
+            t.fee,
+            t.realizedPnL
+        ].join(','));
+
+        fs.writeFileSync(outputPath, [header, ...rows].join('\n'));
+        console.log(`💾 Trade log exported: ${outputPath}`);
+        return outputPath;
+    }
+
+    // Downsample the equity curve to keep saved results small
+    downsampleEquityCurve(equityCurve) {
+        if (equityCurve.length <= this.defaults.maxEquityPoints) return equityCurve;
+
+        const step = Math.ceil(equityCurve.length / this.defaults.maxEquityPoints);
+        const sampled = equityCurve.filter((_, index) => index % step === 0);
+        sampled.push(equityCurve[equityCurve.length - 1]);
+        return sampled;
+    }
+
+    // Get previously saved backtest results (newest first)
+    getSavedResults() {
+        try {
+            const data = this.resultsStore.load();
+            if (data) {
+                return data.results || [];
+            }
+        } catch (error) {
+            console.error('❌ Error loading backtest results:', error.message);
+        }
+        return [];
+    }
+
+    // Save a result, keeping only the most recent runs
+    saveResult(result) {
+        try {
+            const results = this.getSavedResults();
+            results.unshift({
+                ...result,
+                equityCurve: this.downsampleEquityCurve(result.equityCurve)
+            });
+
+            this.resultsStore.save({
+                results: results.slice(0, this.maxSavedResults)
+            });
+        } catch (error) {
+            console.error('❌ Error saving backtest results:', error.message);
+        }
+    }
+}
+
+module.exports = BacktestEngine;
@@ -0,0 +1,746 @@
+/**
+ * ALGORITMIT Headless Daemon
+ * Runs the bot without menus (systemd/docker): strategies, triggers and the ML strategy come from a YAML file,
+ * output is JSON lines, and running strategies are persisted on SIGTERM and restored on restart
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const StateStore = require('./state-store');
+const Logger = require('./logger');
+
+// Copy of a config entry without the daemon-only keys
+function omit(object, keys) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+class BotDaemon extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+
+        this.configPath = path.resolve(options.config || process.env.DAEMON_CONFIG || 'strategies.yaml');
+        this.statePath = options.statePath || path.join(process.cwd(), 'daemon-state.json');
+        this.stateStore = new StateStore(this.statePath, { name: 'daemon-state', version: 1 });
+
+        // Running state is also saved periodically so a crash loses at most this much
+        this.stateSaveInterval = 60000;
+
+        // How long shutdown waits for swaps already under way (DAEMON_DRAIN_SECONDS)
+        this.drainTimeoutMs = (parseFloat(process.env.DAEMON_DRAIN_SECONDS) || 240) * 1000;
+
+        this.bot = null;
+        this.daemonConfig = null;
+        this.stateTimer = null;
+        this.shuttingDown = false;
+        this.stateFrozen = false; // Set once the shutdown state is written
+        this.startedAt = null;
+    }
+
+    // Parse `daemon` arguments: --config <file> [--state <file>]
+    static parseArgs(args) {
+        const options = {};
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const [flag, inlineValue] = arg.split('=');
+            const value = inlineValue !== undefined ? inlineValue : args[i + 1];
+
+            if (flag === '--config' || flag === '-c') {
+                options.config = value;
+                if (inlineValue === undefined) i++;
+            } else if (flag === '--state') {
+                options.statePath = path.resolve(value);
+                if (inlineValue === undefined) i++;
+            } else {
+                throw new Error(`Unknown daemon option: ${arg} (usage: worldchain-bot daemon --config strategies.yaml)`);
+            }
+        }
+
+        return options;
+    }
+
+    // Route every console call through one JSON line per message
+    installStructuredConsole() {
+        const logger = Logger.getInstance();
+        logger.setConsoleWriter(record => this.writeLine(record));
+        logger.captureConsole();
+        console.clear = () => {};
+    }
+
+    // Write a structured log record
+    writeLine(record) {
+        process.stdout.write(JSON.stringify({
+            time: new Date().toISOString(),
+            pid: process.pid,
+            ...record
+        }) + '\n');
+    }
+
+    // Log a daemon event with extra fields (also recorded in the JSON-lines log file)
+    log(level, message, fields = {}) {
+        Logger.getInstance().write(level, 'daemon', message, fields, { console: true });
+    }
+
+    // Read and validate the YAML config
+    loadConfigFile() {
+        if (!fs.existsSync(this.configPath)) {
+            throw new Error(`Daemon config not found: ${this.configPath}`);
+        }
+
+        const config = yaml.load(fs.readFileSync(this.configPath, 'utf8')) || {};
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`Daemon config must be a YAML mapping: ${this.configPath}`);
+        }
+
+        for (const key of ['strategies', 'triggers']) {
+            if (config[key] !== undefined && !Array.isArray(config[key])) {
+                throw new Error(`'${key}' must be a list in ${this.configPath}`);
+            }
+        }
+
+        return {
+            paperTrading: config.paperTrading,
+            priceMonitoring: config.priceMonitoring !== false,
+            api: config.api || {},
+            strategies: config.strategies || [],
+            triggers: config.triggers || [],
+            algoritmit: config.algoritmit || null,
+            rebalance: config.rebalance || null,
+            reconcile: config.reconcile === undefined ? 'flag' : config.reconcile
+        };
+    }
+
+    // Read the state saved by the last run
+    loadState() {
+        try {
+            const state = this.stateStore.load();
+            if (state) {
+                return state;
+            }
+        } catch (error) {
+            console.error('❌ Error loading daemon state:', error.message);
+        }
+        return { strategies: [], algoritmit: null };
+    }
+
+    // Persist which strategies are running (and on which wallet)
+    saveState(reason = 'periodic') {
+        if (!this.bot || this.stateFrozen) return;
+
+        try {
+            const algoritmit = this.bot.algoritmitStrategy;
+            const state = {
+                savedAt: Date.now(),
+                reason,
+                strategies: this.bot.strategyBuilder.getActiveStrategies().map(strategy => ({
+                    id: strategy.id,
+                    name: strategy.name,
+                    wallet: strategy.walletObject ? strategy.walletObject.address : null
+                })),
+                algoritmit: {
+                    enabled: !!algoritmit.monitoringInterval,
+                    wallet: algoritmit.tradingWallet ? algoritmit.tradingWallet.address : null
+                }
+            };
+
+            this.stateStore.save(state);
+        } catch (error) {
+            console.error('❌ Error saving daemon state:', error.message);
+        }
+    }
+
+    // Find a wallet by name or address (default: first wallet)
+    resolveWallet(selector) {
+        const wallets = this.bot.wallets;
+        if (wallets.length === 0) {
+            throw new Error('No wallets configured - create wallets.json with the interactive bot first');
+        }
+
+        if (!selector) return wallets[0];
+
+        const wallet = wallets.find(w =>
+            w.address.toLowerCase() === String(selector).toLowerCase() || w.name === selector);
+        if (!wallet) {
+            throw new Error(`Wallet not found: ${selector}`);
+        }
+        return wallet;
+    }
+
+    // Resolve a token address from an address or a discovered token symbol
+    resolveToken(entry) {
+        const token = entry.token || entry.targetToken || entry.tokenAddress;
+        const symbol = entry.symbol || entry.tokenSymbol;
+
+        if (token && token.startsWith('0x')) {
+            return { address: token.toLowerCase(), symbol: symbol || token.slice(0, 8) };
+        }
+
+        const lookup = (token || symbol || '').toLowerCase();
+        const discovered = Object.values(this.bot.discoveredTokens || {})
+            .find(t => t.symbol && t.symbol.toLowerCase() === lookup);
+        if (!discovered) {
+            throw new Error(`Unknown token '${token || symbol}' - use a 0x address or a discovered token symbol`);
+        }
+
+        return { address: discovered.address.toLowerCase(), symbol: symbol || discovered.symbol };
+    }
+
+    // Add a token to background price tracking
+    trackToken(token) {
+        if (!this.bot.priceDatabase.trackedTokens.has(token.address)) {
+            this.bot.priceDatabase.addToken(token.address, { symbol: token.symbol });
+        }
+    }
+
+    // Non-interactive keystore unlock (KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE)
+    unlockKeystore() {
+        const { keystore, wallets } = this.bot;
+
+        let passphrase = process.env.KEYSTORE_PASSPHRASE;
+        if (!passphrase && process.env.KEYSTORE_PASSPHRASE_FILE) {
+            passphrase = fs.readFileSync(process.env.KEYSTORE_PASSPHRASE_FILE, 'utf8').trim();
+        }
+
+        if (keystore.hasPlaintextKeys(wallets)) {
+            if (!passphrase) {
+                throw new Error('wallets.json has plaintext keys - set KEYSTORE_PASSPHRASE to encrypt them');
+            }
+            keystore.migrateWallets(wallets, passphrase);
+            this.bot.saveWallets();
+            this.bot.walletsStore.deleteBackups(); // Backups still hold the plaintext keys
+        } else if (keystore.hasEncryptedKeys(wallets)) {
+            if (!passphrase) {
+                throw new Error('Keystore is encrypted - set KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE');
+            }
+            keystore.unlock(wallets, passphrase);
+        }
+
+        // Nobody is around to re-enter the passphrase
+        keystore.setAutoLock(0);
+        this.log('info', 'Keystore unlocked', { event: 'keystoreUnlocked', wallets: wallets.length });
+    }
+
+    // Create missing triggers declared in the config (matched by name)
+    applyTriggers(triggers) {
+        const priceDatabase = this.bot.priceDatabase;
+
+        for (const entry of triggers) {
+            try {
+                if (!entry.name) {
+                    throw new Error('every trigger needs a name');
+                }
+                if (!['buy', 'sell'].includes(entry.action)) {
+                    throw new Error(`action must be 'buy' or 'sell'`);
+                }
+
+                const existing = priceDatabase.getAllTriggers().find(t => t.name === entry.name);
+                if (existing) {
+                    if (entry.active !== undefined && existing.isActive !== (entry.active !== false)) {
+                        priceDatabase.setTriggerActive(existing.id, entry.active !== false);
+                    }
+                    continue;
+                }
+
+                const token = this.resolveToken(entry);
+                this.trackToken(token);
+
+                const trigger = priceDatabase.createTrigger({
+                    name: entry.name,
+                    tokenAddress: token.address,
+                    tokenSymbol: token.symbol,
+                    action: entry.action,
+                    condition: entry.condition,
+                    threshold: entry.threshold,
+                    expression: entry.expression,
+                    timeframe: entry.timeframe,
+                    amount: entry.amount,
+                    maxSlippage: entry.maxSlippage,
+                    maxTriggers: entry.maxTriggers,
+                    expiresIn: entry.expiresIn,
+                    expiresAt: entry.expiresAt ? new Date(entry.expiresAt).getTime() : undefined,
+                    ocoGroup: entry.oco,
+                    bracket: entry.bracket,
+                    walletAddress: this.resolveWallet(entry.wallet).address
+                });
+
+                if (entry.active === false) {
+                    priceDatabase.setTriggerActive(trigger.id, false);
+                }
+            } catch (error) {
+                this.log('error', `Trigger '${entry.name || '?'}' skipped: ${error.message}`, { event: 'configError' });
+            }
+        }
+    }
+
+    // Start config strategies plus the ones that were running when the daemon last stopped
+    startStrategies(configStrategies, savedStrategies) {
+        const strategyBuilder = this.bot.strategyBuilder;
+        const toStart = new Map(); // strategyId -> wallet selector
+
+        for (const saved of savedStrategies) {
+            if (strategyBuilder.getStrategy(saved.id)) {
+                toStart.set(saved.id, saved.wallet);
+            }
+        }
+
+        for (const entry of configStrategies) {
+            try {
+                if (!entry.name) {
+                    throw new Error('every strategy needs a name');
+                }
+
+                let strategy = strategyBuilder.getAllStrategies().find(s => s.name === entry.name);
+                if (!strategy) {
+                    const token = this.resolveToken(entry);
+                    const params = omit(entry, ['token', 'symbol', 'wallet', 'autoStart']);
+
+                    strategy = strategyBuilder.createStrategy({
+                        ...params,
+                        targetToken: token.address,
+                        tokenSymbol: token.symbol
+                    });
+                    this.trackToken(token);
+                }
+
+                if (entry.autoStart === false) {
+                    toStart.delete(strategy.id);
+                } else {
+                    toStart.set(strategy.id, entry.wallet || toStart.get(strategy.id));
+                }
+            } catch (error) {
+                this.log('error', `Strategy '${entry.name || '?'}' skipped: ${error.message}`, { event: 'configError' });
+            }
+        }
+
+        for (const [strategyId, walletSelector] of toStart) {
+            try {
+                const wallet = this.resolveWallet(walletSelector);
+                const strategy = strategyBuilder.startStrategy(strategyId, wallet);
+                this.log('info', `Strategy running: ${strategy.name}`, {
+                    event: 'strategyStarted',
+                    strategyId,
+                    wallet: wallet.address,
+                    openPositions: (strategy.positions || []).filter(p => p.status === 'open').length
+                });
+            } catch (error) {
+                this.log('error', `Could not start strategy ${strategyId}: ${error.message}`, { event: 'strategyStartFailed', strategyId });
+            }
+        }
+    }
+
+    // Configure and enable the ALGORITMIT ML strategy
+    startAlgoritmit(config, saved) {
+        const algoritmit = this.bot.algoritmitStrategy;
+        const enabled = config ? config.enabled !== false : !!(saved && saved.enabled);
+        if (!enabled) return;
+
+        const walletSelector = (config && config.wallet) || (saved && saved.wallet);
+        algoritmit.setTradingWallet(this.resolveWallet(walletSelector));
+
+        if (config) {
+            const params = omit(config, ['enabled', 'wallet', 'autoTrading']);
+            if (config.autoTrading !== undefined) params.autoTradingMode = config.autoTrading === true;
+            if (Object.keys(params).length > 0) algoritmit.configure(params);
+        }
+
+        algoritmit.setEnabled(true);
+        this.log('info', 'ALGORITMIT ML strategy running', {
+            event: 'algoritmitStarted',
+            autoTrading: algoritmit.strategyConfig.autoTradingMode,
+            learningMode: algoritmit.strategyConfig.learningMode,
+            wallet: algoritmit.tradingWallet.address
+        });
+    }
+
+    // Apply target weights and start scheduled rebalancing (dryRun: only log the planned swaps)
+    startRebalancer(config) {
+        if (!config || config.enabled === false) return;
+
+        const rebalancer = this.bot.portfolioRebalancer;
+        const weights = config.targets || {};
+        rebalancer.setTargets(Object.entries(weights).map(([token, weight]) => {
+            const address = this.bot.getTokenAddress(token); // WLD, built-in symbols, discovered tokens or 0x addresses
+            if (!address) {
+                throw new Error(`Unknown rebalance token '${token}' - use a 0x address or a discovered token symbol`);
+            }
+            return { address, symbol: token.startsWith('0x') ? token.slice(0, 8) : token.toUpperCase(), weight };
+        }));
+
+        const changes = {};
+        if (config.wallets) changes.wallets = config.wallets.map(selector => this.resolveWallet(selector).address);
+        if (config.driftBandPercent !== undefined) changes.driftBandPercent = parseFloat(config.driftBandPercent);
+        if (config.minTradeWLD !== undefined) changes.minTradeWLD = parseFloat(config.minTradeWLD);
+        if (config.slippage !== undefined) changes.slippage = parseFloat(config.slippage);
+        rebalancer.updateSettings(changes);
+
+        rebalancer.startSchedule(config.schedule || rebalancer.settings.schedule, config.dryRun === true);
+        this.log('info', 'Portfolio rebalancer scheduled', {
+            event: 'rebalancerStarted',
+            schedule: rebalancer.settings.schedule,
+            targets: rebalancer.settings.targets,
+            dryRun: config.dryRun === true
+        });
+    }
+
+    // Log tracked vs on-chain mismatches; in 'flag' mode mark them for review (never adopts or closes)
+    async reconcilePositions(mode) {
+        if (mode === false || mode === 'off') return;
+
+        const wallets = this.bot.wallets.filter(w => w.address);
+        if (wallets.length === 0) return;
+
+        await this.bot.tradingStrategy.loadPositions();
+
+        let report;
+        try {
+            report = await this.bot.positionReconciler.reconcile(wallets);
+        } catch (error) {
+            this.log('error', `Position reconciliation failed: ${error.message}`, { event: 'reconcileFailed' });
+            return;
+        }
+
+        for (const error of report.errors) {
+            this.log('warn', `Reconciliation skipped: ${error}`, { event: 'reconcileSkipped' });
+        }
+
+        for (const item of report.mismatches) {
+            this.log('warn', `Position mismatch ${item.symbol}: tracked ${item.tracked}, on-chain ${item.onChain}`, {
+                event: 'positionMismatch',
+                wallet: item.wallet,
+                token: item.tokenAddress,
+                status: item.status,
+                tracked: item.tracked,
+                onChain: item.onChain,
+                difference: item.difference,
+                suggestion: item.suggestion,
+                positions: item.positions.map(p => p.id),
+                unrecordedTxs: item.evidence.map(e => e.txHash)
+            });
+
+            if (mode === 'flag' && item.positions.length > 0) {
+                await this.bot.positionReconciler.flag(item, 'daemon startup');
+            }
+        }
+
+        this.log('info', `Reconciled ${report.items.length} balance(s), ${report.mismatches.length} mismatch(es)`, {
+            event: 'reconciled',
+            checked: report.items.length,
+            mismatches: report.mismatches.length
+        });
+    }
+
+    // Forward trading events as structured records
+    attachEventLogging() {
+        const { tradeJournal, strategyBuilder, priceDatabase } = this.bot;
+
+        tradeJournal.on('tradeRecorded', (trade) => {
+            this.log('info', `Trade ${trade.side} ${trade.pair}`, {
+                event: 'tradeRecorded',
+                tradeId: trade.id,
+                source: trade.source,
+                strategyId: trade.strategyId,
+                amountIn: trade.amountIn,
+                amountOut: trade.amountOut,
+                effectivePrice: trade.effectivePrice,
+                txHash: trade.txHash,
+                correlationId: trade.correlationId,
+                paper: trade.paper
+            });
+            this.saveState('trade');
+        });
+
+        strategyBuilder.on('strategyCompleted', (data) => {
+            this.log('info', `Strategy completed: ${data.strategy.name}`, { event: 'strategyCompleted', strategyId: data.strategy.id });
+            this.saveState('strategyCompleted');
+        });
+
+        strategyBuilder.on('dipBuyFailed', (data) => {
+            this.log('error', `Dip buy failed: ${data.error}`, { event: 'dipBuyFailed', strategyId: data.strategy.id });
+        });
+
+        strategyBuilder.on('profitSellFailed', (data) => {
+            this.log('error', `Profit sell failed: ${data.error}`, { event: 'profitSellFailed', strategyId: data.strategy.id });
+        });
+
+        strategyBuilder.on('exitRuleExecuted', (data) => {
+            this.log('warn', `Exit rule ${data.reason} sold ${data.strategy.name}`, {
+                event: 'exitRuleExecuted',
+                strategyId: data.strategy.id,
+                reason: data.reason,
+                realizedPnL: data.realizedPnL
+            });
+            this.saveState('trade');
+        });
+
+        strategyBuilder.on('exitRuleFailed', (data) => {
+            this.log('error', `Exit sell failed: ${data.error}`, { event: 'exitRuleFailed', strategyId: data.strategy.id, reason: data.reason });
+        });
+
+        this.bot.portfolioRebalancer.on('rebalanced', (plan) => {
+            this.log(plan.swaps.some(s => s.status === 'failed') ? 'warn' : 'info', `Rebalance ${plan.dryRun ? 'dry run' : 'run'}: max drift ${plan.maxDrift.toFixed(2)}%`, {
+                event: 'rebalanced',
+                planId: plan.id,
+                trigger: plan.trigger,
+                dryRun: plan.dryRun,
+                withinBand: plan.withinBand,
+                totalValueWLD: plan.totalValueWLD,
+                swaps: plan.swaps.map(({ wallet, side, symbol, amountIn, status, txHash }) => ({ wallet, side, symbol, amountIn, status, txHash: txHash || null }))
+            });
+        });
+
+        this.bot.quoteGuard.on('tradeBlocked', ({ trade, report }) => {
+            this.log('warn', `Quote guard refused a swap: ${report.violations.map(v => v.name).join(', ')}`, {
+                event: 'tradeBlocked',
+                tokenIn: trade.tokenIn,
+                tokenOut: trade.tokenOut,
+                amountIn: trade.amountIn,
+                expectedOutput: trade.expectedOutput,
+                provider: trade.provider,
+                violations: report.violations.map(({ name, value, limit }) => ({ name, value: value === undefined ? null : value, limit: limit === undefined ? null : limit }))
+            });
+        });
+
+        this.bot.transactionQueue.on('txStuck', (tx) => {
+            this.log('warn', `Transaction ${tx.label} stuck at nonce ${tx.nonce}`, {
+                event: 'txStuck',
+                txId: tx.id,
+                wallet: tx.wallet,
+                nonce: tx.nonce,
+                txHash: tx.hash,
+                speedUps: tx.speedUps,
+                correlationId: tx.correlationId
+            });
+        });
+
+        this.bot.transactionQueue.on('txReplaced', ({ tx, kind }) => {
+            this.log('info', `Transaction ${tx.label} ${kind === 'cancel' ? 'cancel' : 'speed-up'} sent at nonce ${tx.nonce}`, {
+                event: 'txReplaced',
+                kind,
+                txId: tx.id,
+                wallet: tx.wallet,
+                nonce: tx.nonce,
+                txHash: tx.hash,
+                correlationId: tx.correlationId
+            });
+        });
+
+        this.bot.txTracker.on('txStatus', (record) => {
+            if (!['reverted', 'unconfirmed', 'confirmed_late'].includes(record.status)) return;
+            this.log(record.status === 'reverted' ? 'error' : 'warn', `Swap ${record.hash} ${record.status.replace('_', ' ')}`, {
+                event: 'txStatus',
+                status: record.status,
+                wallet: record.wallet,
+                txHash: record.hash,
+                blockNumber: record.blockNumber || null,
+                revertReason: record.revertReason || null,
+                correlationId: record.correlationId
+            });
+        });
+
+        this.bot.rpcManager.on('breakerOpen', (endpoint) => {
+            this.log('warn', `RPC circuit open for ${endpoint.name}`, {
+                event: 'rpcBreakerOpen',
+                endpoint: endpoint.host,
+                consecutiveFailures: endpoint.consecutiveFailures,
+                lastError: endpoint.lastError
+            });
+        });
+
+        this.bot.rpcManager.on('quorumFailed', ({ label, blockTag, answers }) => {
+            this.log('error', `RPC quorum not reached for ${label}`, { event: 'rpcQuorumFailed', label, blockTag, answers });
+        });
+
+        this.bot.twapExecutor.on('twapCompleted', ({ order, summary }) => {
+            this.log(order.status === 'failed' ? 'error' : 'info', `TWAP ${order.side} ${order.tokenSymbol} ${order.status}`, {
+                event: 'twapCompleted',
+                orderId: order.id,
+                source: order.source,
+                strategyId: order.strategyId,
+                totalAmount: order.totalAmount,
+                filledAmount: order.filledAmount,
+                childSwaps: summary.childSwaps,
+                averagePrice: summary.averagePrice,
+                pausedSlots: order.pausedSlots,
+                error: summary.error
+            });
+        });
+
+        this.bot.dcaScheduler.on('dcaRun', ({ plan, entry }) => {
+            this.log(entry.status === 'failed' ? 'error' : 'info', `DCA ${plan.name}: ${entry.status}`, {
+                event: 'dcaRun',
+                planId: plan.id,
+                trigger: entry.trigger,
+                status: entry.status,
+                amountWLD: entry.amountWLD,
+                tokensReceived: entry.tokensReceived || null,
+                skipCheck: entry.skipCheck || null,
+                error: entry.error || null,
+                txHash: entry.txHash || null
+            });
+        });
+
+        priceDatabase.on('triggerExecuted', (data) => {
+            this.log('info', `Trigger executed: ${data.trigger ? data.trigger.name : 'unknown'}`, {
+                event: 'triggerExecuted',
+                triggerId: data.trigger ? data.trigger.id : null
+            });
+        });
+    }
+
+    // Boot the bot headless and start everything from the config file
+    async start(createBot) {
+        this.installStructuredConsole();
+
+        this.daemonConfig = this.loadConfigFile();
+        const state = this.loadState();
+
+        this.log('info', 'Starting headless daemon', { event: 'daemonStarting', config: this.configPath, state: this.statePath });
+
+        this.bot = createBot();
+        const { bot, daemonConfig } = this;
+
+        if (daemonConfig.paperTrading !== undefined) {
+            bot.paperTrading.setEnabled(daemonConfig.paperTrading === true);
+        }
+
+        this.unlockKeystore();
+        this.attachEventLogging();
+
+        if (!daemonConfig.priceMonitoring) {
+            bot.priceDatabase.stopBackgroundMonitoring();
+        }
+
+        // Before strategies resume, so they never act on stale positions unnoticed
+        await this.reconcilePositions(daemonConfig.reconcile);
+
+        this.applyTriggers(daemonConfig.triggers);
+        this.startStrategies(daemonConfig.strategies, state.strategies || []);
+
+        try {
+            this.startAlgoritmit(daemonConfig.algoritmit, state.algoritmit);
+        } catch (error) {
+            this.log('error', `ALGORITMIT not started: ${error.message}`, { event: 'algoritmitStartFailed' });
+        }
+
+        try {
+            this.startRebalancer(daemonConfig.rebalance);
+        } catch (error) {
+            this.log('error', `Rebalancer not started: ${error.message}`, { event: 'rebalancerStartFailed' });
+        }
+
+        if (daemonConfig.api.enabled) {
+            if (daemonConfig.api.port) bot.apiServer.port = daemonConfig.api.port;
+            if (daemonConfig.api.host) bot.apiServer.host = daemonConfig.api.host;
+            await bot.apiServer.start();
+        }
+
+        process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+        process.on('SIGINT', () => this.shutdown('SIGINT'));
+
+        this.saveState('started');
+        this.stateTimer = setInterval(() => this.saveState(), this.stateSaveInterval);
+
+        this.startedAt = Date.now();
+        this.log('info', 'Daemon running', {
+            event: 'daemonStarted',
+            paperTrading: bot.paperTrading.isEnabled(),
+            wallets: bot.wallets.length,
+            activeStrategies: bot.strategyBuilder.getActiveStrategies().length,
+            activeTriggers: bot.priceDatabase.getStatus().activeTriggers,
+            algoritmit: !!bot.algoritmitStrategy.monitoringInterval,
+            api: bot.apiServer.isRunning() ? bot.apiServer.getInfo().url : null
+        });
+
+        return this;
+    }
+
+    // Persist state and stop every module, then exit
+    async shutdown(signal) {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+
+        this.log('info', `Received ${signal}, shutting down`, { event: 'daemonStopping', signal });
+
+        if (this.stateTimer) {
+            clearInterval(this.stateTimer);
+            this.stateTimer = null;
+        }
+
+        // Record running strategies first - stopping them clears isActive
+        this.saveState(signal);
+        this.stateFrozen = true;
+
+        const { bot } = this;
+        try {
+            for (const strategy of bot.strategyBuilder.getActiveStrategies()) {
+                bot.strategyBuilder.stopStrategy(strategy.id);
+            }
+
+            if (bot.tradingStrategy.isRunning) {
+                await bot.tradingStrategy.stopStrategy();
+            }
+
+            bot.algoritmitStrategy.cleanup();
+            bot.portfolioRebalancer.stopSchedule();
+            bot.dcaScheduler.stop();
+            bot.twapExecutor.cancelAll();
+
+            // Nothing new starts now; let swaps that are already sending or confirming finish
+            await this.drainSwaps();
+
+            bot.transactionQueue.stop();
+            bot.rpcManager.stop();
+            bot.priceDatabase.stopBackgroundMonitoring();
+            bot.priceDatabase.savePriceDatabase();
+            bot.priceDatabase.saveTriggers();
+            bot.paperTrading.saveLedger();
+
+            if (bot.apiServer.isRunning()) {
+                await bot.apiServer.stop();
+            }
+
+            bot.keystore.lock();
+        } catch (error) {
+            console.error('❌ Error during daemon shutdown:', error.message);
+        }
+
+        this.log('info', 'Daemon stopped', {
+            event: 'daemonStopped',
+            uptimeSeconds: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0
+        });
+        process.exit(0);
+    }
+
+    // Wait until no live swap is in flight and every wallet's transaction queue is empty, or the drain timeout passes
+    async drainSwaps() {
+        const { sinclaveEngine, transactionQueue } = this.bot;
+        const idle = () => sinclaveEngine.swapsInFlight === 0 && transactionQueue.isIdle();
+        if (idle()) return true;
+
+        this.log('info', `Waiting for ${sinclaveEngine.swapsInFlight} swap(s) in flight before exiting`, {
+            event: 'daemonDraining',
+            swapsInFlight: sinclaveEngine.swapsInFlight,
+            queued: transactionQueue.getQueuedTransactions().length
+        });
+
+        const deadline = Date.now() + this.drainTimeoutMs;
+        while (!idle() && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        if (!idle()) {
+            this.log('warn', `Exiting with ${sinclaveEngine.swapsInFlight} swap(s) still in flight after ${this.drainTimeoutMs / 1000}s`, {
+                event: 'daemonDrainTimeout',
+                swapsInFlight: sinclaveEngine.swapsInFlight,
+                pending: transactionQueue.getPendingTransactions().map(tx => tx.hash)
+            });
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = BotDaemon;
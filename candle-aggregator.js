@@ -0,0 +1,339 @@
+/**
+ * ALGORITMIT Candle Aggregator
+ * Rolls raw price ticks into 1m / 5m / 1h / 1d OHLCV candles, compacts them by age
+ * and answers range queries from the finest resolution that still covers the range.
+ * Candle: { t: bucket start (ms), o, h, l, c, v: traded WLD volume, n: tick count }
+ */
+
+const RESOLUTIONS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// How long each resolution is kept (null = forever)
+const DEFAULT_RETENTION = {
+    '1m': 3 * 24 * 60 * 60 * 1000,
+    '5m': 30 * 24 * 60 * 60 * 1000,
+    '1h': 365 * 24 * 60 * 60 * 1000,
+    '1d': null
+};
+
+class CandleAggregator {
+    constructor(retention = {}) {
+        this.retention = { ...DEFAULT_RETENTION, ...retention };
+        this.resolutions = Object.keys(RESOLUTIONS); // Finest first
+    }
+
+    // Empty candle set for a token
+    createCandles() {
+        return Object.fromEntries(this.resolutions.map(resolution => [resolution, []]));
+    }
+
+    // Build candles from a tick series (used when migrating tick-only databases)
+    aggregate(ticks) {
+        const candles = this.createCandles();
+        const sorted = [...ticks].sort((a, b) => a.timestamp - b.timestamp);
+        for (const tick of sorted) {
+            this.addTick(candles, tick.price, tick.timestamp);
+        }
+        return candles;
+    }
+
+    // Add one tick to every resolution; returns the [resolution, candle] pairs it touched
+    addTick(candles, price, timestamp, volume = 0) {
+        const touched = [];
+        if (!(price > 0)) return touched;
+
+        for (const resolution of this.resolutions) {
+            const list = candles[resolution] || (candles[resolution] = []);
+            const start = this.bucketStart(timestamp, resolution);
+            const last = list[list.length - 1];
+
+            if (!last || last.t < start) {
+                const candle = { t: start, o: price, h: price, l: price, c: price, v: volume, n: 1 };
+                list.push(candle);
+                touched.push([resolution, candle]);
+                continue;
+            }
+
+            // Normally the open candle; late ticks land in their own bucket
+            const candle = last.t === start ? last : this.findCandle(list, start);
+            if (candle) {
+                candle.h = Math.max(candle.h, price);
+                candle.l = Math.min(candle.l, price);
+                if (candle === last) candle.c = price;
+                candle.v += volume;
+                candle.n++;
+                touched.push([resolution, candle]);
+            } else {
+                const inserted = { t: start, o: price, h: price, l: price, c: price, v: volume, n: 1 };
+                this.insertCandle(list, inserted);
+                touched.push([resolution, inserted]);
+            }
+        }
+        return touched;
+    }
+
+    // Add traded volume (WLD) to the candles containing a timestamp; returns the touched candles
+    addVolume(candles, timestamp, volume) {
+        const touched = [];
+        for (const resolution of this.resolutions) {
+            const candle = this.findCandle(candles[resolution] || [], this.bucketStart(timestamp, resolution));
+            if (candle) {
+                candle.v += volume;
+                touched.push([resolution, candle]);
+            }
+        }
+        return touched;
+    }
+
+    // Oldest bucket start kept per resolution (null = kept forever)
+    cutoffs(now = Date.now()) {
+        return Object.fromEntries(this.resolutions.map(resolution => {
+            const keepFor = this.retention[resolution];
+            return [resolution, keepFor ? now - keepFor - RESOLUTIONS[resolution] : null];
+        }));
+    }
+
+    // Drop candles older than their resolution's retention
+    compact(candles, now = Date.now()) {
+        const cutoffs = this.cutoffs(now);
+        let removed = 0;
+        for (const resolution of this.resolutions) {
+            const list = candles[resolution];
+            if (cutoffs[resolution] === null || !list || list.length === 0) continue;
+
+            const index = this.lowerBound(list, cutoffs[resolution], c => c.t);
+            if (index > 0) {
+                list.splice(0, index);
+                removed += index;
+            }
+        }
+        return removed;
+    }
+
+    // Finest source (raw ticks first) whose history reaches back to `from`
+    resolveSource(ticks, candles, from) {
+        const sources = [{ resolution: 'tick', list: ticks || [], start: ticks && ticks.length ? ticks[0].timestamp : Infinity }];
+        for (const resolution of this.resolutions) {
+            const list = (candles && candles[resolution]) || [];
+            sources.push({ resolution, list, start: list.length ? list[0].t : Infinity });
+        }
+
+        const covering = sources.find(source => source.list.length > 0 && source.start <= from);
+        if (covering) return covering;
+
+        // Nothing reaches back far enough: take the finest source that starts within the
+        // first (partial) bucket of the oldest one, so a young token is not read from a single daily candle
+        const oldest = sources.reduce((best, source) => source.start < best.start ? source : best, sources[0]);
+        if (oldest.start === Infinity) return oldest;
+
+        const firstBucketEnd = oldest.start + (RESOLUTIONS[oldest.resolution] || 0);
+        return sources.find(source => source.list.length > 0 && source.start <= firstBucketEnd) || oldest;
+    }
+
+    // {timestamp, price} points from `from` onwards, all at one resolution
+    series(ticks, candles, from, now = Date.now()) {
+        const source = this.resolveSource(ticks, candles, from);
+        const time = this.pointTime(source.resolution, now);
+        const index = this.lowerBound(source.list, from, time);
+
+        return source.list.slice(index).map(item => this.toPoint(source.resolution, item, now));
+    }
+
+    // Price series for count-based indicators: raw tick prices, or the closes of the finest
+    // candle resolution holding at least minPoints candles once the ticks are too few
+    closes(ticks, candles, minPoints) {
+        if (ticks && ticks.length >= minPoints) return ticks.map(tick => tick.price);
+
+        const resolution = this.resolutions.find(r => candles && candles[r] && candles[r].length >= minPoints);
+        return resolution ? candles[resolution].map(candle => candle.c) : [];
+    }
+
+    // Longest history: daily candles, then hourly, ... then raw ticks, without overlap
+    stitch(ticks, candles, now = Date.now()) {
+        let points = (ticks || []).map(tick => ({ timestamp: tick.timestamp, price: tick.price }));
+        let boundary = points.length > 0 ? points[0].timestamp : Infinity;
+
+        for (const resolution of this.resolutions) {
+            const list = (candles && candles[resolution]) || [];
+            const closedBefore = this.lowerBound(list, boundary - RESOLUTIONS[resolution] + 1, c => c.t);
+            if (closedBefore === 0) continue;
+
+            points = list.slice(0, closedBefore).map(candle => this.toPoint(resolution, candle, now)).concat(points);
+            boundary = list[0].t;
+        }
+
+        return points;
+    }
+
+    // Price closest to a timestamp, read from the finest resolution that covers it
+    priceAt(ticks, candles, timestamp, now = Date.now()) {
+        const source = this.resolveSource(ticks, candles, timestamp);
+        if (source.list.length === 0) return 0;
+
+        const time = this.pointTime(source.resolution, now);
+        const index = this.lowerBound(source.list, timestamp, time);
+        const after = source.list[Math.min(index, source.list.length - 1)];
+        const before = source.list[Math.max(index - 1, 0)];
+        const closest = Math.abs(time(before) - timestamp) <= Math.abs(time(after) - timestamp) ? before : after;
+
+        return source.resolution === 'tick' ? closest.price : closest.c;
+    }
+
+    // Oldest timestamp covered by ticks or candles (bucket starts of coarse candles would overstate it)
+    oldest(ticks, candles) {
+        return this.resolveSource(ticks, candles, -Infinity).start;
+    }
+
+    // A candle is represented by its close at the end of its bucket
+    toPoint(resolution, item, now = Date.now()) {
+        if (resolution === 'tick') return { timestamp: item.timestamp, price: item.price };
+        return { timestamp: Math.min(item.t + RESOLUTIONS[resolution], now), price: item.c };
+    }
+
+    // Accessor for the time used to order / search a source
+    pointTime(resolution, now = Date.now()) {
+        if (resolution === 'tick') return item => item.timestamp;
+        return item => Math.min(item.t + RESOLUTIONS[resolution], now);
+    }
+
+    // Start of the bucket containing a timestamp
+    bucketStart(timestamp, resolution) {
+        const size = RESOLUTIONS[resolution];
+        return Math.floor(timestamp / size) * size;
+    }
+
+    // First index whose time is >= value (list sorted ascending)
+    lowerBound(list, value, time) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (time(list[mid]) < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    findCandle(list, start) {
+        const index = this.lowerBound(list, start, c => c.t);
+        return list[index] && list[index].t === start ? list[index] : null;
+    }
+
+    insertCandle(list, candle) {
+        list.splice(this.lowerBound(list, candle.t, c => c.t), 0, candle);
+    }
+
+    // CSV with an ISO timestamp per bucket start
+    toCSV(list) {
+        const rows = ['timestamp,open,high,low,close,volume,ticks'];
+        for (const candle of list) {
+            rows.push([new Date(candle.t).toISOString(), candle.o, candle.h, candle.l, candle.c, candle.v || 0, candle.n || 0].join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    // Parse candle CSV (header optional; default column order timestamp,open,high,low,close,volume)
+    parseCSV(text, resolution) {
+        if (!RESOLUTIONS[resolution]) {
+            throw new Error(`Unknown candle resolution '${resolution}' (use ${this.resolutions.join(', ')})`);
+        }
+
+        const columns = { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5, ticks: 6 };
+        const candles = [];
+        let skipped = 0;
+        let firstRow = true;
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const fields = trimmed.split(/[,;\t]/).map(v => v.trim());
+            const isFirstRow = firstRow;
+            firstRow = false;
+
+            // Header row (first line after blanks and comments): map columns by name (time/date accepted for the timestamp)
+            if (isFirstRow && isNaN(parseFloat(fields[1]))) {
+                fields.forEach((name, position) => {
+                    const key = name.toLowerCase();
+                    if (['timestamp', 'time', 'date', 'datetime'].includes(key)) columns.timestamp = position;
+                    else if (['open', 'high', 'low', 'close', 'volume', 'ticks'].includes(key)) columns[key] = position;
+                });
+                return;
+            }
+
+            const timestamp = this.parseTimestamp(fields[columns.timestamp]);
+            const [o, h, l, c] = ['open', 'high', 'low', 'close'].map(key => parseFloat(fields[columns[key]]));
+            if (timestamp === null || ![o, h, l, c].every(v => v > 0) || h < l) {
+                skipped++;
+                return;
+            }
+
+            candles.push({
+                t: this.bucketStart(timestamp, resolution),
+                o, h, l, c,
+                v: parseFloat(fields[columns.volume]) || 0,
+                n: parseInt(fields[columns.ticks]) || 0
+            });
+        });
+
+        return { candles, skipped };
+    }
+
+    // Epoch seconds, epoch milliseconds or ISO date strings
+    parseTimestamp(value) {
+        if (!value) return null;
+
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const numeric = parseFloat(value);
+            return numeric < 1e12 ? Math.round(numeric * 1000) : Math.round(numeric);
+        }
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    // Merge imported candles: same buckets are replaced at `resolution`,
+    // coarser resolutions only gain buckets they do not have yet (live data wins)
+    merge(candles, resolution, imported) {
+        const byStart = new Map((candles[resolution] || []).map(candle => [candle.t, candle]));
+        imported.forEach(candle => byStart.set(candle.t, candle));
+        candles[resolution] = Array.from(byStart.values()).sort((a, b) => a.t - b.t);
+
+        let rolledUp = 0;
+        const sorted = [...imported].sort((a, b) => a.t - b.t);
+        for (const coarser of this.resolutions.slice(this.resolutions.indexOf(resolution) + 1)) {
+            const buckets = new Map();
+            for (const candle of sorted) {
+                const start = this.bucketStart(candle.t, coarser);
+                const bucket = buckets.get(start);
+                if (!bucket) {
+                    buckets.set(start, { t: start, o: candle.o, h: candle.h, l: candle.l, c: candle.c, v: candle.v, n: candle.n });
+                } else {
+                    bucket.h = Math.max(bucket.h, candle.h);
+                    bucket.l = Math.min(bucket.l, candle.l);
+                    bucket.c = candle.c;
+                    bucket.v += candle.v;
+                    bucket.n += candle.n;
+                }
+            }
+
+            const list = candles[coarser] || (candles[coarser] = []);
+            for (const bucket of buckets.values()) {
+                if (!this.findCandle(list, bucket.t)) {
+                    this.insertCandle(list, bucket);
+                    rolledUp++;
+                }
+            }
+        }
+
+        return { imported: imported.length, rolledUp };
+    }
+}
+
+CandleAggregator.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = CandleAggregator;
@@ -0,0 +1,529 @@
+/**
+ * ALGORITMIT DCA Scheduler
+ * Recurring buy plans ("every day at 09:00 buy 2 WLD of ORO from wallet 1, 30 times") run with node-cron.
+ * Plans persist in dca-plans.json with their fill history, can be paused and resumed, and can skip a run
+ * when a trigger expression holds (e.g. "price > sma(7d)"). Runs missed while no process was running are not caught up.
+ * Only one process runs the schedules (dca-plans.lock); others (e.g. the CLI next to the bot) just manage plans.
+ * A buy whose outcome is unknown (unconfirmed or ambiguous swap) pauses its plan until it is checked and resumed.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const StateStore = require('./state-store');
+const TriggerExpression = require('./trigger-expression');
+
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+class DcaScheduler extends EventEmitter {
+    constructor(sinclaveEngine, config = {}) {
+        super();
+        this.sinclaveEngine = sinclaveEngine;
+        this.config = config;
+
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+        this.slippage = config.dcaSlippage || parseFloat(process.env.DCA_SLIPPAGE) || 1;
+        this.maxHistory = 500; // Fill history entries kept across all plans
+
+        this.plansPath = path.join(process.cwd(), 'dca-plans.json');
+        this.lockPath = path.join(process.cwd(), 'dca-plans.lock');
+        this.store = new StateStore(this.plansPath, { name: 'dca-plans', version: 1 });
+
+        this.plans = new Map();   // planId -> plan
+        this.history = [];        // { planId, timestamp, status, ... } newest last
+        this.tasks = new Map();   // planId -> { task: node-cron task, schedule }
+        this.running = new Set(); // planIds with a buy in progress
+        this.syncTimer = null;
+        this.isRunner = false;
+
+        this.walletResolver = null; // (address) -> wallet object accepted by executeOptimizedSwap
+        this.priceDatabase = null;  // Skip rule data
+        this.tradeJournal = null;
+
+        this.loadState();
+    }
+
+    // Set how plan wallets are turned into signing wallets
+    setWalletResolver(resolver) {
+        this.walletResolver = resolver;
+    }
+
+    // Set price database for skip rules
+    setPriceDatabase(priceDatabase) {
+        this.priceDatabase = priceDatabase;
+    }
+
+    // Set trade journal for recording DCA buys
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+
+    // Turn "daily 09:00", "weekly mon 09:00", "hourly", "every 15m", "every 4h" or a cron expression into cron
+    static parseSchedule(text) {
+        const value = String(text || '').trim().toLowerCase();
+        let match;
+
+        if (value === 'hourly') return '0 * * * *';
+
+        if ((match = value.match(/^daily(?:\s+(\d{1,2}):(\d{2}))?$/))) {
+            return `${parseInt(match[2] || 0)} ${parseInt(match[1] || 0)} * * *`;
+        }
+
+        if ((match = value.match(/^weekly\s+([a-z]{3})[a-z]*(?:\s+(\d{1,2}):(\d{2}))?$/))) {
+            if (WEEKDAYS[match[1]] === undefined) {
+                throw new Error(`Unknown weekday "${match[1]}" (use mon, tue, ... sun)`);
+            }
+            return `${parseInt(match[3] || 0)} ${parseInt(match[2] || 0)} * * ${WEEKDAYS[match[1]]}`;
+        }
+
+        if ((match = value.match(/^every\s+(\d+)\s*(m|min|h)$/))) {
+            const every = parseInt(match[1]);
+            if (match[2] === 'h' && every > 0 && 24 % every === 0) return `0 */${every} * * *`;
+            if (match[2] !== 'h' && every > 0 && 60 % every === 0) return `*/${every} * * * *`;
+            throw new Error(`"${text}" does not divide the ${match[2] === 'h' ? 'day' : 'hour'} evenly - use a cron expression`);
+        }
+
+        if (cron.validate(value)) return value;
+
+        throw new Error(`Invalid schedule "${text}" (use daily 09:00, weekly mon 09:00, hourly, every 4h, every 15m or a cron expression)`);
+    }
+
+    // Create and (if this process runs schedules) start a plan
+    createPlan(config) {
+        this.loadState();
+
+        const amountWLD = parseFloat(config.amountWLD);
+        if (!(amountWLD > 0)) {
+            throw new Error('DCA amount must be a positive WLD amount');
+        }
+        if (!config.tokenAddress || !/^0x[0-9a-fA-F]{40}$/.test(config.tokenAddress)) {
+            throw new Error('DCA plan needs a token address');
+        }
+        if (!config.walletAddress) {
+            throw new Error('DCA plan needs a wallet');
+        }
+
+        const totalBuys = config.totalBuys ? parseInt(config.totalBuys) : null;
+        if (totalBuys !== null && !(totalBuys > 0)) {
+            throw new Error('Number of buys must be a positive integer');
+        }
+
+        // Validate the skip rule now rather than on the first run
+        const skipIf = config.skipIf ? new TriggerExpression(config.skipIf).toString() : null;
+
+        const plan = {
+            id: `dca_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: config.name || `DCA ${config.tokenSymbol || config.tokenAddress.slice(0, 8)}`,
+            tokenAddress: config.tokenAddress.toLowerCase(),
+            tokenSymbol: config.tokenSymbol || config.tokenAddress.slice(0, 8),
+            walletAddress: config.walletAddress.toLowerCase(),
+            walletName: config.walletName || null,
+            amountWLD,
+            scheduleText: config.schedule,
+            schedule: DcaScheduler.parseSchedule(config.schedule),
+            totalBuys,
+            skipIf,
+            status: 'active', // active | paused | completed
+            pausedReason: null,
+            createdAt: Date.now(),
+            fills: 0,
+            skips: 0,
+            failures: 0,
+            unconfirmed: 0,
+            totalSpentWLD: 0,
+            totalTokens: 0,
+            lastRunAt: null,
+            lastResult: null
+        };
+
+        this.plans.set(plan.id, plan);
+        this.saveState();
+        this.trackToken(plan);
+        if (this.isRunner) this.schedulePlan(plan);
+
+        console.log(`📅 DCA plan created: ${plan.name} - ${plan.amountWLD} WLD of ${plan.tokenSymbol} (${plan.scheduleText}${plan.totalBuys ? `, ${plan.totalBuys} buys` : ''})`);
+        return plan;
+    }
+
+    // Skip rules need price history for the token
+    trackToken(plan) {
+        if (plan.skipIf && this.priceDatabase && !this.priceDatabase.trackedTokens.has(plan.tokenAddress)) {
+            this.priceDatabase.addToken(plan.tokenAddress, { symbol: plan.tokenSymbol });
+        }
+    }
+
+    // Find a plan by id, id prefix or name
+    getPlan(idOrName) {
+        if (!idOrName) {
+            throw new Error('DCA plan id or name required');
+        }
+
+        this.loadState();
+        const key = String(idOrName || '').toLowerCase();
+        const plan = this.plans.get(idOrName) ||
+            Array.from(this.plans.values()).find(p => p.id.startsWith(idOrName) || p.name.toLowerCase() === key);
+        if (!plan) {
+            throw new Error(`DCA plan not found: ${idOrName}`);
+        }
+        return plan;
+    }
+
+    getAllPlans() {
+        this.loadState();
+        return Array.from(this.plans.values());
+    }
+
+    pausePlan(idOrName) {
+        const plan = this.getPlan(idOrName);
+        if (plan.status !== 'active') {
+            throw new Error(`${plan.name} is ${plan.status}`);
+        }
+
+        plan.status = 'paused';
+        this.unschedulePlan(plan.id);
+        this.saveState();
+        console.log(`⏸️  DCA plan paused: ${plan.name}`);
+        return plan;
+    }
+
+    resumePlan(idOrName) {
+        const plan = this.getPlan(idOrName);
+        if (plan.status !== 'paused') {
+            throw new Error(`${plan.name} is ${plan.status}`);
+        }
+
+        plan.status = 'active';
+        plan.pausedReason = null;
+        if (this.isRunner) this.schedulePlan(plan);
+        this.saveState();
+        console.log(`▶️  DCA plan resumed: ${plan.name}`);
+        return plan;
+    }
+
+    deletePlan(idOrName) {
+        const plan = this.getPlan(idOrName);
+        this.unschedulePlan(plan.id);
+        this.plans.delete(plan.id);
+        this.saveState();
+        console.log(`🗑️  DCA plan deleted: ${plan.name}`);
+        return plan;
+    }
+
+    // Fill history, newest first
+    getHistory(planId = null, limit = 20) {
+        this.loadState();
+        return this.history.filter(entry => !planId || entry.planId === planId).slice(-limit).reverse();
+    }
+
+    // Run the schedules of all active plans in this process (unless another process already does)
+    start() {
+        if (this.isRunner) return true;
+
+        if (!this.acquireLock()) {
+            console.log('⚠️  DCA plans are run by another process - this one only manages them');
+            return false;
+        }
+
+        this.isRunner = true;
+        this.loadState();
+        for (const plan of this.plans.values()) {
+            if (plan.status === 'active') this.schedulePlan(plan);
+        }
+
+        // Pick up plans added, paused or removed by another process
+        this.syncTimer = setInterval(() => this.sync(), 60000);
+
+        const active = Array.from(this.plans.values()).filter(p => p.status === 'active').length;
+        if (active > 0) console.log(`📅 DCA scheduler running ${active} plan(s)`);
+        return true;
+    }
+
+    stop() {
+        for (const planId of Array.from(this.tasks.keys())) {
+            this.unschedulePlan(planId);
+        }
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (this.isRunner) {
+            this.releaseLock();
+            this.isRunner = false;
+        }
+    }
+
+    schedulePlan(plan) {
+        this.unschedulePlan(plan.id);
+        const task = cron.schedule(plan.schedule, () => {
+            this.executePlan(plan.id, 'schedule').catch(error => {
+                console.error(`❌ Error in DCA plan ${plan.name}:`, error.message);
+            });
+        });
+        this.tasks.set(plan.id, { task, schedule: plan.schedule });
+    }
+
+    unschedulePlan(planId) {
+        const scheduled = this.tasks.get(planId);
+        if (scheduled) {
+            scheduled.task.stop();
+            this.tasks.delete(planId);
+        }
+    }
+
+    // Reconcile running tasks with the plans on disk
+    sync() {
+        this.loadState();
+        for (const [planId, plan] of this.plans) {
+            const scheduled = this.tasks.get(planId);
+            if (plan.status === 'active' && (!scheduled || scheduled.schedule !== plan.schedule)) {
+                this.schedulePlan(plan);
+            } else if (plan.status !== 'active' && scheduled) {
+                this.unschedulePlan(planId);
+            }
+        }
+        for (const planId of Array.from(this.tasks.keys())) {
+            if (!this.plans.has(planId)) this.unschedulePlan(planId);
+        }
+    }
+
+    // One DCA run: check the skip rule, buy, record the fill (trigger: 'schedule' | 'manual')
+    async executePlan(planId, trigger = 'manual') {
+        if (this.running.has(planId)) {
+            return { success: false, error: 'Previous run still in progress' };
+        }
+
+        this.loadState();
+        const plan = this.plans.get(planId);
+        if (!plan || (plan.status !== 'active' && trigger === 'schedule')) {
+            return { success: false, error: 'Plan is not active' };
+        }
+        if (plan.status === 'completed') {
+            return { success: false, error: `${plan.name} is completed` };
+        }
+
+        this.running.add(planId);
+        const entry = { planId, planName: plan.name, timestamp: Date.now(), trigger, amountWLD: plan.amountWLD };
+
+        try {
+            const skip = await this.checkSkipRule(plan);
+            entry.skipCheck = skip.details;
+
+            if (skip.skip) {
+                entry.status = 'skipped';
+                console.log(`⏭️  DCA ${plan.name} skipped: ${skip.details}`);
+            } else {
+                const wallet = this.walletResolver ? this.walletResolver(plan.walletAddress) : null;
+                if (!wallet) {
+                    throw new Error(`Wallet ${plan.walletName || plan.walletAddress} is not available`);
+                }
+
+                const result = await this.sinclaveEngine.executeOptimizedSwap(wallet, this.WLD_ADDRESS, plan.tokenAddress, plan.amountWLD, this.slippage, { priority: 'low' });
+                if (!result || !result.success) {
+                    throw new Error((result && result.error) || 'Swap failed');
+                }
+
+                entry.status = 'filled';
+                entry.tokensReceived = parseFloat(result.tokensReceived || result.amountOut) || 0;
+                entry.price = entry.tokensReceived > 0 ? plan.amountWLD / entry.tokensReceived : null;
+                entry.txHash = result.transactionHash || result.txHash || null;
+                entry.paper = result.paper === true;
+
+                if (this.tradeJournal) {
+                    this.tradeJournal.recordSwap({
+                        source: 'dca',
+                        wallet,
+                        tokenIn: this.WLD_ADDRESS,
+                        tokenOut: plan.tokenAddress,
+                        amountIn: plan.amountWLD,
+                        result,
+                        tokenSymbol: plan.tokenSymbol,
+                        strategyId: plan.id,
+                        strategyName: plan.name,
+                        reason: 'dca_buy'
+                    });
+                }
+                console.log(`✅ DCA ${plan.name}: ${plan.amountWLD} WLD → ${entry.tokensReceived.toFixed(6)} ${plan.tokenSymbol}`);
+            }
+        } catch (error) {
+            // The swap may still have executed - not a failure to simply run again
+            entry.status = ['unconfirmed', 'ambiguous'].includes(error.category) ? 'unconfirmed' : 'failed';
+            entry.error = error.message;
+            entry.txHash = error.txHash || null;
+            console.error(`❌ Error executing DCA ${plan.name}:`, error.message);
+        } finally {
+            this.running.delete(planId);
+        }
+
+        this.recordRun(planId, entry);
+        this.emit('dcaRun', { plan: this.plans.get(planId) || plan, entry });
+        return { success: !['failed', 'unconfirmed'].includes(entry.status), entry };
+    }
+
+    // Skip when the plan's expression holds; no data (e.g. no 7 days of history yet) means buy
+    async checkSkipRule(plan) {
+        if (!plan.skipIf) return { skip: false, details: null };
+
+        if (!this.priceDatabase) {
+            return { skip: false, details: `${plan.skipIf}: no price database, buying anyway` };
+        }
+
+        // A fresh price, so a rule like price > sma(7d) compares against now
+        this.trackToken(plan);
+        const priceData = this.priceDatabase.priceData.get(plan.tokenAddress);
+        if (priceData && Date.now() - (priceData.lastPriceUpdate || 0) > 60000) {
+            await this.priceDatabase.updateTokenPrice(plan.tokenAddress);
+        }
+
+        const evaluation = new TriggerExpression(plan.skipIf).evaluate(this.priceDatabase.createExpressionResolver(plan.tokenAddress));
+        const details = `${plan.skipIf} → ${evaluation.unknown ? 'not enough data' : evaluation.met}${evaluation.details.length ? ` (${evaluation.details.join(' | ')})` : ''}`;
+        return { skip: evaluation.met === true, details };
+    }
+
+    // Apply a run to the plan on disk (another process may have changed other plans meanwhile)
+    recordRun(planId, entry) {
+        this.loadState();
+        const plan = this.plans.get(planId);
+
+        if (plan) {
+            plan.lastRunAt = entry.timestamp;
+            plan.lastResult = entry.status;
+            if (entry.status === 'filled') {
+                plan.fills++;
+                plan.totalSpentWLD += entry.amountWLD;
+                plan.totalTokens += entry.tokensReceived;
+            } else if (entry.status === 'skipped') {
+                plan.skips++;
+            } else if (entry.status === 'unconfirmed') {
+                plan.unconfirmed = (plan.unconfirmed || 0) + 1;
+                if (plan.status === 'active') {
+                    plan.status = 'paused';
+                    plan.pausedReason = `buy ${entry.txHash || 'with unknown transaction'} may have executed`;
+                    this.unschedulePlan(plan.id);
+                    console.error(`⚠️ DCA plan paused: ${plan.name} - ${plan.pausedReason}; check it, then resume the plan`);
+                }
+            } else {
+                plan.failures++;
+            }
+
+            if (plan.totalBuys && plan.fills >= plan.totalBuys) {
+                plan.status = 'completed';
+                this.unschedulePlan(plan.id);
+                console.log(`🏁 DCA plan completed: ${plan.name} (${plan.fills} buys, ${plan.totalSpentWLD.toFixed(4)} WLD)`);
+            }
+        }
+
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history = this.history.slice(-this.maxHistory);
+        }
+        this.saveState();
+    }
+
+    // Average cost in WLD per token over all fills
+    getAveragePrice(plan) {
+        return plan.totalTokens > 0 ? plan.totalSpentWLD / plan.totalTokens : null;
+    }
+
+    // Only one process may hold the lock: it is created exclusively, and a lock left by a dead process is taken over
+    acquireLock() {
+        try {
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    const fd = fs.openSync(this.lockPath, 'wx');
+                    fs.writeSync(fd, String(process.pid));
+                    fs.closeSync(fd);
+                    process.once('exit', () => this.releaseLock());
+                    return true;
+                } catch (error) {
+                    if (error.code !== 'EEXIST') throw error;
+                }
+
+                const pid = this.readLockPid();
+                if (pid === process.pid) return true;
+                if (pid ? this.isProcessAlive(pid) : this.isLockFresh()) return false;
+                if (!this.removeStaleLock(pid)) return false;
+            }
+            return false;
+        } catch (error) {
+            console.error('❌ Error acquiring DCA lock:', error.message);
+            return false;
+        }
+    }
+
+    readLockPid() {
+        try {
+            return parseInt(fs.readFileSync(this.lockPath, 'utf8')) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // An empty lock file was just created by a process that has not written its pid yet
+    isLockFresh() {
+        try {
+            return Date.now() - fs.statSync(this.lockPath).mtimeMs < 5000;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Move a dead process's lock aside; if another process replaced it in the meantime, put theirs back
+    removeStaleLock(stalePid) {
+        const aside = `${this.lockPath}.stale-${process.pid}`;
+        try {
+            fs.renameSync(this.lockPath, aside);
+        } catch (error) {
+            return error.code === 'ENOENT'; // Already removed by another process - race for the new lock
+        }
+
+        const movedPid = parseInt(fs.readFileSync(aside, 'utf8')) || null;
+        if (movedPid !== stalePid && movedPid && this.isProcessAlive(movedPid)) {
+            fs.renameSync(aside, this.lockPath);
+            return false;
+        }
+        fs.unlinkSync(aside);
+        return true;
+    }
+
+    releaseLock() {
+        try {
+            if (this.readLockPid() === process.pid) {
+                fs.unlinkSync(this.lockPath);
+            }
+        } catch (error) {
+            // Best effort: a stale lock is taken over by the next process
+        }
+    }
+
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    loadState() {
+        try {
+            const data = this.store.load();
+            if (data) {
+                this.plans = new Map(Object.entries(data.plans || {}));
+                this.history = data.history || [];
+            }
+        } catch (error) {
+            console.error('❌ Error loading DCA plans:', error.message);
+        }
+    }
+
+    saveState() {
+        try {
+            this.store.save({ plans: Object.fromEntries(this.plans), history: this.history });
+        } catch (error) {
+            console.error('❌ Error saving DCA plans:', error.message);
+        }
+    }
+}
+
+module.exports = DcaScheduler;
@@ -0,0 +1,115 @@
+/**
+ * ALGORITMIT JSON Price Storage
+ * Original price database backend: everything in one crash-safe price-database.json.
+ * Each save rewrites the whole file, so the incremental hooks are no-ops here.
+ *
+ * Storage interface (shared with SqlitePriceStorage):
+ *   load()                                      -> { priceData: { token: priceInfo }, trackedTokens } | null
+ *   save(priceData Map, trackedTokens Set)      -> persist token state and anything recorded since the last save
+ *   recordTick(token, tick)                     -> a tick was added
+ *   recordTrade(token, trade)                   -> a trade was appended to the token's tradeHistory
+ *   recordCandles(token, [[resolution, candle]]) -> candles were created or updated
+ *   replaceCandles(token, candles)              -> a token's candle set was rewritten (CSV import)
+ *   prune(token, tickCutoff, candleCutoffs)     -> ticks / candles older than the cutoffs were dropped
+ *   queryTicks(token, from, to)                 -> ticks in a time range
+ *   queryCandles(token, resolution, from, to)   -> candles in a time range
+ *   close()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StateStore = require('./state-store');
+const CandleAggregator = require('./candle-aggregator');
+
+class JsonPriceStorage {
+    constructor(filePath = path.join(process.cwd(), 'price-database.json')) {
+        this.type = 'json';
+        this.incremental = false; // Every save rewrites the file, so the price loop saves sparingly
+        this.saveInterval = 300000;
+        this.filePath = filePath;
+        this.store = JsonPriceStorage.createStore(filePath);
+    }
+
+    // Whether there is anything to load
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    // Whole price database
+    load() {
+        const data = this.store.load();
+        if (!data) return null;
+
+        return {
+            priceData: data.priceData || {},
+            trackedTokens: data.trackedTokens || Object.keys(data.priceData || {})
+        };
+    }
+
+    // Rewrite the file with the current in-memory state
+    save(priceData, trackedTokens) {
+        this.store.save({
+            priceData: Object.fromEntries(priceData),
+            trackedTokens: Array.from(trackedTokens)
+        });
+        this.snapshot = undefined;
+    }
+
+    // Incremental hooks: the next save() writes everything anyway
+    recordTick() {}
+
+    recordTrade() {}
+
+    recordCandles() {}
+
+    replaceCandles() {}
+
+    prune() {}
+
+    // Ticks for a token between two timestamps
+    queryTicks(tokenAddress, from = 0, to = Infinity) {
+        const priceInfo = this.loadToken(tokenAddress);
+        return priceInfo ? (priceInfo.prices || []).filter(p => p.timestamp >= from && p.timestamp <= to) : [];
+    }
+
+    // Candles for a token and resolution between two timestamps
+    queryCandles(tokenAddress, resolution, from = 0, to = Infinity) {
+        const priceInfo = this.loadToken(tokenAddress);
+        const candles = priceInfo && priceInfo.candles ? priceInfo.candles[resolution] || [] : [];
+        return candles.filter(c => c.t >= from && c.t <= to);
+    }
+
+    // Queries read the file once and reuse it until the next save
+    loadToken(tokenAddress) {
+        if (this.snapshot === undefined) this.snapshot = this.load();
+        return this.snapshot ? this.snapshot.priceData[tokenAddress.toLowerCase()] : null;
+    }
+
+    close() {}
+
+    // StateStore for price-database.json, with its schema migrations
+    static createStore(filePath) {
+        return new StateStore(filePath, {
+            name: 'price-database',
+            version: 2,
+            backupInterval: 600000,
+            migrations: {
+                // Drop the legacy version/timestamp fields; derive trackedTokens if missing
+                1: (data) => ({
+                    priceData: data.priceData || {},
+                    trackedTokens: data.trackedTokens || Object.keys(data.priceData || {})
+                }),
+                // Build candles from the stored ticks (ticks beyond the retention window are dropped on the next update)
+                2: (data) => {
+                    const aggregator = new CandleAggregator();
+                    for (const priceInfo of Object.values(data.priceData)) {
+                        priceInfo.candles = aggregator.aggregate(priceInfo.prices || []);
+                    }
+                    return data;
+                }
+            }
+        });
+    }
+}
+
+module.exports = JsonPriceStorage;
@@ -0,0 +1,254 @@
+/**
+ * ALGORITMIT Logger
+ * Central logging: every record goes to the console in the usual emoji format and, as a JSON line, to a
+ * size-rotated file in logs/ so failed overnight trades can be investigated afterwards.
+ * Console output is filtered by per-module levels (price, holdstation, strategy, position, trigger, ml, rpc, ...);
+ * the file keeps everything at LOG_FILE_LEVEL or above. Plain console.* calls are captured into the file too.
+ * Key material is masked before it is written, and the log files are readable by the owner only.
+ * Records can carry a correlation id so one swap (quote → approval → swap → confirmation) can be followed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const ANSI = /\u001b\[[0-9;]*m/g;
+
+// Key material never goes to the file: 32-byte hex in a message about keys, and fields named like secrets
+const SECRET_CONTEXT = /private\s*key|secret|mnemonic|seed phrase/i;
+const SECRET_HEX = /(0x)?[0-9a-f]{64}\b/gi;
+const SECRET_FIELDS = /^(privateKey|private_key|mnemonic|seed|secret|password|passphrase)$/i;
+
+let instance = null;
+
+class Logger {
+    constructor(config = {}) {
+        this.config = config;
+
+        this.defaultLevel = this.parseLevel(config.logLevel || process.env.LOG_LEVEL, 'info');
+        this.moduleLevels = this.parseModuleLevels(config.logLevels || process.env.LOG_LEVELS);
+        this.configuredLevels = { defaultLevel: this.defaultLevel, moduleLevels: { ...this.moduleLevels } };
+
+        // File output
+        this.fileEnabled = config.logToFile !== undefined ? config.logToFile : process.env.LOG_TO_FILE !== 'false';
+        this.fileLevel = this.parseLevel(config.logFileLevel || process.env.LOG_FILE_LEVEL, 'info');
+        this.logDir = config.logDir || path.join(process.cwd(), 'logs');
+        this.filePath = path.join(this.logDir, 'algoritmit.jsonl');
+        this.maxFileSize = (config.logMaxSizeMB || parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024;
+        this.maxFiles = config.logMaxFiles || parseInt(process.env.LOG_MAX_FILES) || 5;
+        this.fd = null;
+        this.fileSize = 0;
+
+        // Console output: original console methods, so captured console calls do not loop back here
+        this.console = {
+            log: console.log.bind(console),
+            warn: console.warn.bind(console),
+            error: console.error.bind(console)
+        };
+        this.consoleWriter = (record, message) => {
+            (record.level === 'error' ? this.console.error : record.level === 'warn' ? this.console.warn : this.console.log)(message);
+        };
+        this.structuredConsole = false;
+        this.consoleCaptured = false;
+    }
+
+    // Shared logger (created from the environment on first use)
+    static getInstance(config) {
+        if (!instance) instance = new Logger(config);
+        return instance;
+    }
+
+    // Logger bound to a module (and optional fields such as a correlation id)
+    static forModule(module, fields) {
+        return Logger.getInstance().forModule(module, fields);
+    }
+
+    // New id tying the records of one operation together
+    static correlationId(prefix = 'op') {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    parseLevel(value, fallback) {
+        const level = String(value || '').toLowerCase();
+        return LEVELS[level] !== undefined ? level : fallback;
+    }
+
+    // "price=warn,holdstation=debug" -> { price: 'warn', holdstation: 'debug' }
+    parseModuleLevels(text) {
+        const levels = {};
+        for (const entry of String(text || '').split(',')) {
+            const [module, level] = entry.split('=').map(part => part && part.trim().toLowerCase());
+            if (module && LEVELS[level] !== undefined) levels[module] = level;
+        }
+        return levels;
+    }
+
+    getLevel(module) {
+        return this.moduleLevels[module] || this.defaultLevel;
+    }
+
+    // Set the console level of one module, or the default for all modules
+    setLevel(level, module = null) {
+        const parsed = this.parseLevel(level, null);
+        if (!parsed) {
+            throw new Error(`Invalid log level "${level}" (use error, warn, info or debug)`);
+        }
+        if (module) {
+            this.moduleLevels[module] = parsed;
+        } else {
+            this.defaultLevel = parsed;
+            this.moduleLevels = {};
+        }
+    }
+
+    // Back to the levels from the environment / config
+    resetLevels() {
+        this.defaultLevel = this.configuredLevels.defaultLevel;
+        this.moduleLevels = { ...this.configuredLevels.moduleLevels };
+    }
+
+    // Whether a module shows records of this level on the console
+    isEnabled(module, level) {
+        return LEVELS[level] <= LEVELS[this.getLevel(module)];
+    }
+
+    forModule(module, fields = {}) {
+        const log = (level) => (message, extra = {}) => this.write(level, module, message, { ...fields, ...extra });
+        return {
+            module,
+            fields,
+            error: log('error'),
+            warn: log('warn'),
+            info: log('info'),
+            debug: log('debug'),
+            isEnabled: (level) => this.isEnabled(module, level),
+            child: (more) => this.forModule(module, { ...fields, ...more })
+        };
+    }
+
+    // Write one record; options.console forces (true) or suppresses (false) the console line,
+    // options.file: false keeps it out of the file. Whatever reaches the console also goes to the file
+    // (redacted), plus everything at the file level
+    write(level, module, message, fields = {}, options = {}) {
+        const text = typeof message === 'string' ? message : util.format(message);
+        const record = {
+            time: new Date().toISOString(),
+            pid: process.pid,
+            level,
+            module,
+            message: text.replace(ANSI, '').trim(),
+            ...fields
+        };
+
+        const toConsole = options.console !== undefined ? options.console : this.isEnabled(module, level);
+        if (toConsole) {
+            this.consoleWriter(record, text);
+        }
+        if (options.file !== false && (toConsole || LEVELS[level] <= LEVELS[this.fileLevel])) {
+            this.writeFile(this.redact(record));
+        }
+        return record;
+    }
+
+    // Copy of a record with private keys and other secrets masked
+    redact(record) {
+        const redacted = {};
+        for (const [key, value] of Object.entries(record)) {
+            if (SECRET_FIELDS.test(key)) {
+                redacted[key] = '[REDACTED]';
+            } else if (typeof value === 'string' && SECRET_CONTEXT.test(value)) {
+                redacted[key] = value.replace(SECRET_HEX, '[REDACTED]');
+            } else {
+                redacted[key] = value;
+            }
+        }
+        return redacted;
+    }
+
+    // Route console output elsewhere (the daemon prints JSON lines instead of the pretty text)
+    setConsoleWriter(writer) {
+        this.consoleWriter = writer;
+        this.structuredConsole = true;
+    }
+
+    // Record plain console.* calls as well (level from the call, or ❌ / ⚠️ prefixes)
+    captureConsole() {
+        if (this.consoleCaptured) return;
+        this.consoleCaptured = true;
+
+        const capture = (defaultLevel) => (...args) => {
+            const message = util.format(...args);
+            const plain = message.replace(ANSI, '').trim();
+            if (!plain) {
+                if (!this.structuredConsole) this.console.log(message);
+                return;
+            }
+
+            let level = defaultLevel;
+            if (plain.startsWith('❌')) level = 'error';
+            else if (plain.startsWith('⚠️') && level === 'info') level = 'warn';
+
+            this.write(level, 'console', message, {}, { console: true });
+        };
+
+        console.log = capture('info');
+        console.info = capture('info');
+        console.warn = capture('warn');
+        console.error = capture('error');
+        console.debug = capture('debug');
+    }
+
+    // Append a JSON line, rotating algoritmit.jsonl -> .1 -> ... -> .N when it gets too big
+    writeFile(record) {
+        if (!this.fileEnabled) return;
+
+        try {
+            if (this.fd === null) this.openFile();
+
+            const line = JSON.stringify(record) + '\n';
+            const bytes = Buffer.byteLength(line);
+            if (this.fileSize > 0 && this.fileSize + bytes > this.maxFileSize) {
+                this.rotate();
+            }
+
+            fs.writeSync(this.fd, line);
+            this.fileSize += bytes;
+        } catch (error) {
+            this.fileEnabled = false;
+            this.console.error(`❌ Error writing log file (file logging disabled): ${error.message}`);
+        }
+    }
+
+    // Owner-only: the log holds wallet addresses, balances and trade history
+    openFile() {
+        fs.mkdirSync(this.logDir, { recursive: true, mode: 0o700 });
+        this.fd = fs.openSync(this.filePath, 'a', 0o600);
+        fs.fchmodSync(this.fd, 0o600); // files created before (or under a loose umask) too
+        this.fileSize = fs.fstatSync(this.fd).size;
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        this.fd = null;
+
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.filePath}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+        }
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+        this.openFile();
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
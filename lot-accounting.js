@@ -0,0 +1,401 @@
+/**
+ * ALGORITMIT Lot Accounting
+ * Cost basis per token per wallet (FIFO, LIFO or average cost) with realized/unrealized P&L in WLD
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class LotAccounting extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        this.methods = ['fifo', 'lifo', 'average'];
+        this.method = this.normalizeMethod(config.costBasisMethod || process.env.COST_BASIS_METHOD || 'fifo');
+
+        // WLD token address (all P&L is in WLD)
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        // Holdings: wallet:token[:paper] -> { wallet, token, symbol, paper, lots }
+        this.holdings = new Map();
+        this.disposals = [];
+
+        // Trade journal is the source of truth - lots are rebuilt from it
+        this.tradeJournal = null;
+        this.onTradeRecorded = (trade) => this.processTrade(trade);
+    }
+
+    // Validate a cost basis method name
+    normalizeMethod(method) {
+        const normalized = String(method).toLowerCase().replace(/[^a-z]/g, '');
+        const aliases = { avg: 'average', averagecost: 'average' };
+        const result = aliases[normalized] || normalized;
+
+        if (!this.methods.includes(result)) {
+            throw new Error(`Unknown cost basis method: ${method} (use fifo, lifo or average)`);
+        }
+
+        return result;
+    }
+
+    // Follow the trade journal and rebuild lots from its history
+    attachJournal(tradeJournal) {
+        if (this.tradeJournal) {
+            this.tradeJournal.removeListener('tradeRecorded', this.onTradeRecorded);
+        }
+
+        this.tradeJournal = tradeJournal;
+        this.tradeJournal.on('tradeRecorded', this.onTradeRecorded);
+        this.rebuild();
+    }
+
+    // Switch cost basis method and recompute every disposal
+    setMethod(method) {
+        this.method = this.normalizeMethod(method);
+        this.rebuild();
+        console.log(`📒 Cost basis method: ${this.method.toUpperCase()}`);
+        this.emit('methodChanged', { method: this.method });
+    }
+
+    // Replay the journal from scratch
+    rebuild() {
+        this.holdings.clear();
+        this.disposals = [];
+
+        if (!this.tradeJournal) return;
+
+        const trades = this.tradeJournal.readAll().sort((a, b) => a.timestamp - b.timestamp);
+        for (const trade of trades) {
+            this.processTrade(trade);
+        }
+    }
+
+    // Record a trade made outside the bot (another wallet app, CEX transfer-in, ...)
+    recordManualTrade(trade) {
+        const { wallet, token, side } = trade;
+        const quantity = parseFloat(trade.quantity);
+        const amountWLD = parseFloat(trade.amountWLD);
+
+        if (!wallet || !token) {
+            throw new Error('Manual trade needs a wallet and a token address');
+        }
+        if (side !== 'buy' && side !== 'sell') {
+            throw new Error(`Manual trade side must be 'buy' or 'sell', got: ${side}`);
+        }
+        if (!(quantity > 0) || !(amountWLD >= 0)) {
+            throw new Error('Manual trade needs a positive token quantity and a WLD amount');
+        }
+
+        const isBuy = side === 'buy';
+        const symbol = trade.symbol || (this.tradeJournal ? this.tradeJournal.getSymbol(token) : 'TOKEN');
+        const entry = {
+            id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: trade.timestamp ? new Date(trade.timestamp).getTime() : Date.now(),
+            source: 'manual',
+            side,
+            txHash: trade.txHash || null,
+            wallet,
+            walletName: null,
+            tokenIn: isBuy ? this.WLD_ADDRESS : token.toLowerCase(),
+            tokenOut: isBuy ? token.toLowerCase() : this.WLD_ADDRESS,
+            pair: isBuy ? `WLD-${symbol}` : `${symbol}-WLD`,
+            amountIn: isBuy ? amountWLD : quantity,
+            amountOut: isBuy ? quantity : amountWLD,
+            effectivePrice: amountWLD / quantity,
+            gasUsed: '0',
+            gasCostETH: 0,
+            expectedOutput: null,
+            slippagePercent: null,
+            strategyId: null,
+            strategyName: null,
+            reason: trade.note || 'manual_entry',
+            blockNumber: null,
+            paper: false
+        };
+
+        // Through the journal so the trade survives restarts (the journal event feeds processTrade)
+        if (this.tradeJournal) {
+            return this.tradeJournal.append(entry);
+        }
+
+        this.processTrade(entry);
+        return entry;
+    }
+
+    // Apply one journal record to the lots
+    processTrade(trade) {
+        const tokenIn = (trade.tokenIn || '').toLowerCase();
+        const tokenOut = (trade.tokenOut || '').toLowerCase();
+
+        // Only WLD pairs have a WLD cost basis
+        if (tokenIn !== this.WLD_ADDRESS && tokenOut !== this.WLD_ADDRESS) return;
+
+        // The token side needs a quantity; the WLD side may be 0 (transfer-in, airdrop, worthless sale)
+        const isBuy = tokenIn === this.WLD_ADDRESS;
+        const tokenAmount = isBuy ? trade.amountOut : trade.amountIn;
+        const wldAmount = isBuy ? trade.amountIn : trade.amountOut;
+        if (!(tokenAmount > 0) || !(wldAmount >= 0)) return;
+
+        if (isBuy) {
+            this.addLot(trade, tokenOut);
+        } else {
+            this.disposeLots(trade, tokenIn);
+        }
+    }
+
+    // Get (or create) the holding for a wallet/token
+    getHolding(wallet, token, paper = false, symbol = null) {
+        const key = `${(wallet || 'unknown').toLowerCase()}:${token.toLowerCase()}${paper ? ':paper' : ''}`;
+
+        if (!this.holdings.has(key)) {
+            this.holdings.set(key, {
+                wallet: wallet || 'unknown',
+                token: token.toLowerCase(),
+                symbol,
+                paper,
+                lots: []
+            });
+        }
+
+        const holding = this.holdings.get(key);
+        if (symbol && !holding.symbol) holding.symbol = symbol;
+        return holding;
+    }
+
+    // Get the token symbol from a journal pair (WLD-ORO / ORO-WLD)
+    symbolFromPair(trade) {
+        if (!trade.pair) return null;
+        const symbol = trade.pair.split('-').find(part => part !== 'WLD');
+        return symbol && !symbol.includes('...') ? symbol : null; // Shortened addresses are not symbols
+    }
+
+    // Buy: open a new lot
+    addLot(trade, token) {
+        const holding = this.getHolding(trade.wallet, token, trade.paper === true, this.symbolFromPair(trade));
+
+        const lot = {
+            id: `lot_${trade.id}`,
+            acquiredAt: trade.timestamp,
+            quantity: trade.amountOut,
+            remaining: trade.amountOut,
+            costWLD: trade.amountIn,
+            unitCost: trade.amountIn / trade.amountOut,
+            txHash: trade.txHash,
+            source: trade.source
+        };
+
+        holding.lots.push(lot);
+        this.emit('lotOpened', { holding, lot });
+    }
+
+    // Sell: consume lots with the active method and record a disposal
+    disposeLots(trade, token) {
+        const holding = this.getHolding(trade.wallet, token, trade.paper === true, this.symbolFromPair(trade));
+        const quantity = trade.amountIn;
+        const proceeds = trade.amountOut;
+
+        const openLots = holding.lots.filter(lot => lot.remaining > 1e-12);
+        const matched = [];
+        let toMatch = quantity;
+
+        if (this.method === 'average') {
+            const totalRemaining = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+            const totalCost = openLots.reduce((sum, lot) => sum + lot.remaining * lot.unitCost, 0);
+            const averageCost = totalRemaining > 0 ? totalCost / totalRemaining : 0;
+            const fraction = totalRemaining > 0 ? Math.min(1, quantity / totalRemaining) : 0;
+
+            // Every lot shrinks proportionally at the pooled average cost
+            for (const lot of openLots) {
+                const used = lot.remaining * fraction;
+                lot.remaining -= used;
+                matched.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, quantity: used, cost: used * averageCost });
+            }
+            toMatch = Math.max(0, quantity - totalRemaining * fraction);
+        } else {
+            const ordered = this.method === 'fifo' ? openLots : [...openLots].reverse();
+
+            for (const lot of ordered) {
+                if (toMatch <= 1e-12) break;
+
+                const used = Math.min(lot.remaining, toMatch);
+                lot.remaining -= used;
+                toMatch -= used;
+                matched.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, quantity: used, cost: used * lot.unitCost });
+            }
+        }
+
+        const costBasis = matched.reduce((sum, m) => sum + m.cost, 0);
+        const acquiredAt = matched.length > 0 ? Math.min(...matched.map(m => m.acquiredAt)) : null;
+
+        const disposal = {
+            id: `disp_${trade.id}`,
+            wallet: holding.wallet,
+            token: holding.token,
+            symbol: holding.symbol,
+            paper: holding.paper,
+            method: this.method,
+            quantity,
+            proceedsWLD: proceeds,
+            costBasisWLD: costBasis,
+            gainWLD: proceeds - costBasis,
+            unmatchedQuantity: toMatch > 1e-12 ? toMatch : 0, // Sold tokens with no recorded buy (zero basis)
+            acquiredAt,
+            disposedAt: trade.timestamp,
+            holdingPeriodDays: acquiredAt ? (trade.timestamp - acquiredAt) / 86400000 : null,
+            txHash: trade.txHash,
+            source: trade.source,
+            lots: matched
+        };
+
+        this.disposals.push(disposal);
+        this.emit('lotsDisposed', disposal);
+    }
+
+    // Open position per holding, valued with prices in WLD per token
+    getPositions(prices = {}, filters = {}) {
+        const positions = [];
+
+        for (const holding of this.holdings.values()) {
+            if (!this.matchesFilters(holding, filters)) continue;
+
+            const openLots = holding.lots.filter(lot => lot.remaining > 1e-12);
+            const quantity = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+            if (quantity <= 1e-12) continue;
+
+            const costBasis = openLots.reduce((sum, lot) => sum + lot.remaining * lot.unitCost, 0);
+            const price = typeof prices === 'function' ? prices(holding.token) : prices[holding.token];
+            const marketValue = price > 0 ? quantity * price : null;
+
+            positions.push({
+                wallet: holding.wallet,
+                token: holding.token,
+                symbol: holding.symbol,
+                paper: holding.paper,
+                quantity,
+                openLots: openLots.length,
+                costBasisWLD: costBasis,
+                averageCost: costBasis / quantity,
+                currentPrice: price || null,
+                marketValueWLD: marketValue,
+                unrealizedWLD: marketValue !== null ? marketValue - costBasis : null,
+                unrealizedPercent: marketValue !== null && costBasis > 0 ? ((marketValue - costBasis) / costBasis) * 100 : null
+            });
+        }
+
+        return positions;
+    }
+
+    // Disposals matching wallet/token/date/paper filters
+    getDisposals(filters = {}) {
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+
+        return this.disposals.filter(disposal => {
+            if (!this.matchesFilters(disposal, filters)) return false;
+            if (from && disposal.disposedAt < from) return false;
+            if (to && disposal.disposedAt > to) return false;
+            return true;
+        });
+    }
+
+    // Check wallet/token/paper filters
+    matchesFilters(item, filters) {
+        if (filters.wallet && item.wallet.toLowerCase() !== filters.wallet.toLowerCase()) return false;
+        if (filters.token) {
+            const token = filters.token.toLowerCase();
+            if (item.token !== token && (item.symbol || '').toLowerCase() !== token) return false;
+        }
+        if (filters.paper !== undefined && item.paper !== filters.paper) return false;
+        return true;
+    }
+
+    // Realized and unrealized P&L totals
+    getSummary(prices = {}, filters = {}) {
+        const disposals = this.getDisposals(filters);
+        const positions = this.getPositions(prices, filters);
+        const valued = positions.filter(p => p.unrealizedWLD !== null);
+
+        return {
+            method: this.method,
+            realizedWLD: disposals.reduce((sum, d) => sum + d.gainWLD, 0),
+            proceedsWLD: disposals.reduce((sum, d) => sum + d.proceedsWLD, 0),
+            disposals: disposals.length,
+            openPositions: positions.length,
+            costBasisWLD: positions.reduce((sum, p) => sum + p.costBasisWLD, 0),
+            marketValueWLD: valued.reduce((sum, p) => sum + p.marketValueWLD, 0),
+            unrealizedWLD: valued.reduce((sum, p) => sum + p.unrealizedWLD, 0),
+            unpricedPositions: positions.length - valued.length
+        };
+    }
+
+    // One CSV value: quoted when it holds a separator, quote or line break; text that a spreadsheet
+    // would run as a formula gets a leading apostrophe (symbols come from on-chain data)
+    csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Rows of one disposal: one per matched lot (each with its own acquisition date and term), plus one for
+    // any quantity sold without a recorded buy
+    disposalRows(d) {
+        const parts = d.lots.filter(m => m.quantity > 1e-12).map(m => ({
+            acquiredAt: m.acquiredAt,
+            quantity: m.quantity,
+            cost: m.cost
+        }));
+        if (d.unmatchedQuantity > 0) {
+            parts.push({ acquiredAt: null, quantity: d.unmatchedQuantity, cost: 0 });
+        }
+        if (parts.length === 0) {
+            parts.push({ acquiredAt: null, quantity: d.quantity, cost: 0 });
+        }
+
+        return parts.map(part => {
+            const proceeds = d.quantity > 0 ? d.proceedsWLD * (part.quantity / d.quantity) : 0;
+            const holdingDays = part.acquiredAt !== null ? (d.disposedAt - part.acquiredAt) / 86400000 : null;
+            return [
+                part.acquiredAt !== null ? new Date(part.acquiredAt).toISOString() : '',
+                new Date(d.disposedAt).toISOString(),
+                d.wallet,
+                d.token,
+                d.symbol || '',
+                part.quantity,
+                proceeds.toFixed(8),
+                part.cost.toFixed(8),
+                (proceeds - part.cost).toFixed(8),
+                holdingDays !== null ? holdingDays.toFixed(2) : '',
+                holdingDays !== null ? (holdingDays > 365 ? 'long' : 'short') : '',
+                part.acquiredAt !== null ? 0 : part.quantity,
+                d.method,
+                d.txHash || '',
+                d.paper
+            ].map(value => this.csvField(value)).join(',');
+        });
+    }
+
+    // Export disposals as CSV for tax reporting (one row per disposed lot)
+    exportDisposalsCSV(filePath = null, filters = {}) {
+        const disposals = this.getDisposals(filters);
+        const outputPath = filePath || path.join(process.cwd(), `disposals-${this.method}-${new Date().toISOString().slice(0, 10)}.csv`);
+
+        const header = [
+            'date_acquired', 'date_disposed', 'wallet', 'token', 'symbol', 'quantity',
+            'proceeds_wld', 'cost_basis_wld', 'gain_wld', 'holding_days', 'term',
+            'unmatched_quantity', 'method', 'tx_hash', 'paper'
+        ];
+
+        const rows = disposals.flatMap(d => this.disposalRows(d));
+
+        fs.writeFileSync(outputPath, [header.join(','), ...rows].join('\n') + '\n');
+        console.log(`📄 Exported ${disposals.length} disposals to ${outputPath}`);
+
+        return { filePath: outputPath, count: disposals.length, rows: rows.length };
+    }
+}
+
+module.exports = LotAccounting;
@@ -0,0 +1,231 @@
+/**
+ * ALGORITMIT Metrics Collector
+ * Prometheus text-format metrics for engine and strategy health, served by the API server on /metrics.
+ * Swap latency and outcomes are recorded by the Sinclave engine as swaps finish; RPC health, price refresh
+ * lag and per-strategy positions / unrealized P&L are read from the modules when the endpoint is scraped.
+ */
+
+const EventEmitter = require('events');
+
+class MetricsCollector extends EventEmitter {
+    constructor(bot, config = {}) {
+        super();
+        this.bot = bot; // Main bot instance - metrics are read from its modules at scrape time
+        this.config = config;
+
+        this.prefix = 'algoritmit';
+        this.startedAt = Date.now();
+
+        // Swap latency histogram buckets in seconds (METRICS_SWAP_BUCKETS="1,2,5,10,30")
+        this.latencyBuckets = (config.metricsSwapBuckets || process.env.METRICS_SWAP_BUCKETS || '0.5,1,2,4,8,15,30,60')
+            .toString()
+            .split(',')
+            .map(value => parseFloat(value))
+            .filter(value => value > 0)
+            .sort((a, b) => a - b);
+
+        this.swapCounts = new Map();    // "result|reason|mode" -> count
+        this.swapLatency = new Map();   // "result|mode" -> { buckets: [], sum, count }
+    }
+
+    // Record a finished swap (called by the engine)
+    recordSwap({ success, executionTime, paper = false, error = null }) {
+        const result = success ? 'success' : 'failure';
+        const reason = success ? 'none' : (error && error.category) || this.classifyFailure(error);
+        const mode = paper ? 'paper' : 'live';
+
+        const countKey = `${result}|${reason}|${mode}`;
+        this.swapCounts.set(countKey, (this.swapCounts.get(countKey) || 0) + 1);
+
+        const latencyKey = `${result}|${mode}`;
+        if (!this.swapLatency.has(latencyKey)) {
+            this.swapLatency.set(latencyKey, { buckets: this.latencyBuckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const histogram = this.swapLatency.get(latencyKey);
+        const seconds = Math.max(0, executionTime || 0) / 1000;
+        this.latencyBuckets.forEach((bound, index) => {
+            if (seconds <= bound) histogram.buckets[index]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    // Map a swap error message to a small, fixed set of reason labels (used when the tx tracker has not classified it)
+    classifyFailure(error) {
+        const message = String(error && error.message ? error.message : error || '').toLowerCase();
+
+        if (message.includes('quote guard')) return 'quote_guard';
+        if (message.includes('insufficient')) return 'insufficient_balance';
+        if (message.includes('no swap quote') || message.includes('quote')) return 'no_quote';
+        if (message.includes('replacement') || message.includes('nonce')) return 'nonce';
+        if (message.includes('timeout') || message.includes('timed out')) return 'timeout';
+        if (message.includes('transaction failed') || message.includes('revert')) return 'reverted';
+        if (message.includes('network') || message.includes('rpc') || message.includes('econn')) return 'rpc';
+        return 'other';
+    }
+
+    // Full scrape in Prometheus text exposition format
+    render() {
+        const lines = [];
+
+        this.renderProcess(lines);
+        this.renderSwaps(lines);
+        this.renderRpc(lines);
+        this.renderPrices(lines);
+        this.renderStrategies(lines);
+
+        return lines.join('\n') + '\n';
+    }
+
+    renderProcess(lines) {
+        this.metric(lines, 'uptime_seconds', 'gauge', 'Seconds since the bot started', [
+            [{}, (Date.now() - this.startedAt) / 1000]
+        ]);
+        this.metric(lines, 'paper_trading', 'gauge', '1 when swaps are simulated', [
+            [{}, this.bot.sinclaveEngine && this.bot.sinclaveEngine.isPaperTrading() ? 1 : 0]
+        ]);
+    }
+
+    renderSwaps(lines) {
+        const counts = [...this.swapCounts.entries()].map(([key, value]) => {
+            const [result, reason, mode] = key.split('|');
+            return [{ result, reason, mode }, value];
+        });
+        this.metric(lines, 'swaps_total', 'counter', 'Swaps executed by the Sinclave engine, by result and failure reason', counts);
+
+        const name = `${this.prefix}_swap_duration_seconds`;
+        lines.push(`# HELP ${name} Swap execution time from start to confirmation or failure`);
+        lines.push(`# TYPE ${name} histogram`);
+        for (const [key, histogram] of this.swapLatency.entries()) {
+            const [result, mode] = key.split('|');
+            this.latencyBuckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket${this.labels({ result, mode, le: String(bound) })} ${histogram.buckets[index]}`);
+            });
+            lines.push(`${name}_bucket${this.labels({ result, mode, le: '+Inf' })} ${histogram.count}`);
+            lines.push(`${name}_sum${this.labels({ result, mode })} ${this.number(histogram.sum)}`);
+            lines.push(`${name}_count${this.labels({ result, mode })} ${histogram.count}`);
+        }
+    }
+
+    renderRpc(lines) {
+        const rpcManager = this.bot.rpcManager;
+        if (!rpcManager) return;
+
+        const stats = rpcManager.getStats();
+        const states = { closed: 0, half_open: 1, open: 2 };
+        const responseTimes = [];
+        const healthy = [];
+        const errorRates = [];
+        const failures = [];
+        const circuits = [];
+        const blockLag = [];
+
+        for (const provider of stats.providers) {
+            const labels = { endpoint: provider.host };
+            if (provider.latencyMs !== null) responseTimes.push([labels, provider.latencyMs / 1000]);
+            healthy.push([labels, provider.isAvailable ? 1 : 0]);
+            errorRates.push([labels, provider.errorRate]);
+            failures.push([labels, provider.consecutiveFailures]);
+            circuits.push([labels, states[provider.state]]);
+            blockLag.push([labels, provider.blockLag]);
+        }
+
+        this.metric(lines, 'rpc_response_time_seconds', 'gauge', 'Moving average RPC response time per endpoint', responseTimes);
+        this.metric(lines, 'rpc_healthy', 'gauge', '1 when the endpoint receives traffic (circuit closed and not lagging)', healthy);
+        this.metric(lines, 'rpc_error_rate', 'gauge', 'Moving average share of failed RPC requests per endpoint', errorRates);
+        this.metric(lines, 'rpc_consecutive_failures', 'gauge', 'Consecutive failed RPC requests per endpoint', failures);
+        this.metric(lines, 'rpc_circuit_state', 'gauge', 'Circuit breaker state per endpoint (0 closed, 1 half-open, 2 open)', circuits);
+        this.metric(lines, 'rpc_block_lag', 'gauge', 'Blocks behind the best known head per endpoint', blockLag);
+    }
+
+    renderPrices(lines) {
+        const priceDatabase = this.bot.priceDatabase;
+        if (!priceDatabase) return;
+
+        const now = Date.now();
+        const lag = [];
+        const failures = [];
+        for (const [tokenAddress, priceData] of priceDatabase.priceData.entries()) {
+            const labels = { token: tokenAddress, symbol: priceData.symbol || 'Unknown' };
+            if (priceData.lastPriceUpdate) lag.push([labels, (now - priceData.lastPriceUpdate) / 1000]);
+            failures.push([labels, priceData.consecutiveFailures || 0]);
+        }
+
+        const health = priceDatabase.getHealthStatus();
+        this.metric(lines, 'price_monitoring_running', 'gauge', '1 while background price monitoring runs', [[{}, priceDatabase.isRunning ? 1 : 0]]);
+        this.metric(lines, 'price_refresh_interval_seconds', 'gauge', 'Configured price refresh interval', [[{}, priceDatabase.updateInterval / 1000]]);
+        this.metric(lines, 'price_refresh_lag_seconds', 'gauge', 'Seconds since the last successful price update per token', lag);
+        this.metric(lines, 'price_consecutive_failures', 'gauge', 'Consecutive failed price updates per token', failures);
+        this.metric(lines, 'price_tokens', 'gauge', 'Tracked tokens by price health', [
+            [{ state: 'healthy' }, health.healthyTokens],
+            [{ state: 'unhealthy' }, health.unhealthyTokens],
+            [{ state: 'stale' }, health.staleTokens]
+        ]);
+    }
+
+    renderStrategies(lines) {
+        const strategyBuilder = this.bot.strategyBuilder;
+        if (!strategyBuilder) return;
+
+        const active = [];
+        const openPositions = [];
+        const unrealized = [];
+        const realized = [];
+        const trades = [];
+
+        for (const strategy of strategyBuilder.getAllStrategies()) {
+            const labels = { strategy: strategy.id, name: strategy.name || 'Unknown', token: strategy.tokenSymbol || 'Unknown' };
+            const positions = (strategy.positions || []).filter(p => p.status === 'open');
+
+            active.push([labels, strategy.isActive ? 1 : 0]);
+            openPositions.push([labels, positions.length]);
+            unrealized.push([labels, positions.reduce((sum, position) => sum + this.unrealizedPnL(strategy, position), 0)]);
+            realized.push([labels, strategy.totalProfit || 0]);
+            trades.push([{ ...labels, result: 'success' }, strategy.successfulTrades || 0]);
+            trades.push([{ ...labels, result: 'failure' }, Math.max(0, (strategy.totalTrades || 0) - (strategy.successfulTrades || 0))]);
+        }
+
+        this.metric(lines, 'strategy_active', 'gauge', '1 while the strategy is running', active);
+        this.metric(lines, 'strategy_open_positions', 'gauge', 'Open positions per strategy', openPositions);
+        this.metric(lines, 'strategy_unrealized_pnl_wld', 'gauge', 'Unrealized P&L of open positions in WLD at the current price', unrealized);
+        this.metric(lines, 'strategy_realized_profit_wld', 'gauge', 'Realized profit per strategy in WLD', realized);
+        this.metric(lines, 'strategy_trades_total', 'counter', 'Trades per strategy by result', trades);
+    }
+
+    // Position P&L at the live price, or the value stored by the last position check
+    unrealizedPnL(strategy, position) {
+        const priceDatabase = this.bot.priceDatabase;
+        const priceData = priceDatabase && strategy.targetToken ? priceDatabase.priceData.get(strategy.targetToken.toLowerCase()) : null;
+
+        if (priceData && priceData.currentPrice > 0 && position.entryAmountToken > 0) {
+            return position.entryAmountToken * priceData.currentPrice - (position.entryAmountWLD || 0);
+        }
+        return position.unrealizedPnL || 0;
+    }
+
+    // Write HELP/TYPE and one sample per [labels, value]
+    metric(lines, name, type, help, samples) {
+        const fullName = `${this.prefix}_${name}`;
+        lines.push(`# HELP ${fullName} ${help}`);
+        lines.push(`# TYPE ${fullName} ${type}`);
+        for (const [labels, value] of samples) {
+            lines.push(`${fullName}${this.labels(labels)} ${this.number(value)}`);
+        }
+    }
+
+    labels(labels) {
+        const entries = Object.entries(labels);
+        if (entries.length === 0) return '';
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+    }
+
+    number(value) {
+        const number = Number(value);
+        if (Number.isNaN(number)) return 'NaN';
+        if (!Number.isFinite(number)) return number > 0 ? '+Inf' : '-Inf';
+        return String(Math.round(number * 1e6) / 1e6);
+    }
+}
+
+module.exports = MetricsCollector;
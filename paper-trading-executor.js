@@ -0,0 +1,220 @@
+/**
+ * ALGORITMIT Paper Trading Executor
+ * Simulated swap execution against live quotes with a virtual balance ledger per wallet
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const StateStore = require('./state-store');
+
+class PaperTradingExecutor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        this.enabled = config.paperTrading !== undefined
+            ? config.paperTrading === true
+            : process.env.PAPER_TRADING === 'true';
+
+        this.settings = {
+            slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE) || 0.5, // Applied on top of the live quote
+            feePercent: parseFloat(process.env.PAPER_FEE) || 0.3,           // Simulated pool fee
+            startingWLD: parseFloat(process.env.PAPER_STARTING_WLD) || 100  // Virtual WLD for new wallets
+        };
+
+        // WLD token address
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        // Virtual ledger: walletAddress -> { balances, trades }
+        this.ledger = {};
+        this.ledgerPath = path.join(process.cwd(), 'paper-ledger.json');
+        this.ledgerStore = new StateStore(this.ledgerPath, {
+            name: 'paper-ledger',
+            version: 1,
+            migrations: {
+                1: (data) => ({ settings: data.settings, wallets: data.wallets || {} }) // Drop legacy version/timestamp
+            }
+        });
+        this.maxTradesPerWallet = 1000;
+
+        this.loadLedger();
+
+        if (this.enabled) {
+            console.log('📝 Paper trading ENABLED - swaps are simulated, no real funds are used');
+        }
+    }
+
+    // Check if paper trading is active
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // Enable/Disable paper trading
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        console.log(`📝 Paper Trading: ${enabled ? 'ENABLED' : 'DISABLED'}`);
+        this.emit('modeChanged', { enabled });
+    }
+
+    // Update slippage, fee or starting balance
+    updateSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.saveLedger();
+    }
+
+    // Get (or create) the virtual ledger for a wallet
+    getWalletLedger(walletAddress) {
+        const key = walletAddress.toLowerCase();
+
+        if (!this.ledger[key]) {
+            this.ledger[key] = {
+                address: walletAddress,
+                createdAt: Date.now(),
+                balances: {
+                    [this.WLD_ADDRESS]: this.settings.startingWLD
+                },
+                trades: []
+            };
+        }
+
+        return this.ledger[key];
+    }
+
+    // Get virtual balance of a token for a wallet
+    getBalance(walletAddress, tokenAddress) {
+        const walletLedger = this.getWalletLedger(walletAddress);
+        return walletLedger.balances[tokenAddress.toLowerCase()] || 0;
+    }
+
+    // Get all virtual balances for a wallet
+    getBalances(walletAddress) {
+        return { ...this.getWalletLedger(walletAddress).balances };
+    }
+
+    // Simulate a swap at the live quote minus fee and slippage
+    async executeSwap(wallet, tokenIn, tokenOut, amountIn, getQuote, slippageTolerance = 1) {
+        const startTime = Date.now();
+        const amount = parseFloat(amountIn);
+        const walletLedger = this.getWalletLedger(wallet.address);
+        const inKey = tokenIn.toLowerCase();
+        const outKey = tokenOut.toLowerCase();
+
+        if (!amount || amount <= 0) {
+            throw new Error(`Invalid paper swap amount: ${amountIn}`);
+        }
+
+        const available = walletLedger.balances[inKey] || 0;
+        if (available < amount) {
+            throw new Error(`Insufficient paper balance. Have: ${available}, Need: ${amount}`);
+        }
+
+        // A real swap would revert if the fill is worse than the caller's tolerance
+        if (this.settings.slippagePercent > slippageTolerance) {
+            throw new Error(`Paper swap reverted: simulated slippage ${this.settings.slippagePercent}% exceeds tolerance ${slippageTolerance}%`);
+        }
+
+        const quotedOutput = parseFloat(await getQuote(tokenIn, tokenOut, amount));
+        if (!quotedOutput || quotedOutput <= 0) {
+            throw new Error('No live quote available for paper swap');
+        }
+
+        const fee = quotedOutput * (this.settings.feePercent / 100);
+        const amountOut = (quotedOutput - fee) * (1 - this.settings.slippagePercent / 100);
+
+        walletLedger.balances[inKey] = available - amount;
+        walletLedger.balances[outKey] = (walletLedger.balances[outKey] || 0) + amountOut;
+
+        const trade = {
+            id: `paper_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: Date.now(),
+            tokenIn: inKey,
+            tokenOut: outKey,
+            amountIn: amount,
+            quotedOutput,
+            amountOut,
+            fee,
+            slippagePercent: this.settings.slippagePercent
+        };
+
+        walletLedger.trades.push(trade);
+        if (walletLedger.trades.length > this.maxTradesPerWallet) {
+            walletLedger.trades = walletLedger.trades.slice(-this.maxTradesPerWallet);
+        }
+
+        this.saveLedger();
+
+        console.log(`📝 PAPER SWAP: ${amount} → ${amountOut.toFixed(8)} (quote ${quotedOutput.toFixed(8)}, fee ${fee.toFixed(8)}, slippage ${this.settings.slippagePercent}%)`);
+
+        this.emit('paperTrade', { wallet: wallet.address, trade });
+
+        return {
+            success: true,
+            paper: true,
+            transactionHash: trade.id,
+            txHash: trade.id,
+            gasUsed: '0',
+            gasCost: '0',
+            executionTime: Date.now() - startTime,
+            tokensSpent: amount.toString(),
+            tokensReceived: amountOut.toString(),
+            amountIn: amount.toString(),
+            amountOut: amountOut.toString(),
+            expectedOutput: quotedOutput.toString(),
+            blockNumber: null
+        };
+    }
+
+    // Summary of every virtual wallet
+    getLedgerSummary() {
+        return Object.values(this.ledger).map(walletLedger => ({
+            address: walletLedger.address,
+            createdAt: walletLedger.createdAt,
+            balances: { ...walletLedger.balances },
+            tradeCount: walletLedger.trades.length,
+            totalFees: walletLedger.trades.reduce((sum, t) => sum + t.fee, 0)
+        }));
+    }
+
+    // Reset one wallet (or all wallets) to the starting balance
+    resetLedger(walletAddress = null) {
+        if (walletAddress) {
+            delete this.ledger[walletAddress.toLowerCase()];
+        } else {
+            this.ledger = {};
+        }
+
+        this.saveLedger();
+        console.log(`🔄 Paper ledger reset${walletAddress ? ` for ${walletAddress}` : ''}`);
+    }
+
+    // Load ledger from disk
+    loadLedger() {
+        try {
+            const data = this.ledgerStore.load();
+            if (data) {
+                if (data.wallets) {
+                    this.ledger = data.wallets;
+                }
+                if (data.settings) {
+                    Object.assign(this.settings, data.settings);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error loading paper ledger:', error.message);
+        }
+    }
+
+    // Save ledger to disk
+    saveLedger() {
+        try {
+            this.ledgerStore.save({
+                settings: this.settings,
+                wallets: this.ledger
+            });
+        } catch (error) {
+            console.error('❌ Error saving paper ledger:', error.message);
+        }
+    }
+}
+
+module.exports = PaperTradingExecutor;
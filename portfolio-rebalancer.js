@@ -0,0 +1,466 @@
+/**
+ * ALGORITMIT Portfolio Rebalancer
+ * Keeps the combined holdings of one or more wallets at target weights (e.g. 50% WLD / 30% ORO / 20% YIELD).
+ * Holdings are valued with live WLD quotes; once any weight leaves the drift band every token is brought back
+ * to target with one swap against WLD per token (sells first, then buys), skipping trades below the minimum size.
+ * Wallets never transfer to each other: sells come from the wallets holding the most of a token and buys are
+ * paid from the wallets with the most WLD.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const cron = require('node-cron');
+const StateStore = require('./state-store');
+
+class PortfolioRebalancer extends EventEmitter {
+    constructor(sinclaveEngine, config = {}) {
+        super();
+        this.sinclaveEngine = sinclaveEngine;
+        this.config = config;
+
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        // Defaults until changed from the menu (saved settings win)
+        this.settings = {
+            targets: [],  // [{ address, symbol, weight }] - weights in percent, summing to 100
+            wallets: [],  // Wallet addresses included in the portfolio (empty = all wallets)
+            driftBandPercent: config.rebalanceDriftPercent || parseFloat(process.env.REBALANCE_DRIFT_PERCENT) || 5,
+            minTradeWLD: config.rebalanceMinTradeWLD || parseFloat(process.env.REBALANCE_MIN_TRADE_WLD) || 1,
+            slippage: config.rebalanceSlippage || parseFloat(process.env.REBALANCE_SLIPPAGE) || 1,
+            schedule: config.rebalanceSchedule || process.env.REBALANCE_SCHEDULE || null // node-cron expression
+        };
+
+        this.statePath = path.join(process.cwd(), 'portfolio-rebalancer.json');
+        this.store = new StateStore(this.statePath, { name: 'portfolio-rebalancer', version: 1 });
+        this.maxHistory = 50;
+        this.history = [];
+
+        this.portfolioSource = null; // { getWallets, getPortfolioBalances, getTokenBalance }
+        this.priceDatabase = null;   // Fallback prices when a quote fails
+        this.tradeJournal = null;
+
+        this.scheduledTask = null;
+        this.scheduleDryRun = false;
+        this.isRunning = false;
+
+        this.loadState();
+    }
+
+    // Set where wallets and balances come from (the bot, or the paper ledger in paper mode)
+    setPortfolioSource(source) {
+        this.portfolioSource = source;
+    }
+
+    // Set price database for fallback prices
+    setPriceDatabase(priceDatabase) {
+        this.priceDatabase = priceDatabase;
+    }
+
+    // Set trade journal for recording rebalance swaps
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+
+    // Replace the target allocation; weights are percentages and must sum to 100
+    setTargets(targets) {
+        const normalized = [];
+        for (const target of targets) {
+            const weight = parseFloat(target.weight);
+            if (!target.address || !/^0x[0-9a-fA-F]{40}$/.test(target.address)) {
+                throw new Error(`Invalid token address for ${target.symbol || 'target'}`);
+            }
+            if (!(weight >= 0) || weight > 100) {
+                throw new Error(`Invalid weight for ${target.symbol || target.address}: ${target.weight}`);
+            }
+            if (normalized.some(t => t.address === target.address.toLowerCase())) {
+                throw new Error(`${target.symbol || target.address} is listed twice`);
+            }
+            normalized.push({ address: target.address.toLowerCase(), symbol: target.symbol || target.address.slice(0, 8), weight });
+        }
+
+        const total = normalized.reduce((sum, t) => sum + t.weight, 0);
+        if (normalized.length === 0 || Math.abs(total - 100) > 0.01) {
+            throw new Error(`Target weights must sum to 100% (got ${total.toFixed(2)}%)`);
+        }
+
+        this.settings.targets = normalized;
+        this.saveState();
+        return normalized;
+    }
+
+    // Update drift band, minimum trade size, slippage, wallets or schedule
+    updateSettings(changes) {
+        if (changes.schedule && !cron.validate(changes.schedule)) {
+            throw new Error(`Invalid cron expression: ${changes.schedule}`);
+        }
+
+        Object.assign(this.settings, changes);
+        this.saveState();
+
+        // Pick up a changed schedule
+        if (this.scheduledTask && changes.schedule !== undefined) {
+            this.stopSchedule();
+            if (this.settings.schedule) this.startSchedule(this.settings.schedule, this.scheduleDryRun);
+        }
+    }
+
+    // Wallets included in the portfolio
+    getWallets() {
+        const wallets = this.portfolioSource ? this.portfolioSource.getWallets() : [];
+        if (this.settings.wallets.length === 0) return wallets;
+
+        const selected = new Set(this.settings.wallets.map(a => a.toLowerCase()));
+        return wallets.filter(w => selected.has(w.address.toLowerCase()));
+    }
+
+    // Token price in WLD from a live quote (price database as fallback)
+    async getPriceWLD(tokenAddress) {
+        if (tokenAddress === this.WLD_ADDRESS) return 1;
+
+        try {
+            const quote = await this.sinclaveEngine.getHoldStationQuote(
+                tokenAddress,
+                this.WLD_ADDRESS,
+                1, // 1 token
+                '0x0000000000000000000000000000000000000001' // dummy receiver
+            );
+            const price = parseFloat(quote && quote.expectedOutput);
+            if (price > 0) return price;
+        } catch (error) {
+            console.log(`⚠️  Rebalancer quote failed for ${tokenAddress}: ${error.message}`);
+        }
+
+        const fallback = this.priceDatabase ? this.priceDatabase.getCurrentPrice(tokenAddress) : 0;
+        return fallback > 0 ? fallback : null;
+    }
+
+    // Balances of the target tokens per wallet: Map wallet -> Map token -> amount
+    async getHoldings(wallets) {
+        const holdings = new Map();
+
+        for (const wallet of wallets) {
+            const balances = new Map();
+            const portfolio = await this.portfolioSource.getPortfolioBalances(wallet.address);
+
+            if (portfolio && portfolio.success) {
+                balances.set(this.WLD_ADDRESS, parseFloat(portfolio.wldBalance) || 0);
+                for (const token of portfolio.tokens || []) {
+                    if (token.address) balances.set(token.address.toLowerCase(), parseFloat(token.balance) || 0);
+                }
+            }
+
+            // The portfolio API only lists discovered tokens; read the rest directly
+            for (const address of [this.WLD_ADDRESS, ...this.settings.targets.map(t => t.address)]) {
+                if (!balances.has(address)) {
+                    balances.set(address, parseFloat(await this.portfolioSource.getTokenBalance(wallet.address, address)) || 0);
+                }
+            }
+
+            holdings.set(wallet.address.toLowerCase(), balances);
+        }
+
+        return holdings;
+    }
+
+    // Current weights, drift and the swaps that bring the portfolio back to target
+    async plan() {
+        if (!this.portfolioSource) {
+            throw new Error('Rebalancer has no portfolio source');
+        }
+        if (this.settings.targets.length === 0) {
+            throw new Error('No target allocation set');
+        }
+
+        const wallets = this.getWallets();
+        if (wallets.length === 0) {
+            throw new Error('No wallets selected for rebalancing');
+        }
+
+        // WLD is the swap hub, so it is always part of the portfolio (weight 0 if not targeted)
+        const targets = [...this.settings.targets];
+        if (!targets.some(t => t.address === this.WLD_ADDRESS)) {
+            targets.push({ address: this.WLD_ADDRESS, symbol: 'WLD', weight: 0 });
+        }
+
+        const holdings = await this.getHoldings(wallets);
+        const rows = [];
+        for (const target of targets) {
+            const price = await this.getPriceWLD(target.address);
+            if (price === null) {
+                throw new Error(`No price for ${target.symbol} - cannot value the portfolio`);
+            }
+
+            const balance = wallets.reduce((sum, w) => sum + (holdings.get(w.address.toLowerCase()).get(target.address) || 0), 0);
+            rows.push({ ...target, price, balance, valueWLD: balance * price });
+        }
+
+        const totalValueWLD = rows.reduce((sum, row) => sum + row.valueWLD, 0);
+        if (totalValueWLD <= 0) {
+            throw new Error('Selected wallets hold none of the target tokens');
+        }
+
+        for (const row of rows) {
+            row.currentWeight = (row.valueWLD / totalValueWLD) * 100;
+            row.drift = row.currentWeight - row.weight;
+            row.deltaWLD = (row.weight / 100) * totalValueWLD - row.valueWLD; // > 0: buy, < 0: sell
+        }
+
+        const maxDrift = Math.max(...rows.map(row => Math.abs(row.drift)));
+        const plan = {
+            id: `rebalance_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: Date.now(),
+            wallets: wallets.map(w => ({ address: w.address, name: w.name || null })),
+            totalValueWLD,
+            maxDrift,
+            driftBandPercent: this.settings.driftBandPercent,
+            withinBand: maxDrift <= this.settings.driftBandPercent,
+            holdings: rows,
+            swaps: [],
+            skipped: []
+        };
+
+        if (plan.withinBand) return plan;
+
+        this.allocateSwaps(plan, wallets, holdings);
+        return plan;
+    }
+
+    // Split each token's delta into per-wallet swaps against WLD
+    allocateSwaps(plan, wallets, holdings) {
+        const { minTradeWLD } = this.settings;
+        const walletWLD = new Map(wallets.map(w => [w.address.toLowerCase(), holdings.get(w.address.toLowerCase()).get(this.WLD_ADDRESS) || 0]));
+        const walletByAddress = new Map(wallets.map(w => [w.address.toLowerCase(), w]));
+        const sells = [];
+        const buys = [];
+
+        for (const row of plan.holdings) {
+            if (row.address === this.WLD_ADDRESS) continue;
+
+            if (Math.abs(row.deltaWLD) < minTradeWLD) {
+                if (Math.abs(row.deltaWLD) > 0) {
+                    plan.skipped.push({ symbol: row.symbol, valueWLD: Math.abs(row.deltaWLD), reason: `below minimum trade (${minTradeWLD} WLD)` });
+                }
+                continue;
+            }
+
+            if (row.deltaWLD < 0) {
+                // Sell from the largest holders first
+                let remaining = -row.deltaWLD / row.price;
+                const holders = wallets
+                    .map(w => ({ address: w.address.toLowerCase(), amount: holdings.get(w.address.toLowerCase()).get(row.address) || 0 }))
+                    .filter(h => h.amount > 0)
+                    .sort((a, b) => b.amount - a.amount);
+
+                for (const holder of holders) {
+                    if (remaining <= 0) break;
+                    const amount = Math.min(remaining, holder.amount);
+                    if (amount * row.price < minTradeWLD) continue;
+
+                    sells.push(this.createSwap(walletByAddress.get(holder.address), 'sell', row, amount, amount * row.price));
+                    walletWLD.set(holder.address, walletWLD.get(holder.address) + amount * row.price);
+                    remaining -= amount;
+                }
+            } else {
+                buys.push(row);
+            }
+        }
+
+        // Buys are paid from the wallets with the most WLD (after their sells)
+        for (const row of buys) {
+            let remaining = row.deltaWLD;
+            const payers = Array.from(walletWLD.entries()).sort((a, b) => b[1] - a[1]);
+
+            for (const [address, available] of payers) {
+                if (remaining < minTradeWLD) break;
+                const amount = Math.min(remaining, available);
+                if (amount < minTradeWLD) continue;
+
+                plan.swaps.push(this.createSwap(walletByAddress.get(address), 'buy', row, amount, amount));
+                walletWLD.set(address, available - amount);
+                remaining -= amount;
+            }
+
+            if (remaining >= minTradeWLD) {
+                plan.skipped.push({ symbol: row.symbol, valueWLD: remaining, reason: 'not enough WLD in any selected wallet' });
+            }
+        }
+
+        plan.swaps = [...sells, ...plan.swaps];
+    }
+
+    createSwap(wallet, side, row, amountIn, valueWLD) {
+        return {
+            wallet: wallet.address,
+            walletName: wallet.name || null,
+            side,
+            token: row.address,
+            symbol: row.symbol,
+            tokenIn: side === 'sell' ? row.address : this.WLD_ADDRESS,
+            tokenOut: side === 'sell' ? this.WLD_ADDRESS : row.address,
+            amountIn,
+            valueWLD,
+            status: 'planned'
+        };
+    }
+
+    // Plan and (unless dryRun) execute; returns the plan with swap results
+    async rebalance(options = {}) {
+        const dryRun = options.dryRun === true;
+        if (this.isRunning) {
+            return { success: false, error: 'A rebalance is already running' };
+        }
+
+        this.isRunning = true;
+        try {
+            const plan = await this.plan();
+            plan.dryRun = dryRun;
+            plan.trigger = options.trigger || 'manual';
+
+            if (plan.withinBand) {
+                console.log(`⚖️  Portfolio within drift band (max drift ${plan.maxDrift.toFixed(2)}% ≤ ${plan.driftBandPercent}%) - nothing to do`);
+            } else if (dryRun) {
+                console.log(`🧪 Rebalance dry run: ${plan.swaps.length} swaps planned (max drift ${plan.maxDrift.toFixed(2)}%)`);
+            } else {
+                await this.executePlan(plan);
+            }
+
+            this.recordRun(plan);
+            this.emit('rebalanced', plan);
+            return { success: true, plan };
+        } catch (error) {
+            console.error('❌ Error rebalancing portfolio:', error.message);
+            return { success: false, error: error.message };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Sells first so their WLD can fund the buys; a buy never spends more WLD than the wallet holds
+    async executePlan(plan) {
+        console.log(`⚖️  Rebalancing ${plan.totalValueWLD.toFixed(4)} WLD portfolio: ${plan.swaps.length} swaps`);
+
+        const wallets = new Map(this.getWallets().map(w => [w.address.toLowerCase(), w]));
+        for (const swap of plan.swaps) {
+            const wallet = wallets.get(swap.wallet.toLowerCase());
+            try {
+                let amountIn = swap.amountIn;
+                if (swap.side === 'buy') {
+                    const available = parseFloat(await this.portfolioSource.getTokenBalance(swap.wallet, this.WLD_ADDRESS)) || 0;
+                    amountIn = Math.min(amountIn, available);
+                    if (amountIn < this.settings.minTradeWLD) {
+                        swap.status = 'skipped';
+                        swap.error = `only ${available.toFixed(4)} WLD available`;
+                        continue;
+                    }
+                }
+
+                const result = await this.sinclaveEngine.executeOptimizedSwap(wallet, swap.tokenIn, swap.tokenOut, amountIn, this.settings.slippage, { priority: 'low' });
+                if (!result || !result.success) {
+                    throw new Error((result && result.error) || 'Swap failed');
+                }
+
+                swap.status = 'filled';
+                swap.amountIn = amountIn;
+                swap.amountOut = parseFloat(result.tokensReceived || result.amountOut) || 0;
+                swap.txHash = result.transactionHash || result.txHash || null;
+                console.log(`✅ Rebalance ${swap.side} ${swap.symbol}: ${amountIn.toFixed(6)} ${swap.side === 'sell' ? swap.symbol : 'WLD'} (${wallet.name || swap.wallet})`);
+
+                if (this.tradeJournal) {
+                    this.tradeJournal.recordSwap({
+                        source: 'rebalancer',
+                        wallet,
+                        tokenIn: swap.tokenIn,
+                        tokenOut: swap.tokenOut,
+                        amountIn,
+                        result,
+                        tokenSymbol: swap.symbol,
+                        reason: `rebalance_${swap.side}`
+                    });
+                }
+            } catch (error) {
+                swap.status = 'failed';
+                swap.error = error.message;
+                console.error(`❌ Error in rebalance ${swap.side} of ${swap.symbol}:`, error.message);
+            }
+        }
+    }
+
+    // Run on the configured cron schedule (dryRun: only log the planned swaps)
+    startSchedule(expression = this.settings.schedule, dryRun = false) {
+        if (!expression || !cron.validate(expression)) {
+            throw new Error(`Invalid cron expression: ${expression}`);
+        }
+
+        this.stopSchedule();
+        if (expression !== this.settings.schedule) {
+            this.settings.schedule = expression;
+            this.saveState();
+        }
+
+        this.scheduleDryRun = dryRun;
+        this.scheduledTask = cron.schedule(expression, () => {
+            this.rebalance({ trigger: 'schedule', dryRun }).catch(error => {
+                console.error('❌ Error in scheduled rebalance:', error.message);
+            });
+        });
+        console.log(`⏰ Scheduled portfolio rebalancing${dryRun ? ' (dry run)' : ''}: ${expression}`);
+    }
+
+    stopSchedule() {
+        if (this.scheduledTask) {
+            this.scheduledTask.stop();
+            this.scheduledTask = null;
+            console.log('⏹️  Scheduled portfolio rebalancing stopped');
+        }
+    }
+
+    isScheduled() {
+        return this.scheduledTask !== null;
+    }
+
+    // Keep a short summary of each run
+    recordRun(plan) {
+        this.history.push({
+            id: plan.id,
+            timestamp: plan.createdAt,
+            trigger: plan.trigger,
+            dryRun: plan.dryRun,
+            totalValueWLD: plan.totalValueWLD,
+            maxDrift: plan.maxDrift,
+            withinBand: plan.withinBand,
+            swaps: plan.swaps.map(({ wallet, side, symbol, amountIn, valueWLD, status, txHash, error }) =>
+                ({ wallet, side, symbol, amountIn, valueWLD, status, txHash: txHash || null, error: error || null }))
+        });
+
+        if (this.history.length > this.maxHistory) {
+            this.history = this.history.slice(-this.maxHistory);
+        }
+        this.saveState();
+    }
+
+    getHistory(limit = 10) {
+        return this.history.slice(-limit).reverse();
+    }
+
+    loadState() {
+        try {
+            const data = this.store.load();
+            if (data) {
+                Object.assign(this.settings, data.settings || {});
+                this.history = data.history || [];
+            }
+        } catch (error) {
+            console.error('❌ Error loading rebalancer state:', error.message);
+        }
+    }
+
+    saveState() {
+        try {
+            this.store.save({ settings: this.settings, history: this.history });
+        } catch (error) {
+            console.error('❌ Error saving rebalancer state:', error.message);
+        }
+    }
+}
+
+module.exports = PortfolioRebalancer;
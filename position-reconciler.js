@@ -0,0 +1,472 @@
+/**
+ * ALGORITMIT Position Reconciler
+ * Compares tracked positions (StrategyBuilder + TradingStrategy) with on-chain ERC20 balances,
+ * scans recent Transfer logs for the bot's own swaps, and adopts, closes or flags mismatches
+ */
+
+const { ethers } = require('ethers');
+const EventEmitter = require('events');
+
+class PositionReconciler extends EventEmitter {
+    constructor(strategyBuilder, tradingStrategy, tokenDiscovery, config = {}) {
+        super();
+        this.strategyBuilder = strategyBuilder;
+        this.tradingStrategy = tradingStrategy;
+        this.tokenDiscovery = tokenDiscovery;
+        this.config = config;
+
+        this.priceDatabase = null; // Current prices for adopted cost basis
+        this.tradeJournal = null;  // Known transaction hashes
+
+        // How far back to scan Transfer logs (Worldchain ~2s blocks: 5000 ≈ 3 hours)
+        this.lookbackBlocks = config.reconcileLookbackBlocks || parseInt(process.env.RECONCILE_LOOKBACK_BLOCKS) || 5000;
+        this.logChunkSize = 1000; // Public RPCs cap getLogs ranges
+
+        // Differences below this are rounding/dust, not a mismatch
+        this.tolerancePercent = config.reconcileTolerancePercent || 0.5;
+
+        this.TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        this.decimalsCache = new Map();
+        this.lastReport = null;
+    }
+
+    // Set price database for valuing adopted balances
+    setPriceDatabase(priceDatabase) {
+        this.priceDatabase = priceDatabase;
+    }
+
+    // Set trade journal for recognising swaps the bot already recorded
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+
+    // Open live (non-paper) positions grouped by wallet + token
+    collectTrackedPositions(wallets) {
+        const groups = new Map();
+        const defaultWallet = wallets[0] ? wallets[0].address : null;
+
+        const add = (walletAddress, tokenAddress, entry) => {
+            if (!walletAddress || !tokenAddress) return;
+
+            const key = `${walletAddress.toLowerCase()}:${tokenAddress.toLowerCase()}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    wallet: walletAddress.toLowerCase(),
+                    tokenAddress: tokenAddress.toLowerCase(),
+                    symbol: entry.symbol,
+                    tracked: 0,
+                    positions: []
+                });
+            }
+
+            const group = groups.get(key);
+            group.tracked += entry.quantity;
+            group.symbol = group.symbol || entry.symbol;
+            group.positions.push(entry);
+        };
+
+        for (const strategy of this.strategyBuilder.getAllStrategies()) {
+            for (const position of strategy.positions || []) {
+                if (position.status !== 'open' || position.paper) continue;
+
+                add(position.walletAddress || strategy.walletAddress || defaultWallet, strategy.targetToken, {
+                    source: 'strategy',
+                    id: position.id,
+                    strategyId: strategy.id,
+                    strategyName: strategy.name,
+                    symbol: strategy.tokenSymbol,
+                    quantity: position.entryAmountToken,
+                    costWLD: position.entryAmountWLD,
+                    entryTimestamp: position.entryTimestamp
+                });
+            }
+        }
+
+        for (const position of this.tradingStrategy.positions.values()) {
+            if (position.status !== 'open' || position.paper) continue;
+
+            add(position.walletAddress || defaultWallet, position.tokenAddress, {
+                source: 'trading',
+                id: position.id,
+                symbol: position.tokenSymbol || null,
+                quantity: position.entryAmountToken,
+                costWLD: position.entryAmountWLD,
+                entryTimestamp: position.entryTimestamp
+            });
+        }
+
+        return groups;
+    }
+
+    // Transaction hashes the bot already knows about (journal + position records)
+    getKnownTxHashes() {
+        const known = new Set();
+        const addHash = (hash) => { if (hash) known.add(hash.toLowerCase()); };
+
+        if (this.tradeJournal) {
+            this.tradeJournal.readAll().forEach(trade => addHash(trade.txHash));
+        }
+
+        for (const strategy of this.strategyBuilder.getAllStrategies()) {
+            for (const position of strategy.positions || []) {
+                addHash(position.entryTxHash);
+                addHash(position.exitTxHash);
+            }
+        }
+
+        for (const position of this.tradingStrategy.positions.values()) {
+            (position.trades || []).forEach(trade => addHash(trade.txHash));
+            addHash(position.entryTxHash);
+            addHash(position.exitTxHash);
+        }
+
+        return known;
+    }
+
+    // Token decimals (cached)
+    async getDecimals(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (!this.decimalsCache.has(key)) {
+            const contract = new ethers.Contract(tokenAddress, this.tokenDiscovery.ERC20_ABI, this.tokenDiscovery.provider);
+            this.decimalsCache.set(key, Number(await contract.decimals()));
+        }
+        return this.decimalsCache.get(key);
+    }
+
+    // Transfer logs into and out of a wallet over the lookback window
+    async scanTransfers(walletAddress, fromBlock, toBlock) {
+        const provider = this.tokenDiscovery.provider;
+        const padded = ethers.zeroPadValue(walletAddress.toLowerCase(), 32);
+        const transfers = [];
+
+        for (let start = fromBlock; start <= toBlock; start += this.logChunkSize) {
+            const end = Math.min(start + this.logChunkSize - 1, toBlock);
+
+            const [incoming, outgoing] = await Promise.all([
+                provider.getLogs({ fromBlock: start, toBlock: end, topics: [this.TRANSFER_TOPIC, null, padded] }),
+                provider.getLogs({ fromBlock: start, toBlock: end, topics: [this.TRANSFER_TOPIC, padded] })
+            ]);
+
+            for (const [logs, direction] of [[incoming, 'in'], [outgoing, 'out']]) {
+                for (const log of logs) {
+                    // ERC721 transfers index the token id (4 topics) - skip them
+                    if (log.topics.length !== 3) continue;
+
+                    transfers.push({
+                        tokenAddress: log.address.toLowerCase(),
+                        direction,
+                        rawAmount: BigInt(log.data),
+                        txHash: log.transactionHash.toLowerCase(),
+                        blockNumber: log.blockNumber
+                    });
+                }
+            }
+        }
+
+        return transfers;
+    }
+
+    // Swaps sent from the wallet itself that are missing from the journal and positions
+    async findUnrecordedSwaps(walletAddress, knownHashes) {
+        const provider = this.tokenDiscovery.provider;
+        const toBlock = await provider.getBlockNumber();
+        const fromBlock = Math.max(0, toBlock - this.lookbackBlocks);
+
+        const transfers = await this.scanTransfers(walletAddress, fromBlock, toBlock);
+
+        const byTx = new Map();
+        for (const transfer of transfers) {
+            if (knownHashes.has(transfer.txHash)) continue;
+            if (!byTx.has(transfer.txHash)) byTx.set(transfer.txHash, []);
+            byTx.get(transfer.txHash).push(transfer);
+        }
+
+        const swaps = [];
+        for (const [txHash, txTransfers] of byTx) {
+            // A swap moves WLD one way and the token the other
+            const wld = txTransfers.find(t => t.tokenAddress === this.WLD_ADDRESS);
+            const token = txTransfers.find(t => t.tokenAddress !== this.WLD_ADDRESS && t.direction !== (wld && wld.direction));
+            if (!wld || !token) continue;
+
+            // Only the bot's own transactions (sent from this wallet)
+            const tx = await provider.getTransaction(txHash);
+            if (!tx || tx.from.toLowerCase() !== walletAddress.toLowerCase()) continue;
+
+            const decimals = await this.getDecimals(token.tokenAddress);
+            swaps.push({
+                txHash,
+                blockNumber: token.blockNumber,
+                tokenAddress: token.tokenAddress,
+                side: token.direction === 'in' ? 'buy' : 'sell',
+                tokenAmount: parseFloat(ethers.formatUnits(token.rawAmount, decimals)),
+                wldAmount: parseFloat(ethers.formatEther(wld.rawAmount))
+            });
+        }
+
+        return swaps;
+    }
+
+    // Build the diff between tracked positions and on-chain balances
+    async reconcile(wallets, options = {}) {
+        const liveWallets = wallets.filter(w => w.address);
+        const groups = this.collectTrackedPositions(liveWallets);
+        const knownHashes = this.getKnownTxHashes();
+        const walletNames = new Map(liveWallets.map(w => [w.address.toLowerCase(), w.name]));
+        const scanErrors = [];
+
+        // Tokens touched by unrecorded swaps are checked even without a tracked position
+        const unrecorded = new Map(); // wallet -> swaps
+        if (options.scanTransfers !== false) {
+            for (const wallet of liveWallets) {
+                try {
+                    unrecorded.set(wallet.address.toLowerCase(), await this.findUnrecordedSwaps(wallet.address, knownHashes));
+                } catch (error) {
+                    scanErrors.push(`${wallet.name || wallet.address}: ${error.message}`);
+                    console.log(`⚠️  Transfer log scan failed for ${wallet.name || wallet.address}: ${error.message}`);
+                }
+            }
+        }
+
+        for (const [walletAddress, swaps] of unrecorded) {
+            for (const swap of swaps) {
+                const key = `${walletAddress}:${swap.tokenAddress}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { wallet: walletAddress, tokenAddress: swap.tokenAddress, symbol: null, tracked: 0, positions: [] });
+                }
+            }
+        }
+
+        const items = [];
+        for (const group of groups.values()) {
+            let onChain;
+            try {
+                onChain = parseFloat(await this.tokenDiscovery.getTokenBalance(group.wallet, group.tokenAddress, true));
+            } catch (error) {
+                scanErrors.push(`${group.symbol || group.tokenAddress}: ${error.message}`);
+                continue; // Never treat an RPC failure as an empty wallet
+            }
+
+            const difference = onChain - group.tracked;
+            const tolerance = Math.max(group.tracked, onChain) * (this.tolerancePercent / 100);
+            const status = Math.abs(difference) <= tolerance ? 'ok' : (difference > 0 ? 'untracked' : 'missing');
+
+            items.push({
+                id: `${group.wallet}:${group.tokenAddress}`,
+                wallet: group.wallet,
+                walletName: walletNames.get(group.wallet) || null,
+                tokenAddress: group.tokenAddress,
+                symbol: group.symbol || (this.tradeJournal ? this.tradeJournal.getSymbol(group.tokenAddress) : group.tokenAddress),
+                tracked: group.tracked,
+                onChain,
+                difference,
+                status,
+                suggestion: status === 'untracked' ? 'adopt' : (status === 'missing' ? 'close' : null),
+                positions: group.positions,
+                evidence: (unrecorded.get(group.wallet) || []).filter(s => s.tokenAddress === group.tokenAddress)
+            });
+        }
+
+        this.lastReport = {
+            timestamp: Date.now(),
+            lookbackBlocks: this.lookbackBlocks,
+            items,
+            mismatches: items.filter(item => item.status !== 'ok'),
+            errors: scanErrors
+        };
+
+        this.emit('reconciled', this.lastReport);
+        return this.lastReport;
+    }
+
+    // Find a strategy position object by id
+    findPosition(entry) {
+        if (entry.source === 'strategy') {
+            const strategy = this.strategyBuilder.getStrategy(entry.strategyId);
+            return strategy ? (strategy.positions || []).find(p => p.id === entry.id) : null;
+        }
+        return Array.from(this.tradingStrategy.positions.values()).find(p => p.id === entry.id) || null;
+    }
+
+    // Persist whichever stores were touched
+    async saveSources(sources) {
+        if (sources.has('strategy')) this.strategyBuilder.saveStrategies();
+        if (sources.has('trading')) await this.tradingStrategy.savePositions();
+    }
+
+    // Track an untracked on-chain balance as a new open position
+    async adopt(item) {
+        if (item.status !== 'untracked') {
+            throw new Error(`Nothing to adopt for ${item.symbol} (status: ${item.status})`);
+        }
+
+        const quantity = item.difference;
+
+        // Cost basis: unrecorded buys first, otherwise the current price
+        const buys = item.evidence.filter(s => s.side === 'buy');
+        const boughtTokens = buys.reduce((sum, s) => sum + s.tokenAmount, 0);
+        const boughtWLD = buys.reduce((sum, s) => sum + s.wldAmount, 0);
+        const currentPrice = this.priceDatabase ? this.priceDatabase.getCurrentPrice(item.tokenAddress) : null;
+        const price = boughtTokens > 0 ? boughtWLD / boughtTokens : (currentPrice || 0);
+
+        if (!price) {
+            console.log(`⚠️  No cost basis for ${item.symbol} - adopting with 0 WLD cost`);
+        }
+
+        const entryTxHash = buys.length > 0 ? buys[buys.length - 1].txHash : null;
+        const strategy = this.strategyBuilder.getAllStrategies().find(s =>
+            s.targetToken && s.targetToken.toLowerCase() === item.tokenAddress &&
+            (!s.walletAddress || s.walletAddress.toLowerCase() === item.wallet));
+
+        let position;
+        if (strategy) {
+            position = {
+                id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                strategyId: strategy.id,
+                tokenAddress: item.tokenAddress,
+                walletAddress: item.wallet,
+                status: 'open',
+                paper: false,
+                adopted: true,
+                entryPrice: price,
+                entryAmountWLD: quantity * price,
+                entryAmountToken: quantity,
+                entryTimestamp: Date.now(),
+                entryTxHash,
+                profitTarget: strategy.profitTarget,
+                targetPrice: price * (1 + strategy.profitTarget / 100),
+                unrealizedPnL: 0,
+                unrealizedPnLPercent: 0
+            };
+            strategy.positions = strategy.positions || [];
+            strategy.positions.push(position);
+            this.strategyBuilder.saveStrategies();
+        } else {
+            const existing = this.tradingStrategy.positions.get(item.tokenAddress);
+            if (existing && existing.status === 'open') {
+                // One TradingStrategy position per token - top it up
+                existing.entryAmountToken += quantity;
+                existing.entryAmountWLD += quantity * price;
+                existing.adopted = true;
+                position = existing;
+            } else {
+                const config = this.tradingStrategy.strategyConfig;
+                const cost = quantity * price;
+                position = {
+                    id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    tokenAddress: item.tokenAddress,
+                    walletAddress: item.wallet,
+                    status: 'open',
+                    paper: false,
+                    adopted: true,
+                    entryAmountWLD: cost,
+                    entryAmountToken: quantity,
+                    executedRate: price ? 1 / price : 0,
+                    entryTimestamp: Date.now(),
+                    entryTxHash,
+                    profitTargetWLD: cost * (1 + config.profitTarget / 100),
+                    stopLossWLD: cost * (1 + config.stopLossThreshold / 100),
+                    currentWLDValue: cost,
+                    currentValue: cost,
+                    unrealizedPnL: 0,
+                    unrealizedPnLPercent: 0,
+                    canExecuteReverseSwap: false,
+                    profitTarget: config.profitTarget,
+                    stopLoss: config.stopLossThreshold,
+                    highestWLDValue: cost,
+                    trailingStopWLDValue: null,
+                    entryPrice: price,
+                    currentPrice: price,
+                    highestPrice: price,
+                    trailingStopPrice: null,
+                    trades: [{ type: 'adopt', timestamp: Date.now(), amountWLD: cost, amountToken: quantity, txHash: entryTxHash, price }]
+                };
+                this.tradingStrategy.positions.set(item.tokenAddress, position);
+            }
+            await this.tradingStrategy.savePositions();
+        }
+
+        console.log(`📥 Adopted ${quantity.toFixed(6)} ${item.symbol} into ${strategy ? `strategy ${strategy.name}` : 'the position tracker'}`);
+        this.emit('positionAdopted', { item, position, strategyId: strategy ? strategy.id : null });
+        return position;
+    }
+
+    // Close tracked positions that are no longer held on-chain (newest first)
+    async close(item) {
+        if (item.status !== 'missing') {
+            throw new Error(`Nothing to close for ${item.symbol} (status: ${item.status})`);
+        }
+
+        const sells = item.evidence.filter(s => s.side === 'sell');
+        const exitTxHash = sells.length > 0 ? sells[sells.length - 1].txHash : null;
+        const exitPrice = sells.length > 0
+            ? sells.reduce((sum, s) => sum + s.wldAmount, 0) / sells.reduce((sum, s) => sum + s.tokenAmount, 0)
+            : null;
+
+        let excess = item.tracked - item.onChain;
+        const sources = new Set();
+        const closed = [];
+
+        const entries = [...item.positions].sort((a, b) => (b.entryTimestamp || 0) - (a.entryTimestamp || 0));
+        for (const entry of entries) {
+            if (excess <= 0) break;
+
+            const position = this.findPosition(entry);
+            if (!position || position.status !== 'open') continue;
+
+            if (position.entryAmountToken <= excess + 0.000001) {
+                excess -= position.entryAmountToken;
+                position.status = 'closed';
+                position.exitTimestamp = Date.now();
+                position.exitTxHash = exitTxHash;
+                position.exitPrice = exitPrice;
+                position.exitAmountWLD = exitPrice ? position.entryAmountToken * exitPrice : null;
+                position.closeReason = 'reconciled';
+                closed.push(position.id);
+            } else {
+                // Partially sold - shrink the position to what is still held
+                const ratio = (position.entryAmountToken - excess) / position.entryAmountToken;
+                position.entryAmountToken -= excess;
+                position.entryAmountWLD *= ratio;
+                excess = 0;
+            }
+
+            sources.add(entry.source);
+        }
+
+        await this.saveSources(sources);
+
+        console.log(`📤 Closed ${closed.length} ${item.symbol} position(s) no longer held on-chain`);
+        this.emit('positionsClosed', { item, closed });
+        return closed;
+    }
+
+    // Mark positions for manual review without changing quantities
+    async flag(item, note = null) {
+        const flag = {
+            status: item.status,
+            tracked: item.tracked,
+            onChain: item.onChain,
+            note,
+            flaggedAt: Date.now()
+        };
+
+        const sources = new Set();
+        for (const entry of item.positions) {
+            const position = this.findPosition(entry);
+            if (position) {
+                position.reconcileFlag = flag;
+                sources.add(entry.source);
+            }
+        }
+
+        await this.saveSources(sources);
+
+        console.log(`🚩 Flagged ${item.symbol} for review (tracked ${item.tracked.toFixed(6)}, on-chain ${item.onChain.toFixed(6)})`);
+        this.emit('positionsFlagged', { item, flag });
+        return flag;
+    }
+}
+
+module.exports = PositionReconciler;
@@ -1,26 +1,58 @@
-const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const StateStore = require('./state-store');
+const TriggerExpression = require('./trigger-expression');
+const TechnicalIndicators = require('./technical-indicators');
+const CandleAggregator = require('./candle-aggregator');
+const JsonPriceStorage = require('./json-price-storage');
+const fs = require('fs');
+const Logger = require('./logger');
 
 class PriceDatabase extends EventEmitter {
     constructor(sinclaveEngine, config) {
         super();
         this.sinclaveEngine = sinclaveEngine;
         this.config = config;
+        this.logger = Logger.forModule('price');
+        this.triggerLog = Logger.forModule('trigger');
         
         // Core settings
         this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+        this.TRIGGER_CONDITIONS = ['price_drop', 'price_rise', 'below_sma', 'above_sma', 'price_below', 'price_above', 'expression'];
         this.updateInterval = config?.priceRefreshInterval || 2000; // Update every 2 seconds (configurable)
-        this.maxHistoryAge = 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.tickRetention = (config?.tickRetentionHours || parseInt(process.env.PRICE_TICK_RETENTION_HOURS) || 6) * 60 * 60 * 1000; // Raw ticks; older history lives in candles
+        this.candleAggregator = new CandleAggregator(config?.candleRetention);
         this.config = config; // Store config for dynamic updates
         
         // File paths
-        this.priceDbPath = path.join(process.cwd(), 'price-database.json');
         this.triggersPath = path.join(process.cwd(), 'price-triggers.json');
         
+        // Price history backend (JSON file or SQLite, see createStorage); triggers stay in a crash-safe JSON store
+        this.storage = PriceDatabase.createStorage(config);
+        this.lastSave = Date.now();
+        this.triggersStore = new StateStore(this.triggersPath, {
+            name: 'price-triggers',
+            version: 2,
+            migrations: {
+                1: (data) => ({ triggers: data.triggers || {} }), // Drop the legacy version/timestamp fields
+                2: (data) => {
+                    // Order lifecycle: open -> filled | expired | cancelled
+                    for (const trigger of Object.values(data.triggers)) {
+                        trigger.status = trigger.triggerCount >= trigger.maxTriggers ? 'filled' : 'open';
+                        trigger.expiresAt = trigger.expiresAt || null;
+                        trigger.ocoGroup = trigger.ocoGroup || null;
+                    }
+                    return data;
+                }
+            }
+        });
+        
         // In-memory data structures
         this.priceData = new Map(); // tokenAddress -> price history
         this.activeTriggers = new Map(); // triggerId -> trigger config
+        this.compiledExpressions = new Map(); // triggerId -> parsed TriggerExpression
+        this.indicators = new TechnicalIndicators(config?.indicators);
+        this.indicatorStates = new Map(); // tokenAddress -> incremental indicator state (rebuilt from stored ticks)
         this.trackedTokens = new Set(); // Set of token addresses to track
         
         // Background monitoring
@@ -35,6 +67,9 @@ class PriceDatabase extends EventEmitter {
         
         // Logging callback for smart logging
         this.loggingCallback = null;
+        
+        // Trade journal for executed triggers
+        this.tradeJournal = null;
     }
     
     // Set logging callback
@@ -42,6 +77,11 @@ class PriceDatabase extends EventEmitter {
         this.loggingCallback = callback;
     }
     
+    // Set trade journal for recording executed triggers
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+    
     // Set price refresh interval dynamically
     setPriceRefreshInterval(intervalMs) {
         const oldInterval = this.updateInterval;
@@ -87,6 +127,8 @@ class PriceDatabase extends EventEmitter {
         
         // Add to trade history
         priceData.tradeHistory.push(trade);
+        this.storage.recordTrade(tokenAddress, trade);
+        this.storage.recordCandles(tokenAddress, this.candleAggregator.addVolume(priceData.candles, timestamp, trade.value));
         
         // Update trade statistics
         if (tradeType === 'buy') {
@@ -304,7 +346,7 @@ class PriceDatabase extends EventEmitter {
         if (this.loggingCallback) {
             this.loggingCallback(message, type);
         } else {
-            console.log(message);
+            this.logger[type === 'error' ? 'error' : 'info'](message);
         }
     }
     
@@ -348,7 +390,8 @@ class PriceDatabase extends EventEmitter {
                 address: tokenAddress,
                 symbol: tokenInfo.symbol || 'Unknown',
                 name: tokenInfo.name || 'Unknown Token',
-                prices: [], // Array of {timestamp, price, volume?} objects
+                prices: [], // Raw ticks {timestamp, price, source}, kept for tickRetention
+                candles: this.candleAggregator.createCandles(), // 1m / 5m / 1h / 1d OHLCV candles
                 smaCache: {
                     '5min': { values: [], average: 0, lastUpdate: 0 },
                     '1hour': { values: [], average: 0, lastUpdate: 0 },
@@ -506,10 +549,10 @@ class PriceDatabase extends EventEmitter {
                 }
             }
             
-            // Save to disk every 5 minutes (but only if we have data)
-            if (Date.now() % 300000 < this.updateInterval && (successful > 0 || cached > 0)) {
+            // Save to disk every storage.saveInterval (5 minutes for JSON, seconds for SQLite) if we have data
+            if (Date.now() - this.lastSave >= this.storage.saveInterval && (successful > 0 || cached > 0)) {
                 try {
-                    this.savePriceDatabase();
+                    this.savePriceDatabase(this.storage.incremental);
                 } catch (saveError) {
                     console.log(`⚠️  Error saving price database: ${saveError.message}`);
                 }
@@ -525,7 +568,7 @@ class PriceDatabase extends EventEmitter {
             }
             
         } catch (error) {
-            console.error('❌ Unexpected error in price update cycle:', error.message);
+            this.logger.error(`❌ Unexpected error in price update cycle: ${error.message}`);
         }
     }
     
@@ -587,11 +630,14 @@ class PriceDatabase extends EventEmitter {
             // If we got a valid price from any source, update the data
             if (currentPrice && currentPrice > 0) {
                 // Add to price history
-                priceData.prices.push({
+                const tick = {
                     timestamp,
                     price: currentPrice,
                     source: priceSource
-                });
+                };
+                priceData.prices.push(tick);
+                this.storage.recordTick(tokenAddress, tick);
+                this.storage.recordCandles(tokenAddress, this.candleAggregator.addTick(priceData.candles, currentPrice, timestamp));
                 
                 // Update current price and metadata
                 priceData.currentPrice = currentPrice;
@@ -599,6 +645,8 @@ class PriceDatabase extends EventEmitter {
                 priceData.priceSource = priceSource;
                 priceData.consecutiveFailures = 0; // Reset failure count on success
                 
+                this.updateIndicators(tokenAddress, currentPrice, timestamp);
+                
                 // Calculate 24h price change
                 const price24hAgo = this.getPriceAtTime(tokenAddress, timestamp - 86400000); // 24 hours ago
                 if (price24hAgo > 0) {
@@ -636,7 +684,7 @@ class PriceDatabase extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Unexpected error updating price for ${tokenAddress}:`, error.message);
+            this.logger.error(`❌ Unexpected error updating price for ${tokenAddress}: ${error.message}`);
             
             // Track failure
             priceData.consecutiveFailures = (priceData.consecutiveFailures || 0) + 1;
@@ -646,18 +694,21 @@ class PriceDatabase extends EventEmitter {
         }
     }
     
-    // Clean old price data to manage memory
+    // Clean old price data to manage memory (ticks beyond tickRetention are already in candles)
     cleanOldPriceData(tokenAddress) {
         const priceData = this.priceData.get(tokenAddress.toLowerCase());
         if (!priceData) return;
         
-        const cutoffTime = Date.now() - this.maxHistoryAge;
+        const now = Date.now();
+        const cutoffTime = now - this.tickRetention;
         const originalLength = priceData.prices.length;
         
         priceData.prices = priceData.prices.filter(p => p.timestamp >= cutoffTime);
+        const removedCandles = this.candleAggregator.compact(priceData.candles, now);
         
-        if (priceData.prices.length < originalLength) {
-            console.log(`🧹 Cleaned ${originalLength - priceData.prices.length} old price records for ${priceData.symbol}`);
+        if (priceData.prices.length < originalLength || removedCandles > 0) {
+            this.storage.prune(tokenAddress, cutoffTime, this.candleAggregator.cutoffs(now));
+            console.log(`🧹 Compacted ${priceData.symbol}: ${originalLength - priceData.prices.length} old ticks, ${removedCandles} expired candles`);
         }
     }
     
@@ -732,62 +783,121 @@ class PriceDatabase extends EventEmitter {
     calculateSMAs(tokenAddress, priceData) {
         const now = Date.now();
         
-        // SMA timeframes in milliseconds
-        const smaTimeframes = {
-            '5min': 5 * 60 * 1000,
-            '1hour': 60 * 60 * 1000,
-            '6hour': 6 * 60 * 60 * 1000,
-            '24hour': 24 * 60 * 60 * 1000,
-            '1day': 24 * 60 * 60 * 1000,
-            '7day': 7 * 24 * 60 * 60 * 1000
-        };
-        
-        for (const [period, timeframeMs] of Object.entries(smaTimeframes)) {
-            const cutoffTime = now - timeframeMs;
+        // Each window reads the finest resolution that covers it (ticks for 5min, candles for 7day)
+        for (const [period, timeframeMs] of Object.entries(TechnicalIndicators.SMA_TIMEFRAMES)) {
+            const series = this.candleAggregator.series(priceData.prices, priceData.candles, now - timeframeMs, now);
+            const sma = this.indicators.calculateSMA(series, timeframeMs, now);
             
-            // Get prices within this timeframe
-            const periodPrices = priceData.prices.filter(p => p.timestamp >= cutoffTime);
-            
-            if (periodPrices.length >= 3) { // Need at least 3 data points
-                const prices = periodPrices.map(p => p.price);
-                const sum = prices.reduce((a, b) => a + b, 0);
-                const average = sum / prices.length;
-                
-                priceData.smaCache[period] = {
-                    values: prices,
-                    average: average,
-                    dataPoints: prices.length,
-                    timeframe: timeframeMs,
-                    lastUpdate: now
-                };
+            if (sma.dataPoints >= 3) { // Need at least 3 data points
+                priceData.smaCache[period] = sma;
             }
         }
     }
     
+    // Feed a new tick into the token's indicator state
+    updateIndicators(tokenAddress, price, timestamp) {
+        const state = this.indicatorStates.get(tokenAddress.toLowerCase());
+        if (state) {
+            this.indicators.update(state, price, timestamp);
+        }
+        // No state yet: getIndicators replays the stored ticks (including this one) on first use
+    }
+    
+    // EMA, RSI, MACD, Bollinger Bands, ATR and TWAP for a token
+    getIndicators(tokenAddress) {
+        const address = tokenAddress.toLowerCase();
+        const priceData = this.priceData.get(address);
+        if (!priceData) return null;
+        
+        let state = this.indicatorStates.get(address);
+        if (!state) {
+            state = this.indicators.replay(priceData.prices);
+            this.indicatorStates.set(address, state);
+        }
+        
+        return this.indicators.snapshot(state, priceData.currentPrice);
+    }
+    
     // Get current price for a token
     getCurrentPrice(tokenAddress) {
         const priceData = this.priceData.get(tokenAddress.toLowerCase());
         return priceData ? priceData.currentPrice : 0;
     }
     
-    // Get price at specific time (or closest available)
+    // Get price at specific time (closest tick, or closest candle close for older history)
     getPriceAtTime(tokenAddress, timestamp) {
         const priceData = this.priceData.get(tokenAddress.toLowerCase());
-        if (!priceData || priceData.prices.length === 0) return 0;
+        if (!priceData) return 0;
+        
+        return this.candleAggregator.priceAt(priceData.prices, priceData.candles, timestamp);
+    }
+    
+    // {timestamp, price} points since a time, at the finest resolution covering it
+    getSeries(tokenAddress, fromTimestamp) {
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) return [];
         
-        // Find closest price to the requested timestamp
-        let closestPrice = priceData.prices[0];
-        let minTimeDiff = Math.abs(priceData.prices[0].timestamp - timestamp);
+        return this.candleAggregator.series(priceData.prices, priceData.candles, fromTimestamp);
+    }
+    
+    // Whole stored history: daily candles up to where finer data starts, down to raw ticks
+    getFullHistory(tokenAddress) {
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) return [];
         
-        for (const price of priceData.prices) {
-            const timeDiff = Math.abs(price.timestamp - timestamp);
-            if (timeDiff < minTimeDiff) {
-                minTimeDiff = timeDiff;
-                closestPrice = price;
-            }
+        return this.candleAggregator.stitch(priceData.prices, priceData.candles);
+    }
+    
+    // OHLCV candles for a resolution ('1m', '5m', '1h', '1d')
+    getCandles(tokenAddress, resolution = '1h', fromTimestamp = 0) {
+        if (!CandleAggregator.RESOLUTIONS[resolution]) {
+            throw new Error(`Unknown candle resolution '${resolution}' (use ${Object.keys(CandleAggregator.RESOLUTIONS).join(', ')})`);
+        }
+        
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) return [];
+        
+        return (priceData.candles[resolution] || []).filter(candle => candle.t >= fromTimestamp);
+    }
+    
+    // Export candles to CSV (default: candles-<symbol>-<resolution>.csv in the working directory)
+    exportCandlesCSV(tokenAddress, resolution = '1h', filePath = null) {
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) {
+            throw new Error(`Token ${tokenAddress} not found in price database`);
+        }
+        
+        const candles = this.getCandles(tokenAddress, resolution);
+        const target = filePath || path.join(process.cwd(), `candles-${priceData.symbol}-${resolution}.csv`);
+        fs.writeFileSync(target, this.candleAggregator.toCSV(candles));
+        
+        console.log(`📤 Exported ${candles.length} ${resolution} candles for ${priceData.symbol} to ${target}`);
+        return { filePath: target, count: candles.length };
+    }
+    
+    // Import candles from CSV; coarser resolutions are filled in where they have no data
+    importCandlesCSV(tokenAddress, filePath, resolution = '1h') {
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData) {
+            throw new Error(`Token ${tokenAddress} not found in price database - add it to tracking first`);
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`CSV file not found: ${filePath}`);
+        }
+        
+        const { candles, skipped } = this.candleAggregator.parseCSV(fs.readFileSync(filePath, 'utf8'), resolution);
+        if (candles.length === 0) {
+            throw new Error(`No valid candle rows found in ${filePath}`);
         }
         
-        return closestPrice.price;
+        const result = this.candleAggregator.merge(priceData.candles, resolution, candles);
+        const expired = this.candleAggregator.compact(priceData.candles);
+        this.storage.replaceCandles(tokenAddress, priceData.candles);
+        this.calculateSMAs(tokenAddress, priceData);
+        this.savePriceDatabase();
+        
+        console.log(`📥 Imported ${result.imported} ${resolution} candles for ${priceData.symbol} (${result.rolledUp} rolled up, ${skipped} rows skipped, ${expired} beyond retention)`);
+        return { ...result, skipped, expired };
     }
     
     // Get price change percentage over a time period
@@ -812,6 +922,22 @@ class PriceDatabase extends EventEmitter {
     createTrigger(config) {
         const triggerId = `trigger_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
+        if (!config.condition && config.expression) {
+            config = { ...config, condition: 'expression' };
+        }
+        
+        if (!this.TRIGGER_CONDITIONS.includes(config.condition)) {
+            throw new Error(`Unknown trigger condition '${config.condition}' (use ${this.TRIGGER_CONDITIONS.join(', ')})`);
+        }
+        
+        const absolute = this.isAbsoluteCondition(config.condition);
+        if (absolute && !(parseFloat(config.threshold) > 0)) {
+            throw new Error('Limit price must be a positive WLD price');
+        }
+        
+        // Composite conditions are parsed (and rejected if invalid) before anything is stored
+        const expression = config.condition === 'expression' ? new TriggerExpression(config.expression) : null;
+        
         const trigger = {
             id: triggerId,
             name: config.name || `${config.action} ${config.tokenSymbol} trigger`,
@@ -820,8 +946,9 @@ class PriceDatabase extends EventEmitter {
             
             // Trigger conditions
             action: config.action, // 'buy' or 'sell'
-            condition: config.condition, // 'price_drop', 'price_rise', 'below_sma', 'above_sma'
-            threshold: config.threshold, // Percentage or absolute value
+            condition: config.condition, // 'price_drop', 'price_rise', 'below_sma', 'above_sma', 'price_below', 'price_above', 'expression'
+            threshold: absolute ? parseFloat(config.threshold) : (expression ? null : config.threshold), // Percentage, or WLD price for price_below/price_above
+            expression: expression ? expression.toString() : null, // Canonical AND/OR expression text for 'expression'
             timeframe: config.timeframe || 300000, // Time window for condition (5 minutes default)
             
             // Trade parameters
@@ -830,36 +957,196 @@ class PriceDatabase extends EventEmitter {
             
             // State
             isActive: true,
+            status: 'open', // 'open', 'filled', 'expired', 'cancelled'
             createdAt: Date.now(),
             lastChecked: 0,
             triggerCount: 0,
             maxTriggers: config.maxTriggers || 1, // How many times this trigger can fire
             
+            // Good-til-time: the order expires unfilled after this timestamp (null = good til cancelled)
+            expiresAt: config.expiresAt || (config.expiresIn ? Date.now() + config.expiresIn : null),
+            
+            // One-cancels-other: a fill cancels every other open trigger in the same group
+            ocoGroup: config.ocoGroup || null,
+            
+            // Bracket (buys only): on fill, attach an OCO take-profit/stop pair for the tokens received
+            bracket: config.action === 'buy' && config.bracket ? {
+                takeProfitPercent: Math.abs(config.bracket.takeProfitPercent || 0),
+                stopLossPercent: Math.abs(config.bracket.stopLossPercent || 0),
+                expiresIn: config.bracket.expiresIn || null
+            } : null,
+            parentTriggerId: config.parentTriggerId || null,
+            
+            // Paper or live fill this order must use (bracket legs follow their parent's fill; null = current mode)
+            paper: typeof config.paper === 'boolean' ? config.paper : null,
+            
             // Wallet
             walletAddress: config.walletAddress
         };
         
         this.activeTriggers.set(triggerId, trigger);
+        if (expression) {
+            this.compiledExpressions.set(triggerId, expression);
+        }
         this.saveTriggers();
         
         console.log(`🎯 Created trigger: ${trigger.name}`);
-        console.log(`   📊 Condition: ${trigger.condition} ${trigger.threshold}% in ${this.formatTimeframe(trigger.timeframe)}`);
+        console.log(`   📊 Condition: ${this.describeTriggerCondition(trigger)}`);
         console.log(`   💰 Action: ${trigger.action} ${trigger.amount} ${trigger.action === 'buy' ? 'WLD' : trigger.tokenSymbol}`);
+        if (trigger.expiresAt) {
+            console.log(`   ⏳ Expires: ${new Date(trigger.expiresAt).toLocaleString()}`);
+        }
+        if (trigger.bracket) {
+            console.log(`   🎯 Bracket: take profit +${trigger.bracket.takeProfitPercent}% / stop -${trigger.bracket.stopLossPercent}% after fill`);
+        }
+        
+        return trigger;
+    }
+    
+    // Absolute conditions compare the price with a fixed WLD level (limit/stop orders)
+    isAbsoluteCondition(condition) {
+        return condition === 'price_below' || condition === 'price_above';
+    }
+    
+    // Human readable trigger condition
+    describeTriggerCondition(trigger) {
+        switch (trigger.condition) {
+            case 'price_below':
+                return `price ≤ ${trigger.threshold} WLD`;
+            case 'price_above':
+                return `price ≥ ${trigger.threshold} WLD`;
+            case 'expression':
+                return `when ${trigger.expression}`;
+            default:
+                return `${trigger.condition} ${trigger.threshold}% in ${this.formatTimeframe(trigger.timeframe)}`;
+        }
+    }
+    
+    // Limit order: buy at or below / sell at or above a price. Stop orders use stop: true (sell at or below)
+    createLimitOrder(config) {
+        const sellStop = config.action === 'sell' && config.stop === true;
+        const condition = config.action === 'buy' ? 'price_below' : (sellStop ? 'price_below' : 'price_above');
+        
+        return this.createTrigger({
+            ...config,
+            name: config.name || `${sellStop ? 'Stop' : 'Limit'} ${config.action} ${config.tokenSymbol} @ ${config.price}`,
+            condition,
+            threshold: config.price
+        });
+    }
+    
+    // Two orders where the first fill cancels the other (e.g. take profit + stop loss)
+    createOCO(firstConfig, secondConfig) {
+        const ocoGroup = `oco_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const first = this.createTrigger({ ...firstConfig, ocoGroup });
+        const second = this.createTrigger({ ...secondConfig, ocoGroup });
+        
+        console.log(`🔗 OCO pair: ${first.name} ⇄ ${second.name}`);
+        return [first, second];
+    }
+    
+    // Other open triggers in the same OCO group
+    getOCOPeers(trigger) {
+        if (!trigger.ocoGroup) return [];
+        return this.getAllTriggers().filter(t => t.ocoGroup === trigger.ocoGroup && t.id !== trigger.id);
+    }
+    
+    // Cancel an open trigger (kept for history, unlike deleteTrigger)
+    cancelTrigger(triggerId, reason = 'manual') {
+        const trigger = this.activeTriggers.get(triggerId);
+        if (!trigger) {
+            throw new Error(`Trigger ${triggerId} not found`);
+        }
+        if (trigger.status !== 'open') {
+            throw new Error(`Trigger ${trigger.name} is already ${trigger.status}`);
+        }
+        
+        trigger.status = 'cancelled';
+        trigger.isActive = false;
+        trigger.cancelledAt = Date.now();
+        trigger.cancelReason = reason;
+        this.saveTriggers();
+        
+        this.triggerLog.info(`🚫 Cancelled trigger: ${trigger.name} (${reason})`);
+        this.emit('triggerCancelled', { trigger, reason, timestamp: Date.now() });
+        return trigger;
+    }
+    
+    // Open orders that must fill on the paper ledger (bracket legs of paper buys)
+    getOpenPaperTriggers() {
+        return this.getAllTriggers().filter(t => t.status === 'open' && t.paper === true);
+    }
+    
+    // Get all triggers
+    getAllTriggers() {
+        return Array.from(this.activeTriggers.values());
+    }
+    
+    // Enable/Disable a trigger
+    setTriggerActive(triggerId, isActive) {
+        const trigger = this.activeTriggers.get(triggerId);
+        if (!trigger) {
+            throw new Error(`Trigger ${triggerId} not found`);
+        }
         
+        trigger.isActive = isActive;
+        this.saveTriggers();
+        
+        console.log(`${isActive ? '▶️' : '⏸️'} Trigger ${trigger.name}: ${isActive ? 'ACTIVE' : 'PAUSED'}`);
         return trigger;
     }
     
+    // Delete a trigger
+    deleteTrigger(triggerId) {
+        const trigger = this.activeTriggers.get(triggerId);
+        if (!trigger) {
+            throw new Error(`Trigger ${triggerId} not found`);
+        }
+        
+        this.activeTriggers.delete(triggerId);
+        this.compiledExpressions.delete(triggerId);
+        this.saveTriggers();
+        
+        console.log(`🗑️ Deleted trigger: ${trigger.name}`);
+        return true;
+    }
+    
     // Check all active triggers
     async checkAllTriggers() {
         if (this.activeTriggers.size === 0) return;
         
-        for (const [triggerId, trigger] of this.activeTriggers) {
+        // Snapshot: bracket legs created by a fill are first checked on the next pass
+        for (const trigger of Array.from(this.activeTriggers.values())) {
+            // OCO peers change status while the loop runs - re-check each time
+            if (trigger.status !== 'open') continue;
+            
+            if (trigger.expiresAt && Date.now() >= trigger.expiresAt) {
+                this.expireTrigger(trigger);
+                continue;
+            }
+            
             if (trigger.isActive && trigger.triggerCount < trigger.maxTriggers) {
                 await this.checkTrigger(trigger);
             }
         }
     }
     
+    // Good-til-time expiry (also expires the rest of its OCO group)
+    expireTrigger(trigger) {
+        trigger.status = 'expired';
+        trigger.isActive = false;
+        trigger.expiredAt = Date.now();
+        
+        this.triggerLog.info(`⌛ Trigger expired unfilled: ${trigger.name}`);
+        this.emit('triggerExpired', { trigger, timestamp: Date.now() });
+        
+        for (const peer of this.getOCOPeers(trigger)) {
+            if (peer.status === 'open') this.cancelTrigger(peer.id, 'oco_peer_expired');
+        }
+        
+        this.saveTriggers();
+    }
+    
     // Check a specific trigger
     async checkTrigger(trigger) {
         try {
@@ -901,19 +1188,148 @@ class PriceDatabase extends EventEmitter {
                         conditionDetails = `Price ${aboveSMA.toFixed(2)}% above SMA (need ${trigger.threshold}%)`;
                     }
                     break;
+                    
+                case 'price_below':
+                    conditionMet = currentPrice <= trigger.threshold;
+                    conditionDetails = `Price ${currentPrice.toFixed(8)} ≤ limit ${trigger.threshold} WLD`;
+                    break;
+                    
+                case 'price_above':
+                    conditionMet = currentPrice >= trigger.threshold;
+                    conditionDetails = `Price ${currentPrice.toFixed(8)} ≥ limit ${trigger.threshold} WLD`;
+                    break;
+                    
+                case 'expression':
+                    const evaluation = this.getCompiledExpression(trigger).evaluate(this.createExpressionResolver(trigger.tokenAddress));
+                    conditionMet = evaluation.met;
+                    conditionDetails = evaluation.details.join(' | ');
+                    break;
             }
             
             if (conditionMet) {
-                console.log(`🚨 TRIGGER ACTIVATED: ${trigger.name}`);
+                this.triggerLog.info(`🚨 TRIGGER ACTIVATED: ${trigger.name}`);
                 console.log(`   📊 ${conditionDetails}`);
-                console.log(`   💰 Executing ${trigger.action} order...`);
+                this.triggerLog.info(`   💰 Executing ${trigger.action} order...`);
                 
                 await this.executeTrigger(trigger);
             }
             
         } catch (error) {
-            console.error(`❌ Error checking trigger ${trigger.name}:`, error.message);
+            this.triggerLog.error(`❌ Error checking trigger ${trigger.name}: ${error.message}`);
+        }
+    }
+    
+    // Parsed expression for a trigger (parsed once, cached)
+    getCompiledExpression(trigger) {
+        let expression = this.compiledExpressions.get(trigger.id);
+        if (!expression) {
+            expression = new TriggerExpression(trigger.expression);
+            this.compiledExpressions.set(trigger.id, expression);
+        }
+        return expression;
+    }
+    
+    // Data source for expression evaluation; null means "not enough data yet"
+    createExpressionResolver(tokenAddress) {
+        const now = new Date();
+        let indicators;
+        const indicator = (read) => {
+            if (indicators === undefined) indicators = this.getIndicators(tokenAddress);
+            return indicators ? read(indicators) : null;
+        };
+        
+        return {
+            variable: (name) => {
+                switch (name) {
+                    case 'price': return this.getCurrentPrice(tokenAddress) || null;
+                    case 'macd': return indicator(i => i.macd && i.macd.macd);
+                    case 'macdsignal': return indicator(i => i.macd && i.macd.signal);
+                    case 'macdhist': return indicator(i => i.macd && i.macd.histogram);
+                    case 'bbupper': return indicator(i => i.bollinger && i.bollinger.upper);
+                    case 'bbmiddle': return indicator(i => i.bollinger && i.bollinger.middle);
+                    case 'bblower': return indicator(i => i.bollinger && i.bollinger.lower);
+                    case 'atr': return indicator(i => i.atr && i.atr.percent);
+                    case 'twap': return indicator(i => i.twap && i.twap.value);
+                    case 'hour': return now.getHours();
+                    case 'minute': return now.getMinutes();
+                    case 'time': return now.getHours() * 60 + now.getMinutes();
+                    case 'weekday': return now.getDay();
+                    default: return null;
+                }
+            },
+            call: (name, args) => {
+                switch (name) {
+                    case 'change': return this.getWindowChange(tokenAddress, args[0]);
+                    case 'drop': {
+                        const change = this.getWindowChange(tokenAddress, args[0]);
+                        return change === null ? null : -change;
+                    }
+                    case 'rise': return this.getWindowChange(tokenAddress, args[0]);
+                    case 'sma': return this.getSMA(tokenAddress, args[0]) || null;
+                    case 'high': {
+                        const prices = this.getPriceWindow(tokenAddress, args[0]);
+                        return prices.length > 0 ? Math.max(...prices) : null;
+                    }
+                    case 'low': {
+                        const prices = this.getPriceWindow(tokenAddress, args[0]);
+                        return prices.length > 0 ? Math.min(...prices) : null;
+                    }
+                    case 'volatility': return this.getVolatility(tokenAddress, args[0]);
+                    case 'rsi': return this.getRSI(tokenAddress, args[0] || this.indicators.settings.rsiPeriod);
+                    case 'ema': return this.getEMA(tokenAddress, args[0]);
+                    default: return null;
+                }
+            }
+        };
+    }
+    
+    // Prices recorded within the last timeframeMs
+    getPriceWindow(tokenAddress, timeframeMs) {
+        return this.getSeries(tokenAddress, Date.now() - timeframeMs).map(p => p.price);
+    }
+    
+    // Price change % over a window, null until the history covers (90% of) the window
+    getWindowChange(tokenAddress, timeframeMs) {
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        if (!priceData || priceData.prices.length === 0) return null;
+        if (Date.now() - this.candleAggregator.oldest(priceData.prices, priceData.candles) < timeframeMs * 0.9) return null;
+        
+        const change = this.getPriceChange(tokenAddress, timeframeMs);
+        return this.getCurrentPrice(tokenAddress) > 0 ? change : null;
+    }
+    
+    // Standard deviation of prices in a window as % of their mean
+    getVolatility(tokenAddress, timeframeMs) {
+        const prices = this.getPriceWindow(tokenAddress, timeframeMs);
+        if (prices.length < 3) return null; // Same minimum as calculateSMAs
+        
+        const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+        if (mean === 0) return null;
+        
+        return (this.indicators.standardDeviation(prices) / mean) * 100;
+    }
+    
+    // RSI over the stored ticks (the default period comes from the incremental state; periods the
+    // retained ticks cannot cover are computed from candle closes)
+    getRSI(tokenAddress, period = this.indicators.settings.rsiPeriod) {
+        if (period === this.indicators.settings.rsiPeriod) {
+            const indicators = this.getIndicators(tokenAddress);
+            return indicators ? indicators.rsi : null;
+        }
+        
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        return priceData ? this.indicators.rsi(this.candleAggregator.closes(priceData.prices, priceData.candles, period + 1), period) : null;
+    }
+    
+    // EMA over the stored ticks, or over candle closes for periods the retained ticks cannot cover
+    getEMA(tokenAddress, period) {
+        const indicators = this.getIndicators(tokenAddress);
+        if (indicators && indicators.ema[period] !== undefined) {
+            return indicators.ema[period];
         }
+        
+        const priceData = this.priceData.get(tokenAddress.toLowerCase());
+        return priceData ? this.indicators.ema(this.candleAggregator.closes(priceData.prices, priceData.candles, period), period) : null;
     }
     
     // Execute a trigger
@@ -922,7 +1338,7 @@ class PriceDatabase extends EventEmitter {
             // Find wallet object (this would need to be passed from main bot)
             const wallet = this.findWalletByAddress(trigger.walletAddress);
             if (!wallet) {
-                console.log(`❌ Wallet not found for trigger: ${trigger.walletAddress}`);
+                this.triggerLog.error(`❌ Wallet not found for trigger: ${trigger.walletAddress}`);
                 return;
             }
             
@@ -938,46 +1354,119 @@ class PriceDatabase extends EventEmitter {
                     trigger.maxSlippage
                 );
             } else if (trigger.action === 'sell') {
-                // Execute sell order
+                // Execute sell order (bracket legs sell on the ledger their parent bought on)
                 result = await this.sinclaveEngine.executeOptimizedSwap(
                     wallet,
                     trigger.tokenAddress,
                     this.WLD_ADDRESS,
                     trigger.amount,
-                    trigger.maxSlippage
+                    trigger.maxSlippage,
+                    { paper: trigger.paper, exit: true }
                 );
             }
             
             if (result && result.success) {
                 trigger.triggerCount++;
+                trigger.lastExecutionPaper = result.paper === true;
+                
+                if (this.tradeJournal) {
+                    const isBuy = trigger.action === 'buy';
+                    this.tradeJournal.recordSwap({
+                        source: 'trigger',
+                        wallet,
+                        tokenIn: isBuy ? this.WLD_ADDRESS : trigger.tokenAddress,
+                        tokenOut: isBuy ? trigger.tokenAddress : this.WLD_ADDRESS,
+                        amountIn: trigger.amount,
+                        result,
+                        tokenSymbol: trigger.tokenSymbol,
+                        strategyId: trigger.id,
+                        strategyName: trigger.name,
+                        reason: this.describeTriggerCondition(trigger)
+                    });
+                }
                 
-                console.log(`✅ TRIGGER EXECUTED SUCCESSFULLY!`);
-                console.log(`   💰 ${trigger.action === 'buy' ? 'Bought' : 'Sold'}: ${result.amountOut} ${trigger.action === 'buy' ? trigger.tokenSymbol : 'WLD'}`);
-                console.log(`   🧾 TX Hash: ${result.txHash}`);
-                console.log(`   🎯 Trigger count: ${trigger.triggerCount}/${trigger.maxTriggers}`);
+                this.triggerLog.info(`✅ TRIGGER EXECUTED SUCCESSFULLY!${result.paper ? ' 📝 [PAPER]' : ''}`, { trigger: trigger.id, correlationId: result.correlationId, paper: result.paper === true });
+                this.triggerLog.info(`   💰 ${trigger.action === 'buy' ? 'Bought' : 'Sold'}: ${result.amountOut} ${trigger.action === 'buy' ? trigger.tokenSymbol : 'WLD'}`, { trigger: trigger.id, correlationId: result.correlationId });
+                this.triggerLog.info(`   🧾 TX Hash: ${result.txHash}`, { trigger: trigger.id, correlationId: result.correlationId, txHash: result.txHash });
+                this.triggerLog.info(`   🎯 Trigger count: ${trigger.triggerCount}/${trigger.maxTriggers}`);
                 
                 // Deactivate if max triggers reached
                 if (trigger.triggerCount >= trigger.maxTriggers) {
                     trigger.isActive = false;
-                    console.log(`🛑 Trigger deactivated (max executions reached)`);
+                    trigger.status = 'filled';
+                    trigger.filledAt = Date.now();
+                    this.triggerLog.info(`🛑 Trigger deactivated (max executions reached)`);
+                }
+                
+                // One fill cancels the other orders in the group
+                for (const peer of this.getOCOPeers(trigger)) {
+                    if (peer.status === 'open') this.cancelTrigger(peer.id, 'oco_filled');
+                }
+                
+                if (trigger.bracket) {
+                    this.attachBracket(trigger, result);
                 }
                 
                 // Emit trigger execution event
                 this.emit('triggerExecuted', {
                     trigger,
                     result,
+                    paper: result.paper === true,
                     timestamp: Date.now()
                 });
                 
             } else {
-                console.log(`❌ TRIGGER EXECUTION FAILED: ${result ? result.error : 'Unknown error'}`);
+                this.triggerLog.error(`❌ TRIGGER EXECUTION FAILED: ${result ? result.error : 'Unknown error'}`, { trigger: trigger.id, correlationId: result ? result.correlationId : undefined });
             }
             
             this.saveTriggers();
             
         } catch (error) {
-            console.error(`❌ Error executing trigger:`, error.message);
+            this.triggerLog.error(`❌ Error executing trigger: ${error.message}`);
+        }
+    }
+    
+    // Attach the take-profit / stop OCO pair to a filled bracket buy
+    attachBracket(trigger, result) {
+        const tokensReceived = parseFloat(result.amountOut || result.tokensReceived || 0);
+        if (!(tokensReceived > 0)) {
+            this.triggerLog.warn(`⚠️  Bracket not attached to ${trigger.name}: fill size unknown`);
+            return [];
+        }
+        
+        const fillPrice = trigger.amount / tokensReceived; // WLD per token actually paid
+        const { takeProfitPercent, stopLossPercent, expiresIn } = trigger.bracket;
+        const base = {
+            tokenAddress: trigger.tokenAddress,
+            tokenSymbol: trigger.tokenSymbol,
+            action: 'sell',
+            amount: tokensReceived,
+            maxSlippage: trigger.maxSlippage,
+            walletAddress: trigger.walletAddress,
+            expiresIn,
+            parentTriggerId: trigger.id,
+            paper: result.paper === true
+        };
+        
+        const legs = [];
+        if (takeProfitPercent > 0) {
+            legs.push({ ...base, name: `${trigger.name} take profit`, condition: 'price_above', threshold: fillPrice * (1 + takeProfitPercent / 100) });
+        }
+        if (stopLossPercent > 0) {
+            legs.push({ ...base, name: `${trigger.name} stop`, condition: 'price_below', threshold: fillPrice * (1 - stopLossPercent / 100) });
         }
+        
+        let children;
+        if (legs.length === 2) {
+            children = this.createOCO(legs[0], legs[1]);
+        } else {
+            children = legs.map(leg => this.createTrigger(leg));
+        }
+        
+        trigger.bracketChildren = children.map(child => child.id);
+        console.log(`🎯 Bracket attached to ${trigger.name} (fill ${fillPrice.toFixed(8)} WLD)`);
+        this.emit('bracketAttached', { trigger, children, fillPrice, timestamp: Date.now() });
+        return children;
     }
     
     // Get price statistics for a token
@@ -996,57 +1485,60 @@ class PriceDatabase extends EventEmitter {
             sma1hour: this.getSMA(tokenAddress, '1hour'),
             sma6hour: this.getSMA(tokenAddress, '6hour'),
             sma24hour: this.getSMA(tokenAddress, '24hour'),
+            indicators: this.getIndicators(tokenAddress),
             lastUpdate: priceData.lastPriceUpdate,
-            dataPoints: priceData.prices.length
+            dataPoints: priceData.prices.length,
+            candles: Object.fromEntries(Object.entries(priceData.candles || {}).map(([resolution, list]) => [resolution, list.length]))
         };
     }
     
     // Load price database from disk
     loadPriceDatabase() {
         try {
-            if (fs.existsSync(this.priceDbPath)) {
-                const data = JSON.parse(fs.readFileSync(this.priceDbPath, 'utf8'));
-                
+            const data = this.storage.load();
+            if (data) {
                 // Restore price data
-                if (data.priceData) {
-                    for (const [tokenAddress, priceInfo] of Object.entries(data.priceData)) {
-                        this.priceData.set(tokenAddress, priceInfo);
-                        this.trackedTokens.add(tokenAddress);
-                    }
+                for (const [tokenAddress, priceInfo] of Object.entries(data.priceData)) {
+                    this.priceData.set(tokenAddress, priceInfo);
+                    this.trackedTokens.add(tokenAddress);
                 }
                 
-                console.log(`📊 Loaded price database: ${this.priceData.size} tokens, ${this.getTotalPricePoints()} price points`);
+                console.log(`📊 Loaded price database (${this.storage.type}): ${this.priceData.size} tokens, ${this.getTotalPricePoints()} price points`);
             }
         } catch (error) {
-            console.error('❌ Error loading price database:', error.message);
+            this.logger.error(`❌ Error loading price database: ${error.message}`);
         }
     }
     
-    // Save price database to disk
-    savePriceDatabase() {
+    // Save price database to disk (quiet for the frequent incremental saves of the price loop)
+    savePriceDatabase(quiet = false) {
         try {
-            const data = {
-                version: '1.0',
-                timestamp: Date.now(),
-                priceData: Object.fromEntries(this.priceData),
-                trackedTokens: Array.from(this.trackedTokens)
-            };
-            
-            fs.writeFileSync(this.priceDbPath, JSON.stringify(data, null, 2));
-            console.log(`💾 Saved price database: ${this.priceData.size} tokens`);
+            this.storage.save(this.priceData, this.trackedTokens);
+            this.lastSave = Date.now();
+            if (!quiet) {
+                console.log(`💾 Saved price database: ${this.priceData.size} tokens`);
+            }
         } catch (error) {
-            console.error('❌ Error saving price database:', error.message);
+            this.logger.error(`❌ Error saving price database: ${error.message}`);
         }
     }
     
     // Load triggers from disk
     loadTriggers() {
         try {
-            if (fs.existsSync(this.triggersPath)) {
-                const data = JSON.parse(fs.readFileSync(this.triggersPath, 'utf8'));
-                
+            const data = this.triggersStore.load();
+            if (data) {
                 if (data.triggers) {
                     for (const [triggerId, trigger] of Object.entries(data.triggers)) {
+                        // A hand-edited expression that no longer parses is paused instead of erroring on every check
+                        if (trigger.condition === 'expression') {
+                            try {
+                                this.compiledExpressions.set(triggerId, new TriggerExpression(trigger.expression));
+                            } catch (error) {
+                                this.triggerLog.error(`❌ Invalid expression in trigger ${trigger.name}: ${error.message}`);
+                                trigger.isActive = false;
+                            }
+                        }
                         this.activeTriggers.set(triggerId, trigger);
                     }
                 }
@@ -1054,23 +1546,35 @@ class PriceDatabase extends EventEmitter {
                 console.log(`🎯 Loaded ${this.activeTriggers.size} price triggers`);
             }
         } catch (error) {
-            console.error('❌ Error loading triggers:', error.message);
+            this.triggerLog.error(`❌ Error loading triggers: ${error.message}`);
         }
     }
     
     // Save triggers to disk
     saveTriggers() {
         try {
-            const data = {
-                version: '1.0',
-                timestamp: Date.now(),
+            this.triggersStore.save({
                 triggers: Object.fromEntries(this.activeTriggers)
-            };
-            
-            fs.writeFileSync(this.triggersPath, JSON.stringify(data, null, 2));
+            });
         } catch (error) {
-            console.error('❌ Error saving triggers:', error.message);
+            this.triggerLog.error(`❌ Error saving triggers: ${error.message}`);
+        }
+    }
+    
+    // Price history backend: 'json' (price-database.json, default) or 'sqlite' (price-database.sqlite,
+    // imports an existing price-database.json on first start). Shared with readers such as the backtest engine.
+    static createStorage(config = {}) {
+        const type = (config?.priceStorage || process.env.PRICE_STORAGE || 'json').toLowerCase();
+        
+        if (type === 'sqlite') {
+            // Loaded on demand so JSON-only installs do not need the native module
+            const SqlitePriceStorage = require('./sqlite-price-storage');
+            return new SqlitePriceStorage(path.join(process.cwd(), 'price-database.sqlite'));
+        }
+        if (type !== 'json') {
+            throw new Error(`Unknown PRICE_STORAGE '${type}' (use json or sqlite)`);
         }
+        return new JsonPriceStorage(path.join(process.cwd(), 'price-database.json'));
     }
     
     // Helper methods
@@ -1092,9 +1596,8 @@ class PriceDatabase extends EventEmitter {
         return `${minutes}min`;
     }
     
-    findWalletByAddress(address) {
-        // This method would need to be implemented to find wallet by address
-        // It should be connected to the main bot's wallet system
+    findWalletByAddress() {
+        // Placeholder: the main bot replaces this with a lookup in its wallet system
         return null;
     }
     
@@ -0,0 +1,196 @@
+/**
+ * ALGORITMIT Quote Guard
+ * Pre-trade sanity check run by executeOptimizedSwap before anything is sent. The quote's implied price is
+ * compared with the PriceDatabase current price and SMA, the quote's output with a Uniswap QuoterV2 quote
+ * (bad routes), and the quote's rate with a tiny reference quote (price impact). Only adverse differences
+ * count - paying more on a buy, receiving less on a sell. A check without reference data passes.
+ * On a violation the trade is refused, or - for interactive trades with action "confirm" - the user is asked.
+ * Limits can be overridden per call (strategies pass their quoteGuard settings); a limit of 0 disables that check.
+ * Risk-reducing exits (options.exit: stop-loss, trailing and other position sells) skip the SMA check and use the
+ * separate exitMaxImpactPercent unless the caller sets its own impact limit, so a crash cannot lock a position in
+ * with nobody there to confirm.
+ */
+
+const EventEmitter = require('events');
+
+class QuoteGuard extends EventEmitter {
+    constructor(sinclaveEngine, config = {}) {
+        super();
+        this.sinclaveEngine = sinclaveEngine;
+        this.config = config;
+
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+        this.QUOTE_RECEIVER = '0x0000000000000000000000000000000000000001';
+        this.referenceAmount = 0.01;
+
+        this.settings = {
+            enabled: config.quoteGuardEnabled !== undefined ? config.quoteGuardEnabled : process.env.QUOTE_GUARD_ENABLED !== 'false',
+            action: config.quoteGuardAction || process.env.QUOTE_GUARD_ACTION || 'confirm', // confirm | refuse | warn
+            maxDeviationPercent: this.limit(config.quoteGuardMaxDeviation, process.env.QUOTE_GUARD_MAX_DEVIATION, 10),
+            maxSmaDeviationPercent: this.limit(config.quoteGuardMaxSmaDeviation, process.env.QUOTE_GUARD_MAX_SMA_DEVIATION, 30),
+            smaPeriod: config.quoteGuardSmaPeriod || process.env.QUOTE_GUARD_SMA_PERIOD || '24hour',
+            maxRouteDeviationPercent: this.limit(config.quoteGuardMaxRouteDeviation, process.env.QUOTE_GUARD_MAX_ROUTE_DEVIATION, 5),
+            maxImpactPercent: this.limit(config.quoteGuardMaxImpact, process.env.QUOTE_GUARD_MAX_IMPACT, 5),
+            exitMaxImpactPercent: this.limit(config.quoteGuardExitMaxImpact, process.env.QUOTE_GUARD_EXIT_MAX_IMPACT, 25),
+            maxPriceAgeMs: this.limit(config.quoteGuardMaxPriceAgeMinutes, process.env.QUOTE_GUARD_MAX_PRICE_AGE_MINUTES, 15) * 60000
+        };
+
+        this.priceDatabase = null;
+        this.confirmHandler = null; // async (message) -> boolean, interactive sessions only
+    }
+
+    // Configured limit where 0 is a valid value (disables the check)
+    limit(configValue, envValue, fallback) {
+        if (configValue !== undefined && configValue !== null) return parseFloat(configValue);
+        if (envValue !== undefined && envValue !== '') return parseFloat(envValue);
+        return fallback;
+    }
+
+    // Set price database for current price and SMA references
+    setPriceDatabase(priceDatabase) {
+        this.priceDatabase = priceDatabase;
+    }
+
+    // Set how interactive trades ask for confirmation
+    setConfirmHandler(handler) {
+        this.confirmHandler = handler;
+    }
+
+    // Global settings with per-call overrides applied. Exits skip the SMA check and use the exit impact limit,
+    // unless the overrides set one: exitMaxImpactPercent, else the strategy's own maxImpactPercent
+    resolveSettings(overrides, exit = false) {
+        const own = overrides || {};
+        const settings = { ...this.settings, ...own };
+        if (exit) {
+            settings.maxSmaDeviationPercent = 0;
+            if (own.exitMaxImpactPercent === undefined && own.maxImpactPercent === undefined) {
+                settings.maxImpactPercent = settings.exitMaxImpactPercent;
+            } else if (own.exitMaxImpactPercent !== undefined) {
+                settings.maxImpactPercent = own.exitMaxImpactPercent;
+            }
+        }
+        return settings;
+    }
+
+    isEnabled(overrides) {
+        return this.resolveSettings(overrides).enabled !== false;
+    }
+
+    // Check a quote; returns the report when the trade may go ahead, throws when it is refused
+    async check(trade, options = {}) {
+        const settings = this.resolveSettings(options.guard, options.exit === true);
+        if (settings.enabled === false) return { passed: true, checks: [], violations: [] };
+
+        const report = await this.inspect(trade, settings);
+        if (report.violations.length === 0) return report;
+
+        const summary = report.violations.map(v => v.details).join('; ');
+        console.log(`🛡️  Quote guard: ${summary}`);
+
+        if (settings.action === 'warn') {
+            console.log('⚠️  Quote guard in warn mode - executing anyway');
+            return report;
+        }
+
+        if (settings.action === 'confirm' && options.interactive && this.confirmHandler) {
+            const confirmed = await this.confirmHandler(`🛡️  Quote guard flagged this trade: ${summary}`);
+            if (confirmed) {
+                console.log('⚠️  Quote guard overridden by user');
+                return report;
+            }
+        }
+
+        this.emit('tradeBlocked', { trade, report });
+        throw new Error(`Quote guard refused the trade: ${summary}`);
+    }
+
+    // Run every check that has a limit and reference data
+    async inspect(trade, settings) {
+        const amountIn = parseFloat(trade.amountIn);
+        const expectedOutput = parseFloat(trade.expectedOutput);
+        const checks = [];
+
+        if (!(amountIn > 0) || !(expectedOutput > 0)) {
+            checks.push({ name: 'quote', passed: false, details: `quote has no usable output (${trade.expectedOutput})` });
+            return { passed: false, checks, violations: checks };
+        }
+
+        const tokenIn = trade.tokenIn.toLowerCase();
+        const tokenOut = trade.tokenOut.toLowerCase();
+        const side = tokenIn === this.WLD_ADDRESS ? 'buy' : tokenOut === this.WLD_ADDRESS ? 'sell' : null;
+        const token = side === 'buy' ? tokenOut : tokenIn;
+        const quotePrice = side === 'buy' ? amountIn / expectedOutput : expectedOutput / amountIn; // WLD per token
+
+        // Adverse difference in percent: paying more than the reference on a buy, receiving less on a sell
+        const adverse = (reference) => side === 'buy'
+            ? ((quotePrice - reference) / reference) * 100
+            : ((reference - quotePrice) / reference) * 100;
+
+        if (side && this.priceDatabase) {
+            const priceData = this.priceDatabase.priceData.get(token);
+            const fresh = priceData && priceData.currentPrice > 0 && Date.now() - (priceData.lastPriceUpdate || 0) <= settings.maxPriceAgeMs;
+
+            if (settings.maxDeviationPercent > 0 && fresh) {
+                const deviation = adverse(priceData.currentPrice);
+                checks.push({
+                    name: 'price',
+                    value: deviation,
+                    limit: settings.maxDeviationPercent,
+                    passed: deviation <= settings.maxDeviationPercent,
+                    details: `quote price ${quotePrice.toFixed(8)} WLD is ${deviation.toFixed(2)}% ${side === 'buy' ? 'above' : 'below'} the current price ${priceData.currentPrice.toFixed(8)} (limit ${settings.maxDeviationPercent}%)`
+                });
+            }
+
+            const sma = settings.maxSmaDeviationPercent > 0 ? this.priceDatabase.getSMA(token, settings.smaPeriod) : 0;
+            if (sma > 0) {
+                const deviation = adverse(sma);
+                checks.push({
+                    name: 'sma',
+                    value: deviation,
+                    limit: settings.maxSmaDeviationPercent,
+                    passed: deviation <= settings.maxSmaDeviationPercent,
+                    details: `quote price is ${deviation.toFixed(2)}% ${side === 'buy' ? 'above' : 'below'} the ${settings.smaPeriod} SMA ${sma.toFixed(8)} (limit ${settings.maxSmaDeviationPercent}%)`
+                });
+            }
+        }
+
+        const [quoterOutput, referenceOutput] = await Promise.all([
+            settings.maxRouteDeviationPercent > 0 && trade.provider !== 'Uniswap'
+                ? this.sinclaveEngine.getQuoterV2Output(tokenIn, tokenOut, amountIn).catch(() => null)
+                : null,
+            settings.maxImpactPercent > 0
+                ? this.sinclaveEngine.getHoldStationQuote(tokenIn, tokenOut, this.referenceAmount, this.QUOTE_RECEIVER)
+                    .then(quote => parseFloat(quote && quote.expectedOutput) || null)
+                    .catch(() => null)
+                : null
+        ]);
+
+        if (quoterOutput > 0) {
+            const shortfall = ((quoterOutput - expectedOutput) / quoterOutput) * 100;
+            checks.push({
+                name: 'route',
+                value: shortfall,
+                limit: settings.maxRouteDeviationPercent,
+                passed: shortfall <= settings.maxRouteDeviationPercent,
+                details: `${trade.provider || 'quote'} returns ${shortfall.toFixed(2)}% less than Uniswap QuoterV2 (${expectedOutput} vs ${quoterOutput}, limit ${settings.maxRouteDeviationPercent}%)`
+            });
+        }
+
+        if (referenceOutput > 0) {
+            const referenceRate = referenceOutput / this.referenceAmount;
+            const impact = ((referenceRate - expectedOutput / amountIn) / referenceRate) * 100;
+            checks.push({
+                name: 'impact',
+                value: impact,
+                limit: settings.maxImpactPercent,
+                passed: impact <= settings.maxImpactPercent,
+                details: `price impact ${impact.toFixed(2)}% (limit ${settings.maxImpactPercent}%)`
+            });
+        }
+
+        const violations = checks.filter(c => !c.passed);
+        return { passed: violations.length === 0, side, quotePrice, checks, violations };
+    }
+}
+
+module.exports = QuoteGuard;
@@ -0,0 +1,472 @@
+/**
+ * ALGORITMIT RPC Manager
+ * Routes every RPC request of the bot, CLI and engines over a pool of Worldchain endpoints. Each endpoint keeps a
+ * running latency and error score (from live traffic and the periodic block-number check) and requests go to a
+ * weighted random pick of the healthy ones, failing over to the next on network errors. After RPC_BREAKER_THRESHOLD
+ * consecutive failures an endpoint's circuit opens; once the cooldown passes a single half-open probe decides whether
+ * it comes back. Endpoints more than RPC_MAX_BLOCK_LAG blocks behind the best known head are not read from.
+ * Quorum reads ask several endpoints at one pinned block and only accept an answer the majority agrees on.
+ * A broadcast that timed out may still have been accepted, so it is not failed over; a node that already knows
+ * the signed transaction counts as a successful broadcast.
+ */
+
+const { ethers } = require('ethers');
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+// Errors where the chain answered (revert, nonce, funds) - the endpoint worked, so no failover or penalty
+const CHAIN_ERRORS = [
+    'CALL_EXCEPTION',
+    'INSUFFICIENT_FUNDS',
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED',
+    'INVALID_ARGUMENT',
+    'MISSING_ARGUMENT',
+    'UNEXPECTED_ARGUMENT',
+    'UNSUPPORTED_OPERATION',
+    'ACTION_REJECTED'
+];
+
+// Node already holds the exact signed transaction we are broadcasting (an earlier send got through)
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+const SCORE_ALPHA = 0.2; // weight of the newest sample in the latency / error moving averages
+
+// ethers provider whose requests are routed by the manager (engines, signers and contracts use it like any provider)
+class RoutedProvider extends ethers.AbstractProvider {
+    constructor(manager) {
+        super(manager.network);
+        this.manager = manager;
+    }
+
+    async _detectNetwork() {
+        return this.manager.network;
+    }
+
+    async _perform(req) {
+        return await this.manager.perform(req);
+    }
+}
+
+class RpcManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        this.settings = {
+            checkIntervalMs: (config.rpcCheckIntervalSeconds || parseFloat(process.env.RPC_CHECK_INTERVAL_SECONDS) || 15) * 1000,
+            timeoutMs: config.rpcTimeoutMs || parseInt(process.env.RPC_TIMEOUT_MS) || 8000,
+            maxAttempts: config.rpcMaxAttempts || parseInt(process.env.RPC_MAX_ATTEMPTS) || 3,
+            breakerThreshold: config.rpcBreakerThreshold || parseInt(process.env.RPC_BREAKER_THRESHOLD) || 3,
+            breakerCooldownMs: (config.rpcBreakerCooldownSeconds || parseFloat(process.env.RPC_BREAKER_COOLDOWN_SECONDS) || 30) * 1000,
+            maxCooldownMs: 10 * 60 * 1000,
+            maxBlockLag: config.rpcMaxBlockLag || parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5,
+            quorumSize: config.rpcQuorumSize || parseInt(process.env.RPC_QUORUM_SIZE) || 2,
+            quorumMinWLD: config.rpcQuorumMinWLD || parseFloat(process.env.RPC_QUORUM_MIN_WLD) || 0 // 0 = quorum reads off
+        };
+
+        this.network = ethers.Network.from({ name: 'worldchain', chainId: 480 });
+        this.endpoints = this.getEndpointUrls().map((url, index) => this.createEndpoint(url, index));
+        this.provider = new RoutedProvider(this);
+
+        this.monitorTimer = null;
+        this.checking = false;
+        this.logger = Logger.forModule('rpc');
+
+        this.logger.info(`🌐 RPC manager: ${this.endpoints.length} endpoints (${this.endpoints.map(e => e.name).join(', ')})`);
+    }
+
+    // Endpoint list: RPC_ENDPOINTS (comma-separated) or the built-in Worldchain list
+    getEndpointUrls() {
+        const configured = this.config.rpcEndpoints || (process.env.RPC_ENDPOINTS ? process.env.RPC_ENDPOINTS.split(',') : null);
+        const urls = configured || [
+            // Primary: QuickNode endpoint (high performance, reliable)
+            'https://patient-patient-waterfall.worldchain-mainnet.quiknode.pro/cea629fe80a05630338845dc1fd58f8da329b083/',
+
+            // Custom endpoints from .env
+            process.env.WORLDCHAIN_RPC_URL,
+            process.env.ALCHEMY_API_KEY && !process.env.ALCHEMY_API_KEY.startsWith('your_')
+                ? `https://worldchain-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}` : null,
+
+            // Public endpoints
+            'https://worldchain-mainnet.g.alchemy.com/public',
+            'https://worldchain.drpc.org',
+            'https://worldchain-rpc.publicnode.com',
+            'https://rpc.worldchain.org'
+        ];
+
+        return [...new Set(urls.map(url => url && url.trim()).filter(Boolean))];
+    }
+
+    createEndpoint(url, index) {
+        return {
+            index,
+            url,
+            name: this.getEndpointDisplay(url),
+            host: this.getEndpointHost(url),
+            provider: new ethers.JsonRpcProvider(url, this.network, { staticNetwork: this.network }),
+
+            state: 'closed',          // circuit: closed (in use), open (cooling down), half_open (probe in flight)
+            consecutiveFailures: 0,
+            openedAt: 0,
+            cooldownMs: this.settings.breakerCooldownMs,
+
+            latencyMs: null,          // moving average of successful responses
+            errorRate: 0,             // moving average of failed requests (0..1)
+            requests: 0,
+            failures: 0,
+            lastError: null,
+            lastCheck: 0,
+
+            blockNumber: 0,
+            blockSeenAt: 0
+        };
+    }
+
+    // Provider for engines, signers and contracts
+    getProvider() {
+        return this.provider;
+    }
+
+    // Start the periodic latency / block-height check (first check runs right away)
+    start() {
+        if (this.monitorTimer) return;
+
+        this.checkEndpoints().catch(error => this.logger.warn(`⚠️ RPC check failed: ${error.message}`));
+        this.monitorTimer = setInterval(() => {
+            this.checkEndpoints().catch(error => this.logger.warn(`⚠️ RPC check failed: ${error.message}`));
+        }, this.settings.checkIntervalMs);
+        this.monitorTimer.unref();
+    }
+
+    stop() {
+        if (this.monitorTimer) {
+            clearInterval(this.monitorTimer);
+            this.monitorTimer = null;
+        }
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    }
+
+    // Run one provider request (RoutedProvider._perform) with weighted selection and failover
+    async perform(req) {
+        const broadcast = req.method === 'broadcastTransaction';
+        const tried = new Set();
+        let lastError = null;
+
+        for (let attempt = 0; attempt < this.settings.maxAttempts; attempt++) {
+            const endpoint = this.selectEndpoint(tried);
+            if (!endpoint) break;
+            tried.add(endpoint);
+
+            try {
+                const result = await this.request(endpoint, () => endpoint.provider._perform(req), req.method);
+                if (req.method === 'getBlockNumber') {
+                    this.recordBlock(endpoint, Number(result));
+                }
+                return result;
+            } catch (error) {
+                if (broadcast && this.isAlreadyKnown(error)) {
+                    const hash = ethers.Transaction.from(req.signedTransaction).hash;
+                    this.logger.info(`📨 ${endpoint.name} already has transaction ${hash} - treating the broadcast as sent`);
+                    return hash;
+                }
+                if (!this.isEndpointError(error)) throw error;
+
+                lastError = error;
+                this.logger.warn(`⚠️ RPC ${req.method} failed on ${endpoint.name} (attempt ${attempt + 1}/${this.settings.maxAttempts}): ${error.shortMessage || error.message}`);
+
+                if (broadcast && error.code === 'TIMEOUT') {
+                    // The endpoint may have relayed it before timing out - the caller has to find out, not resend
+                    error.txHash = ethers.Transaction.from(req.signedTransaction).hash;
+                    throw error;
+                }
+            }
+        }
+
+        throw lastError || new Error('No RPC endpoints available');
+    }
+
+    // Timed request on one endpoint; the outcome updates its score and circuit
+    async request(endpoint, operation, label = 'request') {
+        const startTime = Date.now();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(Object.assign(new Error(`RPC ${label} timed out after ${this.settings.timeoutMs}ms on ${endpoint.name}`), { code: 'TIMEOUT' }));
+            }, this.settings.timeoutMs);
+        });
+
+        try {
+            const result = await Promise.race([operation(), timeout]);
+            this.recordSuccess(endpoint, Date.now() - startTime);
+            return result;
+        } catch (error) {
+            if (this.isEndpointError(error)) {
+                this.recordFailure(endpoint, error);
+            } else {
+                this.recordSuccess(endpoint, Date.now() - startTime);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    isEndpointError(error) {
+        return !CHAIN_ERRORS.includes(error.code) && !this.isAlreadyKnown(error);
+    }
+
+    isAlreadyKnown(error) {
+        const nested = error.info && error.info.error && error.info.error.message;
+        return ALREADY_KNOWN.test(`${error.message || ''} ${nested || ''}`);
+    }
+
+    recordSuccess(endpoint, responseTime) {
+        endpoint.requests++;
+        endpoint.latencyMs = endpoint.latencyMs === null ? responseTime : endpoint.latencyMs + SCORE_ALPHA * (responseTime - endpoint.latencyMs);
+        endpoint.errorRate *= 1 - SCORE_ALPHA;
+        endpoint.consecutiveFailures = 0;
+
+        if (endpoint.state !== 'closed') {
+            endpoint.state = 'closed';
+            endpoint.cooldownMs = this.settings.breakerCooldownMs;
+            this.logger.info(`🟢 RPC circuit closed: ${endpoint.name} is back (${responseTime}ms)`);
+            this.emit('breakerClosed', this.describe(endpoint));
+        }
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.requests++;
+        endpoint.failures++;
+        endpoint.errorRate += SCORE_ALPHA * (1 - endpoint.errorRate);
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = error.shortMessage || error.message;
+
+        if (endpoint.state === 'half_open') {
+            // Probe failed - wait twice as long before the next one
+            this.openBreaker(endpoint, Math.min(endpoint.cooldownMs * 2, this.settings.maxCooldownMs));
+        } else if (endpoint.state === 'closed' && endpoint.consecutiveFailures >= this.settings.breakerThreshold) {
+            this.openBreaker(endpoint, this.settings.breakerCooldownMs);
+        }
+    }
+
+    openBreaker(endpoint, cooldownMs) {
+        endpoint.state = 'open';
+        endpoint.openedAt = Date.now();
+        endpoint.cooldownMs = cooldownMs;
+
+        this.logger.warn(`🔴 RPC circuit open: ${endpoint.name} after ${endpoint.consecutiveFailures} failures (${endpoint.lastError}) - probing again in ${Math.round(cooldownMs / 1000)}s`);
+        this.emit('breakerOpen', this.describe(endpoint));
+    }
+
+    recordBlock(endpoint, blockNumber) {
+        if (!Number.isFinite(blockNumber) || blockNumber < endpoint.blockNumber) return;
+        endpoint.blockNumber = blockNumber;
+        endpoint.blockSeenAt = Date.now();
+    }
+
+    // Highest block reported by an endpoint that is not cut off
+    getBestBlock() {
+        return this.endpoints
+            .filter(endpoint => endpoint.state !== 'open')
+            .reduce((best, endpoint) => Math.max(best, endpoint.blockNumber), 0);
+    }
+
+    getBlockLag(endpoint) {
+        if (!endpoint.blockNumber) return 0;
+        return Math.max(0, this.getBestBlock() - endpoint.blockNumber);
+    }
+
+    isLagging(endpoint) {
+        return this.getBlockLag(endpoint) > this.settings.maxBlockLag;
+    }
+
+    isAvailable(endpoint) {
+        return endpoint.state === 'closed' && !this.isLagging(endpoint);
+    }
+
+    // Faster and more reliable endpoints get more traffic
+    getWeight(endpoint) {
+        const latency = Math.max(endpoint.latencyMs === null ? 1000 : endpoint.latencyMs, 20);
+        return Math.pow(1 - endpoint.errorRate, 2) / latency;
+    }
+
+    // Weighted random pick of the available endpoints; stale or broken ones only when nothing else is left
+    selectEndpoint(exclude = new Set()) {
+        const remaining = this.endpoints.filter(endpoint => !exclude.has(endpoint));
+
+        let candidates = remaining.filter(endpoint => this.isAvailable(endpoint));
+        if (candidates.length === 0) {
+            candidates = remaining.filter(endpoint => endpoint.state === 'closed');
+        }
+        if (candidates.length === 0) {
+            // Every circuit is open - try the one that has cooled down longest rather than failing outright
+            const lastResort = remaining
+                .filter(endpoint => endpoint.state === 'open')
+                .sort((a, b) => a.openedAt - b.openedAt)[0];
+            return lastResort || null;
+        }
+
+        const weights = candidates.map(endpoint => this.getWeight(endpoint));
+        let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            pick -= weights[i];
+            if (pick <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    // Block-number check of every endpoint: latency samples, head tracking and half-open probes
+    async checkEndpoints() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const wasLagging = new Map(this.endpoints.map(endpoint => [endpoint, this.isLagging(endpoint)]));
+
+            await Promise.allSettled(this.endpoints.map(async (endpoint) => {
+                if (endpoint.state === 'open') {
+                    if (Date.now() - endpoint.openedAt < endpoint.cooldownMs) return;
+                    endpoint.state = 'half_open'; // no routed traffic until this single probe succeeds
+                    this.logger.debug(`🟡 RPC circuit half-open: probing ${endpoint.name}`);
+                }
+
+                endpoint.lastCheck = Date.now();
+                const blockNumber = await this.request(endpoint, () => endpoint.provider._perform({ method: 'getBlockNumber' }), 'getBlockNumber');
+                this.recordBlock(endpoint, Number(blockNumber));
+            }));
+
+            const bestBlock = this.getBestBlock();
+            for (const endpoint of this.endpoints) {
+                const lagging = this.isLagging(endpoint);
+                if (lagging && !wasLagging.get(endpoint)) {
+                    this.logger.warn(`🐢 RPC ${endpoint.name} is ${this.getBlockLag(endpoint)} blocks behind (block ${endpoint.blockNumber}, head ${bestBlock}) - not reading from it`);
+                    this.emit('endpointLagging', this.describe(endpoint));
+                } else if (!lagging && wasLagging.get(endpoint)) {
+                    this.logger.info(`✅ RPC ${endpoint.name} caught up (block ${endpoint.blockNumber})`);
+                }
+            }
+
+            this.logger.debug(`🔍 RPC check: ${this.endpoints.filter(e => this.isAvailable(e)).length}/${this.endpoints.length} available, head ${bestBlock}`);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    // True when a trade of this WLD value should verify balances with a quorum read
+    isQuorumTrade(valueWLD) {
+        return this.settings.quorumMinWLD > 0 && valueWLD >= this.settings.quorumMinWLD;
+    }
+
+    // Read the same value from several endpoints at one block and return what the majority reports
+    // read: (provider, blockTag) => Promise<value>; values are compared as strings
+    async quorumRead(label, read, size = this.settings.quorumSize) {
+        const endpoints = this.endpoints
+            .filter(endpoint => this.isAvailable(endpoint))
+            .sort((a, b) => this.getWeight(b) - this.getWeight(a))
+            .slice(0, size);
+        const required = Math.floor(size / 2) + 1;
+
+        if (endpoints.length < required) {
+            throw new Error(`RPC quorum for ${label} needs ${required} healthy endpoints, ${endpoints.length} available`);
+        }
+
+        // Pin the read to a block every chosen endpoint has
+        const heads = await Promise.allSettled(endpoints.map(endpoint =>
+            this.request(endpoint, () => endpoint.provider._perform({ method: 'getBlockNumber' }), 'getBlockNumber')
+        ));
+        const blockTag = Math.min(...heads.filter(head => head.status === 'fulfilled').map(head => Number(head.value)));
+        if (!Number.isFinite(blockTag)) {
+            throw new Error(`RPC quorum for ${label} failed: no endpoint returned a block number`);
+        }
+
+        const results = await Promise.allSettled(endpoints.map(endpoint =>
+            this.request(endpoint, () => read(endpoint.provider, blockTag), label)
+        ));
+
+        const votes = new Map();
+        results.forEach((result, index) => {
+            if (result.status !== 'fulfilled') return;
+            const key = String(result.value);
+            if (!votes.has(key)) votes.set(key, { value: result.value, endpoints: [] });
+            votes.get(key).endpoints.push(endpoints[index].name);
+        });
+
+        const winner = [...votes.values()].sort((a, b) => b.endpoints.length - a.endpoints.length)[0];
+        if (!winner || winner.endpoints.length < required) {
+            const answers = [...votes.entries()].map(([key, vote]) => `${vote.endpoints.join('/')}=${key}`).join(', ') || 'no answers';
+            this.emit('quorumFailed', { label, blockTag, answers });
+            throw new Error(`RPC quorum not reached for ${label} at block ${blockTag} (${answers})`);
+        }
+
+        this.logger.debug(`🗳️ Quorum ${label} at block ${blockTag}: ${winner.value} (${winner.endpoints.join(', ')})`);
+        return { value: winner.value, blockTag, endpoints: winner.endpoints };
+    }
+
+    // Reopen every circuit (menu action after a provider outage is over)
+    resetBreakers() {
+        for (const endpoint of this.endpoints) {
+            endpoint.state = 'closed';
+            endpoint.consecutiveFailures = 0;
+            endpoint.errorRate = 0;
+            endpoint.cooldownMs = this.settings.breakerCooldownMs;
+        }
+        this.logger.info('🔄 RPC circuits reset');
+    }
+
+    describe(endpoint) {
+        return {
+            index: endpoint.index,
+            name: endpoint.name,
+            host: endpoint.host,
+            state: endpoint.state,
+            isAvailable: this.isAvailable(endpoint),
+            isLagging: this.isLagging(endpoint),
+            latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+            errorRate: endpoint.errorRate,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            blockNumber: endpoint.blockNumber,
+            blockLag: this.getBlockLag(endpoint),
+            lastError: endpoint.lastError,
+            lastCheck: endpoint.lastCheck
+        };
+    }
+
+    // Provider statistics (menus, metrics)
+    getStats() {
+        const providers = this.endpoints.map(endpoint => this.describe(endpoint));
+        return {
+            totalProviders: providers.length,
+            availableProviders: providers.filter(p => p.isAvailable).length,
+            openCircuits: providers.filter(p => p.state !== 'closed').length,
+            bestBlock: this.getBestBlock(),
+            providers
+        };
+    }
+
+    // Endpoint host only - full URLs can contain API keys
+    getEndpointHost(endpoint) {
+        try {
+            return new URL(endpoint).host;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    // Mask endpoint for display (hide API keys)
+    getEndpointDisplay(endpoint) {
+        if (!endpoint) return 'Unknown';
+        if (endpoint.includes('quiknode.pro')) return `QuickNode (${this.getEndpointHost(endpoint)})`; // path is the API key
+        if (endpoint.includes('alchemy.com')) return endpoint.includes('/public') ? 'Alchemy Public' : 'Alchemy';
+        if (endpoint.includes('drpc.org')) return 'DRPC Public';
+        if (endpoint.includes('publicnode.com')) return 'PublicNode';
+        if (endpoint.includes('worldchain.org')) return 'Worldchain Official';
+        if (endpoint === process.env.WORLDCHAIN_RPC_URL) return 'Custom RPC';
+        return `Custom (${this.getEndpointHost(endpoint)})`;
+    }
+}
+
+module.exports = RpcManager;
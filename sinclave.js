@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const readline = require('readline');
+const WalletKeystore = require('./wallet-keystore');
 
 // Optimized Simple Trader with WorldChain Bot speed improvements
 const CONFIG = {
-    privateKey: 'privatekeyhere',
+    // Signing key comes from the encrypted keystore in wallets.json
+    walletsPath: WalletKeystore.WALLETS_PATH,
+    walletSelector: process.env.SINCLAVE_WALLET || null, // Wallet name or address (default: first wallet)
     // Use public endpoint for speed (111ms vs 137ms from analysis)
     primaryRpc: 'https://worldchain-mainnet.g.alchemy.com/public',
     fallbackRpc: 'https://worldchain-mainnet.g.alchemy.com/v2/7MFAWnvGmZk3tDjmofyx6',
@@ -25,6 +29,45 @@ function log(message, color = 'white') {
     console.log(`${colors[color]}[${new Date().toLocaleString()}] ${message}${colors.reset}`);
 }
 
+// Read a passphrase without echoing it
+function promptHidden(prompt) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(prompt, (answer) => {
+            rl._writeToOutput = rl.constructor.prototype._writeToOutput;
+            rl.output.write('\n');
+            rl.close();
+            resolve(answer.trim());
+        });
+        rl._writeToOutput = () => {};
+    });
+}
+
+// Unlock the keystore and return the selected wallet's private key
+async function loadKeystorePrivateKey() {
+    const keystore = new WalletKeystore();
+    const wallets = keystore.loadWalletsFile(CONFIG.walletsPath);
+
+    if (!keystore.hasEncryptedKeys(wallets)) {
+        throw new Error('No encrypted wallets in wallets.json - create or migrate wallets in the main bot first');
+    }
+
+    const selector = CONFIG.walletSelector ? CONFIG.walletSelector.toLowerCase() : null;
+    const walletData = wallets.find(w => keystore.isEncrypted(w) && (!selector ||
+        w.address.toLowerCase() === selector || (w.name && w.name.toLowerCase() === selector)));
+
+    if (!walletData) {
+        throw new Error(`Wallet not found in keystore: ${CONFIG.walletSelector}`);
+    }
+
+    const passphrase = process.env.KEYSTORE_PASSPHRASE || await promptHidden('🔑 Keystore passphrase: ');
+    keystore.unlock(wallets, passphrase);
+
+    const privateKey = keystore.getPrivateKey(walletData.address);
+    keystore.lock();
+    return privateKey;
+}
+
 // Pre-load and cache SDK components for speed
 let cachedSDK = null;
 let cachedProvider = null;
@@ -179,7 +222,7 @@ async function executeOptimizedSwap() {
     try {
         // Step 1: Initialize optimized provider (with caching)
         const provider = await initializeOptimizedProvider();
-        const wallet = new ethers.Wallet(CONFIG.privateKey, provider);
+        const wallet = new ethers.Wallet(await loadKeystorePrivateKey(), provider);
         
         log(`Wallet: ${wallet.address}`, 'cyan');
         log(`Target: ${CONFIG.swapAmount} WLD → ORO`, 'cyan');
@@ -0,0 +1,299 @@
+/**
+ * ALGORITMIT SQLite Price Storage
+ * Price database backend for many tokens at fast refresh rates: ticks and candles live in
+ * (token, timestamp)-indexed tables and a save only writes what changed since the last one
+ * (trade history has its own table, so token rows stay small).
+ * On first use an existing price-database.json is imported once and renamed to .migrated.
+ * Implements the storage interface documented in json-price-storage.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const JsonPriceStorage = require('./json-price-storage');
+const CandleAggregator = require('./candle-aggregator');
+
+const SCHEMA_VERSION = 2; // 2: trade history in its own table instead of the token row
+const MAX_TIMESTAMP = Number.MAX_SAFE_INTEGER;
+
+class SqlitePriceStorage {
+    constructor(filePath = path.join(process.cwd(), 'price-database.sqlite'), options = {}) {
+        this.type = 'sqlite';
+        this.incremental = true; // Saves are cheap, so the price loop flushes often
+        this.saveInterval = options.saveInterval || 10000;
+        this.filePath = filePath;
+        this.jsonPath = options.jsonPath || path.join(path.dirname(filePath), 'price-database.json');
+
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.createSchema();
+        this.prepareStatements();
+
+        // Changes recorded since the last save()
+        this.pendingTicks = [];
+        this.pendingCandles = new Map(); // token|resolution|t -> [token, resolution, candle]
+        this.pendingCandleSets = new Map(); // token -> full candle set (replaces stored candles)
+        this.pendingPrunes = new Map(); // token -> { tickCutoff, candleCutoffs }
+        this.pendingTrades = [];
+
+        // Token rows as last written, so a save skips tokens whose metadata did not change
+        this.savedTokens = new Map(); // token -> tracked flag + metadata JSON
+    }
+
+    // Tables and schema version check
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+            CREATE TABLE IF NOT EXISTS tokens (
+                address TEXT PRIMARY KEY,
+                tracked INTEGER NOT NULL DEFAULT 1,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS ticks (
+                token TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                price REAL NOT NULL,
+                source TEXT,
+                PRIMARY KEY (token, timestamp)
+            ) WITHOUT ROWID;
+            CREATE TABLE IF NOT EXISTS candles (
+                token TEXT NOT NULL,
+                resolution TEXT NOT NULL,
+                t INTEGER NOT NULL,
+                o REAL NOT NULL,
+                h REAL NOT NULL,
+                l REAL NOT NULL,
+                c REAL NOT NULL,
+                v REAL NOT NULL DEFAULT 0,
+                n INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (token, resolution, t)
+            ) WITHOUT ROWID;
+            CREATE TABLE IF NOT EXISTS trades (
+                token TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                price REAL NOT NULL,
+                quantity REAL NOT NULL,
+                value REAL NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS trades_token ON trades (token, timestamp);
+        `);
+
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+        if (!row) {
+            this.db.prepare("INSERT INTO meta (key, value) VALUES ('schemaVersion', ?)").run(String(SCHEMA_VERSION));
+        } else if (parseInt(row.value) > SCHEMA_VERSION) {
+            throw new Error(`${path.basename(this.filePath)} has schema version ${row.value}, newer than this bot supports (${SCHEMA_VERSION})`);
+        } else if (parseInt(row.value) < 2) {
+            this.migrateTradeHistory();
+        }
+    }
+
+    // Schema 1 -> 2: move each token's tradeHistory out of its metadata row into the trades table
+    migrateTradeHistory() {
+        const insertTrade = this.db.prepare('INSERT INTO trades (token, timestamp, type, price, quantity, value) VALUES (?, ?, ?, ?, ?, ?)');
+        const updateToken = this.db.prepare('UPDATE tokens SET data = ? WHERE address = ?');
+
+        this.db.transaction(() => {
+            for (const row of this.db.prepare('SELECT address, data FROM tokens').all()) {
+                const metadata = JSON.parse(row.data);
+                for (const trade of metadata.tradeHistory || []) {
+                    insertTrade.run(row.address, trade.timestamp, trade.type, trade.price, trade.quantity, trade.value);
+                }
+                delete metadata.tradeHistory;
+                updateToken.run(JSON.stringify(metadata), row.address);
+            }
+            this.db.prepare("UPDATE meta SET value = ? WHERE key = 'schemaVersion'").run(String(SCHEMA_VERSION));
+        })();
+    }
+
+    prepareStatements() {
+        this.statements = {
+            tokens: this.db.prepare('SELECT address, tracked, data FROM tokens'),
+            upsertToken: this.db.prepare('INSERT OR REPLACE INTO tokens (address, tracked, data) VALUES (?, ?, ?)'),
+            ticks: this.db.prepare('SELECT timestamp, price, source FROM ticks WHERE token = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp'),
+            insertTick: this.db.prepare('INSERT OR REPLACE INTO ticks (token, timestamp, price, source) VALUES (?, ?, ?, ?)'),
+            pruneTicks: this.db.prepare('DELETE FROM ticks WHERE token = ? AND timestamp < ?'),
+            candles: this.db.prepare('SELECT t, o, h, l, c, v, n FROM candles WHERE token = ? AND resolution = ? AND t BETWEEN ? AND ? ORDER BY t'),
+            upsertCandle: this.db.prepare('INSERT OR REPLACE INTO candles (token, resolution, t, o, h, l, c, v, n) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+            pruneCandles: this.db.prepare('DELETE FROM candles WHERE token = ? AND resolution = ? AND t < ?'),
+            deleteCandles: this.db.prepare('DELETE FROM candles WHERE token = ?'),
+            trades: this.db.prepare('SELECT timestamp, type, price, quantity, value FROM trades WHERE token = ? ORDER BY timestamp'),
+            insertTrade: this.db.prepare('INSERT INTO trades (token, timestamp, type, price, quantity, value) VALUES (?, ?, ?, ?, ?, ?)')
+        };
+    }
+
+    // Whether there is anything to load
+    exists() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM tokens').get().count > 0 || fs.existsSync(this.jsonPath);
+    }
+
+    // Whole price database (imports price-database.json on first use)
+    load() {
+        if (this.db.prepare('SELECT COUNT(*) AS count FROM tokens').get().count === 0) {
+            this.migrateFromJson();
+        }
+
+        const rows = this.statements.tokens.all();
+        if (rows.length === 0) return null;
+
+        const priceData = {};
+        const trackedTokens = [];
+        for (const row of rows) {
+            const priceInfo = JSON.parse(row.data);
+            this.savedTokens.set(row.address, `${row.tracked ? 1 : 0}|${row.data}`);
+            priceInfo.tradeHistory = this.statements.trades.all(row.address);
+            priceInfo.prices = this.queryTicks(row.address);
+            priceInfo.candles = Object.fromEntries(Object.keys(CandleAggregator.RESOLUTIONS)
+                .map(resolution => [resolution, this.queryCandles(row.address, resolution)]));
+
+            priceData[row.address] = priceInfo;
+            if (row.tracked) trackedTokens.push(row.address);
+        }
+
+        return { priceData, trackedTokens };
+    }
+
+    // Write changed token rows plus the ticks, candles, trades and prunes recorded since the last save
+    save(priceData, trackedTokens) {
+        const tracked = new Set(trackedTokens);
+        const changedTokens = [];
+        for (const [token, priceInfo] of priceData) {
+            const flag = tracked.has(token) ? 1 : 0;
+            const data = this.serializeToken(priceInfo);
+            if (this.savedTokens.get(token) !== `${flag}|${data}`) changedTokens.push([token, flag, data]);
+        }
+
+        this.db.transaction(() => {
+            for (const [token, { tickCutoff, candleCutoffs }] of this.pendingPrunes) {
+                this.statements.pruneTicks.run(token, tickCutoff);
+                for (const [resolution, cutoff] of Object.entries(candleCutoffs || {})) {
+                    if (cutoff !== null) this.statements.pruneCandles.run(token, resolution, cutoff);
+                }
+            }
+
+            for (const [token, tick] of this.pendingTicks) {
+                this.statements.insertTick.run(token, tick.timestamp, tick.price, tick.source || null);
+            }
+
+            for (const [token, candles] of this.pendingCandleSets) {
+                this.statements.deleteCandles.run(token);
+                for (const [resolution, list] of Object.entries(candles)) {
+                    list.forEach(candle => this.writeCandle(token, resolution, candle));
+                }
+            }
+
+            for (const [token, resolution, candle] of this.pendingCandles.values()) {
+                if (!this.pendingCandleSets.has(token)) this.writeCandle(token, resolution, candle);
+            }
+
+            for (const [token, trade] of this.pendingTrades) {
+                this.writeTrade(token, trade);
+            }
+
+            for (const [token, flag, data] of changedTokens) {
+                this.statements.upsertToken.run(token, flag, data);
+            }
+        })();
+
+        changedTokens.forEach(([token, flag, data]) => this.savedTokens.set(token, `${flag}|${data}`));
+        this.pendingTicks = [];
+        this.pendingTrades = [];
+        this.pendingCandles.clear();
+        this.pendingCandleSets.clear();
+        this.pendingPrunes.clear();
+    }
+
+    writeCandle(token, resolution, candle) {
+        this.statements.upsertCandle.run(token, resolution, candle.t, candle.o, candle.h, candle.l, candle.c, candle.v || 0, candle.n || 0);
+    }
+
+    writeTrade(token, trade) {
+        this.statements.insertTrade.run(token, trade.timestamp, trade.type, trade.price, trade.quantity, trade.value);
+    }
+
+    // Token metadata without the series and trade history (stored in their own tables) or derived SMA values
+    serializeToken(priceInfo) {
+        const metadata = {};
+        for (const [key, value] of Object.entries(priceInfo)) {
+            if (key === 'prices' || key === 'candles' || key === 'tradeHistory') continue;
+            metadata[key] = key === 'smaCache'
+                ? Object.fromEntries(Object.entries(value || {}).map(([period, sma]) => [period, { ...sma, values: [] }]))
+                : value;
+        }
+        return JSON.stringify(metadata);
+    }
+
+    recordTick(tokenAddress, tick) {
+        this.pendingTicks.push([tokenAddress.toLowerCase(), tick]);
+    }
+
+    recordTrade(tokenAddress, trade) {
+        this.pendingTrades.push([tokenAddress.toLowerCase(), trade]);
+    }
+
+    // Candles are held by reference, so the latest OHLC values are written on save
+    recordCandles(tokenAddress, touched) {
+        const token = tokenAddress.toLowerCase();
+        for (const [resolution, candle] of touched) {
+            this.pendingCandles.set(`${token}|${resolution}|${candle.t}`, [token, resolution, candle]);
+        }
+    }
+
+    replaceCandles(tokenAddress, candles) {
+        this.pendingCandleSets.set(tokenAddress.toLowerCase(), candles);
+    }
+
+    prune(tokenAddress, tickCutoff, candleCutoffs) {
+        this.pendingPrunes.set(tokenAddress.toLowerCase(), { tickCutoff, candleCutoffs });
+    }
+
+    // Saved ticks for a token between two timestamps
+    queryTicks(tokenAddress, from = 0, to = MAX_TIMESTAMP) {
+        return this.statements.ticks.all(tokenAddress.toLowerCase(), from, Math.min(to, MAX_TIMESTAMP))
+            .map(row => row.source ? row : { timestamp: row.timestamp, price: row.price });
+    }
+
+    // Saved candles for a token and resolution between two timestamps
+    queryCandles(tokenAddress, resolution, from = 0, to = MAX_TIMESTAMP) {
+        return this.statements.candles.all(tokenAddress.toLowerCase(), resolution, from, Math.min(to, MAX_TIMESTAMP));
+    }
+
+    // One-time import of an existing price-database.json (kept as price-database.json.migrated)
+    migrateFromJson() {
+        if (!fs.existsSync(this.jsonPath)) return;
+
+        const data = new JsonPriceStorage(this.jsonPath).load();
+        if (!data || Object.keys(data.priceData).length === 0) return;
+
+        const tracked = new Set(data.trackedTokens);
+        let ticks = 0;
+
+        this.db.transaction(() => {
+            for (const [token, priceInfo] of Object.entries(data.priceData)) {
+                for (const tick of priceInfo.prices || []) {
+                    this.statements.insertTick.run(token, tick.timestamp, tick.price, tick.source || null);
+                    ticks++;
+                }
+                for (const [resolution, list] of Object.entries(priceInfo.candles || {})) {
+                    list.forEach(candle => this.writeCandle(token, resolution, candle));
+                }
+                (priceInfo.tradeHistory || []).forEach(trade => this.writeTrade(token, trade));
+                this.statements.upsertToken.run(token, tracked.has(token) ? 1 : 0, this.serializeToken(priceInfo));
+            }
+        })();
+
+        fs.renameSync(this.jsonPath, `${this.jsonPath}.migrated`);
+        console.log(`📦 Migrated ${Object.keys(data.priceData).length} tokens (${ticks} ticks) from ${path.basename(this.jsonPath)} to SQLite`);
+    }
+
+    close() {
+        if (this.db.open) this.db.close();
+    }
+}
+
+module.exports = SqlitePriceStorage;
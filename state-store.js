@@ -0,0 +1,223 @@
+/**
+ * ALGORITMIT State Store
+ * Crash-safe JSON persistence: atomic write-to-temp-and-rename, schema versions with migrations,
+ * rolling backups and recovery from corrupt files
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class StateStore extends EventEmitter {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.name = options.name || path.basename(filePath, '.json');
+
+        // Current schema version; migrations[n] upgrades data from version n-1 to n
+        this.version = options.version || 1;
+        this.migrations = options.migrations || {};
+
+        // Envelope files carry schema version and checksum; plain files (config.json,
+        // wallets.json) stay hand-editable and only get atomic writes and backups
+        this.envelope = options.envelope !== false;
+
+        // Rolling backups: file.bak.1 (newest) ... file.bak.N
+        this.backups = options.backups !== undefined ? options.backups : 3;
+        this.backupInterval = options.backupInterval || 0; // Min ms between rotations (0 = every save)
+    }
+
+    // Path of the nth backup
+    backupPath(index) {
+        return `${this.filePath}.bak.${index}`;
+    }
+
+    // Checksum of the data part of an envelope
+    checksum(data) {
+        return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    }
+
+    // Parse a file and return { data, version }; throws on corruption
+    readFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        if (!raw.trim()) {
+            throw new Error('file is empty');
+        }
+
+        const parsed = JSON.parse(raw);
+        if (!this.envelope) {
+            return { data: parsed, version: this.version };
+        }
+
+        // Files written before the store existed have no envelope
+        if (!parsed || typeof parsed !== 'object' || parsed.schemaVersion === undefined || !('data' in parsed)) {
+            return { data: parsed, version: 0 };
+        }
+
+        if (parsed.checksum && parsed.checksum !== this.checksum(parsed.data)) {
+            throw new Error('checksum mismatch');
+        }
+
+        return { data: parsed.data, version: parsed.schemaVersion };
+    }
+
+    // Upgrade data to the current schema version
+    migrate(data, fromVersion) {
+        if (fromVersion > this.version) {
+            throw new Error(`${this.name} was written by a newer version (schema ${fromVersion} > ${this.version})`);
+        }
+
+        let migrated = data;
+        for (let version = fromVersion + 1; version <= this.version; version++) {
+            if (this.migrations[version]) {
+                migrated = this.migrations[version](migrated);
+            }
+        }
+
+        if (fromVersion < this.version) {
+            console.log(`🔄 Migrated ${this.name} from schema ${fromVersion} to ${this.version}`);
+            this.emit('migrated', { from: fromVersion, to: this.version });
+        }
+
+        return migrated;
+    }
+
+    // Load the file (recovering from backups if it is corrupt); missing file returns defaultValue
+    load(defaultValue = null) {
+        if (!fs.existsSync(this.filePath)) {
+            return defaultValue;
+        }
+
+        let result;
+        try {
+            result = this.readFile(this.filePath);
+        } catch (error) {
+            return this.recover(error, defaultValue);
+        }
+
+        const data = this.migrate(result.data, result.version);
+        if (result.version !== this.version) {
+            this.save(data);
+        }
+        return data;
+    }
+
+    // Restore the newest readable backup after a corrupt load
+    recover(error, defaultValue) {
+        console.error(`❌ ${this.name} is corrupt (${error.message}) - trying backups`);
+
+        // Keep the damaged file for inspection
+        const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+        try {
+            fs.renameSync(this.filePath, corruptPath);
+        } catch (renameError) {
+            console.error(`❌ Could not move corrupt ${this.name}:`, renameError.message);
+        }
+
+        for (let index = 1; index <= this.backups; index++) {
+            const backup = this.backupPath(index);
+            if (!fs.existsSync(backup)) continue;
+
+            try {
+                const result = this.readFile(backup);
+                const data = this.migrate(result.data, result.version);
+
+                this.writeAtomic(this.serialize(data));
+                console.log(`⚠️  Recovered ${this.name} from ${path.basename(backup)}`);
+                this.emit('recovered', { backup, corruptPath, error: error.message });
+                return data;
+            } catch (backupError) {
+                console.error(`❌ Backup ${path.basename(backup)} unusable: ${backupError.message}`);
+            }
+        }
+
+        console.error(`❌ No usable backup for ${this.name} - starting empty (damaged file kept at ${path.basename(corruptPath)})`);
+        this.emit('recoveryFailed', { corruptPath, error: error.message });
+        return defaultValue;
+    }
+
+    // File content for data
+    serialize(data) {
+        if (!this.envelope) {
+            return JSON.stringify(data, null, 2);
+        }
+
+        return JSON.stringify({
+            schema: this.name,
+            schemaVersion: this.version,
+            savedAt: Date.now(),
+            checksum: this.checksum(data),
+            data
+        }, null, 2);
+    }
+
+    // Save data: rotate backups, write a temp file, fsync, then rename over the live file
+    save(data) {
+        const content = this.serialize(data);
+        this.rotateBackups();
+        this.writeAtomic(content);
+        return true;
+    }
+
+    // Write content to a temp file in the same directory and rename it into place
+    writeAtomic(content) {
+        const tempPath = `${this.filePath}.tmp-${process.pid}`;
+        const fd = fs.openSync(tempPath, 'w');
+
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Shift file.bak.1..N-1 up one slot and copy the live file to file.bak.1
+    rotateBackups() {
+        if (this.backups <= 0 || !fs.existsSync(this.filePath)) return;
+
+        if (this.backupInterval > 0 && fs.existsSync(this.backupPath(1))) {
+            const age = Date.now() - fs.statSync(this.backupPath(1)).mtimeMs;
+            if (age < this.backupInterval) return;
+        }
+
+        // Never rotate a corrupt file over a good backup
+        try {
+            this.readFile(this.filePath);
+        } catch (error) {
+            return;
+        }
+
+        for (let index = this.backups - 1; index >= 1; index--) {
+            if (fs.existsSync(this.backupPath(index))) {
+                fs.renameSync(this.backupPath(index), this.backupPath(index + 1));
+            }
+        }
+
+        fs.copyFileSync(this.filePath, this.backupPath(1));
+    }
+
+    // Delete every backup (e.g. after they could still hold plaintext secrets)
+    deleteBackups() {
+        for (const backup of this.listBackups()) {
+            fs.unlinkSync(backup.path);
+        }
+    }
+
+    // Backups on disk, newest first
+    listBackups() {
+        const backups = [];
+        for (let index = 1; index <= this.backups; index++) {
+            const backup = this.backupPath(index);
+            if (fs.existsSync(backup)) {
+                backups.push({ path: backup, modified: fs.statSync(backup).mtimeMs });
+            }
+        }
+        return backups;
+    }
+}
+
+module.exports = StateStore;
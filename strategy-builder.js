@@ -1,7 +1,9 @@
 const { ethers } = require('ethers');
 const EventEmitter = require('events');
-const fs = require('fs');
 const path = require('path');
+const StateStore = require('./state-store');
+const TechnicalIndicators = require('./technical-indicators');
+const Logger = require('./logger');
 
 class StrategyBuilder extends EventEmitter {
     constructor(tradingEngine, sinclaveEngine, config, telegramNotifications = null) {
@@ -10,18 +12,52 @@ class StrategyBuilder extends EventEmitter {
         this.sinclaveEngine = sinclaveEngine;
         this.config = config;
         this.telegramNotifications = telegramNotifications;
+        this.tradeJournal = null;
+        this.logger = Logger.forModule('strategy');
+        this.positionLog = Logger.forModule('position');
+        this.twapExecutor = null;
+        this.twapBuys = new Set(); // strategyIds with a TWAP buy in progress
         
         // Strategy storage
         this.customStrategies = new Map(); // strategyId -> strategy config
         this.activeStrategies = new Map(); // strategyId -> execution state
         this.strategyPositions = new Map(); // strategyId -> positions array
         this.priceHistory = new Map(); // tokenAddress -> price history for DIP detection
+        this.indicators = new TechnicalIndicators(config?.indicators);
+        this.indicatorStates = new Map(); // tokenAddress -> incremental indicator state over priceHistory
         this.monitoringIntervals = new Map(); // strategyId -> interval ID
         
+        // New trailing-stop peaks are written at most this often (stopping a strategy flushes them)
+        this.peakSaveInterval = 30000;
+        this.peakSaveTimer = null;
+        
         // File paths
         this.strategiesPath = path.join(process.cwd(), 'custom-strategies.json');
         this.strategyPositionsPath = path.join(process.cwd(), 'strategy-positions.json');
         
+        // Crash-safe storage (schema 1: every strategy carries its positions array,
+        // schema 2: exit rules - stop-loss, trailing stop and max hold time)
+        this.strategiesStore = new StateStore(this.strategiesPath, {
+            name: 'custom-strategies',
+            version: 2,
+            migrations: {
+                1: (strategies) => {
+                    for (const strategy of Object.values(strategies)) {
+                        strategy.positions = strategy.positions || [];
+                    }
+                    return strategies;
+                },
+                2: (strategies) => {
+                    for (const strategy of Object.values(strategies)) {
+                        strategy.stopLoss = strategy.stopLoss || 0;
+                        strategy.trailingStop = strategy.trailingStop || 0;
+                        strategy.maxHoldTime = strategy.maxHoldTime || 0;
+                    }
+                    return strategies;
+                }
+            }
+        });
+        
         // WLD token address
         this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
         
@@ -31,6 +67,53 @@ class StrategyBuilder extends EventEmitter {
         console.log('🎯 Strategy Builder initialized');
     }
     
+    // Set trade journal for recording executed swaps
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+    
+    // Set TWAP executor for slicing buys larger than the pool can take at maxSlippage
+    setTwapExecutor(twapExecutor) {
+        this.twapExecutor = twapExecutor;
+    }
+    
+    // Only confirmed swaps change positions - a reverted or unconfirmed swap throws, and anything else is not a fill
+    // (TWAP summaries are built from child swaps that were each confirmed)
+    isConfirmedSwap(result) {
+        return !!(result && result.success && (result.twap || result.status === 'confirmed'));
+    }
+    
+    // Sells follow the positions' own paper flag, not the current mode, so switching paper trading off
+    // never sends a real on-chain sell for tokens that were only bought on the virtual ledger.
+    // They are exits for the quote guard: a crash must not block a stop-loss with nobody there to confirm
+    exitSwapOptions(strategy, positions) {
+        return { guard: strategy.quoteGuard, priority: 'high', exit: true, paper: positions.every(pos => pos.paper === true) };
+    }
+    
+    // Split positions into paper and live groups (one sell per ledger)
+    splitByPaperMode(positions) {
+        return [positions.filter(pos => pos.paper === true), positions.filter(pos => pos.paper !== true)]
+            .filter(group => group.length > 0);
+    }
+    
+    // Record an executed strategy swap in the trade journal
+    journalTrade(strategy, tokenIn, tokenOut, amountIn, result, reason) {
+        if (!this.tradeJournal) return;
+        
+        this.tradeJournal.recordSwap({
+            source: 'strategy_builder',
+            wallet: strategy.walletObject,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            result,
+            tokenSymbol: strategy.tokenSymbol,
+            strategyId: strategy.id,
+            strategyName: strategy.name,
+            reason
+        });
+    }
+    
     // Create a new custom strategy
     createStrategy(config) {
         const strategyId = `strategy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -49,6 +132,8 @@ class StrategyBuilder extends EventEmitter {
             profitTarget: config.profitTarget || 1, // % gain to trigger sell (legacy/simple mode)
             tradeAmount: config.tradeAmount || 0.1, // WLD amount per trade
             maxSlippage: config.maxSlippage || 1, // Max slippage %
+            quoteGuard: config.quoteGuard || null, // Overrides for the pre-trade quote guard, e.g. { maxDeviationPercent: 5, action: 'warn' }
+            twapDuration: config.twapDuration || 0, // ms - slice buys above the liquidity limit over this window (0 = shrink the buy instead)
             
             // Enhanced Profit Range Settings
             enableProfitRange: config.enableProfitRange || false,
@@ -57,6 +142,11 @@ class StrategyBuilder extends EventEmitter {
             profitRangeSteps: config.profitRangeSteps || 3, // Number of partial sells in range
             profitRangeMode: config.profitRangeMode || 'linear', // 'linear', 'aggressive', 'conservative'
             
+            // Exit rules (0 = disabled) - sell ALL open positions when any one fires
+            stopLoss: Math.abs(config.stopLoss || 0), // % loss below average entry price
+            trailingStop: Math.abs(config.trailingStop || 0), // % drop from the peak price since entry
+            maxHoldTime: config.maxHoldTime || 0, // ms since the oldest open entry
+            
             // Enhanced DIP detection settings
             priceCheckInterval: config.priceCheckInterval || 3000, // 3 seconds for more frequent checks
             dipTimeframe: config.dipTimeframe || 300000, // Default: 5 minutes (300000ms)
@@ -215,6 +305,8 @@ class StrategyBuilder extends EventEmitter {
             console.log(`   📊 Profit Range Mode: ${strategy.profitRangeMin}% - ${strategy.profitRangeMax}% (${strategy.profitRangeSteps} steps, ${strategy.profitRangeMode})`);
         }
         
+        console.log(`   🛡️ Exit Rules: ${this.describeExitRules(strategy)}`);
+        
         console.log(`🧠 Smart Features Enabled:`);
         console.log(`   📊 Volatility Analysis: Real-time market adaptation`);
         console.log(`   📉 Smart DIP Buying: 4-tier system (Small→Medium→Large→Extreme)`);
@@ -259,7 +351,9 @@ class StrategyBuilder extends EventEmitter {
         }
         
         strategy.isActive = true;
+        strategy.stoppedReason = null;
         strategy.walletObject = walletObject;
+        strategy.walletAddress = walletObject.address; // Persisted (walletObject is not)
         
         // Initialize enhanced price history storage with SMA tracking
         if (!this.priceHistory.has(strategy.targetToken)) {
@@ -280,10 +374,16 @@ class StrategyBuilder extends EventEmitter {
         
         // Start monitoring interval
         const intervalId = setInterval(async () => {
+            // A swap from an earlier tick can wait minutes for confirmation - never start a second one meanwhile
+            const state = this.activeStrategies.get(strategyId);
+            if (!state || state.busy) return;
+            state.busy = true;
             try {
                 await this.monitorStrategy(strategyId);
             } catch (error) {
-                console.error(`❌ Error monitoring strategy ${strategy.name}:`, error.message);
+                this.logger.error(`❌ Error monitoring strategy ${strategy.name}: ${error.message}`);
+            } finally {
+                state.busy = false;
             }
         }, strategy.priceCheckInterval);
         
@@ -291,7 +391,8 @@ class StrategyBuilder extends EventEmitter {
         this.activeStrategies.set(strategyId, {
             startTime: Date.now(),
             lastCheck: null,
-            checksPerformed: 0
+            checksPerformed: 0,
+            busy: false
         });
         
         console.log(`🚀 Started strategy: ${strategy.name}`);
@@ -345,11 +446,17 @@ class StrategyBuilder extends EventEmitter {
             const priceHistoryData = this.priceHistory.get(strategy.targetToken);
             const priceHistory = priceHistoryData.prices;
             
+            const tickTime = Date.now();
             priceHistory.push({
-                timestamp: Date.now(),
+                timestamp: tickTime,
                 price: currentPrice
             });
             
+            const indicatorState = this.indicatorStates.get(strategy.targetToken);
+            if (indicatorState) {
+                this.indicators.update(indicatorState, currentPrice, tickTime);
+            }
+            
             // Clean old history (keep maxHistoryAge for historical analysis)
             const cutoffTime = Date.now() - priceHistoryData.maxHistoryAge;
             while (priceHistory.length > 0 && priceHistory[0].timestamp < cutoffTime) {
@@ -366,11 +473,16 @@ class StrategyBuilder extends EventEmitter {
             const openPositions = strategy.positions.filter(p => p.status === 'open');
             
             if (openPositions.length > 0) {
+                // Stop-loss / trailing stop / max hold time take priority over profit taking
+                const exited = await this.checkExitRules(strategy, openPositions, currentPrice);
+                
                 // Monitor existing positions for profit targets
-                for (const position of openPositions) {
-                    await this.checkPositionForProfit(strategy, position);
+                if (!exited) {
+                    for (const position of openPositions) {
+                        await this.checkPositionForProfit(strategy, position);
+                    }
                 }
-            } else {
+            } else if (!this.twapBuys.has(strategyId)) {
                 // Look for smart DIP buying opportunities with volatility analysis
                 await this.checkForSmartDipOpportunity(strategy, priceHistory, currentPrice);
             }
@@ -527,10 +639,179 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error monitoring strategy ${strategy.name}:`, error.message);
+            this.logger.error(`❌ Error monitoring strategy ${strategy.name}: ${error.message}`);
         }
     }
     
+    // One-line summary of a strategy's exit rules
+    describeExitRules(strategy) {
+        const rules = [];
+        if (strategy.stopLoss > 0) rules.push(`Stop-Loss -${strategy.stopLoss}%`);
+        if (strategy.trailingStop > 0) rules.push(`Trailing Stop -${strategy.trailingStop}% from peak`);
+        if (strategy.maxHoldTime > 0) rules.push(`Max Hold ${this.getTimeframeLabel(strategy.maxHoldTime)}`);
+        return rules.length > 0 ? rules.join(' | ') : 'None (hold until profit target)';
+    }
+    
+    // Evaluate stop-loss, trailing stop and time exits; returns true if an exit was executed
+    async checkExitRules(strategy, openPositions, currentPrice) {
+        if (!(strategy.stopLoss > 0) && !(strategy.trailingStop > 0) && !(strategy.maxHoldTime > 0)) {
+            return false;
+        }
+        
+        const totalWLD = openPositions.reduce((sum, pos) => sum + pos.entryAmountWLD, 0);
+        const totalTokens = openPositions.reduce((sum, pos) => sum + pos.entryAmountToken, 0);
+        if (!totalTokens || !currentPrice) return false;
+        
+        const averagePrice = totalWLD / totalTokens;
+        const pnlPercent = ((currentPrice - averagePrice) / averagePrice) * 100;
+        
+        // Track the peak price since entry on each position (persisted for restarts)
+        let peakPrice = 0;
+        let newPeak = false;
+        for (const position of openPositions) {
+            if (!position.peakPrice || currentPrice > position.peakPrice) {
+                position.peakPrice = Math.max(currentPrice, position.entryPrice || 0);
+                newPeak = true;
+            }
+            peakPrice = Math.max(peakPrice, position.peakPrice);
+        }
+        if (newPeak) this.schedulePeakSave();
+        
+        const dropFromPeak = ((peakPrice - currentPrice) / peakPrice) * 100;
+        const oldestEntry = Math.min(...openPositions.map(pos => pos.entryTimestamp || Date.now()));
+        const heldFor = Date.now() - oldestEntry;
+        
+        let exit = null;
+        if (strategy.stopLoss > 0 && pnlPercent <= -strategy.stopLoss) {
+            exit = { reason: 'stop_loss', description: `Loss ${pnlPercent.toFixed(2)}% hit stop-loss -${strategy.stopLoss}%` };
+        } else if (strategy.trailingStop > 0 && dropFromPeak >= strategy.trailingStop) {
+            exit = { reason: 'trailing_stop', description: `Price fell ${dropFromPeak.toFixed(2)}% from peak ${peakPrice.toFixed(8)} (trailing stop ${strategy.trailingStop}%)` };
+        } else if (strategy.maxHoldTime > 0 && heldFor >= strategy.maxHoldTime) {
+            exit = { reason: 'time_exit', description: `Held ${this.formatTimeAgo(oldestEntry).replace(' ago', '')} (max ${this.getTimeframeLabel(strategy.maxHoldTime)})` };
+        }
+        
+        if (!exit) return false;
+        
+        return await this.executeExitRuleSell(strategy, openPositions, currentPrice, exit, { averagePrice, peakPrice, pnlPercent });
+    }
+    
+    // Sell ALL open positions because an exit rule fired
+    async executeExitRuleSell(strategy, openPositions, currentPrice, exit, details) {
+        const groups = this.splitByPaperMode(openPositions);
+        if (groups.length > 1) {
+            for (const group of groups) {
+                await this.executeExitRuleSell(strategy, group, currentPrice, exit, details);
+            }
+            return true;
+        }
+        
+        const totalTokens = openPositions.reduce((sum, pos) => sum + pos.entryAmountToken, 0);
+        const totalInvested = openPositions.reduce((sum, pos) => sum + pos.entryAmountWLD, 0);
+        
+        console.log(`🛑 EXIT RULE TRIGGERED for ${strategy.name}: ${exit.description}`);
+        console.log(`   💰 Selling ALL: ${totalTokens.toFixed(6)} tokens (invested ${totalInvested.toFixed(6)} WLD)`);
+        
+        try {
+            const result = await this.sinclaveEngine.executeOptimizedSwap(
+                strategy.walletObject,
+                strategy.targetToken,
+                this.WLD_ADDRESS,
+                totalTokens,
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, openPositions)
+            );
+            
+            if (!this.isConfirmedSwap(result)) {
+                throw new Error(result && result.error ? result.error : 'Exit sell execution failed');
+            }
+            
+            this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, totalTokens, result, exit.reason);
+            const wldReceived = parseFloat(result.tokensReceived || result.amountOut || 0);
+            const realizedPnL = wldReceived - totalInvested;
+            const realizedPnLPercent = (realizedPnL / totalInvested) * 100;
+            
+            openPositions.forEach(pos => {
+                pos.status = 'closed';
+                pos.exitPrice = currentPrice;
+                pos.exitAmountWLD = (pos.entryAmountWLD / totalInvested) * wldReceived; // Proportional
+                pos.exitTimestamp = Date.now();
+                pos.exitTxHash = result.transactionHash || result.txHash;
+                pos.exitReason = exit.reason;
+                pos.realizedPnL = pos.exitAmountWLD - pos.entryAmountWLD;
+                pos.realizedPnLPercent = (pos.realizedPnL / pos.entryAmountWLD) * 100;
+            });
+            
+            strategy.totalTrades++;
+            if (realizedPnL >= 0) strategy.successfulTrades++;
+            strategy.totalProfit += realizedPnL;
+            strategy.lastExecuted = Date.now();
+            strategy.lastExit = { reason: exit.reason, description: exit.description, realizedPnL, timestamp: Date.now() };
+            strategy.completedCycles++;
+            this.resetDipBuyingLevels(strategy.id);
+            
+            console.log(`✅ Exit sell executed: ${totalTokens.toFixed(6)} tokens → ${wldReceived.toFixed(6)} WLD`);
+            console.log(`   💹 Realized P&L: ${realizedPnL.toFixed(6)} WLD (${realizedPnLPercent.toFixed(2)}%)`);
+            console.log(`   🧾 TX: ${result.transactionHash || result.txHash}`);
+            
+            if (this.telegramNotifications && realizedPnL < 0) {
+                await this.telegramNotifications.notifyLossAlert({
+                    tokenSymbol: strategy.tokenSymbol || strategy.name,
+                    entryPrice: details.averagePrice,
+                    currentPrice: currentPrice,
+                    currentValue: wldReceived,
+                    unrealizedPnL: realizedPnL,
+                    exitReason: exit.description,
+                    strategy: strategy.name
+                }, Math.abs(realizedPnLPercent));
+            }
+            
+            this.saveStrategies();
+            this.emit('exitRuleExecuted', { strategy, positions: openPositions, reason: exit.reason, result, realizedPnL });
+            
+            if (strategy.maxCycles > 0 && strategy.completedCycles >= strategy.maxCycles) {
+                console.log(`🎯 CYCLE LIMIT REACHED for ${strategy.name} - auto-stopping strategy`);
+                this.stopStrategy(strategy.id);
+                this.emit('strategyCompleted', {
+                    strategy,
+                    reason: 'cycle_limit_reached',
+                    cyclesCompleted: strategy.completedCycles,
+                    totalProfit: strategy.totalProfit
+                });
+            }
+            
+            return true;
+            
+        } catch (error) {
+            this.logger.error(`❌ Exit sell failed for ${strategy.name}: ${error.message}`);
+            this.emit('exitRuleFailed', { strategy, reason: exit.reason, error: error.message });
+            if (!this.stopOnUnknownOutcome(strategy, error)) {
+                console.log(`   🔄 Will retry on next price check...`);
+            }
+            return true; // Don't take profit on positions that should be exiting
+        }
+    }
+    
+    // A swap that failed as unconfirmed or ambiguous may still have executed: sending it again could sell
+    // (or buy) twice, so the strategy stops until the transaction is checked and positions reconciled
+    stopOnUnknownOutcome(strategy, error) {
+        if (!['unconfirmed', 'ambiguous'].includes(error.category)) return false;
+        
+        this.logger.error(`🛑 Outcome of ${strategy.name}'s swap is unknown (${error.category}${error.txHash ? `, TX ${error.txHash}` : ''}) - stopping the strategy; check the transaction and reconcile positions before restarting`, {
+            strategy: strategy.id,
+            correlationId: error.correlationId,
+            category: error.category,
+            txHash: error.txHash
+        });
+        strategy.stoppedReason = `swap_${error.category}`;
+        if (strategy.isActive) {
+            this.stopStrategy(strategy.id);
+        } else {
+            this.saveStrategies();
+        }
+        this.emit('strategySwapUnknown', { strategy, category: error.category, txHash: error.txHash || null });
+        return true;
+    }
+    
     // Helper method to get prices within a specific timeframe
     getPricesInTimeframe(priceHistory, timeframeMs) {
         const cutoffTime = Date.now() - timeframeMs;
@@ -615,40 +896,21 @@ class StrategyBuilder extends EventEmitter {
     
     // Update SMA calculations for all timeframes
     updateSMACalculations(tokenAddress, priceHistoryData) {
-        const now = Date.now();
-        const priceHistory = priceHistoryData.prices;
-        
-        // SMA timeframes in milliseconds
-        const smaTimeframes = {
-            '5min': 5 * 60 * 1000,      // 5 minutes
-            '1hour': 60 * 60 * 1000,    // 1 hour
-            '6hour': 6 * 60 * 60 * 1000, // 6 hours
-            '24hour': 24 * 60 * 60 * 1000, // 24 hours
-            '1day': 24 * 60 * 60 * 1000,   // 1 day (same as 24hour)
-            '7day': 7 * 24 * 60 * 60 * 1000 // 7 days
-        };
+        this.indicators.calculateSMAs(priceHistoryData.prices, priceHistoryData.smaCache, 1);
+    }
+    
+    // EMA, RSI, MACD, Bollinger Bands, ATR and TWAP over a token's monitored price history
+    getIndicators(tokenAddress, currentPrice) {
+        const priceHistoryData = this.priceHistory.get(tokenAddress);
+        if (!priceHistoryData) return null;
         
-        // Calculate SMA for each timeframe
-        for (const [period, timeframeMs] of Object.entries(smaTimeframes)) {
-            const cutoffTime = now - timeframeMs;
-            
-            // Get prices within this timeframe
-            const periodPrices = priceHistory.filter(p => p.timestamp >= cutoffTime);
-            
-            if (periodPrices.length > 0) {
-                const prices = periodPrices.map(p => p.price);
-                const sum = prices.reduce((a, b) => a + b, 0);
-                const average = sum / prices.length;
-                
-                priceHistoryData.smaCache[period] = {
-                    values: prices,
-                    average: average,
-                    dataPoints: prices.length,
-                    timeframe: timeframeMs,
-                    lastUpdate: now
-                };
-            }
+        let state = this.indicatorStates.get(tokenAddress);
+        if (!state) {
+            state = this.indicators.replay(priceHistoryData.prices);
+            this.indicatorStates.set(tokenAddress, state);
         }
+        
+        return this.indicators.snapshot(state, currentPrice || state.lastPrice);
     }
     
     // Get SMA price analysis summary
@@ -680,6 +942,7 @@ class StrategyBuilder extends EventEmitter {
         const analysis = {
             currentPrice,
             smaComparisons: {},
+            indicators: this.getIndicators(tokenAddress, currentPrice),
             buySignals: [],
             sellSignals: [],
             overallSignal: 'NEUTRAL'
@@ -719,6 +982,23 @@ class StrategyBuilder extends EventEmitter {
             }
         }
         
+        // Oscillator context (reported alongside the SMA vote, which decides the overall signal)
+        const indicators = analysis.indicators;
+        if (indicators && currentPrice > 0) {
+            if (indicators.rsi !== null) {
+                if (indicators.rsi <= 30) analysis.buySignals.push(`RSI oversold (${indicators.rsi.toFixed(1)})`);
+                if (indicators.rsi >= 70) analysis.sellSignals.push(`RSI overbought (${indicators.rsi.toFixed(1)})`);
+            }
+            if (indicators.bollinger) {
+                if (currentPrice < indicators.bollinger.lower) analysis.buySignals.push('Below lower Bollinger Band');
+                if (currentPrice > indicators.bollinger.upper) analysis.sellSignals.push('Above upper Bollinger Band');
+            }
+            if (indicators.macd && indicators.macd.histogram !== null) {
+                (indicators.macd.histogram > 0 ? analysis.buySignals : analysis.sellSignals)
+                    .push(`MACD ${indicators.macd.histogram > 0 ? 'above' : 'below'} signal line`);
+            }
+        }
+        
         // Determine overall signal
         const totalSignals = bullishCount + bearishCount;
         if (totalSignals > 0) {
@@ -940,7 +1220,37 @@ class StrategyBuilder extends EventEmitter {
             
             // Determine optimal trade amount
             let optimalAmount = strategy.tradeAmount;
-            if (liquidityAnalysis.maxAmount < strategy.tradeAmount) {
+            let result;
+            if (liquidityAnalysis.maxAmount < strategy.tradeAmount && strategy.twapDuration > 0 && this.twapExecutor) {
+                console.log(`⚠️  Liquidity Warning: Requested ${strategy.tradeAmount} WLD exceeds optimal amount (${liquidityAnalysis.maxAmount} WLD)`);
+                console.log(`   ⏱️  Slicing the buy over ${this.getTimeframeLabel(strategy.twapDuration)} (TWAP)`);
+                
+                this.twapBuys.add(strategy.id);
+                try {
+                    result = await this.twapExecutor.executeOrder({
+                        wallet: strategy.walletObject,
+                        tokenIn: this.WLD_ADDRESS,
+                        tokenOut: strategy.targetToken,
+                        tokenSymbol: strategy.tokenSymbol,
+                        amount: strategy.tradeAmount,
+                        duration: strategy.twapDuration,
+                        maxImpactPercent: strategy.maxSlippage,
+                        slippage: strategy.maxSlippage,
+                        quoteGuard: strategy.quoteGuard,
+                        source: 'strategy_builder',
+                        strategyId: strategy.id,
+                        strategyName: strategy.name,
+                        reason: 'dip_buy'
+                    });
+                } finally {
+                    this.twapBuys.delete(strategy.id);
+                }
+                optimalAmount = result.amountIn;
+                // Confirmed children still become the position; the strategy stops on a child that may have filled
+                if (result.unconfirmedChild) {
+                    this.stopOnUnknownOutcome(strategy, result.unconfirmedChild);
+                }
+            } else if (liquidityAnalysis.maxAmount < strategy.tradeAmount) {
                 console.log(`⚠️  Liquidity Warning: Requested ${strategy.tradeAmount} WLD exceeds optimal amount`);
                 console.log(`   📊 Maximum for ${strategy.maxSlippage}% slippage: ${liquidityAnalysis.maxAmount} WLD`);
                 console.log(`   🎯 Adjusting trade amount to: ${liquidityAnalysis.maxAmount} WLD`);
@@ -950,16 +1260,23 @@ class StrategyBuilder extends EventEmitter {
                 console.log(`   📊 Pool can handle up to: ${liquidityAnalysis.maxAmount} WLD at ${strategy.maxSlippage}% slippage`);
             }
             
-            // Execute the trade using Sinclave Enhanced Engine with optimal amount
-            const result = await this.sinclaveEngine.executeOptimizedSwap(
-                strategy.walletObject,
-                this.WLD_ADDRESS,
-                strategy.targetToken,
-                optimalAmount,
-                strategy.maxSlippage
-            );
+            // Execute the trade using Sinclave Enhanced Engine with optimal amount (TWAP children are journaled as they fill)
+            if (!result) {
+                result = await this.sinclaveEngine.executeOptimizedSwap(
+                    strategy.walletObject,
+                    this.WLD_ADDRESS,
+                    strategy.targetToken,
+                    optimalAmount,
+                    strategy.maxSlippage,
+                    { guard: strategy.quoteGuard }
+                );
+            }
             
-            if (result && result.success) {
+            if (this.isConfirmedSwap(result)) {
+                if (!result.twap) {
+                    this.journalTrade(strategy, this.WLD_ADDRESS, strategy.targetToken, optimalAmount, result, 'dip_buy');
+                }
+                optimalAmount = parseFloat(result.tokensSpent) || optimalAmount; // WLD actually spent per the receipt
                 const tokensReceived = parseFloat(result.tokensReceived || result.amountOut || 0);
                 const actualEntryPrice = optimalAmount / tokensReceived; // Actual price paid (using optimal amount)
                 
@@ -968,7 +1285,9 @@ class StrategyBuilder extends EventEmitter {
                     id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                     strategyId: strategy.id,
                     tokenAddress: strategy.targetToken,
+                    walletAddress: strategy.walletObject.address,
                     status: 'open',
+                    paper: result.paper === true,
                     
                     // Entry data
                     entryPrice: actualEntryPrice, // Use actual executed price
@@ -997,8 +1316,8 @@ class StrategyBuilder extends EventEmitter {
                 const newAveragePrice = totalWLD / totalTokens;
                 const newTargetPrice = newAveragePrice * (1 + strategy.profitTarget / 100);
                 
-                console.log(`✅ DIP buy executed successfully!`);
-                console.log(`   📊 Position: ${position.id}`);
+                this.logger.info(`✅ DIP buy executed successfully!`, { strategy: strategy.id, correlationId: result.correlationId });
+                this.positionLog.info(`   📊 Position: ${position.id}`, { strategy: strategy.id, position: position.id, correlationId: result.correlationId });
                 console.log(`   💰 Entry: ${optimalAmount} WLD → ${position.entryAmountToken.toFixed(6)} tokens`);
                 console.log(`   📈 Entry Price: ${actualEntryPrice.toFixed(8)} WLD per token`);
                 
@@ -1029,8 +1348,9 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ DIP buy failed for ${strategy.name}:`, error.message);
+            this.logger.error(`❌ DIP buy failed for ${strategy.name}: ${error.message}`, { strategy: strategy.id, correlationId: error.correlationId });
             this.emit('dipBuyFailed', { strategy, error: error.message });
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
     
@@ -1099,7 +1419,7 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error checking position ${position.id}:`, error.message);
+            this.positionLog.error(`❌ Error checking position ${position.id}: ${error.message}`);
         }
     }
     
@@ -1166,7 +1486,7 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error handling profit range:`, error.message);
+            this.logger.error(`❌ Error handling profit range: ${error.message}`);
         }
     }
     
@@ -1218,10 +1538,18 @@ class StrategyBuilder extends EventEmitter {
         });
     }
     
-    // Execute a specific profit range step
-    async executeProfitRangeStep(strategy, step, currentPrice) {
+    // Execute a specific profit range step (paper and live positions are sold separately, each on its own ledger)
+    async executeProfitRangeStep(strategy, step, currentPrice, positions = null) {
+        const openPositions = positions || strategy.positions.filter(p => p.status === 'open');
+        const groups = this.splitByPaperMode(openPositions);
+        if (groups.length > 1) {
+            for (const group of groups) {
+                await this.executeProfitRangeStep(strategy, step, currentPrice, group);
+            }
+            return;
+        }
+        
         try {
-            const openPositions = strategy.positions.filter(p => p.status === 'open');
             const totalTokens = openPositions.reduce((sum, pos) => sum + pos.entryAmountToken, 0);
             const tokensToSell = totalTokens * (step.sellPercentage / 100);
             
@@ -1234,13 +1562,15 @@ class StrategyBuilder extends EventEmitter {
                 strategy.targetToken,
                 this.WLD_ADDRESS,
                 tokensToSell,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, openPositions)
             );
             
-            if (sellResult.success) {
+            if (this.isConfirmedSwap(sellResult)) {
+                this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, tokensToSell, sellResult, 'profit_range_step');
                 step.executed = true;
                 step.executedAt = Date.now();
-                step.actualTokensSold = tokensToSell;
+                step.actualTokensSold = parseFloat(sellResult.tokensSpent) || tokensToSell;
                 step.actualWLDReceived = parseFloat(sellResult.amountOut);
                 
                 // Update positions proportionally
@@ -1288,7 +1618,8 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error executing profit range step:`, error.message);
+            this.logger.error(`❌ Error executing profit range step: ${error.message}`);
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
     
@@ -1353,7 +1684,7 @@ class StrategyBuilder extends EventEmitter {
             return newProfile;
             
         } catch (error) {
-            console.error(`❌ Error analyzing volatility:`, error.message);
+            this.logger.error(`❌ Error analyzing volatility: ${error.message}`);
             return strategy.volatilityProfile;
         }
     }
@@ -1497,7 +1828,7 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error analyzing smart sell opportunity:`, error.message);
+            this.logger.error(`❌ Error analyzing smart sell opportunity: ${error.message}`);
             return {
                 shouldSell: false,
                 level: 'error',
@@ -1556,23 +1887,27 @@ class StrategyBuilder extends EventEmitter {
                 this.WLD_ADDRESS,
                 strategy.targetToken,
                 buyAmount,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                { guard: strategy.quoteGuard }
             );
             
-            if (result.success) {
+            if (this.isConfirmedSwap(result)) {
+                this.journalTrade(strategy, this.WLD_ADDRESS, strategy.targetToken, buyAmount, result, 'smart_dip_buy');
                 const tokensReceived = parseFloat(result.amountOut);
                 
                 // Create position record
                 const position = {
                     id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
                     entryPrice: currentPrice,
-                    entryAmountWLD: buyAmount,
+                    entryAmountWLD: parseFloat(result.tokensSpent) || buyAmount,
                     entryAmountToken: tokensReceived,
                     entryTimestamp: Date.now(),
                     dipLevel: dipLevel,
                     dipPercent: dipPercent,
                     volatilityProfile: strategy.volatilityProfile,
-                    status: 'open'
+                    walletAddress: strategy.walletObject.address,
+                    status: 'open',
+                    paper: result.paper === true
                 };
                 
                 strategy.positions.push(position);
@@ -1608,13 +1943,22 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error in smart DIP buy:`, error.message);
+            this.logger.error(`❌ Error in smart DIP buy: ${error.message}`);
+            this.stopOnUnknownOutcome(strategy, error);
             return null;
         }
     }
     
     // Execute immediate profit sell when profit target is reached
     async executeImmediateProfitSell(strategy, openPositions, currentPrice, profitPercent, reason = 'profit_target_reached') {
+        const groups = this.splitByPaperMode(openPositions);
+        if (groups.length > 1) {
+            for (const group of groups) {
+                await this.executeImmediateProfitSell(strategy, group, currentPrice, profitPercent, reason);
+            }
+            return;
+        }
+        
         try {
             // Get reason-specific messaging
             const reasonMessages = {
@@ -1658,10 +2002,12 @@ class StrategyBuilder extends EventEmitter {
                 strategy.targetToken,
                 this.WLD_ADDRESS,
                 totalTokens,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, openPositions)
             );
             
-            if (sellResult.success) {
+            if (this.isConfirmedSwap(sellResult)) {
+                this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, totalTokens, sellResult, reason);
                 const wldReceived = parseFloat(sellResult.amountOut);
                 const realizedProfit = wldReceived - totalInvested;
                 const realizedProfitPercent = (realizedProfit / totalInvested) * 100;
@@ -1730,12 +2076,21 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error in immediate auto-sell:`, error.message);
+            this.logger.error(`❌ Error in immediate auto-sell: ${error.message}`);
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
     
     // Execute emergency profit sell when profit exceeds 2x target
     async executeEmergencyProfitSell(strategy, openPositions, currentPrice, profitPercent) {
+        const groups = this.splitByPaperMode(openPositions);
+        if (groups.length > 1) {
+            for (const group of groups) {
+                await this.executeEmergencyProfitSell(strategy, group, currentPrice, profitPercent);
+            }
+            return;
+        }
+        
         try {
             console.log(`🚨 EMERGENCY PROFIT TAKING ACTIVATED!`);
             console.log(`   📊 Profit: ${profitPercent.toFixed(2)}% (Target was: ${strategy.profitRangeMax}%)`);
@@ -1752,10 +2107,12 @@ class StrategyBuilder extends EventEmitter {
                 strategy.targetToken,
                 this.WLD_ADDRESS,
                 totalTokens,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, openPositions)
             );
             
-            if (sellResult.success) {
+            if (this.isConfirmedSwap(sellResult)) {
+                this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, totalTokens, sellResult, 'emergency_profit_sell');
                 const wldReceived = parseFloat(sellResult.amountOut);
                 const realizedProfit = wldReceived - totalInvested;
                 const realizedProfitPercent = (realizedProfit / totalInvested) * 100;
@@ -1819,12 +2176,21 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Error in emergency profit taking:`, error.message);
+            this.logger.error(`❌ Error in emergency profit taking: ${error.message}`);
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
     
     // Execute profit sell for ALL positions (based on average price strategy)
     async executeProfitSellAll(strategy, positions, currentPrice) {
+        const groups = this.splitByPaperMode(positions);
+        if (groups.length > 1) {
+            for (const group of groups) {
+                await this.executeProfitSellAll(strategy, group, currentPrice);
+            }
+            return;
+        }
+        
         try {
             // Calculate total tokens to sell
             let totalTokensToSell = 0;
@@ -1841,10 +2207,12 @@ class StrategyBuilder extends EventEmitter {
                 strategy.targetToken,
                 this.WLD_ADDRESS,
                 totalTokensToSell,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, positions)
             );
             
-            if (result && result.success) {
+            if (this.isConfirmedSwap(result)) {
+                this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, totalTokensToSell, result, 'profit_target_reached');
                 const wldReceived = parseFloat(result.tokensReceived || result.amountOut || 0);
                 const totalInvested = positions.reduce((sum, pos) => sum + pos.entryAmountWLD, 0);
                 const realizedPnL = wldReceived - totalInvested;
@@ -1908,8 +2276,9 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Profit sell failed for ${strategy.name}:`, error.message);
+            this.logger.error(`❌ Profit sell failed for ${strategy.name}: ${error.message}`);
             this.emit('profitSellFailed', { strategy, error: error.message });
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
 
@@ -1924,10 +2293,12 @@ class StrategyBuilder extends EventEmitter {
                 strategy.targetToken,
                 this.WLD_ADDRESS,
                 position.entryAmountToken,
-                strategy.maxSlippage
+                strategy.maxSlippage,
+                this.exitSwapOptions(strategy, [position])
             );
             
-            if (result && result.success) {
+            if (this.isConfirmedSwap(result)) {
+                this.journalTrade(strategy, strategy.targetToken, this.WLD_ADDRESS, position.entryAmountToken, result, 'profit_target_reached');
                 const actualWLDReceived = parseFloat(result.tokensReceived || result.amountOut || 0);
                 const realizedPnL = actualWLDReceived - position.entryAmountWLD;
                 const realizedPnLPercent = (realizedPnL / position.entryAmountWLD) * 100;
@@ -1983,8 +2354,9 @@ class StrategyBuilder extends EventEmitter {
             }
             
         } catch (error) {
-            console.error(`❌ Profit sell failed for position ${position.id}:`, error.message);
+            this.positionLog.error(`❌ Profit sell failed for position ${position.id}: ${error.message}`);
             this.emit('profitSellFailed', { strategy, position, error: error.message });
+            this.stopOnUnknownOutcome(strategy, error);
         }
     }
     
@@ -1993,6 +2365,26 @@ class StrategyBuilder extends EventEmitter {
         return Array.from(this.customStrategies.values());
     }
     
+    // Open paper positions across all strategies
+    getOpenPaperPositions() {
+        return this.getAllStrategies().flatMap(s => (s.positions || []).filter(p => p.status === 'open' && p.paper === true));
+    }
+    
+    // Close paper positions without a swap (paper trading was switched off; virtual balances stay in the ledger)
+    closePaperPositions(reason = 'paper_mode_disabled') {
+        const positions = this.getOpenPaperPositions();
+        positions.forEach(pos => {
+            pos.status = 'closed';
+            pos.exitTimestamp = Date.now();
+            pos.exitReason = reason;
+        });
+        
+        if (positions.length > 0) {
+            this.saveStrategies();
+        }
+        return positions.length;
+    }
+    
     // Get active strategies
     getActiveStrategies() {
         return Array.from(this.customStrategies.values()).filter(s => s.isActive);
@@ -2006,14 +2398,17 @@ class StrategyBuilder extends EventEmitter {
     
     // Get positions for a specific strategy
     getStrategyPositions(strategyId) {
-        return this.strategyPositions.get(strategyId) || [];
+        const strategy = this.customStrategies.get(strategyId);
+        return strategy ? (strategy.positions || []) : [];
     }
     
     // Get all positions across all strategies
     getAllPositions() {
         const allPositions = [];
-        for (const positions of this.strategyPositions.values()) {
-            allPositions.push(...positions);
+        for (const strategy of this.customStrategies.values()) {
+            for (const position of strategy.positions || []) {
+                allPositions.push({ ...position, strategyId: strategy.id, strategyName: strategy.name });
+            }
         }
         return allPositions;
     }
@@ -2053,8 +2448,24 @@ class StrategyBuilder extends EventEmitter {
         return true;
     }
     
-    // Save strategies to file
+    // Persist new peaks without a full file write on every tick of a rally
+    schedulePeakSave() {
+        if (this.peakSaveTimer) return;
+        
+        this.peakSaveTimer = setTimeout(() => {
+            this.peakSaveTimer = null;
+            this.saveStrategies();
+        }, this.peakSaveInterval);
+        if (this.peakSaveTimer.unref) this.peakSaveTimer.unref();
+    }
+    
+    // Save strategies to file (includes any pending peak update)
     saveStrategies() {
+        if (this.peakSaveTimer) {
+            clearTimeout(this.peakSaveTimer);
+            this.peakSaveTimer = null;
+        }
+        
         try {
             const strategiesData = {};
             for (const [id, strategy] of this.customStrategies.entries()) {
@@ -2063,24 +2474,26 @@ class StrategyBuilder extends EventEmitter {
                 strategiesData[id] = safeStrategy;
             }
             
-            fs.writeFileSync(this.strategiesPath, JSON.stringify(strategiesData, null, 2));
+            this.strategiesStore.save(strategiesData);
         } catch (error) {
-            console.error('❌ Error saving strategies:', error.message);
+            this.logger.error(`❌ Error saving strategies: ${error.message}`);
         }
     }
     
     // Load strategies from file
     loadStrategies() {
         try {
-            if (fs.existsSync(this.strategiesPath)) {
-                const strategiesData = JSON.parse(fs.readFileSync(this.strategiesPath, 'utf8'));
+            const strategiesData = this.strategiesStore.load();
+            if (strategiesData) {
                 for (const [id, strategy] of Object.entries(strategiesData)) {
+                    // No monitor runs after a restart - strategies must be started again
+                    strategy.isActive = false;
                     this.customStrategies.set(id, strategy);
                 }
                 console.log(`📂 Loaded ${Object.keys(strategiesData).length} custom strategies`);
             }
         } catch (error) {
-            console.error('❌ Error loading strategies:', error.message);
+            this.logger.error(`❌ Error loading strategies: ${error.message}`);
         }
     }
     
@@ -2120,6 +2533,7 @@ class StrategyBuilder extends EventEmitter {
         }
         
         return {
+            paperTrading: !!(this.sinclaveEngine && this.sinclaveEngine.isPaperTrading && this.sinclaveEngine.isPaperTrading()),
             totalStrategies: strategies.length,
             activeStrategies: activeStrategies.length,
             stoppedStrategies: stoppedStrategies.length,
@@ -2143,7 +2557,8 @@ class StrategyBuilder extends EventEmitter {
                 totalTrades: s.totalTrades || 0,
                 successfulTrades: s.successfulTrades || 0,
                 totalProfit: (s.totalProfit || 0),
-                openPositions: (s.positions || []).filter(p => p.status === 'open').length
+                openPositions: (s.positions || []).filter(p => p.status === 'open').length,
+                paperPositions: (s.positions || []).filter(p => p.paper).length
             }))
         };
     }
@@ -0,0 +1,312 @@
+/**
+ * ALGORITMIT Technical Indicators
+ * EMA, RSI, MACD, Bollinger Bands, ATR and TWAP over the stored tick series.
+ * State is updated one tick at a time, so a long history is only replayed once.
+ */
+
+// SMA windows shared by PriceDatabase and StrategyBuilder
+const SMA_TIMEFRAMES = {
+    '5min': 5 * 60 * 1000,
+    '1hour': 60 * 60 * 1000,
+    '6hour': 6 * 60 * 60 * 1000,
+    '24hour': 24 * 60 * 60 * 1000,
+    '1day': 24 * 60 * 60 * 1000, // Same window as 24hour, kept for existing callers
+    '7day': 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_SETTINGS = {
+    emaPeriods: [12, 26],
+    rsiPeriod: 14,
+    macd: { fast: 12, slow: 26, signal: 9 },
+    bollinger: { period: 20, multiplier: 2 },
+    atr: { period: 14, barMs: 60000 }, // Ticks have no OHLC, so they are grouped into 1 minute bars
+    twapWindowMs: 60 * 60 * 1000 // VWAP-like: ticks carry no volume, so each price is weighted by how long it held
+};
+
+class TechnicalIndicators {
+    constructor(settings = {}) {
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...settings,
+            macd: { ...DEFAULT_SETTINGS.macd, ...(settings.macd || {}) },
+            bollinger: { ...DEFAULT_SETTINGS.bollinger, ...(settings.bollinger || {}) },
+            atr: { ...DEFAULT_SETTINGS.atr, ...(settings.atr || {}) }
+        };
+    }
+
+    // Fresh incremental state for one token
+    createState() {
+        const { emaPeriods, rsiPeriod, macd, bollinger, atr } = this.settings;
+
+        return {
+            lastTimestamp: 0,
+            lastPrice: null,
+            dataPoints: 0,
+            ema: Object.fromEntries(emaPeriods.map(period => [period, this.createEMA(period)])),
+            rsi: this.createRSI(rsiPeriod),
+            macd: {
+                fast: this.createEMA(macd.fast),
+                slow: this.createEMA(macd.slow),
+                signal: this.createEMA(macd.signal),
+                value: null
+            },
+            bollinger: { window: [], sum: 0, sumSquares: 0, period: bollinger.period },
+            atr: { bar: null, previousClose: null, ranges: 0, sum: 0, value: null, period: atr.period },
+            twap: { segments: [], area: 0, duration: 0 }
+        };
+    }
+
+    // Build state by replaying a stored tick series ({timestamp, price} objects)
+    replay(prices) {
+        const state = this.createState();
+        for (const point of prices) {
+            this.update(state, point.price, point.timestamp);
+        }
+        return state;
+    }
+
+    // Apply one tick; older or duplicate ticks are ignored
+    update(state, price, timestamp = Date.now()) {
+        if (!(price > 0) || timestamp <= state.lastTimestamp) return state;
+
+        for (const ema of Object.values(state.ema)) {
+            this.stepEMA(ema, price);
+        }
+
+        if (state.lastPrice !== null) {
+            this.stepRSI(state.rsi, price - state.lastPrice);
+        }
+
+        const fast = this.stepEMA(state.macd.fast, price);
+        const slow = this.stepEMA(state.macd.slow, price);
+        if (fast !== null && slow !== null) {
+            state.macd.value = fast - slow;
+            this.stepEMA(state.macd.signal, state.macd.value);
+        }
+
+        this.stepBollinger(state.bollinger, price);
+        this.stepATR(state.atr, price, timestamp);
+        this.stepTWAP(state.twap, state.lastPrice, state.lastTimestamp, timestamp);
+
+        state.lastPrice = price;
+        state.lastTimestamp = timestamp;
+        state.dataPoints++;
+        return state;
+    }
+
+    // Current indicator values (null where there is not enough data yet)
+    snapshot(state, currentPrice = state.lastPrice) {
+        const { bollinger, atr, twap, macd } = state;
+        const price = currentPrice || null;
+
+        let bands = null;
+        if (bollinger.window.length >= bollinger.period) {
+            const middle = bollinger.sum / bollinger.window.length;
+            const deviation = Math.sqrt(Math.max(0, bollinger.sumSquares / bollinger.window.length - middle * middle));
+            const width = this.settings.bollinger.multiplier * deviation;
+            bands = {
+                middle,
+                upper: middle + width,
+                lower: middle - width,
+                bandwidth: middle > 0 ? (2 * width / middle) * 100 : null,
+                percentB: width > 0 && price !== null ? (price - (middle - width)) / (2 * width) : null
+            };
+        }
+
+        const twapValue = twap.duration > 0 ? twap.area / twap.duration : null;
+
+        return {
+            ema: Object.fromEntries(Object.entries(state.ema).map(([period, ema]) => [period, ema.value])),
+            rsi: state.rsi.value,
+            macd: macd.value === null ? null : {
+                macd: macd.value,
+                signal: macd.signal.value,
+                histogram: macd.signal.value === null ? null : macd.value - macd.signal.value
+            },
+            bollinger: bands,
+            atr: atr.value === null ? null : {
+                value: atr.value,
+                percent: price ? (atr.value / price) * 100 : null,
+                barMs: this.settings.atr.barMs
+            },
+            twap: twapValue === null ? null : {
+                value: twapValue,
+                deviation: price ? ((price - twapValue) / twapValue) * 100 : null,
+                windowMs: this.settings.twapWindowMs
+            },
+            dataPoints: state.dataPoints,
+            lastUpdate: state.lastTimestamp
+        };
+    }
+
+    // EMA seeded with the SMA of its first `period` values
+    createEMA(period) {
+        return { period, alpha: 2 / (period + 1), count: 0, sum: 0, value: null };
+    }
+
+    stepEMA(ema, value) {
+        if (ema.value === null) {
+            ema.count++;
+            ema.sum += value;
+            if (ema.count >= ema.period) {
+                ema.value = ema.sum / ema.count;
+            }
+        } else {
+            ema.value += ema.alpha * (value - ema.value);
+        }
+        return ema.value;
+    }
+
+    // Wilder RSI: simple average of the first `period` changes, then smoothed
+    createRSI(period) {
+        return { period, count: 0, avgGain: 0, avgLoss: 0, value: null };
+    }
+
+    stepRSI(rsi, change) {
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+
+        if (rsi.count < rsi.period) {
+            rsi.avgGain += gain / rsi.period;
+            rsi.avgLoss += loss / rsi.period;
+            rsi.count++;
+            if (rsi.count < rsi.period) return rsi.value;
+        } else {
+            rsi.avgGain = (rsi.avgGain * (rsi.period - 1) + gain) / rsi.period;
+            rsi.avgLoss = (rsi.avgLoss * (rsi.period - 1) + loss) / rsi.period;
+        }
+
+        if (rsi.avgLoss === 0) {
+            rsi.value = rsi.avgGain === 0 ? 50 : 100;
+        } else {
+            rsi.value = 100 - 100 / (1 + rsi.avgGain / rsi.avgLoss);
+        }
+        return rsi.value;
+    }
+
+    // Rolling window with running sums for mean and standard deviation
+    stepBollinger(bollinger, price) {
+        bollinger.window.push(price);
+        bollinger.sum += price;
+        bollinger.sumSquares += price * price;
+
+        if (bollinger.window.length > bollinger.period) {
+            const removed = bollinger.window.shift();
+            bollinger.sum -= removed;
+            bollinger.sumSquares -= removed * removed;
+        }
+    }
+
+    // ATR over fixed-length bars built from ticks
+    stepATR(atr, price, timestamp) {
+        const barMs = this.settings.atr.barMs;
+        const barStart = Math.floor(timestamp / barMs) * barMs;
+
+        if (atr.bar && atr.bar.start !== barStart) {
+            this.closeATRBar(atr);
+        }
+
+        if (!atr.bar || atr.bar.start !== barStart) {
+            atr.bar = { start: barStart, high: price, low: price, close: price };
+        } else {
+            atr.bar.high = Math.max(atr.bar.high, price);
+            atr.bar.low = Math.min(atr.bar.low, price);
+            atr.bar.close = price;
+        }
+    }
+
+    closeATRBar(atr) {
+        const { high, low, close } = atr.bar;
+        const trueRange = atr.previousClose === null
+            ? high - low
+            : Math.max(high - low, Math.abs(high - atr.previousClose), Math.abs(low - atr.previousClose));
+
+        if (atr.ranges < atr.period) {
+            atr.sum += trueRange;
+            atr.ranges++;
+            if (atr.ranges === atr.period) {
+                atr.value = atr.sum / atr.period;
+            }
+        } else {
+            atr.value = (atr.value * (atr.period - 1) + trueRange) / atr.period;
+        }
+
+        atr.previousClose = close;
+    }
+
+    // Time-weighted average: the previous price is weighted by how long it held
+    stepTWAP(twap, previousPrice, previousTimestamp, timestamp) {
+        if (previousPrice !== null) {
+            const duration = timestamp - previousTimestamp;
+            twap.segments.push({ end: timestamp, price: previousPrice, duration });
+            twap.area += previousPrice * duration;
+            twap.duration += duration;
+        }
+
+        const cutoff = timestamp - this.settings.twapWindowMs;
+        while (twap.segments.length > 0 && twap.segments[0].end <= cutoff) {
+            const removed = twap.segments.shift();
+            twap.area -= removed.price * removed.duration;
+            twap.duration -= removed.duration;
+        }
+    }
+
+    // Batch helpers for one-off periods (trigger expressions, ML features)
+    ema(prices, period) {
+        const ema = this.createEMA(period);
+        prices.forEach(price => this.stepEMA(ema, price));
+        return ema.value;
+    }
+
+    rsi(prices, period = this.settings.rsiPeriod) {
+        const rsi = this.createRSI(period);
+        for (let i = 1; i < prices.length; i++) {
+            this.stepRSI(rsi, prices[i] - prices[i - 1]);
+        }
+        return rsi.value;
+    }
+
+    bollinger(prices, period = this.settings.bollinger.period, multiplier = this.settings.bollinger.multiplier) {
+        if (prices.length < period) return null;
+
+        const window = prices.slice(-period);
+        const middle = window.reduce((a, b) => a + b, 0) / period;
+        const width = multiplier * this.standardDeviation(window);
+        return { middle, upper: middle + width, lower: middle - width };
+    }
+
+    standardDeviation(values) {
+        if (values.length === 0) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+    }
+
+    // Fill smaCache[period] for every window with at least minPoints ticks
+    calculateSMAs(prices, smaCache, minPoints = 3, now = Date.now()) {
+        for (const [period, timeframeMs] of Object.entries(SMA_TIMEFRAMES)) {
+            const sma = this.calculateSMA(prices, timeframeMs, now);
+            if (sma.dataPoints >= minPoints) {
+                smaCache[period] = sma;
+            }
+        }
+        return smaCache;
+    }
+
+    // Simple average of the points inside one window
+    calculateSMA(prices, timeframeMs, now = Date.now()) {
+        const cutoffTime = now - timeframeMs;
+        const values = prices.filter(p => p.timestamp >= cutoffTime).map(p => p.price);
+
+        return {
+            values,
+            average: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0,
+            dataPoints: values.length,
+            timeframe: timeframeMs,
+            lastUpdate: now
+        };
+    }
+}
+
+TechnicalIndicators.SMA_TIMEFRAMES = SMA_TIMEFRAMES;
+
+module.exports = TechnicalIndicators;
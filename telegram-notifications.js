@@ -12,6 +12,7 @@ class TelegramNotifications {
         this.chatId = process.env.TELEGRAM_CHAT_ID;
         this.enabled = false;
         this.lastNotificationTime = new Map();
+        this.paperTrading = null; // Paper trading executor - messages are tagged while it is enabled
         this.notificationSettings = {
             positionUpdates: true,
             tradeExecutions: true,
@@ -52,11 +53,19 @@ class TelegramNotifications {
         return await this.sendMessage(message);
     }
 
+    setPaperTradingExecutor(executor) {
+        this.paperTrading = executor;
+    }
+
     async sendMessage(text, options = {}) {
         if (!this.enabled || !this.botToken || !this.chatId) {
             return { success: false, error: 'Telegram not configured' };
         }
 
+        if (this.paperTrading && this.paperTrading.isEnabled()) {
+            text = `📝 <b>[PAPER TRADING]</b>\n${text}`;
+        }
+
         const data = JSON.stringify({
             chat_id: this.chatId,
             text: text,
@@ -212,7 +221,12 @@ class TelegramNotifications {
         message += `📊 Current: ${position.currentPrice?.toFixed(8)} WLD\n`;
         message += `💰 Value: ${position.currentValue?.toFixed(6)} WLD\n`;
         message += `💸 Loss: ${position.unrealizedPnL?.toFixed(6)} WLD\n`;
-        message += `\n🛡️ Consider stop loss!\n`;
+        if (position.exitReason) {
+            // Position was already sold by a strategy exit rule
+            message += `\n🛑 Sold by ${position.strategy || 'strategy'}: ${position.exitReason}\n`;
+        } else {
+            message += `\n🛡️ Consider stop loss!\n`;
+        }
         message += `🕐 ${new Date().toLocaleString()}`;
 
         await this.sendMessage(message);
@@ -0,0 +1,35 @@
+process.env.API_TOKEN = 'test-token';
+
+const ApiServer = require('../api-server');
+
+function createResponse() {
+    return {
+        status: null,
+        body: null,
+        writeHead(status) { this.status = status; },
+        end(body) { this.body = body ? JSON.parse(body) : null; }
+    };
+}
+
+describe('ApiServer request parsing', () => {
+    const server = new ApiServer({});
+
+    test('a malformed Host header does not throw', async () => {
+        const res = createResponse();
+        await server.handleRequest({ method: 'GET', url: '/api/status', headers: { host: 'a b' } }, res);
+        expect(res.status).toBe(401);
+    });
+
+    test('an unparseable request URL is answered with 400', async () => {
+        const res = createResponse();
+        await server.handleRequest({ method: 'GET', url: '//a b/api/status', headers: { authorization: 'Bearer test-token' } }, res);
+        expect(res.status).toBe(400);
+    });
+
+    test('an unparseable WebSocket upgrade is refused without throwing', () => {
+        const socket = { write: jest.fn(), destroy: jest.fn() };
+        expect(() => server.handleUpgrade({ url: '//a b/ws', headers: { host: 'a b' } }, socket, Buffer.alloc(0))).not.toThrow();
+        expect(socket.write).toHaveBeenCalledWith(expect.stringContaining('400 Bad Request'));
+        expect(socket.destroy).toHaveBeenCalled();
+    });
+});
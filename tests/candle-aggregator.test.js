@@ -0,0 +1,133 @@
+const CandleAggregator = require('../candle-aggregator');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2026, 0, 5); // midnight, so every resolution's bucket starts here
+
+describe('CandleAggregator aggregation', () => {
+    const aggregator = new CandleAggregator();
+
+    test('ticks roll up into OHLC candles at every resolution', () => {
+        const candles = aggregator.aggregate([
+            { timestamp: T0 + 10000, price: 2 },
+            { timestamp: T0 + 20000, price: 3 },
+            { timestamp: T0 + 30000, price: 1 },
+            { timestamp: T0 + MINUTE + 5000, price: 4 }
+        ]);
+
+        expect(candles['1m']).toEqual([
+            { t: T0, o: 2, h: 3, l: 1, c: 1, v: 0, n: 3 },
+            { t: T0 + MINUTE, o: 4, h: 4, l: 4, c: 4, v: 0, n: 1 }
+        ]);
+        for (const resolution of ['5m', '1h', '1d']) {
+            expect(candles[resolution]).toEqual([{ t: T0, o: 2, h: 4, l: 1, c: 4, v: 0, n: 4 }]);
+        }
+    });
+
+    test('a late tick updates its own bucket without moving the close of the open candle', () => {
+        const candles = aggregator.aggregate([{ timestamp: T0, price: 2 }, { timestamp: T0 + 2 * MINUTE, price: 3 }]);
+
+        aggregator.addTick(candles, 5, T0 + 30000); // belongs to the first minute
+        aggregator.addTick(candles, 1, T0 + MINUTE); // a minute that had no candle yet
+
+        expect(candles['1m'].map(c => [c.t - T0, c.h, c.l, c.c])).toEqual([[0, 5, 2, 2], [MINUTE, 1, 1, 1], [2 * MINUTE, 3, 3, 3]]);
+        expect(candles['5m'][0]).toMatchObject({ o: 2, h: 5, l: 1, n: 4 });
+    });
+
+    test('volume is added to every resolution holding the timestamp', () => {
+        const candles = aggregator.aggregate([{ timestamp: T0, price: 2 }]);
+        expect(aggregator.addVolume(candles, T0 + 1000, 7)).toHaveLength(4);
+        expect(aggregator.addVolume(candles, T0 + 2 * DAY, 7)).toHaveLength(0);
+        expect(candles['1d'][0].v).toBe(7);
+    });
+
+    test('compaction drops candles past their retention and keeps daily ones', () => {
+        const short = new CandleAggregator({ '1m': HOUR, '5m': DAY, '1h': 2 * DAY });
+        const candles = short.aggregate([{ timestamp: T0, price: 1 }, { timestamp: T0 + 3 * DAY, price: 2 }]);
+
+        const removed = short.compact(candles, T0 + 3 * DAY + 30 * MINUTE);
+
+        expect(removed).toBe(3); // the first 1m, 5m and 1h candles
+        expect(candles['1m']).toHaveLength(1);
+        expect(candles['1d']).toHaveLength(2);
+    });
+
+    test('queries read raw ticks while they cover the range, then the finest candles that do', () => {
+        const now = T0 + 10 * DAY;
+        const ticks = [{ timestamp: now - 2 * MINUTE, price: 3 }, { timestamp: now - MINUTE, price: 4 }];
+        const candles = aggregator.createCandles();
+        candles['1h'] = [{ t: now - 5 * HOUR, o: 1, h: 1, l: 1, c: 1, v: 0, n: 1 }, { t: now - 4 * HOUR, o: 2, h: 2, l: 2, c: 2, v: 0, n: 1 }];
+        candles['1d'] = [{ t: T0, o: 1, h: 2, l: 1, c: 2, v: 0, n: 2 }];
+
+        expect(aggregator.series(ticks, candles, now - 2 * MINUTE, now).map(p => p.price)).toEqual([3, 4]);
+        expect(aggregator.series(ticks, candles, now - 5 * HOUR, now)).toEqual([
+            { timestamp: now - 4 * HOUR, price: 1 },
+            { timestamp: now - 3 * HOUR, price: 2 }
+        ]);
+        expect(aggregator.priceAt(ticks, candles, now - 4 * HOUR - 10 * MINUTE, now)).toBe(1);
+        expect(aggregator.priceAt(ticks, candles, T0 + HOUR, now)).toBe(2); // only the daily candle reaches back that far
+    });
+
+    test('stitching joins coarse history to the ticks without overlap', () => {
+        const now = T0 + 2 * DAY;
+        const ticks = [{ timestamp: T0 + DAY + 30 * MINUTE, price: 5 }];
+        const candles = aggregator.aggregate([{ timestamp: T0 + HOUR, price: 1 }, { timestamp: T0 + DAY + 10 * MINUTE, price: 4 }]);
+
+        const points = aggregator.stitch(ticks, candles, now);
+
+        expect(points.map(p => p.price)).toEqual([1, 4, 5]);
+        expect(points.map(p => p.timestamp)).toEqual([T0 + HOUR + MINUTE, T0 + DAY + 11 * MINUTE, T0 + DAY + 30 * MINUTE]); // 1m closes, then ticks
+    });
+});
+
+describe('CandleAggregator CSV', () => {
+    const aggregator = new CandleAggregator();
+
+    test('export and import round-trip', () => {
+        const list = [{ t: T0, o: 1, h: 2, l: 0.5, c: 1.5, v: 10, n: 3 }, { t: T0 + HOUR, o: 1.5, h: 1.6, l: 1.4, c: 1.6, v: 0, n: 1 }];
+        const csv = aggregator.toCSV(list);
+
+        expect(csv.split('\n')[1]).toBe('2026-01-05T00:00:00.000Z,1,2,0.5,1.5,10,3');
+        expect(aggregator.parseCSV(csv, '1h')).toEqual({ candles: list, skipped: 0 });
+    });
+
+    test('the header after leading comments maps columns by name', () => {
+        const csv = [
+            '# exported from another tool',
+            '',
+            'Date;Close;Open;High;Low',
+            `${T0 / 1000};1.5;1;2;0.5`
+        ].join('\r\n');
+
+        expect(aggregator.parseCSV(csv, '1h').candles).toEqual([{ t: T0, o: 1, h: 2, l: 0.5, c: 1.5, v: 0, n: 0 }]);
+    });
+
+    test('timestamps may be epoch seconds, milliseconds or ISO dates and are floored to the bucket', () => {
+        const csv = [`${T0 / 1000 + 90}`, `${T0 + 90000}`, new Date(T0 + 90000).toISOString()]
+            .map(time => `${time},1,1,1,1`).join('\n');
+
+        expect(aggregator.parseCSV(csv, '1m').candles.map(c => c.t)).toEqual([T0 + MINUTE, T0 + MINUTE, T0 + MINUTE]);
+    });
+
+    test('invalid rows are skipped and unknown resolutions rejected', () => {
+        const csv = ['timestamp,open,high,low,close', 'yesterday,1,1,1,1', `${T0},0,1,1,1`, `${T0},1,1,2,1`, `${T0},1,2,1,1`].join('\n');
+        expect(aggregator.parseCSV(csv, '1h')).toMatchObject({ skipped: 3, candles: [{ t: T0 }] });
+        expect(() => aggregator.parseCSV(csv, '2h')).toThrow("Unknown candle resolution '2h'");
+    });
+
+    test('imported candles replace their buckets and only fill gaps at coarser resolutions', () => {
+        const candles = aggregator.aggregate([{ timestamp: T0 + 10 * MINUTE, price: 9 }]);
+        const imported = [
+            { t: T0, o: 1, h: 2, l: 1, c: 2, v: 1, n: 1 },
+            { t: T0 + HOUR, o: 2, h: 3, l: 2, c: 3, v: 1, n: 1 },
+            { t: T0 + DAY, o: 3, h: 4, l: 3, c: 4, v: 1, n: 1 }
+        ];
+
+        const result = aggregator.merge(candles, '1h', imported);
+
+        expect(result).toEqual({ imported: 3, rolledUp: 1 }); // only the second day is new
+        expect(candles['1h'].map(c => c.c)).toEqual([2, 3, 4]);
+        expect(candles['1d'].map(c => c.c)).toEqual([9, 4]); // live data wins for the first day
+    });
+});
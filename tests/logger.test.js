@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../logger');
+
+describe('Logger file output', () => {
+    let logDir;
+    let logger;
+    const key = '0x' + 'ab'.repeat(32);
+    const readRecords = () => fs.readFileSync(path.join(logDir, 'algoritmit.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'algoritmit-log-'));
+        logger = new Logger({ logDir });
+        logger.consoleWriter = () => {};
+    });
+
+    afterEach(() => {
+        logger.close();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    test('masks private keys in messages and secret fields', () => {
+        logger.write('info', 'console', `🔐 Private Key: ${key}`);
+        logger.write('info', 'app', 'wallet added', { privateKey: key });
+
+        const [message, fields] = readRecords();
+        expect(message.message).toBe('🔐 Private Key: [REDACTED]');
+        expect(fields.privateKey).toBe('[REDACTED]');
+    });
+
+    test('keeps transaction hashes in ordinary messages', () => {
+        logger.write('info', 'tx', `Swap TX sent: ${key}`);
+        expect(readRecords()[0].message).toBe(`Swap TX sent: ${key}`);
+    });
+
+    test('records written with file: false stay out of the file', () => {
+        logger.write('info', 'app', 'first');
+        logger.write('info', 'app', 'secret output', {}, { file: false });
+        expect(readRecords().map(record => record.message)).toEqual(['first']);
+    });
+
+    test('creates the log file readable by the owner only', () => {
+        logger.write('info', 'app', 'hello');
+        expect(fs.statSync(path.join(logDir, 'algoritmit.jsonl')).mode & 0o777).toBe(0o600);
+    });
+});
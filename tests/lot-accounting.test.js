@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LotAccounting = require('../lot-accounting');
+
+const WLD = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const WALLET = '0xwallet';
+const DAY = 86400000;
+
+let sequence = 0;
+const buy = (timestamp, wld, tokens) => ({ id: `b${sequence++}`, timestamp, wallet: WALLET, tokenIn: WLD, tokenOut: TOKEN, amountIn: wld, amountOut: tokens, pair: 'WLD-ORO' });
+const sell = (timestamp, tokens, wld) => ({ id: `s${sequence++}`, timestamp, wallet: WALLET, tokenIn: TOKEN, tokenOut: WLD, amountIn: tokens, amountOut: wld, pair: 'ORO-WLD' });
+
+function accountingWith(method, trades) {
+    const accounting = new LotAccounting({ costBasisMethod: method });
+    trades.forEach(trade => accounting.processTrade(trade));
+    return accounting;
+}
+
+// Buys 10 @ 1 WLD and 10 @ 2 WLD, then sells 15 for 45 WLD
+const history = () => [buy(0, 10, 10), buy(DAY, 20, 10), sell(2 * DAY, 15, 45)];
+
+describe('LotAccounting cost basis', () => {
+    test('FIFO consumes the oldest lots first', () => {
+        const [disposal] = accountingWith('fifo', history()).disposals;
+        expect(disposal.costBasisWLD).toBeCloseTo(20); // 10 @ 1 + 5 @ 2
+        expect(disposal.gainWLD).toBeCloseTo(25);
+        expect(disposal.lots.map(m => m.quantity)).toEqual([10, 5]);
+    });
+
+    test('LIFO consumes the newest lots first', () => {
+        const [disposal] = accountingWith('lifo', history()).disposals;
+        expect(disposal.costBasisWLD).toBeCloseTo(25); // 10 @ 2 + 5 @ 1
+        expect(disposal.lots.map(m => m.quantity)).toEqual([10, 5]);
+    });
+
+    test('average cost shrinks every lot proportionally at the pooled cost', () => {
+        const accounting = accountingWith('average', history());
+        const [disposal] = accounting.disposals;
+        expect(disposal.costBasisWLD).toBeCloseTo(22.5); // 15 @ 1.5
+        const [position] = accounting.getPositions();
+        expect(position.quantity).toBeCloseTo(5);
+        expect(position.averageCost).toBeCloseTo(1.5);
+    });
+
+    test('selling more than was bought leaves an unmatched quantity at zero basis', () => {
+        const [disposal] = accountingWith('fifo', [buy(0, 10, 10), sell(DAY, 12, 24)]).disposals;
+        expect(disposal.unmatchedQuantity).toBeCloseTo(2);
+        expect(disposal.costBasisWLD).toBeCloseTo(10);
+    });
+
+    test('positions are valued with the given prices', () => {
+        const accounting = accountingWith('fifo', history());
+        const [position] = accounting.getPositions({ [TOKEN]: 3 });
+        expect(position.marketValueWLD).toBeCloseTo(15);
+        expect(position.unrealizedWLD).toBeCloseTo(5); // 5 left @ 2
+    });
+
+    test('changing the method recomputes the disposals from the journal', () => {
+        const trades = history();
+        const accounting = new LotAccounting({ costBasisMethod: 'fifo' });
+        accounting.tradeJournal = { readAll: () => trades, removeListener: () => {} };
+        accounting.rebuild();
+        expect(accounting.disposals[0].costBasisWLD).toBeCloseTo(20);
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        accounting.setMethod('lifo');
+        expect(accounting.disposals[0].costBasisWLD).toBeCloseTo(25);
+    });
+});
+
+describe('LotAccounting manual trades', () => {
+    test('a zero-cost manual buy opens a lot', () => {
+        const accounting = new LotAccounting();
+        accounting.recordManualTrade({ wallet: WALLET, token: TOKEN, side: 'buy', quantity: 5, amountWLD: 0, symbol: 'ORO' });
+
+        const [position] = accounting.getPositions();
+        expect(position.quantity).toBe(5);
+        expect(position.costBasisWLD).toBe(0);
+
+        accounting.processTrade(sell(Date.now(), 5, 10));
+        expect(accounting.disposals[0].unmatchedQuantity).toBe(0);
+        expect(accounting.disposals[0].gainWLD).toBeCloseTo(10);
+    });
+
+    test('rejects a missing quantity', () => {
+        const accounting = new LotAccounting();
+        expect(() => accounting.recordManualTrade({ wallet: WALLET, token: TOKEN, side: 'buy', quantity: 0, amountWLD: 1 }))
+            .toThrow('positive token quantity');
+    });
+});
+
+describe('LotAccounting CSV export', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'algoritmit-lots-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const exportRows = (accounting) => {
+        const filePath = path.join(dir, 'disposals.csv');
+        accounting.exportDisposalsCSV(filePath);
+        return fs.readFileSync(filePath, 'utf8').trim().split('\n').slice(1);
+    };
+
+    test('writes one row per matched lot with its own term', () => {
+        const accounting = accountingWith('fifo', [buy(0, 10, 10), buy(400 * DAY, 20, 10), sell(500 * DAY, 15, 45)]);
+        const rows = exportRows(accounting).map(row => row.split(','));
+
+        expect(rows).toHaveLength(2);
+        expect(rows.map(row => row[5])).toEqual(['10', '5']);
+        expect(rows.map(row => row[10])).toEqual(['long', 'short']);
+        expect(rows.map(row => parseFloat(row[6]))).toEqual([30, 15]); // proceeds split by quantity
+        expect(rows.map(row => parseFloat(row[7]))).toEqual([10, 10]);
+    });
+
+    test('adds a row for the unmatched quantity', () => {
+        const rows = exportRows(accountingWith('fifo', [buy(0, 10, 10), sell(DAY, 12, 24)])).map(row => row.split(','));
+        expect(rows).toHaveLength(2);
+        expect(rows[1][0]).toBe('');
+        expect(rows[1][11]).toBe('2');
+    });
+
+    test('quotes and defuses symbols from on-chain data', () => {
+        const accounting = new LotAccounting();
+        expect(accounting.csvField('A,"B"')).toBe('"A,""B"""');
+        expect(accounting.csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(accounting.csvField('-1.50000000')).toBe('-1.50000000');
+    });
+});
@@ -0,0 +1,27 @@
+const QuoteGuard = require('../quote-guard');
+
+describe('QuoteGuard.resolveSettings', () => {
+    const guard = new QuoteGuard(null, { quoteGuardMaxImpact: 5, quoteGuardExitMaxImpact: 25, quoteGuardMaxSmaDeviation: 30 });
+
+    test('buys use the global limits and the overrides', () => {
+        expect(guard.resolveSettings().maxImpactPercent).toBe(5);
+        expect(guard.resolveSettings({ maxImpactPercent: 2 }).maxImpactPercent).toBe(2);
+        expect(guard.resolveSettings().maxSmaDeviationPercent).toBe(30);
+    });
+
+    test('exits skip the SMA check and use the exit impact limit by default', () => {
+        const settings = guard.resolveSettings({}, true);
+        expect(settings.maxSmaDeviationPercent).toBe(0);
+        expect(settings.maxImpactPercent).toBe(25);
+    });
+
+    test("exits keep a strategy's own impact limit", () => {
+        expect(guard.resolveSettings({ maxImpactPercent: 2 }, true).maxImpactPercent).toBe(2);
+        expect(guard.resolveSettings({ maxImpactPercent: 0 }, true).maxImpactPercent).toBe(0);
+    });
+
+    test('an explicit exit impact override wins', () => {
+        expect(guard.resolveSettings({ maxImpactPercent: 2, exitMaxImpactPercent: 10 }, true).maxImpactPercent).toBe(10);
+        expect(guard.resolveSettings({ exitMaxImpactPercent: 10 }).maxImpactPercent).toBe(5);
+    });
+});
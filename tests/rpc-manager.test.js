@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+const RpcManager = require('../rpc-manager');
+
+const endpointError = (message = 'connection refused') => Object.assign(new Error(message), { code: 'SERVER_ERROR' });
+
+function createManager(config = {}) {
+    const manager = new RpcManager({
+        rpcEndpoints: ['https://rpc-a.example', 'https://rpc-b.example'],
+        rpcBreakerThreshold: 2,
+        rpcBreakerCooldownSeconds: 10,
+        rpcTimeoutMs: 50,
+        ...config
+    });
+    for (const endpoint of manager.endpoints) {
+        endpoint.provider._perform = jest.fn();
+    }
+    return manager;
+}
+
+async function signedTransaction() {
+    const wallet = ethers.Wallet.createRandom();
+    return await wallet.signTransaction({ to: wallet.address, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: 480 });
+}
+
+describe('RpcManager circuit breaker', () => {
+    let manager;
+    let endpoint;
+
+    beforeEach(() => {
+        manager = createManager();
+        endpoint = manager.endpoints[0];
+    });
+
+    afterEach(() => manager.stop());
+
+    test('opens after the threshold of consecutive failures', () => {
+        const opened = jest.fn();
+        manager.on('breakerOpen', opened);
+
+        manager.recordFailure(endpoint, endpointError());
+        expect(endpoint.state).toBe('closed');
+        manager.recordFailure(endpoint, endpointError());
+
+        expect(endpoint.state).toBe('open');
+        expect(endpoint.cooldownMs).toBe(10000);
+        expect(opened).toHaveBeenCalledTimes(1);
+        expect(manager.isAvailable(endpoint)).toBe(false);
+    });
+
+    test('a success in between resets the failure count', () => {
+        manager.recordFailure(endpoint, endpointError());
+        manager.recordSuccess(endpoint, 100);
+        manager.recordFailure(endpoint, endpointError());
+        expect(endpoint.state).toBe('closed');
+    });
+
+    test('a failed half-open probe doubles the cooldown and a successful one closes the circuit', () => {
+        const closed = jest.fn();
+        manager.on('breakerClosed', closed);
+        manager.openBreaker(endpoint, 10000);
+
+        endpoint.state = 'half_open';
+        manager.recordFailure(endpoint, endpointError());
+        expect(endpoint.state).toBe('open');
+        expect(endpoint.cooldownMs).toBe(20000);
+
+        endpoint.state = 'half_open';
+        manager.recordSuccess(endpoint, 80);
+        expect(endpoint.state).toBe('closed');
+        expect(endpoint.cooldownMs).toBe(10000);
+        expect(closed).toHaveBeenCalledTimes(1);
+    });
+
+    test('the half-open probe runs once the cooldown has passed', async () => {
+        manager.openBreaker(endpoint, 10000);
+        endpoint.openedAt = Date.now() - 11000;
+        endpoint.provider._perform.mockResolvedValue(123);
+        manager.endpoints[1].provider._perform.mockResolvedValue(123);
+
+        await manager.checkEndpoints();
+
+        expect(endpoint.provider._perform).toHaveBeenCalledWith({ method: 'getBlockNumber' });
+        expect(endpoint.state).toBe('closed');
+        expect(endpoint.blockNumber).toBe(123);
+    });
+
+    test('chain errors do not count against the endpoint', async () => {
+        endpoint.provider._perform.mockRejectedValue(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }));
+        await expect(manager.request(endpoint, () => endpoint.provider._perform({ method: 'call' }), 'call')).rejects.toThrow('execution reverted');
+        expect(endpoint.consecutiveFailures).toBe(0);
+    });
+});
+
+describe('RpcManager broadcasts', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = createManager();
+    });
+
+    afterEach(() => manager.stop());
+
+    test('reads fail over to the next endpoint', async () => {
+        const [first, second] = manager.endpoints;
+        first.provider._perform.mockRejectedValue(endpointError());
+        second.provider._perform.mockRejectedValue(endpointError());
+        jest.spyOn(manager, 'selectEndpoint').mockReturnValueOnce(first).mockReturnValueOnce(second);
+        second.provider._perform.mockResolvedValueOnce(42);
+
+        await expect(manager.perform({ method: 'getBlockNumber' })).resolves.toBe(42);
+    });
+
+    test('a broadcast that timed out is not sent to another endpoint', async () => {
+        const signed = await signedTransaction();
+        const [first, second] = manager.endpoints;
+        first.provider._perform.mockImplementation(() => new Promise(() => {}));
+        jest.spyOn(manager, 'selectEndpoint').mockReturnValueOnce(first).mockReturnValueOnce(second);
+
+        const error = await manager.perform({ method: 'broadcastTransaction', signedTransaction: signed }).catch(e => e);
+
+        expect(error.code).toBe('TIMEOUT');
+        expect(error.txHash).toBe(ethers.Transaction.from(signed).hash);
+        expect(second.provider._perform).not.toHaveBeenCalled();
+    });
+
+    test('"already known" for the same signed transaction counts as sent', async () => {
+        const signed = await signedTransaction();
+        const [first, second] = manager.endpoints;
+        first.provider._perform.mockRejectedValue(endpointError());
+        second.provider._perform.mockRejectedValue(Object.assign(new Error('could not coalesce error'), {
+            code: 'UNKNOWN_ERROR',
+            info: { error: { code: -32000, message: 'already known' } }
+        }));
+        jest.spyOn(manager, 'selectEndpoint').mockReturnValueOnce(first).mockReturnValueOnce(second);
+
+        await expect(manager.perform({ method: 'broadcastTransaction', signedTransaction: signed }))
+            .resolves.toBe(ethers.Transaction.from(signed).hash);
+        expect(second.consecutiveFailures).toBe(0);
+    });
+});
+
+describe('RpcManager endpoint names', () => {
+    test('never contain the API key from the URL path', () => {
+        const manager = createManager({
+            rpcEndpoints: ['https://name.worldchain-mainnet.quiknode.pro/secretkey123/', 'https://worldchain-mainnet.g.alchemy.com/v2/secretkey456']
+        });
+        const names = manager.endpoints.map(endpoint => endpoint.name);
+        manager.stop();
+
+        expect(names).toEqual(['QuickNode (name.worldchain-mainnet.quiknode.pro)', 'Alchemy']);
+        expect(names.join(' ')).not.toMatch(/secretkey/);
+    });
+});
@@ -0,0 +1,123 @@
+const TechnicalIndicators = require('../technical-indicators');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Tick series one second apart
+const ticks = (prices, start = MINUTE) => prices.map((price, i) => ({ timestamp: start + i * SECOND, price }));
+
+describe('TechnicalIndicators batch helpers', () => {
+    const indicators = new TechnicalIndicators();
+
+    test('EMA is seeded with the SMA of its first period and then smoothed', () => {
+        expect(indicators.ema([1, 2], 3)).toBeNull();
+        expect(indicators.ema([1, 2, 3], 3)).toBe(2);
+        expect(indicators.ema([1, 2, 3, 4, 5], 3)).toBe(4); // 2 -> 3 -> 4 with alpha 0.5
+    });
+
+    test('RSI is 100 for only gains, 50 for no change and Wilder-smoothed after the first period', () => {
+        expect(indicators.rsi([1, 2, 3], 2)).toBe(100);
+        expect(indicators.rsi([1, 1, 1], 2)).toBe(50);
+        expect(indicators.rsi([1, 2, 1], 2)).toBe(50);
+        expect(indicators.rsi([1, 2, 1, 3], 2)).toBeCloseTo(100 - 100 / 6); // average gain 1.25, loss 0.25
+    });
+
+    test('Bollinger bands use the population standard deviation of the last period', () => {
+        const bands = indicators.bollinger([100, 1, 2, 3, 4], 4, 2);
+        expect(bands.middle).toBe(2.5);
+        expect(bands.upper).toBeCloseTo(2.5 + 2 * Math.sqrt(1.25));
+        expect(bands.lower).toBeCloseTo(2.5 - 2 * Math.sqrt(1.25));
+        expect(indicators.bollinger([1, 2, 3], 4)).toBeNull();
+    });
+
+    test('SMAs are only cached for windows with enough points', () => {
+        const now = 10 * 24 * 60 * MINUTE;
+        const prices = [
+            { timestamp: now - 2 * 24 * 60 * MINUTE, price: 1 },
+            { timestamp: now - 2 * MINUTE, price: 2 },
+            { timestamp: now - MINUTE, price: 3 },
+            { timestamp: now, price: 4 }
+        ];
+
+        const cache = indicators.calculateSMAs(prices, {}, 3, now);
+
+        expect(Object.keys(cache).sort()).toEqual(['1day', '1hour', '24hour', '5min', '6hour', '7day']);
+        expect(cache['5min'].average).toBe(3);
+        expect(cache['7day'].average).toBe(2.5);
+        expect(indicators.calculateSMAs(prices, {}, 4, now)).toEqual({ '7day': expect.objectContaining({ dataPoints: 4 }) });
+    });
+});
+
+describe('TechnicalIndicators incremental state', () => {
+    test('replaying ticks gives the same values as the batch helpers', () => {
+        const indicators = new TechnicalIndicators({ emaPeriods: [3], rsiPeriod: 4, bollinger: { period: 5 } });
+        const prices = [1, 1.2, 0.9, 1.4, 1.1, 1.3, 1.6, 1.2, 1.5];
+
+        const snapshot = indicators.snapshot(indicators.replay(ticks(prices)));
+
+        expect(snapshot.ema[3]).toBeCloseTo(indicators.ema(prices, 3));
+        expect(snapshot.rsi).toBeCloseTo(indicators.rsi(prices, 4));
+        expect(snapshot.bollinger.middle).toBeCloseTo(indicators.bollinger(prices, 5).middle);
+        expect(snapshot.bollinger.upper).toBeCloseTo(indicators.bollinger(prices, 5).upper);
+        expect(snapshot.dataPoints).toBe(prices.length);
+    });
+
+    test('older, duplicate and non-positive ticks are ignored', () => {
+        const indicators = new TechnicalIndicators();
+        const state = indicators.replay(ticks([1, 2]));
+
+        indicators.update(state, 5, MINUTE); // older than the last tick
+        indicators.update(state, 5, MINUTE + SECOND); // same timestamp as the last tick
+        indicators.update(state, 0, MINUTE + 2 * SECOND);
+
+        expect(state.dataPoints).toBe(2);
+        expect(state.lastPrice).toBe(2);
+    });
+
+    test('MACD is the fast EMA minus the slow one, with a signal line once it has enough values', () => {
+        const indicators = new TechnicalIndicators({ macd: { fast: 2, slow: 3, signal: 2 } });
+        expect(indicators.settings.bollinger.period).toBe(20); // unrelated defaults stay
+
+        const state = indicators.replay(ticks([1, 2, 3]));
+        expect(indicators.snapshot(state).macd).toEqual({ macd: 0.5, signal: null, histogram: null });
+
+        indicators.update(state, 4, MINUTE + 3 * SECOND); // fast 3.5, slow 3
+        const { macd } = indicators.snapshot(state);
+        expect(macd.macd).toBeCloseTo(0.5);
+        expect(macd.signal).toBeCloseTo(0.5);
+        expect(macd.histogram).toBeCloseTo(0);
+    });
+
+    test('Bollinger %B is null for a flat series', () => {
+        const indicators = new TechnicalIndicators({ bollinger: { period: 3 } });
+        const { bollinger } = indicators.snapshot(indicators.replay(ticks([2, 2, 2, 2])));
+        expect(bollinger).toMatchObject({ middle: 2, upper: 2, lower: 2, bandwidth: 0, percentB: null });
+    });
+
+    test('ATR groups ticks into bars and uses the previous close for the true range', () => {
+        const indicators = new TechnicalIndicators({ atr: { period: 2, barMs: MINUTE } });
+        const bar = (index, seconds = 0) => (10 + index) * MINUTE + seconds * SECOND;
+        const state = indicators.replay([
+            { timestamp: bar(0), price: 10 }, { timestamp: bar(0, 30), price: 12 }, // bar range 2
+            { timestamp: bar(1), price: 11 }, { timestamp: bar(1, 30), price: 14 }, // 11-14, close before 12: range 3
+            { timestamp: bar(2), price: 13 } // opens the third bar and closes the second
+        ]);
+        expect(indicators.snapshot(state).atr.value).toBe(2.5);
+
+        indicators.update(state, 13, bar(3)); // third bar 13-13 after a 14 close: range 1
+        const { atr } = indicators.snapshot(state);
+        expect(atr.value).toBe(1.75);
+        expect(atr.percent).toBeCloseTo(1.75 / 13 * 100);
+    });
+
+    test('TWAP weights each price by how long it held and drops segments outside the window', () => {
+        const indicators = new TechnicalIndicators({ twapWindowMs: 20 * SECOND });
+        const state = indicators.replay([{ timestamp: SECOND, price: 1 }, { timestamp: 11 * SECOND, price: 3 }, { timestamp: 21 * SECOND, price: 6 }]);
+        expect(indicators.snapshot(state).twap.value).toBe(2); // 1 for 10s, 3 for 10s
+
+        indicators.update(state, 6, 31 * SECOND); // the price 1 segment ended 20s ago
+        const { twap } = indicators.snapshot(state);
+        expect(twap.value).toBe(4.5); // 3 for 10s, 6 for 10s
+        expect(twap.deviation).toBeCloseTo(100 / 3);
+    });
+});
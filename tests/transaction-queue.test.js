@@ -0,0 +1,97 @@
+const TransactionQueue = require('../transaction-queue');
+
+// Signer whose sendTransaction answers are scripted per call
+function createSigner(chainNonce, outcomes = []) {
+    const signer = {
+        address: '0x1111111111111111111111111111111111111111',
+        provider: { getTransactionCount: jest.fn(async () => chainNonce()) },
+        sendTransaction: jest.fn(async (request) => {
+            const outcome = outcomes.shift();
+            if (outcome instanceof Error) throw outcome;
+            return { hash: `0xhash${request.nonce}`, nonce: request.nonce, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n };
+        })
+    };
+    return signer;
+}
+
+describe('TransactionQueue nonces', () => {
+    let queue;
+
+    beforeEach(() => {
+        queue = new TransactionQueue(null, { txCheckIntervalSeconds: 3600 });
+    });
+
+    afterEach(() => queue.stop());
+
+    test('reads the nonce once and then counts locally', async () => {
+        const signer = createSigner(() => 7);
+
+        const first = await queue.submit(signer, { to: '0x2' });
+        const second = await queue.submit(signer, { to: '0x3' });
+
+        expect(first.nonce).toBe(7);
+        expect(second.nonce).toBe(8);
+        expect(signer.provider.getTransactionCount).toHaveBeenCalledTimes(1);
+        expect(signer.provider.getTransactionCount).toHaveBeenCalledWith(signer.address, 'pending');
+    });
+
+    test('a nonce error resyncs from the chain and retries once', async () => {
+        let chain = 5;
+        const signer = createSigner(() => chain, [Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' })]);
+        await queue.submit(signer, { to: '0x2' }); // local nonce 5 -> 6 (first send fails, resync still reads 5)
+
+        chain = 9; // another client used nonces meanwhile
+        const signerAfter = createSigner(() => chain, [Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' })]);
+        const response = await queue.submit(signerAfter, { to: '0x3' });
+
+        expect(signerAfter.sendTransaction.mock.calls.map(([request]) => request.nonce)).toEqual([6, 9]);
+        expect(response.nonce).toBe(9);
+        expect(queue.getLane(signer.address).nextNonce).toBe(10);
+    });
+
+    test('a second nonce error is not retried again', async () => {
+        const nonceError = () => Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+        const signer = createSigner(() => 3, [nonceError(), nonceError()]);
+
+        await expect(queue.submit(signer, { to: '0x2' })).rejects.toThrow('nonce too low');
+        expect(signer.sendTransaction).toHaveBeenCalledTimes(2);
+    });
+
+    test('any other send error forgets the local nonce without retrying', async () => {
+        let chain = 4;
+        const signer = createSigner(() => chain, [Object.assign(new Error('socket hang up'), { code: 'NETWORK_ERROR' })]);
+
+        await expect(queue.submit(signer, { to: '0x2' })).rejects.toThrow('socket hang up');
+        expect(signer.sendTransaction).toHaveBeenCalledTimes(1);
+        expect(queue.getLane(signer.address).nextNonce).toBeNull();
+
+        chain = 5; // the failed send did get through
+        const response = await queue.submit(signer, { to: '0x3' });
+        expect(response.nonce).toBe(5);
+    });
+
+    test('high priority transactions are sent before queued normal ones', async () => {
+        const signer = createSigner(() => 0);
+        const sent = [];
+        queue.on('txSent', tx => sent.push(tx.label));
+
+        await Promise.all([
+            queue.submit(signer, { to: '0x2' }, { label: 'first' }),
+            queue.submit(signer, { to: '0x3' }, { label: 'buy', priority: 'low' }),
+            queue.submit(signer, { to: '0x4' }, { label: 'exit', priority: 'high' })
+        ]);
+
+        expect(sent).toEqual(['first', 'exit', 'buy']);
+    });
+
+    test('is idle only once every queued transaction is broadcast', async () => {
+        const signer = createSigner(() => 0);
+        expect(queue.isIdle()).toBe(true);
+
+        const sending = Promise.all([queue.submit(signer, { to: '0x2' }), queue.submit(signer, { to: '0x3' })]);
+        expect(queue.isIdle()).toBe(false);
+
+        await sending;
+        expect(queue.isIdle()).toBe(true);
+    });
+});
@@ -0,0 +1,99 @@
+const TriggerExpression = require('../trigger-expression');
+
+// Resolver over fixed data; a missing entry means "no data yet"
+function resolver(variables = {}, calls = {}) {
+    return {
+        variable: jest.fn(name => variables[name]),
+        call: jest.fn((name, args) => calls[`${name}(${args.join(',')})`])
+    };
+}
+
+describe('TriggerExpression parser', () => {
+    test('AND binds tighter than OR', () => {
+        const expression = new TriggerExpression('price < 1 OR price > 2 AND hour == 9');
+        expect(expression.ast.type).toBe('or');
+        expect(expression.ast.right.type).toBe('and');
+    });
+
+    test('canonical text keeps needed parentheses and normalizes aliases', () => {
+        expect(new TriggerExpression('(price < 1 || price > 2) && !(rsi() < 30)').toString())
+            .toBe('(price < 1 OR price > 2) AND NOT rsi() < 30');
+        expect(new TriggerExpression('price = (sma(24h) - 0.1) * 2').toString()).toBe('price == (sma(24h) - 0.1) * 2');
+    });
+
+    test('durations and times become milliseconds and minutes', () => {
+        const { ast } = new TriggerExpression('change(90min) <= -8 AND time >= 09:30');
+        expect(ast.left.left.args[0].value).toBe(90 * 60000);
+        expect(ast.left.right.right.value).toBe(8); // -8 is unary minus on 8
+        expect(ast.right.right.value).toBe(9 * 60 + 30);
+    });
+
+    test('sma periods map to the price database names', () => {
+        expect(new TriggerExpression('price < sma(1d)').ast.right.args[0].value).toBe('1day');
+    });
+
+    test.each([
+        ['', 'Expression is empty'],
+        ['price', 'must be a condition'],
+        ['price < 1 AND 5', 'AND/OR/NOT need conditions'],
+        ['(price < 1) + 2 > 0', 'Cannot do arithmetic on a condition'],
+        ['price < 1 < 2', "Unexpected '<' at position 11"],
+        ['price < foo', "Unknown name 'foo'"],
+        ['price < sma', "'sma' needs arguments"],
+        ['price < avg(1h)', "Unknown function 'avg'"],
+        ['change(1h, 2h) < 0', 'change() takes 1 argument(s), got 2'],
+        ['change(5) < 0', 'needs a duration'],
+        ['price < sma(2h)', 'sma() period must be one of'],
+        ['ema(1.5) > 0', 'whole number of price points'],
+        ['time > 24:00', "Invalid time '24:00'"],
+        ['price < 1 $', "Unexpected character '$'"],
+        ['(price < 1', "Expected ')' at end of expression"]
+    ])('rejects %p', (source, message) => {
+        expect(() => new TriggerExpression(source)).toThrow(message);
+    });
+});
+
+describe('TriggerExpression evaluation', () => {
+    test('compares resolved values and reports each comparison', () => {
+        const expression = new TriggerExpression('change(1h) <= -8 AND price < sma(24h)');
+        const data = resolver({ price: 0.9 }, { 'change(3600000)': -10, 'sma(24hour)': 1.2 });
+
+        const result = expression.evaluate(data);
+
+        expect(result).toEqual({
+            met: true,
+            unknown: false,
+            details: ['change(1h) <= -8: -10 <= -8 ✓', 'price < sma(24h): 0.9 < 1.2 ✓']
+        });
+    });
+
+    test('AND stops at the first false condition', () => {
+        const data = resolver({ price: 2 }, { 'rsi()': 20 });
+        const result = new TriggerExpression('price < 1 AND rsi() < 30').evaluate(data);
+
+        expect(result.met).toBe(false);
+        expect(data.call).not.toHaveBeenCalled();
+    });
+
+    test('missing data never fires but a decided OR still does', () => {
+        const missing = new TriggerExpression('price < sma(7d)').evaluate(resolver({ price: 1 }));
+        expect(missing).toMatchObject({ met: false, unknown: true, details: ['price < sma(7d): no data'] });
+
+        const decided = new TriggerExpression('price < sma(7d) OR price > 0.5').evaluate(resolver({ price: 1 }));
+        expect(decided).toMatchObject({ met: true, unknown: false });
+
+        const notMissing = new TriggerExpression('NOT price < sma(7d)').evaluate(resolver({ price: 1 }));
+        expect(notMissing).toMatchObject({ met: false, unknown: true });
+    });
+
+    test('NaN and division by zero count as no data', () => {
+        expect(new TriggerExpression('macd > 0').evaluate(resolver({ macd: NaN })).unknown).toBe(true);
+        expect(new TriggerExpression('price / atr > 1').evaluate(resolver({ price: 1, atr: 0 })).unknown).toBe(true);
+    });
+
+    test('arithmetic follows precedence and unary minus', () => {
+        const data = resolver({ price: 4 });
+        expect(new TriggerExpression('price - 2 * 3 == -2').evaluate(data).met).toBe(true);
+        expect(new TriggerExpression('-price + 1 < -2').evaluate(data).met).toBe(true);
+    });
+});
@@ -0,0 +1,76 @@
+const { ethers } = require('ethers');
+const TxTracker = require('../tx-tracker');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const errorString = (reason) => ethers.concat(['0x08c379a0', coder.encode(['string'], [reason])]);
+
+describe('TxTracker.decodeRevertData', () => {
+    const tracker = new TxTracker();
+
+    test('decodes Error(string) reasons', () => {
+        expect(tracker.decodeRevertData(errorString('Too little received'))).toBe('Too little received');
+    });
+
+    test('decodes panics with their meaning', () => {
+        const data = ethers.concat(['0x4e487b71', coder.encode(['uint256'], [0x11])]);
+        expect(tracker.decodeRevertData(data)).toBe('Panic(0x11: arithmetic overflow/underflow)');
+    });
+
+    test('decodes router custom errors, including nested ExecutionFailed messages', () => {
+        const iface = new ethers.Interface(['error V3TooLittleReceived()', 'error ExecutionFailed(uint256 commandIndex, bytes message)']);
+        const inner = iface.encodeErrorResult('V3TooLittleReceived', []);
+        expect(tracker.decodeRevertData(inner)).toBe('V3TooLittleReceived()');
+        expect(tracker.decodeRevertData(iface.encodeErrorResult('ExecutionFailed', [1, inner])))
+            .toBe('ExecutionFailed(command 1): V3TooLittleReceived()');
+    });
+
+    test('falls back to the selector for unknown errors and to null without data', () => {
+        expect(tracker.decodeRevertData('0xdeadbeef')).toBe('custom error 0xdeadbeef');
+        expect(tracker.decodeRevertData('0x')).toBeNull();
+        expect(tracker.decodeRevertData(null)).toBeNull();
+    });
+});
+
+describe('TxTracker.classifyFailure', () => {
+    const tracker = new TxTracker({ txMaxRetries: 2 });
+    const networkError = () => Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+
+    test('network errors while preparing the swap are transient', () => {
+        expect(tracker.classifyFailure(networkError(), 'prepare')).toEqual({ category: 'rpc', transient: true });
+    });
+
+    test('every error while broadcasting is ambiguous and never retried', () => {
+        expect(tracker.classifyFailure(networkError(), 'broadcasting')).toEqual({ category: 'ambiguous', transient: false });
+        expect(tracker.classifyFailure(Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' }), 'broadcasting'))
+            .toEqual({ category: 'ambiguous', transient: false });
+        expect(tracker.classifyFailure(Object.assign(new Error('stalled'), { category: 'rpc', transient: true }), 'broadcasting'))
+            .toEqual({ category: 'ambiguous', transient: false });
+    });
+
+    test('network errors after the swap was sent are unconfirmed, not retried', () => {
+        expect(tracker.classifyFailure(networkError(), 'sent')).toEqual({ category: 'unconfirmed', transient: false });
+    });
+
+    test('categories set by the tracker are kept', () => {
+        const error = Object.assign(new Error('Transaction too old'), { category: 'deadline', transient: true });
+        expect(tracker.classifyFailure(error, 'sent')).toEqual({ category: 'deadline', transient: true });
+    });
+
+    test('quote guard and balance failures are permanent', () => {
+        expect(tracker.classifyFailure(new Error('Quote guard: impact too high'), 'prepare')).toEqual({ category: 'quote_guard', transient: false });
+        expect(tracker.classifyFailure(new Error('Insufficient balance'), 'prepare')).toEqual({ category: 'insufficient_balance', transient: false });
+    });
+
+    test('revert reasons map to categories', () => {
+        expect(tracker.classifyRevert('Transaction too old')).toEqual({ category: 'deadline', transient: true });
+        expect(tracker.classifyRevert('V3TooLittleReceived()')).toEqual({ category: 'slippage', transient: false });
+        expect(tracker.classifyRevert('STF')).toEqual({ category: 'balance', transient: false });
+        expect(tracker.classifyRevert('something else')).toEqual({ category: 'reverted', transient: false });
+    });
+
+    test('shouldRetry only allows transient errors within the retry budget', () => {
+        expect(tracker.shouldRetry({ transient: true }, 0)).toBe(true);
+        expect(tracker.shouldRetry({ transient: true }, 2)).toBe(false);
+        expect(tracker.shouldRetry({ transient: false }, 0)).toBe(false);
+    });
+});
@@ -375,7 +375,7 @@ class TokenDiscoveryService {
     }
 
     // Get token balance for a specific wallet
-    async getTokenBalance(walletAddress, tokenAddress) {
+    async getTokenBalance(walletAddress, tokenAddress, strict = false) {
         try {
             const tokenContract = new ethers.Contract(tokenAddress, this.ERC20_ABI, this.provider);
             const balance = await tokenContract.balanceOf(walletAddress);
@@ -383,6 +383,8 @@ class TokenDiscoveryService {
             
             return ethers.formatUnits(balance, decimals);
         } catch (error) {
+            // Strict callers (reconciliation) must not mistake an RPC failure for a zero balance
+            if (strict) throw error;
             console.warn(`Failed to get balance for ${tokenAddress}:`, error.message);
             return '0';
         }
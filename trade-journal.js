@@ -0,0 +1,178 @@
+/**
+ * ALGORITMIT Trade Journal
+ * Append-only JSONL record of every executed swap (live and paper) with filtering
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class TradeJournal extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        // One JSON record per line - never rewritten, only appended
+        this.journalPath = config.tradeJournalPath || path.join(process.cwd(), 'trade-journal.jsonl');
+
+        // WLD token address (prices are quoted in WLD)
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+
+        // Token symbols for readable pairs (address -> symbol)
+        this.tokenSymbols = { [this.WLD_ADDRESS]: 'WLD' };
+    }
+
+    // Register a token symbol so pairs read like WLD-ORO
+    setTokenSymbol(tokenAddress, symbol) {
+        if (tokenAddress && symbol) {
+            this.tokenSymbols[tokenAddress.toLowerCase()] = symbol.toUpperCase();
+        }
+    }
+
+    // Get the display symbol of a token
+    getSymbol(tokenAddress) {
+        if (!tokenAddress) return 'UNKNOWN';
+        return this.tokenSymbols[tokenAddress.toLowerCase()] || `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-4)}`;
+    }
+
+    // Record a swap from an engine result (executeOptimizedSwap / executeSwap)
+    recordSwap(details) {
+        const { source, wallet, tokenIn, tokenOut, amountIn, result = {} } = details;
+
+        if (details.tokenSymbol) {
+            const token = tokenIn.toLowerCase() === this.WLD_ADDRESS ? tokenOut : tokenIn;
+            this.setTokenSymbol(token, details.tokenSymbol);
+        }
+
+        const spent = parseFloat(result.tokensSpent || result.amountIn || amountIn) || 0;
+        const received = parseFloat(result.tokensReceived || result.amountOut) || 0;
+        const expected = parseFloat(result.expectedOutput) || null;
+
+        const entry = {
+            id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: Date.now(),
+            source: source || 'unknown',
+            side: details.side || (tokenIn.toLowerCase() === this.WLD_ADDRESS ? 'buy' : 'sell'),
+            txHash: result.transactionHash || result.txHash || null,
+            correlationId: result.correlationId || null,
+            wallet: wallet ? (wallet.address || wallet) : null,
+            walletName: wallet && wallet.name ? wallet.name : null,
+            tokenIn: tokenIn.toLowerCase(),
+            tokenOut: tokenOut.toLowerCase(),
+            pair: `${this.getSymbol(tokenIn)}-${this.getSymbol(tokenOut)}`,
+            amountIn: spent,
+            amountOut: received,
+            effectivePrice: this.calculateEffectivePrice(tokenIn, spent, received),
+            gasUsed: result.gasUsed || '0',
+            gasCostETH: parseFloat(result.gasCost || 0),
+            expectedOutput: expected,
+            slippagePercent: expected && received ? ((expected - received) / expected) * 100 : null,
+            strategyId: details.strategyId || null,
+            strategyName: details.strategyName || null,
+            reason: details.reason || null,
+            blockNumber: result.blockNumber || null,
+            paper: result.paper === true
+        };
+
+        return this.append(entry);
+    }
+
+    // Price of the non-WLD token in WLD
+    calculateEffectivePrice(tokenIn, amountIn, amountOut) {
+        if (!amountIn || !amountOut) return null;
+
+        return tokenIn.toLowerCase() === this.WLD_ADDRESS
+            ? amountIn / amountOut   // Buy: WLD paid per token
+            : amountOut / amountIn;  // Sell: WLD received per token
+    }
+
+    // Append a record to the journal
+    append(entry) {
+        try {
+            fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+            this.emit('tradeRecorded', entry);
+        } catch (error) {
+            console.error('❌ Error writing trade journal:', error.message);
+        }
+
+        return entry;
+    }
+
+    // Read every record (skips corrupt lines)
+    readAll() {
+        try {
+            if (!fs.existsSync(this.journalPath)) return [];
+
+            return fs.readFileSync(this.journalPath, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(entry => entry !== null);
+        } catch (error) {
+            console.error('❌ Error reading trade journal:', error.message);
+            return [];
+        }
+    }
+
+    // Filter records by token, wallet, strategy, side and date range (newest first)
+    query(filters = {}) {
+        const token = filters.token ? filters.token.toLowerCase() : null;
+        const wallet = filters.wallet ? filters.wallet.toLowerCase() : null;
+        const strategy = filters.strategy ? filters.strategy.toLowerCase() : null;
+        const from = filters.from ? this.parseDate(filters.from) : null;
+        const to = filters.to ? this.parseDate(filters.to, true) : null;
+
+        const trades = this.readAll().filter(trade => {
+            if (token && trade.tokenIn !== token && trade.tokenOut !== token &&
+                !trade.pair.toLowerCase().split('-').includes(token)) return false;
+            if (wallet && (trade.wallet || '').toLowerCase() !== wallet &&
+                (trade.walletName || '').toLowerCase() !== wallet) return false;
+            if (strategy && (trade.strategyId || '').toLowerCase() !== strategy &&
+                (trade.strategyName || '').toLowerCase() !== strategy) return false;
+            if (filters.side && trade.side !== filters.side) return false;
+            if (filters.source && trade.source !== filters.source) return false;
+            if (from && trade.timestamp < from) return false;
+            if (to && trade.timestamp > to) return false;
+            return true;
+        });
+
+        trades.sort((a, b) => b.timestamp - a.timestamp);
+        return filters.limit ? trades.slice(0, filters.limit) : trades;
+    }
+
+    // Parse YYYY-MM-DD (or any Date string); endOfDay includes the whole day
+    parseDate(value, endOfDay = false) {
+        if (typeof value === 'number') return value;
+
+        const time = new Date(value).getTime();
+        if (isNaN(time)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+
+        return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 - 1 : time;
+    }
+
+    // Totals for a set of records
+    getSummary(trades) {
+        const slippages = trades.filter(t => t.slippagePercent !== null).map(t => t.slippagePercent);
+
+        return {
+            totalTrades: trades.length,
+            buys: trades.filter(t => t.side === 'buy').length,
+            sells: trades.filter(t => t.side === 'sell').length,
+            paperTrades: trades.filter(t => t.paper).length,
+            wldSpent: trades.filter(t => t.side === 'buy').reduce((sum, t) => sum + t.amountIn, 0),
+            wldReceived: trades.filter(t => t.side === 'sell').reduce((sum, t) => sum + t.amountOut, 0),
+            totalGasETH: trades.reduce((sum, t) => sum + (t.gasCostETH || 0), 0),
+            averageSlippage: slippages.length > 0 ? slippages.reduce((a, b) => a + b, 0) / slippages.length : null
+        };
+    }
+}
+
+module.exports = TradeJournal;
@@ -46,9 +46,53 @@ class AdvancedTradingEngine {
         this.priceCache = new Map();
         this.lastPriceUpdate = new Map();
         
-        // Transaction pool for batch processing
-        this.transactionQueue = [];
-        this.isProcessingQueue = false;
+        // Per-wallet nonce manager / submission queue (shared with the Sinclave engine, see setTransactionQueue)
+        this.transactionQueue = null;
+        
+        // Paper trading executor (simulated swaps when enabled)
+        this.paperTrading = null;
+    }
+
+    // Set paper trading executor
+    setPaperTradingExecutor(executor) {
+        this.paperTrading = executor;
+    }
+
+    // Set transaction queue (serializes sends per wallet and assigns nonces)
+    setTransactionQueue(transactionQueue) {
+        this.transactionQueue = transactionQueue;
+    }
+
+    // Send a populated transaction - through the per-wallet queue when one is set
+    async sendTransaction(signer, request, txOptions = {}) {
+        if (this.transactionQueue) {
+            return await this.transactionQueue.submit(signer, request, txOptions);
+        }
+        return await signer.sendTransaction(request);
+    }
+
+    // Wait for a sent transaction (the queue follows speed-ups to the replacement's receipt)
+    async waitForTransaction(tx, confirmations = 1) {
+        if (this.transactionQueue) {
+            return await this.transactionQueue.wait(tx, confirmations);
+        }
+        return await tx.wait(confirmations);
+    }
+
+    // Check if swaps are currently simulated
+    isPaperTrading() {
+        return !!(this.paperTrading && this.paperTrading.isEnabled());
+    }
+
+    // Paper or live for one swap: an explicit flag wins over the current mode
+    resolvePaperMode(paper) {
+        if (paper === undefined || paper === null) {
+            return this.isPaperTrading();
+        }
+        if (paper === true && !this.paperTrading) {
+            throw new Error('Paper position cannot be closed: paper trading executor is not available');
+        }
+        return paper === true;
     }
 
     // High-speed price fetching with caching
@@ -131,9 +175,13 @@ class AdvancedTradingEngine {
         }, {});
     }
 
-    // Execute high-speed trade
-    async executeSwap(wallet, tokenIn, tokenOut, amountIn, slippageTolerance = 0.5) {
+    // Execute high-speed trade (options.paper pins the swap to the paper ledger or the chain)
+    async executeSwap(wallet, tokenIn, tokenOut, amountIn, slippageTolerance = 0.5, options = {}) {
         try {
+            if (this.resolvePaperMode(options.paper)) {
+                return await this.executePaperSwap(wallet, tokenIn, tokenOut, amountIn, slippageTolerance);
+            }
+            
             console.log(`🔄 Executing swap: ${amountIn} tokens`);
             
             // First check if liquidity exists for this pair
@@ -210,8 +258,9 @@ class AdvancedTradingEngine {
             
             if (currentAllowance < amountInWei) {
                 console.log('Approving token spend...');
-                const approveTx = await tokenInContract.approve(this.UNISWAP_V3_ROUTER, ethers.MaxUint256);
-                await approveTx.wait();
+                const approveRequest = await tokenInContract.approve.populateTransaction(this.UNISWAP_V3_ROUTER, ethers.MaxUint256);
+                const approveTx = await this.sendTransaction(signer, approveRequest, { label: 'approval' });
+                await this.waitForTransaction(approveTx);
                 console.log('Token approved successfully');
             }
             
@@ -235,22 +284,25 @@ class AdvancedTradingEngine {
             const gasEstimate = await routerContractWithSigner.exactInputSingle.estimateGas(swapParams);
             const gasLimit = gasEstimate * BigInt(120) / BigInt(100); // Add 20% buffer
             
-            const swapTx = await routerContractWithSigner.exactInputSingle(swapParams, {
+            const swapRequest = await routerContractWithSigner.exactInputSingle.populateTransaction(swapParams, {
                 gasLimit: gasLimit,
                 gasPrice: ethers.parseUnits(this.config.gasPrice || '20', 'gwei')
             });
+            const swapTx = await this.sendTransaction(signer, swapRequest, { label: 'swap' });
             
             console.log(`Transaction submitted: ${swapTx.hash}`);
             
             // Wait for confirmation
-            const receipt = await swapTx.wait();
+            const receipt = await this.waitForTransaction(swapTx);
             
             return {
                 success: true,
-                txHash: swapTx.hash,
+                txHash: receipt.hash || swapTx.hash,
                 gasUsed: receipt.gasUsed.toString(),
+                gasCost: receipt.gasPrice ? ethers.formatEther(receipt.gasUsed * receipt.gasPrice) : '0',
                 amountIn: ethers.formatUnits(amountInWei, tokenInDecimals),
                 amountOut: ethers.formatUnits(bestQuote, tokenOutDecimals),
+                expectedOutput: ethers.formatUnits(bestQuote, tokenOutDecimals),
                 fee: bestFee,
                 blockNumber: receipt.blockNumber
             };
@@ -265,6 +317,60 @@ class AdvancedTradingEngine {
         }
     }
 
+    // Simulated swap filled at the best live Uniswap V3 quote (paper trading mode)
+    async executePaperSwap(wallet, tokenIn, tokenOut, amountIn, slippageTolerance) {
+        console.log(`📝 Executing PAPER swap: ${amountIn} tokens`);
+        
+        let bestFee = 3000;
+        
+        const result = await this.paperTrading.executeSwap(
+            wallet,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            async (quoteIn, quoteOut, amount) => {
+                const tokenInContract = new ethers.Contract(quoteIn, this.ERC20_ABI, this.provider);
+                const tokenOutContract = new ethers.Contract(quoteOut, this.ERC20_ABI, this.provider);
+                const [tokenInDecimals, tokenOutDecimals] = await Promise.all([
+                    tokenInContract.decimals(),
+                    tokenOutContract.decimals()
+                ]);
+                
+                const amountInWei = ethers.parseUnits(amount.toString(), tokenInDecimals);
+                let bestQuote = null;
+                
+                for (const fee of this.FEE_TIERS) {
+                    try {
+                        const quote = await this.quoterContract.quoteExactInputSingle(quoteIn, quoteOut, fee, amountInWei, 0);
+                        if (!bestQuote || quote > bestQuote) {
+                            bestQuote = quote;
+                            bestFee = fee;
+                        }
+                    } catch (error) {
+                        // Fee tier not available, continue
+                        continue;
+                    }
+                }
+                
+                return bestQuote ? ethers.formatUnits(bestQuote, tokenOutDecimals) : 0;
+            },
+            slippageTolerance
+        );
+        
+        return {
+            success: true,
+            paper: true,
+            txHash: result.txHash,
+            gasUsed: result.gasUsed,
+            gasCost: result.gasCost,
+            amountIn: result.amountIn,
+            amountOut: result.amountOut,
+            expectedOutput: result.expectedOutput,
+            fee: bestFee,
+            blockNumber: null
+        };
+    }
+
     // Batch execute multiple trades for high-speed operation
     async executeBatchSwaps(trades) {
         const results = [];
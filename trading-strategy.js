@@ -1,5 +1,7 @@
 const { ethers } = require('ethers');
 const EventEmitter = require('events');
+const path = require('path');
+const StateStore = require('./state-store');
 
 class TradingStrategy extends EventEmitter {
     constructor(tradingEngine, config, sinclaveEngine = null, telegramNotifications = null) {
@@ -8,6 +10,7 @@ class TradingStrategy extends EventEmitter {
         this.sinclaveEngine = sinclaveEngine; // Enhanced engine for better execution
         this.config = config;
         this.telegramNotifications = telegramNotifications;
+        this.tradeJournal = null;
         
         // Strategy configuration with defaults
         this.strategyConfig = {
@@ -37,6 +40,12 @@ class TradingStrategy extends EventEmitter {
         this.priceHistory = new Map(); // tokenAddress -> price history array
         this.monitoringIntervals = new Map(); // tokenAddress -> interval ID
         this.walletObjects = new Map(); // walletAddress -> full wallet object (for sell trades)
+        
+        // Crash-safe position storage
+        this.positionsStore = new StateStore(path.join(__dirname, 'strategy_positions.json'), {
+            name: 'strategy-positions',
+            version: 1
+        });
         this.positionLocks = new Map(); // tokenAddress -> boolean (prevent concurrent sells)
         
         // Strategy state
@@ -56,6 +65,11 @@ class TradingStrategy extends EventEmitter {
         }
     }
 
+    // Set trade journal for recording executed swaps
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+
     // Set wallet objects for the strategy (called from main bot)
     setWalletObjects(wallets) {
         this.walletObjects.clear();
@@ -192,6 +206,18 @@ class TradingStrategy extends EventEmitter {
                 }
             }
             
+            if (this.tradeJournal) {
+                this.tradeJournal.recordSwap({
+                    source: 'trading_strategy',
+                    wallet,
+                    tokenIn: this.WLD_ADDRESS,
+                    tokenOut: tokenAddress,
+                    amountIn: amountWLD,
+                    result,
+                    reason: 'open_position'
+                });
+            }
+            
             // Create position record (works with both engines)
             // Calculate the ACTUAL executed swap rate from the trade results
             const actualTokensReceived = parseFloat(result.amountOut || result.tokensReceived || 0);
@@ -206,6 +232,7 @@ class TradingStrategy extends EventEmitter {
                 tokenAddress: tokenAddress,
                 walletAddress: wallet.address,
                 status: 'open',
+                paper: result.paper === true, // Simulated fill (paper trading mode)
                 
                 // Entry data (CRITICAL: Record actual executed swap)
                 entryAmountWLD: actualWLDSpent, // WLD we spent
@@ -332,7 +359,8 @@ class TradingStrategy extends EventEmitter {
                     tokenAddress,
                     this.WLD_ADDRESS,
                     position.entryAmountToken,
-                    this.strategyConfig.maxSlippage
+                    this.strategyConfig.maxSlippage,
+                    { paper: position.paper === true, exit: true } // Close on the ledger the position was opened on
                 );
                 
                 if (!result.success) {
@@ -372,7 +400,8 @@ class TradingStrategy extends EventEmitter {
                     tokenAddress,
                     this.WLD_ADDRESS,
                     position.entryAmountToken,
-                    this.strategyConfig.maxSlippage
+                    this.strategyConfig.maxSlippage,
+                    { paper: position.paper === true } // Close on the ledger the position was opened on
                 );
                 
                 if (!result.success) {
@@ -380,6 +409,18 @@ class TradingStrategy extends EventEmitter {
                 }
             }
             
+            if (this.tradeJournal) {
+                this.tradeJournal.recordSwap({
+                    source: 'trading_strategy',
+                    wallet,
+                    tokenIn: tokenAddress,
+                    tokenOut: this.WLD_ADDRESS,
+                    amountIn: position.entryAmountToken,
+                    result,
+                    reason
+                });
+            }
+            
             // Calculate final P&L
             const exitAmountWLD = parseFloat(result.amountOut);
             const realizedPnL = exitAmountWLD - position.entryAmountWLD;
@@ -882,6 +923,8 @@ class TradingStrategy extends EventEmitter {
         
         return {
             isRunning: this.isRunning,
+            paperTrading: !!(this.sinclaveEngine && this.sinclaveEngine.isPaperTrading && this.sinclaveEngine.isPaperTrading()),
+            paperPositions: Array.from(this.positions.values()).filter(p => p.paper).length,
             totalPositions: this.positions.size,
             openPositions: openPositions.length,
             closedPositions: closedPositions.length,
@@ -912,12 +955,30 @@ class TradingStrategy extends EventEmitter {
         this.emit('configUpdated', this.strategyConfig);
     }
 
+    // Open paper positions
+    getOpenPaperPositions() {
+        return Array.from(this.positions.values()).filter(p => p.status === 'open' && p.paper === true);
+    }
+
+    // Close paper positions without a swap (paper trading was switched off; virtual balances stay in the ledger)
+    async closePaperPositions(reason = 'paper_mode_disabled') {
+        const positions = this.getOpenPaperPositions();
+        positions.forEach(position => {
+            this.stopPositionMonitoring(position.tokenAddress);
+            position.status = 'closed';
+            position.exitTimestamp = Date.now();
+            position.exitReason = reason;
+        });
+
+        if (positions.length > 0) {
+            await this.savePositions();
+        }
+        return positions.length;
+    }
+
     // Save positions to file
     async savePositions() {
         try {
-            const fs = require('fs');
-            const path = require('path');
-            
             const positionsData = {
                 positions: Object.fromEntries(this.positions),
                 priceHistory: Object.fromEntries(this.priceHistory),
@@ -925,8 +986,7 @@ class TradingStrategy extends EventEmitter {
                 lastUpdated: new Date().toISOString()
             };
             
-            const filePath = path.join(__dirname, 'strategy_positions.json');
-            fs.writeFileSync(filePath, JSON.stringify(positionsData, null, 2));
+            this.positionsStore.save(positionsData);
             
         } catch (error) {
             console.error('❌ Error saving positions:', error.message);
@@ -936,13 +996,9 @@ class TradingStrategy extends EventEmitter {
     // Load positions from file
     async loadPositions() {
         try {
-            const fs = require('fs');
-            const path = require('path');
-            const filePath = path.join(__dirname, 'strategy_positions.json');
+            const data = this.positionsStore.load();
             
-            if (fs.existsSync(filePath)) {
-                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                
+            if (data) {
                 if (data.positions) {
                     this.positions = new Map(Object.entries(data.positions));
                 }
@@ -0,0 +1,400 @@
+/**
+ * ALGORITMIT Transaction Queue
+ * Per-wallet nonce manager and serialized submission queue. Strategies, triggers, DCA, TWAP and the ML strategy
+ * can swap from the same wallet at the same time; here every transaction of a wallet is broadcast one at a time,
+ * highest priority first, with a locally tracked nonce (resynced from the chain after any send error).
+ * Sent transactions are watched until their nonce is mined: one pending longer than TX_STUCK_SECONDS is reported
+ * as stuck and, with TX_AUTO_SPEED_UP, re-sent on the same nonce with replacement gas. Pending transactions can
+ * also be sped up or cancelled (0 ETH self-transfer on the same nonce) by hand.
+ */
+
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+class TransactionQueue extends EventEmitter {
+    constructor(sinclaveEngine, config = {}) {
+        super();
+        this.sinclaveEngine = sinclaveEngine; // replacement gas via calculateOptimizedGasSettings(..., true)
+        this.config = config;
+
+        this.settings = {
+            stuckAfterMs: (config.txStuckSeconds || parseFloat(process.env.TX_STUCK_SECONDS) || 60) * 1000,
+            checkIntervalMs: (config.txCheckIntervalSeconds || parseFloat(process.env.TX_CHECK_INTERVAL_SECONDS) || 15) * 1000,
+            autoSpeedUp: config.txAutoSpeedUp !== undefined ? config.txAutoSpeedUp : process.env.TX_AUTO_SPEED_UP !== 'false',
+            maxSpeedUps: config.txMaxSpeedUps || parseInt(process.env.TX_MAX_SPEED_UPS) || 3
+        };
+
+        this.lanes = new Map();        // wallet address -> { address, queue: [], busy, nextNonce }
+        this.transactions = new Map(); // id -> tracked transaction (queued, pending and recently finished)
+        this.maxFinished = 100;
+        this.sequence = 0;
+
+        this.monitorTimer = null;
+        this.checking = false;
+        this.logger = Logger.forModule('tx');
+    }
+
+    // Queue for one wallet
+    getLane(address) {
+        const key = address.toLowerCase();
+        if (!this.lanes.has(key)) {
+            this.lanes.set(key, { address: key, queue: [], busy: false, nextNonce: null });
+        }
+        return this.lanes.get(key);
+    }
+
+    // Queue a transaction; resolves with the ethers TransactionResponse once it is broadcast
+    // options: { priority: 'high' | 'normal' | 'low', label, correlationId }
+    submit(signer, request, options = {}) {
+        const priority = PRIORITIES[options.priority] !== undefined ? options.priority : 'normal';
+        const lane = this.getLane(signer.address);
+
+        return new Promise((resolve, reject) => {
+            const tx = {
+                id: `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                wallet: lane.address,
+                label: options.label || 'transaction',
+                priority,
+                correlationId: options.correlationId || null,
+                status: 'queued',
+                queuedAt: Date.now(),
+                nonce: null,
+                hash: null,
+                hashes: [],
+                speedUps: 0,
+                seq: this.sequence++
+            };
+            // Not enumerable: keeps getTransactions() output plain data
+            Object.defineProperties(tx, {
+                signer: { value: signer, writable: true },
+                request: { value: request, writable: true },
+                response: { value: null, writable: true },
+                fees: { value: null, writable: true },
+                resolve: { value: resolve },
+                reject: { value: reject }
+            });
+
+            this.transactions.set(tx.id, tx);
+            lane.queue.push(tx);
+            lane.queue.sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || a.seq - b.seq);
+
+            const ahead = lane.queue.indexOf(tx) + (lane.busy ? 1 : 0);
+            if (ahead > 0) {
+                this.logger.info(`⏳ ${tx.label} queued behind ${ahead} transaction(s) for ${lane.address.slice(0, 10)}... (${priority} priority)`, {
+                    txId: tx.id,
+                    correlationId: tx.correlationId
+                });
+            }
+
+            this.processLane(lane);
+        });
+    }
+
+    // Send queued transactions of one wallet one after the other
+    async processLane(lane) {
+        if (lane.busy) return;
+        lane.busy = true;
+
+        try {
+            while (lane.queue.length > 0) {
+                const tx = lane.queue.shift();
+                try {
+                    tx.resolve(await this.send(lane, tx));
+                } catch (error) {
+                    tx.status = 'failed';
+                    tx.error = error.message;
+                    tx.finishedAt = Date.now();
+                    tx.reject(error);
+                }
+            }
+        } finally {
+            lane.busy = false;
+            this.pruneFinished();
+        }
+    }
+
+    // Broadcast with the next nonce; a nonce error resyncs from the chain and retries once
+    async send(lane, tx) {
+        for (let attempt = 0; ; attempt++) {
+            if (lane.nextNonce === null) {
+                lane.nextNonce = await tx.signer.provider.getTransactionCount(tx.signer.address, 'pending');
+            }
+
+            const nonce = lane.nextNonce;
+            try {
+                const response = await tx.signer.sendTransaction({ ...tx.request, nonce });
+                lane.nextNonce = nonce + 1;
+                this.markSent(tx, response, nonce);
+                return response;
+            } catch (error) {
+                // Unknown whether the nonce got used - read it from the chain before the next send
+                lane.nextNonce = null;
+                if (attempt === 0 && this.isNonceError(error)) {
+                    this.logger.warn(`⚠️  Nonce ${nonce} rejected for ${lane.address.slice(0, 10)}... (${error.code || error.message}) - resyncing and retrying`, {
+                        txId: tx.id,
+                        correlationId: tx.correlationId
+                    });
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    isNonceError(error) {
+        const message = String(error.message || '').toLowerCase();
+        return ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code) ||
+            message.includes('nonce') || message.includes('replacement transaction underpriced');
+    }
+
+    markSent(tx, response, nonce) {
+        tx.status = 'pending';
+        tx.nonce = nonce;
+        tx.hash = response.hash;
+        tx.hashes.push(response.hash);
+        tx.sentAt = Date.now();
+        tx.lastSentAt = tx.sentAt;
+        tx.response = response;
+        tx.fees = this.feesOf(response);
+
+        this.emit('txSent', tx);
+        this.startMonitor();
+    }
+
+    // Fee fields of a sent transaction (EIP-1559 or legacy)
+    feesOf(response) {
+        return {
+            maxFeePerGas: response.maxFeePerGas || null,
+            maxPriorityFeePerGas: response.maxPriorityFeePerGas || null,
+            gasPrice: response.gasPrice || null
+        };
+    }
+
+    // Tracked transaction by id, id prefix or hash
+    findTransaction(idOrHash) {
+        const needle = String(idOrHash || '').toLowerCase();
+        if (!needle) return null;
+        if (this.transactions.has(needle)) return this.transactions.get(needle);
+
+        const matches = [...this.transactions.values()].filter(tx =>
+            tx.id.startsWith(needle) || tx.hashes.some(hash => hash.toLowerCase() === needle)
+        );
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    requirePending(idOrHash) {
+        const tx = this.findTransaction(idOrHash);
+        if (!tx) throw new Error(`Transaction not found: ${idOrHash}`);
+        if (tx.status !== 'pending') throw new Error(`Transaction ${tx.id} is ${tx.status}, not pending`);
+        return tx;
+    }
+
+    // Wait for a queued transaction; follows speed-ups (same call, new hash) and reports cancellations
+    async wait(response, confirmations = 1) {
+        const tx = [...this.transactions.values()].find(t => t.hashes.includes(response.hash));
+
+        try {
+            const receipt = await response.wait(confirmations);
+            if (tx) this.markFinished(tx, 'mined', receipt.hash);
+            return receipt;
+        } catch (error) {
+            if (error.code === 'TRANSACTION_REPLACED') {
+                if (error.reason === 'repriced' && error.receipt) {
+                    if (tx) this.markFinished(tx, 'mined', error.receipt.hash);
+                    return error.receipt;
+                }
+                if (tx) this.markFinished(tx, 'cancelled', error.receipt ? error.receipt.hash : null);
+                throw new Error(`Transaction ${response.hash} was ${error.reason === 'cancelled' ? 'cancelled' : 'replaced'}`);
+            }
+            throw error;
+        }
+    }
+
+    markFinished(tx, status, minedHash = null) {
+        if (tx.status !== 'pending') return;
+
+        tx.status = status;
+        tx.finishedAt = Date.now();
+        if (minedHash) tx.hash = minedHash;
+
+        if (status === 'cancelled') {
+            this.logger.info(`🚫 ${tx.label} nonce ${tx.nonce} cancelled`, { txId: tx.id, correlationId: tx.correlationId, txHash: tx.hash });
+            this.emit('txCancelled', tx);
+        } else {
+            this.emit('txConfirmed', tx);
+        }
+    }
+
+    // Replacement fees: the engine's replacement gas, and at least 25% above what the pending one pays
+    async replacementFees(tx) {
+        const feeData = await tx.signer.provider.getFeeData();
+        const fresh = this.sinclaveEngine.calculateOptimizedGasSettings(feeData.gasPrice, true);
+
+        const bump = (value) => value ? BigInt(value) * BigInt(125) / BigInt(100) : BigInt(0);
+        const max = (...values) => values.reduce((a, b) => (b > a ? b : a));
+
+        const maxPriorityFeePerGas = max(fresh.maxPriorityFeePerGas, bump(tx.fees.maxPriorityFeePerGas || tx.fees.gasPrice));
+        const maxFeePerGas = max(fresh.maxFeePerGas, bump(tx.fees.maxFeePerGas || tx.fees.gasPrice), maxPriorityFeePerGas);
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // Re-send a pending transaction on its nonce with higher gas
+    async speedUp(idOrHash) {
+        const tx = this.requirePending(idOrHash);
+        const original = tx.response;
+        const fees = await this.replacementFees(tx);
+
+        const response = await tx.signer.sendTransaction({
+            to: original.to,
+            data: original.data,
+            value: original.value,
+            gasLimit: original.gasLimit,
+            nonce: tx.nonce,
+            ...fees
+        });
+
+        this.markReplaced(tx, response, 'speedUp');
+        this.logger.info(`⚡ Sped up ${tx.label} nonce ${tx.nonce}: ${response.hash}`, { txId: tx.id, correlationId: tx.correlationId, txHash: response.hash });
+        return tx;
+    }
+
+    // Replace a pending transaction with a 0 ETH self-transfer on the same nonce
+    async cancel(idOrHash) {
+        const queued = this.findTransaction(idOrHash);
+        if (queued && queued.status === 'queued') {
+            const lane = this.getLane(queued.wallet);
+            lane.queue = lane.queue.filter(tx => tx !== queued);
+            queued.status = 'cancelled';
+            queued.finishedAt = Date.now();
+            queued.reject(new Error(`Transaction ${queued.id} cancelled before it was sent`));
+            this.emit('txCancelled', queued);
+            return queued;
+        }
+
+        const tx = this.requirePending(idOrHash);
+        const fees = await this.replacementFees(tx);
+
+        const response = await tx.signer.sendTransaction({
+            to: tx.signer.address,
+            data: '0x',
+            value: 0,
+            gasLimit: 21000,
+            nonce: tx.nonce,
+            ...fees
+        });
+
+        tx.cancelHash = response.hash;
+        this.markReplaced(tx, response, 'cancel');
+        this.logger.info(`🚫 Cancel sent for ${tx.label} nonce ${tx.nonce}: ${response.hash}`, { txId: tx.id, correlationId: tx.correlationId, txHash: response.hash });
+        return tx;
+    }
+
+    markReplaced(tx, response, kind) {
+        tx.hash = response.hash;
+        tx.hashes.push(response.hash);
+        tx.lastSentAt = Date.now();
+        tx.fees = this.feesOf(response);
+        if (kind === 'speedUp') tx.speedUps++;
+
+        this.emit('txReplaced', { tx, kind });
+    }
+
+    // Watch pending transactions while there are any
+    startMonitor() {
+        if (this.monitorTimer) return;
+        this.monitorTimer = setInterval(() => this.checkPending(), this.settings.checkIntervalMs);
+        if (this.monitorTimer.unref) this.monitorTimer.unref();
+    }
+
+    stop() {
+        if (this.monitorTimer) {
+            clearInterval(this.monitorTimer);
+            this.monitorTimer = null;
+        }
+    }
+
+    // Finish transactions whose nonce is mined; report (and speed up) the ones pending too long
+    async checkPending() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const pending = this.getPendingTransactions();
+            if (pending.length === 0) {
+                this.stop();
+                return;
+            }
+
+            const minedNonces = new Map(); // wallet -> nonce count of mined transactions
+            for (const tx of pending) {
+                try {
+                    const provider = tx.signer.provider;
+                    if (!minedNonces.has(tx.wallet)) {
+                        minedNonces.set(tx.wallet, await provider.getTransactionCount(tx.wallet, 'latest'));
+                    }
+
+                    if (minedNonces.get(tx.wallet) > tx.nonce) {
+                        const cancelled = tx.cancelHash && await provider.getTransactionReceipt(tx.cancelHash);
+                        this.markFinished(tx, cancelled ? 'cancelled' : 'mined', cancelled ? tx.cancelHash : null);
+                        continue;
+                    }
+
+                    // Stuck once per stuckAfterMs: after the last send and after the last report
+                    const pendingFor = Date.now() - tx.lastSentAt;
+                    if (pendingFor < this.settings.stuckAfterMs) continue;
+                    if (tx.stuckReportedAt && Date.now() - tx.stuckReportedAt < this.settings.stuckAfterMs) continue;
+                    tx.stuckReportedAt = Date.now();
+
+                    this.logger.warn(`⚠️  ${tx.label} nonce ${tx.nonce} pending for ${Math.round(pendingFor / 1000)}s: ${tx.hash}`, {
+                        txId: tx.id,
+                        correlationId: tx.correlationId,
+                        txHash: tx.hash
+                    });
+                    this.emit('txStuck', tx);
+
+                    if (this.settings.autoSpeedUp && !tx.cancelHash && tx.speedUps < this.settings.maxSpeedUps) {
+                        await this.speedUp(tx.id);
+                    }
+                } catch (error) {
+                    this.logger.error(`❌ Error checking transaction ${tx.id}: ${error.message}`, { txId: tx.id, correlationId: tx.correlationId });
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    // Drop the oldest finished transactions beyond maxFinished
+    pruneFinished() {
+        const finished = [...this.transactions.values()]
+            .filter(tx => tx.finishedAt)
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+
+        for (const tx of finished.slice(0, Math.max(0, finished.length - this.maxFinished))) {
+            this.transactions.delete(tx.id);
+        }
+    }
+
+    getTransactions() {
+        return [...this.transactions.values()].sort((a, b) => b.queuedAt - a.queuedAt);
+    }
+
+    getPendingTransactions() {
+        return [...this.transactions.values()].filter(tx => tx.status === 'pending');
+    }
+
+    getQueuedTransactions() {
+        return [...this.transactions.values()].filter(tx => tx.status === 'queued');
+    }
+
+    // Nothing queued and no wallet in the middle of a broadcast
+    isIdle() {
+        return [...this.lanes.values()].every(lane => !lane.busy && lane.queue.length === 0);
+    }
+}
+
+TransactionQueue.PRIORITIES = PRIORITIES;
+
+module.exports = TransactionQueue;
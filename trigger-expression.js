@@ -0,0 +1,465 @@
+/**
+ * ALGORITMIT Trigger Expressions
+ * Small boolean language for composite trigger conditions, e.g.
+ *   change(1h) <= -8 AND price < sma(24h) AND rsi(14) < 30
+ * Parsed and validated once; evaluated against a data resolver on every trigger check
+ */
+
+// Functions callable from expressions: name -> { args, description }
+const FUNCTIONS = {
+    change: { args: ['duration'], description: '% price change over the window (negative = drop)' },
+    drop: { args: ['duration'], description: '% drop from the price at the start of the window' },
+    rise: { args: ['duration'], description: '% rise from the price at the start of the window' },
+    sma: { args: ['period'], description: 'simple moving average (5m, 1h, 6h, 24h, 1d, 7d)' },
+    high: { args: ['duration'], description: 'highest price in the window' },
+    low: { args: ['duration'], description: 'lowest price in the window' },
+    volatility: { args: ['duration'], description: 'standard deviation of price in the window, % of its mean' },
+    rsi: { args: ['count?'], description: 'relative strength index over N price changes (default 14)' },
+    ema: { args: ['count'], description: 'exponential moving average over N price points' }
+};
+
+// Bare identifiers
+const VARIABLES = {
+    price: 'current price (WLD per token)',
+    macd: 'MACD line (EMA 12 - EMA 26)',
+    macdsignal: 'MACD signal line (EMA 9 of MACD)',
+    macdhist: 'MACD histogram (MACD - signal)',
+    bbupper: 'upper Bollinger Band (20, 2σ)',
+    bbmiddle: 'middle Bollinger Band (SMA 20)',
+    bblower: 'lower Bollinger Band (20, 2σ)',
+    atr: 'average true range of 1 minute bars, % of price',
+    twap: 'time-weighted average price over the last hour',
+    hour: 'hour of day, 0-23 (local time)',
+    minute: 'minute of hour, 0-59',
+    time: 'time of day; compare with HH:MM literals',
+    weekday: 'day of week, 0 = Sunday ... 6 = Saturday'
+};
+
+// SMA periods maintained by PriceDatabase.calculateSMAs
+const SMA_PERIODS = {
+    '5m': '5min', '5min': '5min',
+    '1h': '1hour', '1hour': '1hour',
+    '6h': '6hour', '6hour': '6hour',
+    '24h': '24hour', '24hour': '24hour',
+    '1d': '1day', '1day': '1day',
+    '7d': '7day', '7day': '7day'
+};
+
+const DURATION_UNITS = { s: 1000, m: 60000, min: 60000, h: 3600000, hour: 3600000, d: 86400000, day: 86400000 };
+const COMPARISONS = ['<=', '>=', '==', '!=', '<', '>'];
+
+class TriggerExpression {
+    constructor(source) {
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new Error('Expression is empty');
+        }
+
+        this.source = source.trim();
+        this.tokens = this.tokenize(this.source);
+        this.position = 0;
+
+        this.ast = this.parseOr();
+        if (this.position < this.tokens.length) {
+            this.fail(`Unexpected '${this.peek().text}'`);
+        }
+        if (!this.isBoolean(this.ast)) {
+            throw new Error('Expression must be a condition (e.g. price < sma(24h)), not a bare value');
+        }
+
+        delete this.tokens;
+    }
+
+    // Split the source into tokens
+    tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d{1,2}:\d{2})|(\d+(?:\.\d+)?)(min|hour|day|s|m|h|d|%)?(?![a-zA-Z])|([a-zA-Z_][a-zA-Z0-9_]*)|(<=|>=|==|!=|&&|\|\||<|>|=|!|\(|\)|,|\+|-|\*|\/))/y;
+
+        let index = 0;
+        while (index < source.length) {
+            if (/^\s*$/.test(source.slice(index))) break;
+
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`Unexpected character '${source.slice(index).trim()[0]}' at position ${index + 1}`);
+            }
+
+            const at = index + match[0].length - match[0].trimStart().length;
+            const [text, time, number, unit, word, symbol] = match;
+
+            if (time) {
+                const [hours, minutes] = time.split(':').map(Number);
+                if (hours > 23 || minutes > 59) {
+                    throw new Error(`Invalid time '${time}' at position ${at + 1}`);
+                }
+                tokens.push({ type: 'number', value: hours * 60 + minutes, text: time, at, kind: 'time' });
+            } else if (number !== undefined) {
+                if (unit && unit !== '%') {
+                    tokens.push({ type: 'number', value: parseFloat(number) * DURATION_UNITS[unit], text: number + unit, at, kind: 'duration' });
+                } else {
+                    tokens.push({ type: 'number', value: parseFloat(number), text: number + (unit || ''), at });
+                }
+            } else if (word) {
+                const upper = word.toUpperCase();
+                if (upper === 'AND' || upper === 'OR' || upper === 'NOT') {
+                    tokens.push({ type: upper, text: word, at });
+                } else {
+                    tokens.push({ type: 'word', value: word.toLowerCase(), text: word, at });
+                }
+            } else {
+                // Accept && / || / ! and a single = as aliases
+                const aliases = { '&&': 'AND', '||': 'OR', '!': 'NOT' };
+                if (aliases[symbol]) {
+                    tokens.push({ type: aliases[symbol], text: symbol, at });
+                } else {
+                    tokens.push({ type: 'symbol', value: symbol === '=' ? '==' : symbol, text: symbol, at });
+                }
+            }
+
+            index += text.length;
+        }
+
+        return tokens;
+    }
+
+    // Current token
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    // Consume the current token if it matches
+    accept(type, value) {
+        const token = this.peek();
+        if (token && token.type === type && (value === undefined || token.value === value)) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    // Consume a required token
+    expect(type, value, description) {
+        const token = this.accept(type, value);
+        if (!token) {
+            this.fail(`Expected ${description}`);
+        }
+        return token;
+    }
+
+    // Throw a parse error pointing at the current token
+    fail(message) {
+        const token = this.peek();
+        const where = token ? ` at position ${token.at + 1} ('${token.text}')` : ' at end of expression';
+        throw new Error(`${message}${where}`);
+    }
+
+    // or := and (OR and)*
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.accept('OR')) {
+            node = { type: 'or', left: this.requireBoolean(node), right: this.requireBoolean(this.parseAnd()) };
+        }
+        return node;
+    }
+
+    // and := not (AND not)*
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.accept('AND')) {
+            node = { type: 'and', left: this.requireBoolean(node), right: this.requireBoolean(this.parseNot()) };
+        }
+        return node;
+    }
+
+    // not := NOT not | comparison
+    parseNot() {
+        if (this.accept('NOT')) {
+            return { type: 'not', operand: this.requireBoolean(this.parseNot()) };
+        }
+        return this.parseComparison();
+    }
+
+    // comparison := sum (op sum)?
+    parseComparison() {
+        const left = this.parseSum();
+        const token = this.peek();
+
+        if (token && token.type === 'symbol' && COMPARISONS.includes(token.value)) {
+            this.position++;
+            const right = this.parseSum();
+            if (this.isBoolean(left) || this.isBoolean(right)) {
+                this.fail('Cannot compare conditions');
+            }
+            return { type: 'compare', op: token.value, left, right };
+        }
+
+        return left;
+    }
+
+    // sum := product (('+' | '-') product)*
+    parseSum() {
+        let node = this.parseProduct();
+        let token;
+        while ((token = this.accept('symbol', '+') || this.accept('symbol', '-'))) {
+            node = { type: 'math', op: token.value, left: this.requireValue(node), right: this.requireValue(this.parseProduct()) };
+        }
+        return node;
+    }
+
+    // product := unary (('*' | '/') unary)*
+    parseProduct() {
+        let node = this.parseUnary();
+        let token;
+        while ((token = this.accept('symbol', '*') || this.accept('symbol', '/'))) {
+            node = { type: 'math', op: token.value, left: this.requireValue(node), right: this.requireValue(this.parseUnary()) };
+        }
+        return node;
+    }
+
+    // unary := '-' unary | primary
+    parseUnary() {
+        if (this.accept('symbol', '-')) {
+            return { type: 'math', op: '-', left: { type: 'number', value: 0 }, right: this.requireValue(this.parseUnary()) };
+        }
+        return this.parsePrimary();
+    }
+
+    // primary := number | variable | call | '(' or ')'
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) {
+            this.fail('Expected a value');
+        }
+
+        if (this.accept('symbol', '(')) {
+            const node = this.parseOr();
+            this.expect('symbol', ')', "')'");
+            return node;
+        }
+
+        if (token.type === 'number') {
+            this.position++;
+            return { type: 'number', value: token.value, text: token.text };
+        }
+
+        if (token.type === 'word') {
+            this.position++;
+
+            if (this.accept('symbol', '(')) {
+                return this.parseCall(token);
+            }
+
+            if (!VARIABLES[token.value]) {
+                this.position--;
+                this.fail(FUNCTIONS[token.value] ? `'${token.value}' needs arguments, e.g. ${token.value}(1h)` : `Unknown name '${token.text}'`);
+            }
+            return { type: 'variable', name: token.value };
+        }
+
+        this.fail('Expected a value');
+    }
+
+    // call := name '(' [arg (',' arg)*] ')'
+    parseCall(nameToken) {
+        const spec = FUNCTIONS[nameToken.value];
+        if (!spec) {
+            this.position -= 2;
+            this.fail(`Unknown function '${nameToken.text}' (use ${Object.keys(FUNCTIONS).join(', ')})`);
+        }
+
+        const args = [];
+        if (!this.accept('symbol', ')')) {
+            do {
+                const token = this.peek();
+                if (!token || token.type !== 'number') {
+                    this.fail(`Expected a literal argument for ${nameToken.value}()`);
+                }
+                this.position++;
+                args.push(token);
+            } while (this.accept('symbol', ','));
+            this.expect('symbol', ')', "')'");
+        }
+
+        const required = spec.args.filter(arg => !arg.endsWith('?')).length;
+        if (args.length < required || args.length > spec.args.length) {
+            throw new Error(`${nameToken.value}() takes ${spec.args.length === required ? required : `${required}-${spec.args.length}`} argument(s), got ${args.length}`);
+        }
+
+        const node = { type: 'call', name: nameToken.value, args: [] };
+        spec.args.forEach((kind, index) => {
+            const arg = args[index];
+            if (!arg) return;
+
+            if (kind === 'duration') {
+                if (arg.kind !== 'duration' || arg.value <= 0) {
+                    throw new Error(`${nameToken.value}() needs a duration like 30m, 1h or 7d (got '${arg.text}')`);
+                }
+                node.args.push({ value: arg.value, text: arg.text });
+            } else if (kind === 'period') {
+                const period = SMA_PERIODS[arg.text.toLowerCase()];
+                if (!period) {
+                    throw new Error(`sma() period must be one of 5m, 1h, 6h, 24h, 1d, 7d (got '${arg.text}')`);
+                }
+                node.args.push({ value: period, text: arg.text });
+            } else {
+                if (arg.kind || !Number.isInteger(arg.value) || arg.value < 2) {
+                    throw new Error(`${nameToken.value}() needs a whole number of price points ≥ 2 (got '${arg.text}')`);
+                }
+                node.args.push({ value: arg.value, text: arg.text });
+            }
+        });
+
+        return node;
+    }
+
+    // Whether a node yields true/false
+    isBoolean(node) {
+        return ['or', 'and', 'not', 'compare'].includes(node.type);
+    }
+
+    // Operand of AND/OR/NOT must be a condition
+    requireBoolean(node) {
+        if (!this.isBoolean(node)) {
+            this.fail('AND/OR/NOT need conditions on both sides');
+        }
+        return node;
+    }
+
+    // Operand of arithmetic must be a value
+    requireValue(node) {
+        if (this.isBoolean(node)) {
+            this.fail('Cannot do arithmetic on a condition');
+        }
+        return node;
+    }
+
+    // Evaluate against a resolver; returns { met, details } - missing data never fires
+    evaluate(resolver) {
+        const details = [];
+        const result = this.evaluateNode(this.ast, resolver, details);
+        return { met: result === true, unknown: result === null, details };
+    }
+
+    // Three-valued evaluation: true, false or null (data not available yet)
+    evaluateNode(node, resolver, details) {
+        switch (node.type) {
+            case 'and': {
+                const left = this.evaluateNode(node.left, resolver, details);
+                if (left === false) return false;
+                const right = this.evaluateNode(node.right, resolver, details);
+                if (right === false) return false;
+                return left === null || right === null ? null : true;
+            }
+            case 'or': {
+                const left = this.evaluateNode(node.left, resolver, details);
+                if (left === true) return true;
+                const right = this.evaluateNode(node.right, resolver, details);
+                if (right === true) return true;
+                return left === null || right === null ? null : false;
+            }
+            case 'not': {
+                const operand = this.evaluateNode(node.operand, resolver, details);
+                return operand === null ? null : !operand;
+            }
+            case 'compare': {
+                const left = this.evaluateValue(node.left, resolver);
+                const right = this.evaluateValue(node.right, resolver);
+                const text = `${this.format(node.left)} ${node.op} ${this.format(node.right)}`;
+
+                if (left === null || right === null) {
+                    details.push(`${text}: no data`);
+                    return null;
+                }
+
+                const met = {
+                    '<': left < right, '<=': left <= right, '>': left > right,
+                    '>=': left >= right, '==': left === right, '!=': left !== right
+                }[node.op];
+                details.push(`${text}: ${this.round(left)} ${node.op} ${this.round(right)} ${met ? '✓' : '✗'}`);
+                return met;
+            }
+            default:
+                throw new Error(`Not a condition: ${this.format(node)}`);
+        }
+    }
+
+    // Numeric value of a node, or null when data is missing
+    evaluateValue(node, resolver) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return this.finite(resolver.variable(node.name));
+            case 'call':
+                return this.finite(resolver.call(node.name, node.args.map(arg => arg.value)));
+            case 'math': {
+                const left = this.evaluateValue(node.left, resolver);
+                const right = this.evaluateValue(node.right, resolver);
+                if (left === null || right === null) return null;
+                if (node.op === '/' && right === 0) return null;
+                return { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[node.op];
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Missing, zero-price and NaN results count as "no data"
+    finite(value) {
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    // Compact number for details
+    round(value) {
+        return Math.abs(value) >= 1 ? parseFloat(value.toFixed(4)) : parseFloat(value.toPrecision(4));
+    }
+
+    // Canonical text of a node
+    format(node) {
+        switch (node.type) {
+            case 'or':
+            case 'and': {
+                const wrap = (child) => (child.type === 'or' && node.type === 'and') ? `(${this.format(child)})` : this.format(child);
+                return `${wrap(node.left)} ${node.type.toUpperCase()} ${wrap(node.right)}`;
+            }
+            case 'not':
+                return `NOT ${['compare', 'not'].includes(node.operand.type) ? this.format(node.operand) : `(${this.format(node.operand)})`}`;
+            case 'compare':
+                return `${this.format(node.left)} ${node.op} ${this.format(node.right)}`;
+            case 'math':
+                if (node.op === '-' && node.left.type === 'number' && node.left.value === 0 && !node.left.text) {
+                    return `-${this.format(node.right)}`;
+                }
+                return `${this.formatOperand(node.left)} ${node.op} ${this.formatOperand(node.right)}`;
+            case 'number':
+                return node.text !== undefined ? node.text : String(node.value);
+            case 'variable':
+                return node.name;
+            case 'call':
+                return `${node.name}(${node.args.map(arg => arg.text).join(', ')})`;
+            default:
+                return '?';
+        }
+    }
+
+    // Parenthesize nested arithmetic
+    formatOperand(node) {
+        return node.type === 'math' ? `(${this.format(node)})` : this.format(node);
+    }
+
+    // Canonical expression text (what gets stored)
+    toString() {
+        return this.format(this.ast);
+    }
+
+    // Language reference for menus and errors
+    static describeLanguage() {
+        return {
+            functions: Object.entries(FUNCTIONS).map(([name, spec]) => `${name}(${spec.args.join(', ')}) - ${spec.description}`),
+            variables: Object.entries(VARIABLES).map(([name, description]) => `${name} - ${description}`),
+            operators: 'AND, OR, NOT, parentheses; compare with < <= > >= == !=; arithmetic + - * /'
+        };
+    }
+}
+
+module.exports = TriggerExpression;
@@ -0,0 +1,411 @@
+/**
+ * ALGORITMIT TWAP Executor
+ * Splits a large swap (parent order) into child swaps spread over a time window, so thin pairs are not
+ * hit with the whole amount at once. Liquidity depth is probed once per order with amounts scaled to the order
+ * size (so sells of cheap tokens are not capped at a few tokens); each child is the even share of what is left,
+ * capped at the largest probed amount that stays within the max price impact. When a child quotes above the pause
+ * limit the slot is skipped and the depth is probed again; whatever is unfilled when the window ends is left unfilled.
+ * A child whose swap failed as unconfirmed or ambiguous may have executed, so the order stops there (unconfirmed).
+ * Orders live in memory only - child swaps are journaled as they fill.
+ */
+
+const EventEmitter = require('events');
+
+class TwapExecutor extends EventEmitter {
+    constructor(sinclaveEngine, config = {}) {
+        super();
+        this.sinclaveEngine = sinclaveEngine;
+        this.config = config;
+
+        this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
+        this.QUOTE_RECEIVER = '0x0000000000000000000000000000000000000001';
+
+        this.settings = {
+            maxImpactPercent: config.twapMaxImpact || parseFloat(process.env.TWAP_MAX_IMPACT) || 1,     // Child sizing target
+            pauseImpactPercent: config.twapPauseImpact || parseFloat(process.env.TWAP_PAUSE_IMPACT) || 3, // Skip the slot above this
+            minSlices: config.twapMinSlices || parseInt(process.env.TWAP_MIN_SLICES) || 5,
+            minIntervalMs: (config.twapMinIntervalSeconds || parseInt(process.env.TWAP_MIN_INTERVAL_SECONDS) || 15) * 1000,
+            slippage: config.twapSlippage || parseFloat(process.env.TWAP_SLIPPAGE) || 1,
+            maxConsecutiveFailures: 3
+        };
+
+        this.orders = new Map(); // orderId -> order (running and recently finished)
+        this.timers = new Map(); // orderId -> { timer, resolve } for the wait before the next slot
+        this.maxFinishedOrders = 50;
+
+        // Depth probes and the impact reference quote, as fractions of the order amount (tokenIn units)
+        this.probeFractions = [0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1];
+        this.referenceFraction = 0.0005;
+
+        this.tradeJournal = null;
+    }
+
+    // Set trade journal for recording child swaps
+    setTradeJournal(tradeJournal) {
+        this.tradeJournal = tradeJournal;
+    }
+
+    // Start a parent order in the background and return it (order.done resolves with the summary)
+    startOrder(params) {
+        const totalAmount = parseFloat(params.amount);
+        if (!(totalAmount > 0)) {
+            throw new Error('TWAP amount must be positive');
+        }
+        if (!(params.duration > 0)) {
+            throw new Error('TWAP duration must be positive');
+        }
+        if (!params.wallet || !params.wallet.address) {
+            throw new Error('TWAP order needs a wallet');
+        }
+        if (!params.tokenIn || !params.tokenOut || params.tokenIn.toLowerCase() === params.tokenOut.toLowerCase()) {
+            throw new Error('TWAP order needs two different tokens');
+        }
+
+        const tokenIn = params.tokenIn.toLowerCase();
+        const tokenOut = params.tokenOut.toLowerCase();
+        const side = tokenIn === this.WLD_ADDRESS ? 'buy' : 'sell';
+        const now = Date.now();
+
+        const order = {
+            id: `twap_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            side,
+            tokenIn,
+            tokenOut,
+            tokenSymbol: params.tokenSymbol || (side === 'buy' ? tokenOut : tokenIn).slice(0, 8),
+            walletAddress: params.wallet.address,
+            totalAmount,
+            duration: params.duration,
+            maxImpactPercent: params.maxImpactPercent || this.settings.maxImpactPercent,
+            pauseImpactPercent: params.pauseImpactPercent || this.settings.pauseImpactPercent,
+            slippage: params.slippage || this.settings.slippage,
+            quoteGuard: params.quoteGuard || null, // Quote guard overrides for every child
+            source: params.source || 'twap',
+            strategyId: params.strategyId || null,
+            strategyName: params.strategyName || null,
+            reason: params.reason || `twap_${side}`,
+            status: 'running', // running | completed | expired | cancelled | failed | unconfirmed
+            startedAt: now,
+            deadline: now + params.duration,
+            completedAt: null,
+            plannedSlices: null,
+            sliceInterval: null,
+            depthCap: null, // Largest probed amount within maxImpactPercent (probed on the first slot and after a pause)
+            filledAmount: 0,
+            receivedAmount: 0,
+            pausedSlots: 0,
+            failedSlots: 0,
+            children: [], // { timestamp, amountIn, amountOut, impactPercent, txHash, paper }
+            unconfirmedChild: null, // { timestamp, amountIn, category, txHash } - child that may or may not have filled
+            lastError: null
+        };
+
+        this.orders.set(order.id, order);
+        console.log(`⏱️  TWAP ${order.id}: ${side.toUpperCase()} ${this.describeAmount(order, totalAmount)} over ${this.formatDuration(params.duration)}`);
+
+        // Not enumerable so the order can be emitted and listed as plain data
+        Object.defineProperty(order, 'done', {
+            value: this.runOrder(order, params.wallet).catch((error) => {
+                order.status = 'failed';
+                order.lastError = error.message;
+                console.error(`❌ Error running TWAP ${order.id}:`, error.message);
+                return this.finishOrder(order);
+            })
+        });
+        return order;
+    }
+
+    // Run a parent order to the end and return its summary
+    async executeOrder(params) {
+        return this.startOrder(params).done;
+    }
+
+    // Child slots until the order is filled, cancelled, out of time or keeps failing
+    async runOrder(order, wallet) {
+        let consecutiveFailures = 0;
+
+        while (order.status === 'running') {
+            const remaining = order.totalAmount - order.filledAmount;
+            if (remaining <= order.totalAmount * 1e-9) {
+                order.status = 'completed';
+                break;
+            }
+            if (Date.now() >= order.deadline) {
+                order.status = 'expired';
+                break;
+            }
+
+            const sizing = await this.sizeChild(order, remaining);
+            if (order.status !== 'running') break;
+
+            if (sizing.pause) {
+                order.pausedSlots++;
+                console.log(`⏸️  TWAP ${order.tokenSymbol}: slot skipped - ${sizing.reason}`);
+                this.emit('twapProgress', { order, event: 'paused', reason: sizing.reason });
+            } else {
+                const child = await this.executeChild(order, wallet, sizing);
+                if (child) {
+                    consecutiveFailures = 0;
+                } else if (order.status === 'running' && ++consecutiveFailures >= this.settings.maxConsecutiveFailures) {
+                    order.status = 'failed';
+                    break;
+                }
+            }
+
+            const filled = order.totalAmount - order.filledAmount <= order.totalAmount * 1e-9;
+            if (order.status === 'running' && !filled) {
+                await this.wait(order, Math.min(order.sliceInterval, Math.max(0, order.deadline - Date.now())));
+            }
+        }
+
+        return this.finishOrder(order);
+    }
+
+    // Even share of what is left for the remaining slots, capped by the liquidity depth at the max impact
+    async sizeChild(order, remaining) {
+        if (order.depthCap === null) {
+            order.depthCap = await this.probeDepth(order);
+        }
+        const cap = order.depthCap;
+
+        // The first run fixes the slice schedule
+        if (order.plannedSlices === null) {
+            const slicesForDepth = cap > 0 ? Math.ceil(order.totalAmount / cap) : this.settings.minSlices;
+            order.plannedSlices = Math.max(this.settings.minSlices, slicesForDepth);
+            order.sliceInterval = Math.max(this.settings.minIntervalMs, Math.floor(order.duration / order.plannedSlices));
+        }
+
+        if (cap === 0) {
+            order.depthCap = null; // Probe again next slot
+            return { pause: true, reason: `no size stays within ${order.maxImpactPercent}% impact` };
+        }
+
+        const slotsLeft = Math.max(1, Math.ceil((order.deadline - Date.now()) / order.sliceInterval));
+        const amount = Math.min(remaining, cap, remaining / slotsLeft);
+        const impactPercent = await this.measureImpact(order, amount);
+
+        if (impactPercent === null) {
+            return { pause: true, reason: 'no quote' };
+        }
+        if (impactPercent > order.pauseImpactPercent) {
+            order.depthCap = null; // The pool moved - probe again next slot
+            return { pause: true, reason: `${impactPercent.toFixed(2)}% impact for ${this.describeAmount(order, amount)} (limit ${order.pauseImpactPercent}%)` };
+        }
+        return { pause: false, amount, impactPercent, cap };
+    }
+
+    // Largest probe amount (fractions of the order) whose quote stays within maxImpactPercent; 0 when none does
+    async probeDepth(order) {
+        const referenceRate = await this.quoteRate(order, order.totalAmount * this.referenceFraction);
+        if (referenceRate === null) return 0;
+
+        let cap = 0;
+        for (const fraction of this.probeFractions) {
+            const amount = order.totalAmount * fraction;
+            const rate = await this.quoteRate(order, amount);
+            if (rate === null || this.impact(rate, referenceRate) > order.maxImpactPercent) break;
+            cap = amount;
+        }
+        return cap;
+    }
+
+    // Price impact of a quote for amount against a small reference quote, in percent
+    async measureImpact(order, amount) {
+        const [rate, referenceRate] = await Promise.all([
+            this.quoteRate(order, amount),
+            this.quoteRate(order, order.totalAmount * this.referenceFraction)
+        ]);
+        return rate === null || referenceRate === null ? null : this.impact(rate, referenceRate);
+    }
+
+    impact(rate, referenceRate) {
+        return Math.max(0, ((referenceRate - rate) / referenceRate) * 100);
+    }
+
+    // tokenOut per tokenIn quoted for amount (null without a quote)
+    async quoteRate(order, amount) {
+        try {
+            const quote = await this.sinclaveEngine.getHoldStationQuote(order.tokenIn, order.tokenOut, amount, this.QUOTE_RECEIVER);
+            const rate = parseFloat(quote && quote.expectedOutput) / amount;
+            return rate > 0 ? rate : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // One child swap; returns the child or null when it failed
+    async executeChild(order, wallet, sizing) {
+        try {
+            const result = await this.sinclaveEngine.executeOptimizedSwap(wallet, order.tokenIn, order.tokenOut, sizing.amount, order.slippage, { guard: order.quoteGuard, priority: 'low' });
+            if (!result || !result.success) {
+                throw new Error((result && result.error) || 'Swap failed');
+            }
+
+            const child = {
+                timestamp: Date.now(),
+                amountIn: sizing.amount,
+                amountOut: parseFloat(result.tokensReceived || result.amountOut) || 0,
+                impactPercent: sizing.impactPercent,
+                txHash: result.transactionHash || result.txHash || null,
+                paper: result.paper === true
+            };
+            order.children.push(child);
+            order.filledAmount += child.amountIn;
+            order.receivedAmount += child.amountOut;
+
+            if (this.tradeJournal) {
+                this.tradeJournal.recordSwap({
+                    source: order.source,
+                    wallet,
+                    tokenIn: order.tokenIn,
+                    tokenOut: order.tokenOut,
+                    amountIn: sizing.amount,
+                    result,
+                    tokenSymbol: order.tokenSymbol,
+                    strategyId: order.strategyId,
+                    strategyName: order.strategyName,
+                    reason: order.reason
+                });
+            }
+
+            const progress = (order.filledAmount / order.totalAmount) * 100;
+            console.log(`✅ TWAP ${order.tokenSymbol} child ${order.children.length}/${order.plannedSlices}: ${this.describeAmount(order, child.amountIn)} (${sizing.impactPercent.toFixed(2)}% impact) - ${progress.toFixed(1)}% filled`);
+            this.emit('twapProgress', { order, event: 'filled', child });
+            return child;
+
+        } catch (error) {
+            order.failedSlots++;
+            order.lastError = error.message;
+            console.error(`❌ Error executing TWAP ${order.tokenSymbol} child:`, error.message);
+
+            // Sending another child for the same remainder could overfill the order
+            if (['unconfirmed', 'ambiguous'].includes(error.category)) {
+                order.status = 'unconfirmed';
+                order.unconfirmedChild = { timestamp: Date.now(), amountIn: sizing.amount, category: error.category, txHash: error.txHash || null };
+                console.error(`⚠️ TWAP ${order.tokenSymbol} stopped: child of ${this.describeAmount(order, sizing.amount)} may have executed (${error.category}${error.txHash ? `, TX ${error.txHash}` : ''})`);
+            }
+            this.emit('twapProgress', { order, event: 'failed', error: error.message });
+            return null;
+        }
+    }
+
+    // Mark the order finished, trim old orders and build the summary
+    finishOrder(order) {
+        order.completedAt = Date.now();
+        this.timers.delete(order.id);
+
+        const summary = this.getSummary(order);
+        const icon = { completed: '🏁', expired: '⌛', cancelled: '🛑', failed: '❌', unconfirmed: '⚠️' }[order.status] || '⏱️ ';
+        console.log(`${icon} TWAP ${order.tokenSymbol} ${order.status}: ${this.describeAmount(order, order.filledAmount)} of ${this.describeAmount(order, order.totalAmount)} in ${order.children.length} child swaps${summary.averagePrice ? ` @ avg ${summary.averagePrice.toFixed(8)} WLD` : ''}`);
+        this.emit('twapCompleted', { order, summary });
+
+        const finished = Array.from(this.orders.values()).filter(o => o.status !== 'running');
+        for (const old of finished.slice(0, Math.max(0, finished.length - this.maxFinishedOrders))) {
+            this.orders.delete(old.id);
+        }
+        return summary;
+    }
+
+    // Swap-result-like summary of a parent order (strategies treat it as one fill)
+    getSummary(order) {
+        const lastChild = order.children[order.children.length - 1];
+        const wldAmount = order.side === 'buy' ? order.filledAmount : order.receivedAmount;
+        const tokenAmount = order.side === 'buy' ? order.receivedAmount : order.filledAmount;
+
+        return {
+            success: order.filledAmount > 0,
+            twap: true,
+            orderId: order.id,
+            status: order.status,
+            amountIn: order.filledAmount,
+            amountOut: order.receivedAmount,
+            tokensReceived: order.receivedAmount,
+            unfilledAmount: Math.max(0, order.totalAmount - order.filledAmount),
+            unconfirmedChild: order.unconfirmedChild,
+            averagePrice: tokenAmount > 0 ? wldAmount / tokenAmount : null,
+            childSwaps: order.children.length,
+            transactionHash: lastChild ? lastChild.txHash : null,
+            paper: order.children.length > 0 && order.children.every(child => child.paper),
+            error: order.filledAmount > 0 ? null : (order.lastError || `TWAP ${order.status} without fills`)
+        };
+    }
+
+    // Stop a running order after its current child (children already filled stay filled)
+    cancelOrder(orderId) {
+        const order = this.getOrder(orderId);
+        if (order.status !== 'running') {
+            throw new Error(`TWAP ${order.id} is already ${order.status}`);
+        }
+
+        order.status = 'cancelled';
+        const pending = this.timers.get(order.id);
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.resolve();
+        }
+        return order;
+    }
+
+    // Cancel every running order (shutdown)
+    cancelAll() {
+        for (const order of this.getRunningOrders()) {
+            this.cancelOrder(order.id);
+        }
+    }
+
+    // Order by id or id prefix
+    getOrder(orderId) {
+        const id = String(orderId || '').trim();
+        if (!id) {
+            throw new Error('TWAP order id required');
+        }
+        const order = this.orders.get(id) || Array.from(this.orders.values()).find(o => o.id.startsWith(id));
+        if (!order) {
+            throw new Error(`TWAP order ${id} not found`);
+        }
+        return order;
+    }
+
+    getOrders() {
+        return Array.from(this.orders.values()).sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    getRunningOrders() {
+        return this.getOrders().filter(order => order.status === 'running');
+    }
+
+    // Amount in the order's input token
+    describeAmount(order, amount) {
+        return order.side === 'buy' ? `${amount.toFixed(4)} WLD` : `${amount.toFixed(6)} ${order.tokenSymbol}`;
+    }
+
+    // 90s, 30 min, 2.5h
+    formatDuration(ms) {
+        if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+        if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+        return `${parseFloat((ms / 3600000).toFixed(1))}h`;
+    }
+
+    // Cancellable wait before the next slot
+    wait(order, ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.timers.delete(order.id);
+                resolve();
+            }, ms);
+            this.timers.set(order.id, { timer, resolve });
+        });
+    }
+
+    // Parse durations like 90s, 30m, 2h into milliseconds
+    static parseDuration(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|min|h)$/i);
+        if (!match) {
+            throw new Error(`Invalid TWAP duration "${value}" (use e.g. 90s, 30m, 2h)`);
+        }
+
+        const units = { s: 1000, m: 60000, min: 60000, h: 3600000 };
+        return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+    }
+}
+
+module.exports = TwapExecutor;
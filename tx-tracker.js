@@ -0,0 +1,316 @@
+/**
+ * ALGORITMIT Transaction Tracker
+ * Follows each submitted swap through pending → mined → TX_CONFIRMATIONS confirmations. The actual amounts come
+ * from the ERC-20 Transfer logs in the receipt (not the quote, and not balance differences that other swaps from
+ * the same wallet can disturb). Reverted swaps are replayed with eth_call to decode the revert reason: Error(string),
+ * Panic(uint256) and the custom errors of the Uniswap / HoldStation routers. Failures are classified so the engine
+ * only retries transient ones (RPC/nonce trouble before the swap is sent, expired deadlines) and never a swap that
+ * may have executed - any error while sending it counts as ambiguous. A swap not confirmed within
+ * TX_CONFIRM_TIMEOUT_SECONDS is reported unconfirmed and watched on.
+ */
+
+const { ethers } = require('ethers');
+const EventEmitter = require('events');
+const Logger = require('./logger');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Custom errors of the routers and tokens swaps go through
+const KNOWN_ERRORS = new ethers.Interface([
+    'error TooLittleReceived()',
+    'error TooMuchRequested()',
+    'error V2TooLittleReceived()',
+    'error V2TooMuchRequested()',
+    'error V3TooLittleReceived()',
+    'error V3TooMuchRequested()',
+    'error InsufficientOutputAmount()',
+    'error InsufficientInputAmount()',
+    'error TransactionDeadlinePassed()',
+    'error DeadlineExpired()',
+    'error ExecutionFailed(uint256 commandIndex, bytes message)',
+    'error InsufficientETH()',
+    'error InsufficientToken()',
+    'error InvalidPath()',
+    'error TransferFailed()',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+
+const PANIC_CODES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow/underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory'
+};
+
+// Revert reasons by failure category; only 'deadline' is worth an automatic retry
+const REVERT_CATEGORIES = [
+    { category: 'deadline', transient: true, pattern: /transaction too old|deadline/i },
+    { category: 'slippage', transient: false, pattern: /too little received|toolittlereceived|toomuchrequested|insufficientoutputamount|too much requested/i },
+    { category: 'balance', transient: false, pattern: /\bSTF\b|\bTF\b|insufficient|transferfailed|transfer amount exceeds/i }
+];
+
+// Errors where nothing reached the chain and sending again is safe
+const TRANSIENT_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'UNKNOWN_ERROR'];
+const TRANSIENT_MESSAGES = /econnreset|etimedout|econnrefused|socket hang up|network|timeout|rate limit|429|502|503|504|missing response|nonce/i;
+
+class TxTracker extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        const maxRetries = config.txMaxRetries !== undefined ? config.txMaxRetries : process.env.TX_MAX_RETRIES;
+        this.settings = {
+            confirmations: config.txConfirmations || parseInt(process.env.TX_CONFIRMATIONS) || 1,
+            timeoutMs: (config.txConfirmTimeoutSeconds || parseFloat(process.env.TX_CONFIRM_TIMEOUT_SECONDS) || 180) * 1000,
+            maxRetries: maxRetries !== undefined && maxRetries !== '' ? parseInt(maxRetries) : 2,
+            retryDelayMs: (config.txRetryDelaySeconds || parseFloat(process.env.TX_RETRY_DELAY_SECONDS) || 3) * 1000
+        };
+
+        this.transactionQueue = null; // waits through the queue follow speed-ups to the mined replacement
+        this.records = new Map();     // hash -> lifecycle record (recent swaps)
+        this.maxRecords = 200;
+        this.logger = Logger.forModule('tx');
+    }
+
+    // Set transaction queue (its wait() follows speed-ups)
+    setTransactionQueue(transactionQueue) {
+        this.transactionQueue = transactionQueue;
+    }
+
+    // Follow a sent transaction to the configured confirmations
+    // context: { wallet, tokenIn, tokenOut, label, correlationId }
+    // Returns { status: 'confirmed', receipt, confirmations, amountIn, amountOut } (amounts in wei from Transfer logs, null when absent)
+    async confirm(tx, context = {}) {
+        const record = this.createRecord(tx, context);
+        const deadline = Date.now() + this.settings.timeoutMs;
+
+        const mined = this.waitMined(tx);
+        const receipt = await this.withTimeout(mined, this.settings.timeoutMs).catch((error) => {
+            if (error.code !== 'TRACKER_TIMEOUT') throw error;
+
+            // Keep watching in the background - a late confirmation is still reported (and found by position reconciliation)
+            mined.then(
+                (late) => this.setStatus(record, late.status === 1 ? 'confirmed_late' : 'reverted', { txHash: late.hash, blockNumber: late.blockNumber }),
+                () => {}
+            );
+            this.setStatus(record, 'unconfirmed');
+            throw this.trackerError(`Transaction ${tx.hash} not mined within ${Math.round(this.settings.timeoutMs / 1000)}s`, record, {
+                category: 'unconfirmed',
+                transient: false
+            });
+        });
+
+        if (receipt.hash && receipt.hash !== record.hash) {
+            record.hash = receipt.hash; // mined as a sped-up replacement
+        }
+        this.setStatus(record, 'mined', { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+
+        if (receipt.status !== 1) {
+            const revertReason = await this.decodeRevert(tx, receipt);
+            const classified = this.classifyRevert(revertReason);
+            this.setStatus(record, 'reverted', { revertReason });
+            throw this.trackerError(`Transaction reverted: ${revertReason}`, record, { ...classified, revertReason });
+        }
+
+        let finalReceipt = receipt;
+        if (this.settings.confirmations > 1) {
+            const remaining = Math.max(1000, deadline - Date.now());
+            finalReceipt = await tx.provider.waitForTransaction(receipt.hash, this.settings.confirmations, remaining).catch(() => null);
+            if (!finalReceipt) {
+                this.setStatus(record, 'unconfirmed');
+                throw this.trackerError(`Transaction ${receipt.hash} mined but not ${this.settings.confirmations} confirmations deep within the timeout`, record, {
+                    category: 'unconfirmed',
+                    transient: false
+                });
+            }
+        }
+
+        const transfers = this.parseTransfers(finalReceipt, context);
+        this.setStatus(record, 'confirmed', { confirmations: this.settings.confirmations });
+
+        return {
+            status: 'confirmed',
+            receipt: finalReceipt,
+            confirmations: this.settings.confirmations,
+            amountIn: transfers.amountIn,
+            amountOut: transfers.amountOut
+        };
+    }
+
+    // Receipt of the transaction or its replacement; reverted receipts are returned, not thrown
+    async waitMined(tx) {
+        try {
+            return this.transactionQueue ? await this.transactionQueue.wait(tx, 1) : await tx.wait(1);
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION' && error.receipt) return error.receipt;
+            throw error;
+        }
+    }
+
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error('timeout'), { code: 'TRACKER_TIMEOUT' })), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    createRecord(tx, context) {
+        const record = {
+            hash: tx.hash,
+            label: context.label || 'swap',
+            wallet: context.wallet || tx.from,
+            correlationId: context.correlationId || null,
+            status: 'pending',
+            history: [{ status: 'pending', at: Date.now() }]
+        };
+
+        this.records.set(tx.hash, record);
+        if (this.records.size > this.maxRecords) {
+            this.records.delete(this.records.keys().next().value);
+        }
+
+        this.emit('txStatus', record);
+        return record;
+    }
+
+    setStatus(record, status, fields = {}) {
+        Object.assign(record, fields, { status });
+        record.history.push({ status, at: Date.now() });
+
+        const level = status === 'reverted' ? 'error' : ['unconfirmed', 'confirmed_late'].includes(status) ? 'warn' : 'debug';
+        const icon = { mined: '⛏️', confirmed: '✅', reverted: '❌', unconfirmed: '⚠️', confirmed_late: '⚠️' }[status] || '📝';
+        this.logger[level](`${icon} ${record.label} ${status}: ${record.hash}${fields.revertReason ? ` (${fields.revertReason})` : ''}`, {
+            correlationId: record.correlationId,
+            txHash: record.hash,
+            step: status,
+            ...fields
+        });
+
+        this.emit('txStatus', record);
+    }
+
+    trackerError(message, record, fields) {
+        const error = new Error(message);
+        error.txHash = record.hash;
+        error.txStatus = record.status;
+        return Object.assign(error, fields);
+    }
+
+    // Sum the Transfer logs of tokenIn out of the wallet and tokenOut into it
+    parseTransfers(receipt, context) {
+        const result = { amountIn: null, amountOut: null };
+        if (!context.wallet || !receipt.logs) return result;
+
+        const wallet = context.wallet.toLowerCase();
+        for (const log of receipt.logs) {
+            if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+
+            const token = log.address.toLowerCase();
+            const from = ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase();
+            const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12)).toLowerCase();
+            const value = BigInt(log.data);
+
+            if (context.tokenIn && token === context.tokenIn.toLowerCase() && from === wallet) {
+                result.amountIn = (result.amountIn || BigInt(0)) + value;
+            }
+            if (context.tokenOut && token === context.tokenOut.toLowerCase() && to === wallet) {
+                result.amountOut = (result.amountOut || BigInt(0)) + value;
+            }
+        }
+        return result;
+    }
+
+    // Replay the reverted call at its block to get the revert data
+    async decodeRevert(tx, receipt) {
+        try {
+            await tx.provider.call({
+                to: tx.to,
+                from: tx.from,
+                data: tx.data,
+                value: tx.value,
+                gasLimit: tx.gasLimit,
+                blockTag: receipt.blockNumber
+            });
+            return 'reverted without reason (replay succeeded - state changed within the block)';
+        } catch (error) {
+            const data = this.findRevertData(error);
+            return this.decodeRevertData(data) || error.shortMessage || error.reason || 'reverted without reason';
+        }
+    }
+
+    findRevertData(error) {
+        const candidates = [error.data, error.info && error.info.error && error.info.error.data, error.error && error.error.data];
+        return candidates.find(data => typeof data === 'string' && data.startsWith('0x')) || null;
+    }
+
+    // Revert data -> readable reason
+    decodeRevertData(data) {
+        if (!data || data === '0x') return null;
+
+        const selector = data.slice(0, 10);
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        try {
+            if (selector === '0x08c379a0') {
+                return coder.decode(['string'], ethers.dataSlice(data, 4))[0];
+            }
+            if (selector === '0x4e487b71') {
+                const code = Number(coder.decode(['uint256'], ethers.dataSlice(data, 4))[0]);
+                return `Panic(0x${code.toString(16)}: ${PANIC_CODES[code] || 'unknown panic'})`;
+            }
+
+            const parsed = KNOWN_ERRORS.parseError(data);
+            if (parsed) {
+                if (parsed.name === 'ExecutionFailed') {
+                    return `ExecutionFailed(command ${parsed.args.commandIndex}): ${this.decodeRevertData(parsed.args.message) || 'no reason'}`;
+                }
+                const args = parsed.args.map(arg => arg.toString()).join(', ');
+                return `${parsed.name}(${args})`;
+            }
+        } catch (error) {
+            // Malformed data - fall through to the raw selector
+        }
+        return `custom error ${selector}`;
+    }
+
+    classifyRevert(reason) {
+        const match = REVERT_CATEGORIES.find(entry => entry.pattern.test(reason || ''));
+        return match ? { category: match.category, transient: match.transient } : { category: 'reverted', transient: false };
+    }
+
+    // Classify a swap failure; stage 'broadcasting' or 'sent' means the swap may have reached the chain
+    classifyFailure(error, stage) {
+        // A send that failed may still have been relayed (e.g. timed out after the node accepted it)
+        if (stage === 'broadcasting') {
+            return { category: 'ambiguous', transient: false };
+        }
+        if (error.category) {
+            return { category: error.category, transient: !!error.transient };
+        }
+
+        const message = String(error.message || '');
+        if (/quote guard/i.test(message)) return { category: 'quote_guard', transient: false };
+        if (/insufficient balance/i.test(message)) return { category: 'insufficient_balance', transient: false };
+
+        const network = TRANSIENT_CODES.includes(error.code) || TRANSIENT_MESSAGES.test(message);
+        if (network) {
+            // After broadcast the outcome is unknown - sending again could swap twice
+            return { category: stage === 'sent' ? 'unconfirmed' : 'rpc', transient: stage !== 'sent' };
+        }
+        if (/no swap quote|quote/i.test(message)) return { category: 'no_quote', transient: false };
+        return { category: 'other', transient: false };
+    }
+
+    shouldRetry(error, attempt) {
+        return error.transient === true && attempt < this.settings.maxRetries;
+    }
+
+    getRecord(hash) {
+        return this.records.get(hash) || null;
+    }
+}
+
+module.exports = TxTracker;
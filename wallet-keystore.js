@@ -0,0 +1,332 @@
+/**
+ * ALGORITMIT Wallet Keystore
+ * Passphrase-protected private keys (scrypt-derived AES-256-GCM) with migration and auto-lock
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const StateStore = require('./state-store');
+
+class WalletKeystore extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+
+        // Auto-lock after this many minutes without activity (0 = never)
+        const autoLockMinutes = config.keystoreAutoLockMinutes !== undefined
+            ? config.keystoreAutoLockMinutes
+            : parseFloat(process.env.KEYSTORE_AUTO_LOCK_MINUTES || '15');
+        this.autoLockMs = autoLockMinutes * 60000;
+
+        // scrypt cost parameters (N=2^15 takes ~100ms per key)
+        this.scryptParams = { N: 32768, r: 8, p: 1, keyLength: 32 };
+
+        // Unlocked state - kept in memory only
+        this.passphrase = null;
+        this.keys = new Map(); // address (lowercase) -> private key
+        this.lockTimer = null;
+        this.lastActivity = null;
+
+        // () => description of running automations that need to sign (null when there are none)
+        this.automationCheck = null;
+    }
+
+    // Derive an AES key from the passphrase
+    deriveKey(passphrase, salt, params = this.scryptParams) {
+        return crypto.scryptSync(passphrase, salt, params.keyLength, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * params.N * params.r
+        });
+    }
+
+    // Encrypt a private key into a keystore record
+    encryptPrivateKey(privateKey, passphrase) {
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const key = this.deriveKey(passphrase, salt);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+        return {
+            version: 1,
+            cipher: 'aes-256-gcm',
+            kdf: 'scrypt',
+            kdfparams: {
+                N: this.scryptParams.N,
+                r: this.scryptParams.r,
+                p: this.scryptParams.p,
+                keyLength: this.scryptParams.keyLength,
+                salt: salt.toString('hex')
+            },
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        };
+    }
+
+    // Decrypt a keystore record (throws on a wrong passphrase)
+    decryptPrivateKey(record, passphrase) {
+        if (!record || record.cipher !== 'aes-256-gcm' || record.kdf !== 'scrypt') {
+            throw new Error('Unsupported keystore record');
+        }
+
+        const key = this.deriveKey(passphrase, Buffer.from(record.kdfparams.salt, 'hex'), record.kdfparams);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+
+        try {
+            return Buffer.concat([
+                decipher.update(Buffer.from(record.ciphertext, 'hex')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch (error) {
+            throw new Error('Invalid keystore passphrase');
+        }
+    }
+
+    // Check if a wallet entry is stored encrypted
+    isEncrypted(walletData) {
+        return !!(walletData && walletData.keystore);
+    }
+
+    // Check if any wallet entry still has a plaintext private key on disk
+    hasPlaintextKeys(wallets) {
+        return wallets.some(w => !this.isEncrypted(w) && typeof w.privateKey === 'string' && w.privateKey.length > 0);
+    }
+
+    // Check if the wallet list has any encrypted entries
+    hasEncryptedKeys(wallets) {
+        return wallets.some(w => this.isEncrypted(w));
+    }
+
+    // Unlock with a passphrase; decrypts every encrypted wallet into memory
+    unlock(wallets, passphrase) {
+        if (!passphrase) {
+            throw new Error('Passphrase is required');
+        }
+
+        const keys = new Map();
+
+        for (const walletData of wallets) {
+            if (!this.isEncrypted(walletData)) continue;
+
+            const privateKey = this.decryptPrivateKey(walletData.keystore, passphrase);
+            const derivedAddress = new ethers.Wallet(privateKey).address;
+
+            if (derivedAddress.toLowerCase() !== walletData.address.toLowerCase()) {
+                throw new Error(`Keystore entry does not match wallet address ${walletData.address}`);
+            }
+
+            keys.set(walletData.address.toLowerCase(), privateKey);
+        }
+
+        this.passphrase = passphrase;
+        this.keys = keys;
+        this.attachKeys(wallets);
+        this.touch();
+
+        this.emit('unlocked', { wallets: keys.size });
+        return keys.size;
+    }
+
+    // Forget the passphrase and every decrypted key
+    lock() {
+        if (this.lockTimer) {
+            clearTimeout(this.lockTimer);
+            this.lockTimer = null;
+        }
+
+        const wasUnlocked = this.isUnlocked();
+        this.passphrase = null;
+        this.keys.clear();
+
+        if (wasUnlocked) {
+            console.log('🔒 Keystore locked');
+            this.emit('locked');
+        }
+    }
+
+    // Check if the keystore is unlocked
+    isUnlocked() {
+        return this.passphrase !== null;
+    }
+
+    // Record activity and restart the auto-lock timer
+    touch() {
+        if (!this.isUnlocked()) return;
+
+        this.lastActivity = Date.now();
+        this.armLockTimer();
+    }
+
+    // (Re)start the auto-lock timer
+    armLockTimer() {
+        if (this.lockTimer) {
+            clearTimeout(this.lockTimer);
+            this.lockTimer = null;
+        }
+
+        if (this.autoLockMs > 0 && this.isUnlocked()) {
+            this.lockTimer = setTimeout(() => this.autoLock(), this.autoLockMs);
+
+            // Never keep the process alive just for the lock timer
+            if (this.lockTimer.unref) this.lockTimer.unref();
+        }
+    }
+
+    // Lock after inactivity - unless strategies, triggers or plans would miss their exits while locked
+    autoLock() {
+        const automations = this.automationCheck ? this.automationCheck() : null;
+        if (automations) {
+            console.log(`⚠️  Keystore auto-lock deferred: ${automations} still need to sign (lock it manually to stop them)`);
+            this.emit('autoLockDeferred', { automations });
+            this.armLockTimer();
+            return;
+        }
+
+        console.log(`🔒 Keystore auto-locked after ${this.autoLockMs / 60000} minutes of inactivity`);
+        this.lock();
+    }
+
+    // Register the check that keeps an unlocked keystore open while automations are running
+    setAutomationCheck(check) {
+        this.automationCheck = check;
+    }
+
+    // Change the auto-lock timeout (0 = never, used by the headless daemon)
+    setAutoLock(minutes) {
+        this.autoLockMs = minutes * 60000;
+        this.touch();
+    }
+
+    // Get a decrypted private key (throws while locked)
+    getPrivateKey(address) {
+        if (!this.isUnlocked()) {
+            throw new Error('Keystore is locked - unlock it with your passphrase to sign transactions');
+        }
+
+        const privateKey = this.keys.get(address.toLowerCase());
+        if (!privateKey) {
+            throw new Error(`No private key in keystore for ${address}`);
+        }
+
+        // Signing counts as activity
+        this.touch();
+        return privateKey;
+    }
+
+    // Expose privateKey on wallet objects as a non-enumerable getter backed by the keystore
+    attachKeys(wallets) {
+        for (const walletData of wallets) {
+            if (!this.isEncrypted(walletData)) continue;
+
+            delete walletData.privateKey;
+            Object.defineProperty(walletData, 'privateKey', {
+                get: () => this.getPrivateKey(walletData.address),
+                enumerable: false,
+                configurable: true
+            });
+        }
+    }
+
+    // Encrypt and attach the key of a newly created or imported wallet
+    addWallet(walletData, privateKey) {
+        if (!this.isUnlocked()) {
+            throw new Error('Keystore is locked - unlock it before adding wallets');
+        }
+
+        walletData.keystore = this.encryptPrivateKey(privateKey, this.passphrase);
+        this.keys.set(walletData.address.toLowerCase(), privateKey);
+        this.attachKeys([walletData]);
+        this.touch();
+
+        return walletData;
+    }
+
+    // Remove a wallet key from memory
+    removeWallet(address) {
+        this.keys.delete(address.toLowerCase());
+    }
+
+    // Encrypt every plaintext wallet entry and unlock with the new passphrase
+    migrateWallets(wallets, passphrase) {
+        if (!passphrase) {
+            throw new Error('Passphrase is required');
+        }
+
+        // Existing encrypted entries must share the same passphrase
+        this.unlock(wallets, passphrase);
+
+        let migrated = 0;
+        for (const walletData of wallets) {
+            if (this.isEncrypted(walletData) || !walletData.privateKey) continue;
+
+            const privateKey = walletData.privateKey;
+            walletData.address = walletData.address || new ethers.Wallet(privateKey).address;
+            this.addWallet(walletData, privateKey);
+            migrated++;
+        }
+
+        console.log(`🔐 Migrated ${migrated} wallet(s) to the encrypted keystore`);
+        this.emit('migrated', { migrated });
+        return migrated;
+    }
+
+    // Re-encrypt every wallet with a new passphrase
+    changePassphrase(wallets, currentPassphrase, newPassphrase) {
+        if (!newPassphrase) {
+            throw new Error('New passphrase is required');
+        }
+
+        this.unlock(wallets, currentPassphrase);
+
+        for (const walletData of wallets) {
+            if (!this.isEncrypted(walletData)) continue;
+            walletData.keystore = this.encryptPrivateKey(this.getPrivateKey(walletData.address), newPassphrase);
+        }
+
+        this.passphrase = newPassphrase;
+        this.touch();
+        console.log('🔑 Keystore passphrase changed');
+    }
+
+    // Storage for wallets.json - plain JSON (hand-editable) with atomic writes and backups
+    static createWalletsStore(filePath) {
+        return new StateStore(filePath, { name: 'wallets', envelope: false });
+    }
+
+    // Read a wallets file written by the main bot
+    loadWalletsFile(filePath) {
+        try {
+            return WalletKeystore.createWalletsStore(filePath).load([]);
+        } catch (error) {
+            console.error('❌ Error loading wallets file:', error.message);
+        }
+        return [];
+    }
+
+    // Write a wallets file; private keys never reach disk once attached
+    saveWalletsFile(filePath, wallets) {
+        WalletKeystore.createWalletsStore(filePath).save(wallets);
+    }
+
+    // Keystore status for display
+    getStatus() {
+        return {
+            unlocked: this.isUnlocked(),
+            wallets: this.keys.size,
+            autoLockMinutes: this.autoLockMs / 60000,
+            lastActivity: this.lastActivity
+        };
+    }
+}
+
+// wallets.json next to the bot - the same file whatever directory the bot, CLI or trader is started from
+WalletKeystore.WALLETS_PATH = path.join(__dirname, 'wallets.json');
+
+module.exports = WalletKeystore;
@@ -15,27 +15,91 @@ const StrategyBuilder = require('./strategy-builder');
 const PriceDatabase = require('./price-database');
 const AlgoritmitStrategy = require('./algoritmit-strategy');
 const TelegramNotifications = require('./telegram-notifications');
+const BacktestEngine = require('./backtest-engine');
+const PaperTradingExecutor = require('./paper-trading-executor');
+const WalletKeystore = require('./wallet-keystore');
+const TradeJournal = require('./trade-journal');
+const PortfolioRebalancer = require('./portfolio-rebalancer');
+const DcaScheduler = require('./dca-scheduler');
+const TwapExecutor = require('./twap-executor');
+const TransactionQueue = require('./transaction-queue');
+const TxTracker = require('./tx-tracker');
+const QuoteGuard = require('./quote-guard');
+const LotAccounting = require('./lot-accounting');
+const ApiServer = require('./api-server');
+const MetricsCollector = require('./metrics-collector');
+const StateStore = require('./state-store');
+const PositionReconciler = require('./position-reconciler');
+const TriggerExpression = require('./trigger-expression');
+const RpcManager = require('./rpc-manager');
+const Logger = require('./logger');
 require('dotenv').config();
 
 class WorldchainTradingBot {
-    constructor() {
+    constructor(options = {}) {
+        // Headless (daemon) mode: no readline prompts, driven by a config file
+        this.headless = options.headless === true;
+        
+        // Central logger: JSON-lines log files with per-module levels; plain console output is recorded too
+        this.logger = Logger.getInstance();
+        this.logger.captureConsole();
+        
         this.configPath = path.join(__dirname, 'config.json');
-        this.walletsPath = path.join(__dirname, 'wallets.json');
+        this.walletsPath = WalletKeystore.WALLETS_PATH;
         this.tokensPath = path.join(__dirname, 'discovered_tokens.json');
         
-        // Enhanced RPC Fallback System
-        this.rpcManager = this.initializeRPCManager();
-        this.provider = this.rpcManager.getCurrentProvider();
+        // Crash-safe storage; these files stay plain JSON so they remain hand-editable
+        this.configStore = new StateStore(this.configPath, { name: 'config', envelope: false });
+        this.walletsStore = WalletKeystore.createWalletsStore(this.walletsPath);
+        this.tokensStore = new StateStore(this.tokensPath, { name: 'discovered-tokens', envelope: false });
+        
+        // RPC manager: latency/error-scored endpoint routing with circuit breakers; every module shares its provider
+        this.rpcManager = new RpcManager();
+        this.rpcManager.start();
+        this.provider = this.rpcManager.getProvider();
         
         this.config = this.loadConfig();
+        
+        // Encrypted keystore - private keys are only available after unlockKeystore()
+        this.keystore = new WalletKeystore(this.config);
         this.wallets = this.loadWallets();
         this.discoveredTokens = this.loadDiscoveredTokens();
         
         // Initialize advanced modules
         this.tradingEngine = new AdvancedTradingEngine(this.provider, this.config);
         this.sinclaveEngine = new SinclaveEnhancedTradingEngine(this.provider, this.config);
+        this.sinclaveEngine.setRpcManager(this.rpcManager);
         this.tokenDiscovery = new TokenDiscoveryService(this.provider, this.config);
+        
+        // Paper trading: simulated executor shared by every engine
+        this.paperTrading = new PaperTradingExecutor(this.config);
+        this.tradingEngine.setPaperTradingExecutor(this.paperTrading);
+        this.sinclaveEngine.setPaperTradingExecutor(this.paperTrading);
+        
+        // Transaction queue: per-wallet nonces and one send at a time, so concurrent strategies don't collide
+        this.transactionQueue = new TransactionQueue(this.sinclaveEngine, this.config);
+        this.tradingEngine.setTransactionQueue(this.transactionQueue);
+        this.sinclaveEngine.setTransactionQueue(this.transactionQueue);
+        
+        // Transaction tracker: swaps count only once confirmed; transient failures are retried
+        this.txTracker = new TxTracker(this.config);
+        this.txTracker.setTransactionQueue(this.transactionQueue);
+        this.sinclaveEngine.setTxTracker(this.txTracker);
+        
+        // Trade journal: append-only record of every executed swap
+        this.tradeJournal = new TradeJournal(this.config);
+        
+        // Lot accounting: cost basis and P&L rebuilt from the journal
+        this.lotAccounting = new LotAccounting(this.config);
+        this.lotAccounting.attachJournal(this.tradeJournal);
+        
         this.strategyBuilder = new StrategyBuilder(this.tradingEngine, this.sinclaveEngine, this.config, this.telegramNotifications);
+        this.strategyBuilder.setTradeJournal(this.tradeJournal);
+        
+        // TWAP executor: slices large swaps over a time window (console "twap" orders and strategy buys)
+        this.twapExecutor = new TwapExecutor(this.sinclaveEngine, this.config);
+        this.twapExecutor.setTradeJournal(this.tradeJournal);
+        this.strategyBuilder.setTwapExecutor(this.twapExecutor);
         
         // Pass logging callback to sinclave engine
         this.sinclaveEngine.setLoggingCallback((message, type) => {
@@ -49,12 +113,27 @@ class WorldchainTradingBot {
         this.priceDatabase.setLoggingCallback((message, type) => {
             this.smartLog(message, type);
         });
+        this.priceDatabase.setTradeJournal(this.tradeJournal);
+        
+        // Quote guard: every swap quote is checked against stored prices, SMA and Uniswap QuoterV2 before sending
+        this.quoteGuard = new QuoteGuard(this.sinclaveEngine, this.config);
+        this.quoteGuard.setPriceDatabase(this.priceDatabase);
+        if (!this.headless) {
+            this.quoteGuard.setConfirmHandler(async (message) => {
+                const answer = await this.getUserInput(`${message}\nExecute anyway? (y/N): `);
+                return answer.trim().toLowerCase() === 'y';
+            });
+        }
+        this.sinclaveEngine.setQuoteGuard(this.quoteGuard);
         
         // Connect price database to wallet system
         this.priceDatabase.findWalletByAddress = (address) => {
             return Object.values(this.wallets).find(w => w.address.toLowerCase() === address.toLowerCase());
         };
         
+        // Initialize Backtest Engine (replays stored price history through strategies)
+        this.backtestEngine = new BacktestEngine(this.strategyBuilder, this.priceDatabase, this.config);
+        
         // Initialize ALGORITMIT Strategy
         this.algoritmitStrategy = new AlgoritmitStrategy(
             this.tradingEngine, 
@@ -62,12 +141,12 @@ class WorldchainTradingBot {
             this.priceDatabase, 
             this.config
         );
+        this.algoritmitStrategy.setTradingWallet(this.wallets[0] || null);
+        this.algoritmitStrategy.setTradeJournal(this.tradeJournal);
 
         // Initialize Telegram notifications
         this.telegramNotifications = new TelegramNotifications(this.config);
-        
-        // Initialize price triggers
-        this.triggers = [];
+        this.telegramNotifications.setPaperTradingExecutor(this.paperTrading);
         
         // Auto-track discovered tokens
         this.setupPriceDatabaseIntegration();
@@ -77,15 +156,53 @@ class WorldchainTradingBot {
         
         // Initialize trading strategy with both engines and Telegram notifications
         this.tradingStrategy = new TradingStrategy(this.tradingEngine, this.config, this.sinclaveEngine, this.telegramNotifications);
+        this.tradingStrategy.setTradeJournal(this.tradeJournal);
         this.setupStrategyEventListeners();
         
+        // Startup check of tracked positions against on-chain balances
+        this.positionReconciler = new PositionReconciler(this.strategyBuilder, this.tradingStrategy, this.tokenDiscovery, this.config);
+        this.positionReconciler.setTradeJournal(this.tradeJournal);
+        this.positionReconciler.setPriceDatabase(this.priceDatabase);
+        
+        // Portfolio rebalancer: keeps wallets at target weights (balances from the paper ledger in paper mode)
+        this.portfolioRebalancer = new PortfolioRebalancer(this.sinclaveEngine, this.config);
+        this.portfolioRebalancer.setPriceDatabase(this.priceDatabase);
+        this.portfolioRebalancer.setTradeJournal(this.tradeJournal);
+        this.portfolioRebalancer.setPortfolioSource({
+            getWallets: () => this.wallets.filter(w => w.address),
+            getPortfolioBalances: (address) => this.paperTrading.isEnabled()
+                ? { success: false }
+                : this.getPortfolioBalances(address),
+            getTokenBalance: (address, tokenAddress) => this.paperTrading.isEnabled()
+                ? this.paperTrading.getBalance(address, tokenAddress)
+                : this.getTokenBalanceWithRetry(address, tokenAddress)
+        });
+        
+        // Scheduled DCA plans (resume the saved plans; the CLI can manage them alongside)
+        this.dcaScheduler = new DcaScheduler(this.sinclaveEngine, this.config);
+        this.dcaScheduler.setPriceDatabase(this.priceDatabase);
+        this.dcaScheduler.setTradeJournal(this.tradeJournal);
+        this.dcaScheduler.setWalletResolver((address) => this.wallets.find(w => w.address && w.address.toLowerCase() === address));
+        this.dcaScheduler.start();
+        
+        // Unattended exits must keep signing after the console goes idle
+        this.keystore.setAutomationCheck(() => this.describeRunningAutomations());
+        
         // WLD token address on Worldchain (correct address)
         this.WLD_ADDRESS = '0x2cfc85d8e48f8eab294be644d9e25c3030863003';
         
+        // Local REST/WebSocket API (started from Configuration or API_ENABLED=true)
+        this.apiServer = new ApiServer(this, this.config);
+        
+        // Prometheus metrics on the API server's /metrics endpoint
+        this.metricsCollector = new MetricsCollector(this, this.config);
+        this.sinclaveEngine.setMetricsCollector(this.metricsCollector);
+        this.apiServer.setMetricsCollector(this.metricsCollector);
+        
         // DEX router addresses for Worldchain (using Uniswap V3 compatible)
         this.ROUTER_ADDRESS = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
         
-        this.rl = readline.createInterface({
+        this.rl = this.headless ? null : readline.createInterface({
             input: process.stdin,
             output: process.stdout
         });
@@ -116,555 +233,67 @@ class WorldchainTradingBot {
         };
     }
 
-    // Initialize RPC Manager with fallback system
-    initializeRPCManager() {
-        const worldchainNetwork = {
-            name: 'worldchain',
-            chainId: 480,
-            ensAddress: null
-        };
-
-        // Enhanced RPC endpoints with QuickNode as primary (optimized for Worldchain)
-        const rpcEndpoints = [
-            // Primary: QuickNode endpoint (high performance, reliable)
-            'https://patient-patient-waterfall.worldchain-mainnet.quiknode.pro/cea629fe80a05630338845dc1fd58f8da329b083/',
-            
-            // Secondary: Environment variable (custom endpoint)
-            process.env.WORLDCHAIN_RPC_URL,
-            
-            // Tertiary: Public endpoints (fallback)
-            'https://worldchain-mainnet.g.alchemy.com/public',
-            'https://worldchain.drpc.org',
-            'https://worldchain-rpc.publicnode.com',
-            'https://rpc.worldchain.org'
-        ].filter(Boolean);
-
-        console.log('🌐 Initializing RPC Fallback System...');
-        console.log(`   📊 Found ${rpcEndpoints.length} RPC endpoints`);
-        
-        const rpcManager = {
-            endpoints: rpcEndpoints,
-            currentIndex: 0,
-            providers: [],
-            healthChecks: {},
-            lastHealthCheck: 0,
-            healthCheckInterval: 30000, // 30 seconds
-            maxRetries: 3,
-            retryDelay: 2000, // 2 seconds
-
-            // Initialize all providers
-            initialize() {
-                this.endpoints.forEach((endpoint, index) => {
-                    try {
-                        const provider = new ethers.JsonRpcProvider(endpoint, worldchainNetwork);
-                        this.providers.push(provider);
-                        this.healthChecks[index] = {
-                            isHealthy: true,
-                            lastCheck: 0,
-                            consecutiveFailures: 0,
-                            responseTime: 0
-                        };
-                        console.log(`   ✅ Provider ${index + 1}: ${this.getEndpointDisplay(endpoint)}`);
-                    } catch (error) {
-                        console.log(`   ❌ Provider ${index + 1}: ${this.getEndpointDisplay(endpoint)} - Failed to initialize`);
-                        this.healthChecks[index] = {
-                            isHealthy: false,
-                            lastCheck: 0,
-                            consecutiveFailures: 999,
-                            responseTime: 0
-                        };
-                    }
-                });
-            },
-
-            // Get current provider
-            getCurrentProvider() {
-                if (this.providers.length === 0) {
-                    throw new Error('No RPC providers available');
-                }
-                return this.providers[this.currentIndex];
-            },
-
-            // Get current endpoint display (masked for security)
-            getCurrentEndpointDisplay() {
-                return this.getEndpointDisplay(this.endpoints[this.currentIndex]);
-            },
-
-            // Mask endpoint for display (hide API keys)
-            getEndpointDisplay(endpoint) {
-                if (!endpoint) return 'Unknown';
-                
-                // QuickNode endpoint
-                if (endpoint.includes('quiknode.pro')) {
-                    const parts = endpoint.split('/');
-                    return `QuickNode (${parts[parts.length - 2]})`;
-                }
-                
-                // Alchemy endpoint
-                if (endpoint.includes('alchemy.com')) {
-                    return 'Alchemy Public';
-                }
-                
-                // DRPC endpoint
-                if (endpoint.includes('drpc.org')) {
-                    return 'DRPC Public';
-                }
-                
-                // PublicNode endpoint
-                if (endpoint.includes('publicnode.com')) {
-                    return 'PublicNode';
-                }
-                
-                // Custom endpoint
-                if (endpoint.includes('worldchain.org')) {
-                    return 'Worldchain Official';
-                }
-                
-                // Environment variable endpoint
-                if (endpoint === process.env.WORLDCHAIN_RPC_URL) {
-                    return 'Custom RPC';
-                }
-                
-                return 'Custom Endpoint';
-            },
-
-            // Health check for a specific provider
-            async checkProviderHealth(index) {
-                if (index >= this.providers.length) return false;
-                
-                const startTime = Date.now();
-                try {
-                    const provider = this.providers[index];
-                    await provider.getBlockNumber();
-                    
-                    const responseTime = Date.now() - startTime;
-                    this.healthChecks[index] = {
-                        isHealthy: true,
-                        lastCheck: Date.now(),
-                        consecutiveFailures: 0,
-                        responseTime: responseTime
-                    };
-                    
-                    return true;
-                } catch (error) {
-                    const health = this.healthChecks[index];
-                    health.isHealthy = false;
-                    health.lastCheck = Date.now();
-                    health.consecutiveFailures++;
-                    health.responseTime = 0;
-                    
-                    return false;
-                }
-            },
-
-            // Perform health check on all providers
-            async performHealthCheck() {
-                const now = Date.now();
-                if (now - this.lastHealthCheck < this.healthCheckInterval) {
-                    return; // Skip if too recent
-                }
-                
-                this.lastHealthCheck = now;
-                console.log('🔍 Performing RPC health check...');
-                
-                const healthPromises = this.providers.map((_, index) => 
-                    this.checkProviderHealth(index)
-                );
-                
-                const results = await Promise.allSettled(healthPromises);
-                
-                // Find the healthiest provider
-                let bestIndex = this.currentIndex;
-                let bestHealth = this.healthChecks[this.currentIndex];
-                
-                for (let i = 0; i < this.providers.length; i++) {
-                    const health = this.healthChecks[i];
-                    if (health.isHealthy && health.consecutiveFailures === 0) {
-                        if (!bestHealth.isHealthy || health.responseTime < bestHealth.responseTime) {
-                            bestIndex = i;
-                            bestHealth = health;
-                        }
-                    }
-                }
-                
-                // Switch to better provider if found
-                if (bestIndex !== this.currentIndex) {
-                    console.log(`🔄 Switching RPC from ${this.getEndpointDisplay(this.endpoints[this.currentIndex])} to ${this.getEndpointDisplay(this.endpoints[bestIndex])}`);
-                    this.currentIndex = bestIndex;
-                }
-                
-                // Log health status
-                this.logHealthStatus();
-            },
-
-            // Log current health status
-            logHealthStatus() {
-                console.log('📊 RPC Health Status:');
-                this.providers.forEach((_, index) => {
-                    const health = this.healthChecks[index];
-                    const status = health.isHealthy ? '🟢' : '🔴';
-                    const endpoint = this.getEndpointDisplay(this.endpoints[index]);
-                    const current = index === this.currentIndex ? ' (CURRENT)' : '';
-                    const responseTime = health.responseTime > 0 ? ` (${health.responseTime}ms)` : '';
-                    
-                    console.log(`   ${status} ${endpoint}${current}${responseTime}`);
-                });
-            },
-
-            // Execute RPC call with automatic fallback
-            async executeWithFallback(operation, maxRetries = this.maxRetries) {
-                let lastError;
-                
-                for (let attempt = 0; attempt < maxRetries; attempt++) {
-                    try {
-                        const provider = this.getCurrentProvider();
-                        const result = await operation(provider);
-                        return result;
-                    } catch (error) {
-                        lastError = error;
-                        console.log(`⚠️ RPC call failed on attempt ${attempt + 1}/${maxRetries}: ${error.message}`);
-                        
-                        // Mark current provider as unhealthy
-                        this.healthChecks[this.currentIndex].isHealthy = false;
-                        this.healthChecks[this.currentIndex].consecutiveFailures++;
-                        
-                        // Try to switch to next healthy provider
-                        if (!this.switchToHealthyProvider()) {
-                            console.log('❌ No healthy RPC providers available');
-                            break;
-                        }
-                        
-                        // Wait before retry
-                        if (attempt < maxRetries - 1) {
-                            await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-                        }
-                    }
-                }
-                
-                throw new Error(`RPC operation failed after ${maxRetries} attempts. Last error: ${lastError.message}`);
-            },
-
-            // Switch to next healthy provider
-            switchToHealthyProvider() {
-                const originalIndex = this.currentIndex;
-                
-                // Try next providers in order
-                for (let i = 1; i < this.providers.length; i++) {
-                    const nextIndex = (originalIndex + i) % this.providers.length;
-                    const health = this.healthChecks[nextIndex];
-                    
-                    if (health.isHealthy) {
-                        this.currentIndex = nextIndex;
-                        console.log(`🔄 Switched to ${this.getEndpointDisplay(this.endpoints[nextIndex])}`);
-                        return true;
-                    }
-                }
-                
-                // If no healthy provider found, try to reset health status and use original
-                console.log('⚠️ No healthy providers found, attempting to reset health status...');
-                this.healthChecks[originalIndex].isHealthy = true;
-                this.healthChecks[originalIndex].consecutiveFailures = 0;
-                this.currentIndex = originalIndex;
-                
-                return true;
-            },
-
-            // Get provider statistics
-            getStats() {
-                const stats = {
-                    totalProviders: this.providers.length,
-                    currentProvider: this.currentIndex,
-                    currentEndpoint: this.getEndpointDisplay(this.endpoints[this.currentIndex]),
-                    healthyProviders: 0,
-                    unhealthyProviders: 0,
-                    providers: []
-                };
-                
-                this.providers.forEach((_, index) => {
-                    const health = this.healthChecks[index];
-                    const providerInfo = {
-                        index: index,
-                        endpoint: this.getEndpointDisplay(this.endpoints[index]),
-                        isHealthy: health.isHealthy,
-                        isCurrent: index === this.currentIndex,
-                        responseTime: health.responseTime,
-                        consecutiveFailures: health.consecutiveFailures,
-                        lastCheck: health.lastCheck
-                    };
-                    
-                    stats.providers.push(providerInfo);
-                    
-                    if (health.isHealthy) {
-                        stats.healthyProviders++;
-                    } else {
-                        stats.unhealthyProviders++;
-                    }
-                });
-                
-                return stats;
-            }
-        };
-
-        // Initialize the RPC manager
-        rpcManager.initialize();
-        
-        // Perform initial speed test to optimize endpoint order
-        this.performInitialSpeedTest(rpcManager).then(() => {
-            console.log('✅ RPC speed test completed - endpoints optimized for performance');
-        }).catch(error => {
-            console.log(`⚠️ Speed test failed: ${error.message}`);
-        });
-        
-        // Start periodic health checks
-        setInterval(() => {
-            rpcManager.performHealthCheck().catch(error => {
-                console.log(`❌ Health check failed: ${error.message}`);
-            });
-        }, rpcManager.healthCheckInterval);
-
-        return rpcManager;
-    }
-
-    // Perform comprehensive RPC speed test
-    async performInitialSpeedTest(rpcManager) {
-        console.log('🏁 Performing RPC Speed Test...');
-        console.log('   📊 Testing all endpoints for optimal performance');
-        
-        const testResults = [];
-        const testOperations = [
-            { name: 'Block Number', operation: (provider) => provider.getBlockNumber() },
-            { name: 'Gas Price', operation: (provider) => provider.getFeeData() },
-            { name: 'Network', operation: (provider) => provider.getNetwork() }
-        ];
-        
-        // Test each provider
-        for (let i = 0; i < rpcManager.providers.length; i++) {
-            const provider = rpcManager.providers[i];
-            const endpoint = rpcManager.endpoints[i];
-            const endpointName = rpcManager.getEndpointDisplay(endpoint);
-            
-            console.log(`\n🔍 Testing: ${endpointName}`);
-            
-            const result = {
-                index: i,
-                endpoint: endpoint,
-                endpointName: endpointName,
-                isHealthy: false,
-                averageResponseTime: 0,
-                successfulTests: 0,
-                failedTests: 0,
-                testResults: []
-            };
-            
-            // Perform multiple test operations
-            for (const testOp of testOperations) {
-                for (let attempt = 1; attempt <= 3; attempt++) {
-                    const startTime = Date.now();
-                    try {
-                        await testOp.operation(provider);
-                        const responseTime = Date.now() - startTime;
-                        
-                        result.testResults.push({
-                            operation: testOp.name,
-                            attempt: attempt,
-                            responseTime: responseTime,
-                            success: true
-                        });
-                        
-                        result.successfulTests++;
-                        console.log(`   ✅ ${testOp.name} (attempt ${attempt}): ${responseTime}ms`);
-                        
-                    } catch (error) {
-                        const responseTime = Date.now() - startTime;
-                        result.testResults.push({
-                            operation: testOp.name,
-                            attempt: attempt,
-                            responseTime: responseTime,
-                            success: false,
-                            error: error.message
-                        });
-                        
-                        result.failedTests++;
-                        console.log(`   ❌ ${testOp.name} (attempt ${attempt}): Failed (${error.message})`);
-                    }
-                }
-            }
-            
-            // Calculate average response time for successful tests
-            const successfulTests = result.testResults.filter(t => t.success);
-            if (successfulTests.length > 0) {
-                result.averageResponseTime = successfulTests.reduce((sum, t) => sum + t.responseTime, 0) / successfulTests.length;
-                result.isHealthy = result.successfulTests >= 6; // At least 6 out of 9 tests must pass
-            }
-            
-            testResults.push(result);
-            
-            // Brief pause between providers
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        
-        // Sort results by performance (fastest first)
-        testResults.sort((a, b) => {
-            if (a.isHealthy !== b.isHealthy) {
-                return b.isHealthy - a.isHealthy; // Healthy providers first
-            }
-            return a.averageResponseTime - b.averageResponseTime; // Fastest first
-        });
-        
-        // Display comprehensive results
-        console.log('\n📊 RPC SPEED TEST RESULTS');
-        console.log('════════════════════════════════════════════════════════════');
-        
-        testResults.forEach((result, index) => {
-            const status = result.isHealthy ? '🟢' : '🔴';
-            const rank = index + 1;
-            const rankText = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
-            
-            console.log(`${rankText} ${status} ${result.endpointName}`);
-            console.log(`   📊 Average Response Time: ${result.averageResponseTime.toFixed(0)}ms`);
-            console.log(`   ✅ Successful Tests: ${result.successfulTests}/9`);
-            console.log(`   ❌ Failed Tests: ${result.failedTests}/9`);
-            console.log(`   🏆 Performance Rank: ${rank}/${testResults.length}`);
-            
-            if (result.isHealthy) {
-                if (result.averageResponseTime < 200) {
-                    console.log(`   ⚡ Performance: EXCELLENT (< 200ms)`);
-                } else if (result.averageResponseTime < 500) {
-                    console.log(`   ⚡ Performance: GOOD (200-500ms)`);
-                } else if (result.averageResponseTime < 1000) {
-                    console.log(`   ⚡ Performance: ACCEPTABLE (500-1000ms)`);
-                } else {
-                    console.log(`   ⚡ Performance: SLOW (> 1000ms)`);
-                }
-            } else {
-                console.log(`   ⚠️ Status: UNHEALTHY (too many failures)`);
-            }
+    // RPC management: endpoint scores, circuit breakers and block lag
+    async rpcManagementMenu() {
+        while (true) {
+            console.clear();
+            console.log('🌐 RPC MANAGEMENT');
+            console.log('════════════════════════════════════════════════════════════');
             console.log('');
-        });
-        
-        // Optimize endpoint order based on performance
-        const healthyResults = testResults.filter(r => r.isHealthy);
-        if (healthyResults.length > 0) {
-            console.log('🔄 Optimizing endpoint order based on performance...');
-            
-            // Reorder endpoints for optimal performance
-            const optimizedEndpoints = [];
-            const optimizedProviders = [];
-            const optimizedHealthChecks = {};
-            
-            healthyResults.forEach((result, index) => {
-                optimizedEndpoints.push(result.endpoint);
-                optimizedProviders.push(rpcManager.providers[result.index]);
-                optimizedHealthChecks[index] = rpcManager.healthChecks[result.index];
-            });
             
-            // Add unhealthy endpoints at the end
-            testResults.filter(r => !r.isHealthy).forEach(result => {
-                optimizedEndpoints.push(result.endpoint);
-                optimizedProviders.push(rpcManager.providers[result.index]);
-                optimizedHealthChecks[optimizedEndpoints.length - 1] = rpcManager.healthChecks[result.index];
-            });
+            this.displayRpcStatus();
+            console.log('');
             
-            // Update RPC manager with optimized order
-            rpcManager.endpoints = optimizedEndpoints;
-            rpcManager.providers = optimizedProviders;
-            rpcManager.healthChecks = optimizedHealthChecks;
-            rpcManager.currentIndex = 0; // Start with fastest provider
+            console.log('1. 🔍 Check All Endpoints Now');
+            console.log('2. 🔄 Reset Circuit Breakers');
+            console.log('');
+            console.log('0. ⬅️  Back to Main Menu');
+            console.log('');
             
-            console.log(`✅ Endpoint order optimized! Fastest provider: ${rpcManager.getCurrentEndpointDisplay()}`);
+            const choice = await this.getUserInput('Select option: ');
             
-            // Save speed test results to config
-            this.saveSpeedTestResults(testResults);
-        } else {
-            console.log('⚠️ No healthy endpoints found - using original order');
-        }
-        
-        return testResults;
-    }
-
-    // Save speed test results to config
-    saveSpeedTestResults(results) {
-        try {
-            const speedTestData = {
-                timestamp: Date.now(),
-                results: results.map(r => ({
-                    endpointName: r.endpointName,
-                    averageResponseTime: r.averageResponseTime,
-                    isHealthy: r.isHealthy,
-                    successfulTests: r.successfulTests,
-                    failedTests: r.failedTests,
-                    rank: results.indexOf(r) + 1
-                }))
-            };
+            switch (choice) {
+                case '1':
+                    console.log('🔍 Checking RPC endpoints...');
+                    await this.rpcManager.checkEndpoints();
+                    break;
+                case '2':
+                    this.rpcManager.resetBreakers();
+                    console.log(chalk.green('✅ All RPC circuits closed - endpoints are scored again from live traffic'));
+                    break;
+                case '0':
+                    return;
+                default:
+                    console.log(chalk.red('❌ Invalid option'));
+                    await this.sleep(1500);
+            }
             
-            const configPath = path.join(__dirname, 'rpc-speed-test.json');
-            fs.writeFileSync(configPath, JSON.stringify(speedTestData, null, 2));
-        } catch (error) {
-            console.log(`⚠️ Failed to save speed test results: ${error.message}`);
+            await this.sleep(2000);
         }
     }
-
-    // Manual RPC speed test (for testing during runtime)
-    async manualSpeedTest() {
-        console.clear();
-        console.log('🏁 MANUAL RPC SPEED TEST');
-        console.log('════════════════════════════════════════════════════════════');
-        console.log('This will test all RPC endpoints and optimize for performance.');
-        console.log('The test may take 30-60 seconds to complete.');
-        console.log('');
+    
+    // Display RPC endpoint health
+    displayRpcStatus() {
+        const stats = this.rpcManager.getStats();
+        const settings = this.rpcManager.settings;
         
-        const confirm = await this.getUserInput('Start speed test? (y/N): ');
-        if (!confirm.toLowerCase().startsWith('y')) {
-            console.log('❌ Speed test cancelled.');
-            return;
-        }
+        console.log(`📦 Head block: ${stats.bestBlock || 'unknown'}   🟢 Available: ${stats.availableProviders}/${stats.totalProviders}   🔴 Open circuits: ${stats.openCircuits}`);
+        console.log('');
         
-        try {
-            const results = await this.performInitialSpeedTest(this.rpcManager);
+        stats.providers.forEach(provider => {
+            const icon = provider.state === 'open' ? '🔴' : provider.state === 'half_open' ? '🟡' : provider.isLagging ? '🐢' : '🟢';
+            const latency = provider.latencyMs !== null ? `${provider.latencyMs}ms` : 'n/a';
+            const lag = provider.blockLag > 0 ? ` (-${provider.blockLag})` : '';
             
-            console.log('\n🎯 SPEED TEST COMPLETE!');
-            console.log('════════════════════════════════════════════════════════════');
-            
-            const fastest = results.find(r => r.isHealthy);
-            if (fastest) {
-                console.log(`🏆 Fastest Provider: ${fastest.endpointName}`);
-                console.log(`⚡ Response Time: ${fastest.averageResponseTime.toFixed(0)}ms`);
-                console.log(`📊 Current Provider: ${this.rpcManager.getCurrentEndpointDisplay()}`);
-                
-                if (this.rpcManager.currentIndex === fastest.index) {
-                    console.log('✅ Already using the fastest provider!');
-                } else {
-                    console.log('🔄 Switching to fastest provider...');
-                    this.rpcManager.currentIndex = fastest.index;
-                    this.updateProvider();
-                }
-            } else {
-                console.log('⚠️ No healthy providers found');
+            console.log(`   ${icon} ${provider.name}: ${latency}, ${(provider.errorRate * 100).toFixed(0)}% errors, block ${provider.blockNumber || '?'}${lag}, ${provider.requests} requests`);
+            if (provider.state !== 'closed' && provider.lastError) {
+                console.log(chalk.gray(`      Last error: ${provider.lastError}`));
             }
-            
-        } catch (error) {
-            console.log(`❌ Speed test failed: ${error.message}`);
-        }
-        
-        await this.getUserInput('\nPress Enter to continue...');
-    }
-
-    // Update provider when RPC changes
-    updateProvider() {
-        this.provider = this.rpcManager.getCurrentProvider();
-        
-        // Update provider in all modules that use it
-        if (this.tradingEngine) {
-            this.tradingEngine.provider = this.provider;
-        }
-        if (this.sinclaveEngine) {
-            this.sinclaveEngine.provider = this.provider;
-        }
-        if (this.tokenDiscovery) {
-            this.tokenDiscovery.provider = this.provider;
-        }
+        });
         
-        console.log(`🔄 Updated provider to: ${this.rpcManager.getCurrentEndpointDisplay()}`);
+        console.log('');
+        console.log(`⚙️  Circuit opens after ${settings.breakerThreshold} failures (probe after ${settings.breakerCooldownMs / 1000}s), max lag ${settings.maxBlockLag} blocks`);
+        console.log(`🗳️  Quorum balance reads: ${settings.quorumMinWLD > 0 ? `${settings.quorumSize} endpoints for trades ≥ ${settings.quorumMinWLD} WLD` : 'off (RPC_QUORUM_MIN_WLD)'}`);
     }
     
     // Logging control methods
@@ -674,12 +303,14 @@ class WorldchainTradingBot {
                 this.loggingConfig.verbose = true;
                 this.loggingConfig.showPriceUpdates = true;
                 this.loggingConfig.showHoldStationLogs = true;
+                this.logger.setLevel('debug');
                 console.log('🔊 Logging set to VERBOSE mode');
                 break;
             case 'normal':
                 this.loggingConfig.verbose = false;
                 this.loggingConfig.showPriceUpdates = false;
                 this.loggingConfig.showHoldStationLogs = false;
+                this.logger.resetLevels();
                 console.log('🔇 Logging set to NORMAL mode');
                 break;
             case 'quiet':
@@ -688,6 +319,7 @@ class WorldchainTradingBot {
                 this.loggingConfig.showHoldStationLogs = false;
                 this.loggingConfig.showStrategyLogs = false;
                 this.loggingConfig.showPositionLogs = false;
+                this.logger.resetLevels();
                 console.log('🔇 Logging set to QUIET mode');
                 break;
             case 'minimal':
@@ -698,6 +330,7 @@ class WorldchainTradingBot {
                 this.loggingConfig.showPositionLogs = true;
                 this.loggingConfig.showErrorLogs = true;
                 this.loggingConfig.showSuccessLogs = false;
+                this.logger.resetLevels();
                 console.log('🔇 Logging set to MINIMAL mode');
                 break;
             default:
@@ -705,34 +338,23 @@ class WorldchainTradingBot {
         }
     }
     
-    // Smart logging method
+    // Smart logging method - every message is recorded by the central logger (JSON-lines file);
+    // the console line still follows the logging toggles and the module's log level
     smartLog(message, type = 'info', force = false) {
-        if (force || this.shouldShowLog(type)) {
-            switch(type) {
-                case 'price':
-                    if (this.loggingConfig.showPriceUpdates) console.log(message);
-                    break;
-                case 'holdstation':
-                    if (this.loggingConfig.showHoldStationLogs) console.log(message);
-                    break;
-                case 'strategy':
-                    if (this.loggingConfig.showStrategyLogs) console.log(message);
-                    break;
-                case 'position':
-                    if (this.loggingConfig.showPositionLogs) console.log(message);
-                    break;
-                case 'error':
-                    if (this.loggingConfig.showErrorLogs) console.log(`❌ ${message}`);
-                    break;
-                case 'success':
-                    if (this.loggingConfig.showSuccessLogs) console.log(`✅ ${message}`);
-                    break;
-                case 'info':
-                default:
-                    console.log(message);
-                    break;
-            }
-        }
+        const toggles = {
+            price: this.loggingConfig.showPriceUpdates,
+            holdstation: this.loggingConfig.showHoldStationLogs,
+            strategy: this.loggingConfig.showStrategyLogs,
+            position: this.loggingConfig.showPositionLogs,
+            error: this.loggingConfig.showErrorLogs,
+            success: this.loggingConfig.showSuccessLogs
+        };
+        const module = ['price', 'holdstation', 'strategy', 'position'].includes(type) ? type : 'app';
+        const level = type === 'error' ? 'error' : 'info';
+        const text = type === 'error' ? `❌ ${message}` : type === 'success' ? `✅ ${message}` : message;
+
+        const show = toggles[type] !== false && (force || (this.shouldShowLog(type) && this.logger.isEnabled(module, level)));
+        this.logger.write(level, module, text, {}, { console: show });
     }
     
     // Check if log should be shown
@@ -1243,6 +865,8 @@ class WorldchainTradingBot {
             console.log(`   📈 Position Updates: ${this.loggingConfig.showPositionLogs ? '🔊 ON' : '🔇 OFF'}`);
             console.log(`   ❌ Error Messages: ${this.loggingConfig.showErrorLogs ? '🔊 ON' : '🔇 OFF'}`);
             console.log(`   ✅ Success Messages: ${this.loggingConfig.showSuccessLogs ? '🔊 ON' : '🔇 OFF'}`);
+            console.log(`   📚 Module Levels: default=${this.logger.defaultLevel}${Object.entries(this.logger.moduleLevels).map(([module, level]) => ` ${module}=${level}`).join('')}`);
+            console.log(`   📁 Log File: ${this.logger.fileEnabled ? this.logger.filePath : 'disabled'}`);
             console.log('');
             console.log('🎛️  Quick Presets:');
             console.log('1. 🔊 VERBOSE - Show all logs (debugging)');
@@ -1257,6 +881,7 @@ class WorldchainTradingBot {
             console.log('8. 📈 Toggle Position Logs');
             console.log('9. ❌ Toggle Error Logs');
             console.log('10. ✅ Toggle Success Logs');
+            console.log('11. 📚 Set Module Log Level (price, holdstation, strategy, position, trigger, ml, rpc)');
             console.log('');
             console.log('0. ⬅️  Back to Main Menu');
             console.log('');
@@ -1300,6 +925,17 @@ class WorldchainTradingBot {
                     this.loggingConfig.showSuccessLogs = !this.loggingConfig.showSuccessLogs;
                     console.log(`✅ Success Logs: ${this.loggingConfig.showSuccessLogs ? '🔊 ON' : '🔇 OFF'}`);
                     break;
+                case '11': {
+                    const module = (await this.getUserInput('Module (blank for all modules): ')).trim().toLowerCase();
+                    const level = (await this.getUserInput('Level (error/warn/info/debug): ')).trim().toLowerCase();
+                    try {
+                        this.logger.setLevel(level, module || null);
+                        console.log(`📚 ${module || 'All modules'}: ${level}`);
+                    } catch (error) {
+                        console.log(`❌ ${error.message}`);
+                    }
+                    break;
+                }
                 case '0':
                     return;
                 default:
@@ -2076,7 +1712,7 @@ class WorldchainTradingBot {
             console.log(chalk.green(`   💎 Discovery Price: ${discoveryInfo.discoveryPrice.toFixed(8)} WLD`));
             console.log(chalk.white(`   🕒 Discovery Time: ${new Date(discoveryInfo.discoveryTimestamp).toLocaleString()}`));
             console.log(chalk.white(`   📊 Source: ${discoveryInfo.discoveryPriceInfo?.source || 'Unknown'}`));
-            console.log(chalk.white(`   🎯 Confidence: ${discoveryInfo.discoveryPriceInfo?.confidence || 'Unknown'}`);
+            console.log(chalk.white(`   🎯 Confidence: ${discoveryInfo.discoveryPriceInfo?.confidence || 'Unknown'}`));
             console.log('');
             
             if (performance) {
@@ -3796,8 +3432,9 @@ class WorldchainTradingBot {
 
     loadConfig() {
         try {
-            if (fs.existsSync(this.configPath)) {
-                return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            const config = this.configStore.load();
+            if (config) {
+                return config;
             }
         } catch (error) {
             console.log(chalk.yellow('Warning: Could not load config file'));
@@ -3814,9 +3451,7 @@ class WorldchainTradingBot {
 
     loadWallets() {
         try {
-            if (fs.existsSync(this.walletsPath)) {
-                return JSON.parse(fs.readFileSync(this.walletsPath, 'utf8'));
-            }
+            return this.walletsStore.load([]);
         } catch (error) {
             console.log(chalk.yellow('Warning: Could not load wallets file'));
         }
@@ -3825,9 +3460,7 @@ class WorldchainTradingBot {
 
     loadDiscoveredTokens() {
         try {
-            if (fs.existsSync(this.tokensPath)) {
-                return JSON.parse(fs.readFileSync(this.tokensPath, 'utf8'));
-            }
+            return this.tokensStore.load({});
         } catch (error) {
             console.log(chalk.yellow('Warning: Could not load discovered tokens file'));
         }
@@ -3835,21 +3468,24 @@ class WorldchainTradingBot {
     }
 
     saveConfig() {
-        fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2));
+        this.configStore.save(this.config);
     }
 
     saveWallets() {
-        fs.writeFileSync(this.walletsPath, JSON.stringify(this.wallets, null, 2));
+        this.walletsStore.save(this.wallets);
     }
 
     saveDiscoveredTokens() {
-        fs.writeFileSync(this.tokensPath, JSON.stringify(this.discoveredTokens, null, 2));
+        this.tokensStore.save(this.discoveredTokens);
     }
 
     async displayHeader() {
         console.clear();
         console.log(chalk.cyan(figlet.textSync('WorldChain Bot', { font: 'Small' })));
         console.log(chalk.green('🌍 Advanced Trading Bot for Worldchain (WLD Pairs)'));
+        if (this.paperTrading.isEnabled()) {
+            console.log(chalk.yellow('📝 PAPER TRADING MODE - swaps are simulated, no real funds are used'));
+        }
         console.log(chalk.gray('═'.repeat(60)));
     }
 
@@ -3892,7 +3528,9 @@ class WorldchainTradingBot {
             console.log(chalk.cyan('4. 🗑️  Remove Wallet'));
             console.log(chalk.cyan('5. 💰 Check Wallet Balance'));
             console.log(chalk.cyan('6. 🔄 Refresh Token Discovery'));
-            console.log(chalk.red('7. ⬅️  Back to Main Menu'));
+            console.log(chalk.cyan('7. 🔒 Lock Keystore'));
+            console.log(chalk.cyan('8. 🔑 Change Keystore Passphrase'));
+            console.log(chalk.red('9. ⬅️  Back to Main Menu'));
             
             const choice = await this.getUserInput('\nSelect option: ');
             
@@ -3915,7 +3553,14 @@ class WorldchainTradingBot {
                 case '6':
                     await this.refreshTokenDiscovery();
                     break;
-                case '6':
+                case '7':
+                    this.keystore.lock();
+                    await this.unlockKeystore();
+                    break;
+                case '8':
+                    await this.changeKeystorePassphrase();
+                    break;
+                case '9':
                     return;
                 default:
                     console.log(chalk.red('❌ Invalid option'));
@@ -3926,25 +3571,28 @@ class WorldchainTradingBot {
 
     async createNewWallet() {
         try {
+            if (!await this.ensureKeystoreUnlocked()) return;
+            
             const wallet = ethers.Wallet.createRandom();
             const name = await this.getUserInput('Enter wallet name: ');
             
             const walletData = {
                 name: name || `Wallet_${Date.now()}`,
                 address: wallet.address,
-                privateKey: wallet.privateKey,
                 created: new Date().toISOString(),
                 balance: '0',
                 tokens: []
             };
             
+            this.keystore.addWallet(walletData, wallet.privateKey);
             this.wallets.push(walletData);
             this.saveWallets();
             
             console.log(chalk.green('\n✅ Wallet created successfully!'));
             console.log(chalk.white(`📝 Name: ${walletData.name}`));
             console.log(chalk.white(`📍 Address: ${walletData.address}`));
-            console.log(chalk.yellow('🔐 Private Key: ') + chalk.red(walletData.privateKey));
+            // Original console: the key must never reach the log file
+            this.logger.console.log(chalk.yellow('🔐 Private Key: ') + chalk.red(walletData.privateKey));
             console.log(chalk.red('\n⚠️  IMPORTANT: Save your private key securely!'));
             
             // Automatic token discovery for new wallet
@@ -3960,7 +3608,9 @@ class WorldchainTradingBot {
 
     async importWallet() {
         try {
-            const privateKey = await this.getUserInput('Enter private key: ');
+            if (!await this.ensureKeystoreUnlocked()) return;
+            
+            const privateKey = await this.getHiddenInput('Enter private key: ');
             const name = await this.getUserInput('Enter wallet name: ');
             
             const wallet = new ethers.Wallet(privateKey);
@@ -3975,12 +3625,12 @@ class WorldchainTradingBot {
             const walletData = {
                 name: name || `Imported_${Date.now()}`,
                 address: wallet.address,
-                privateKey: privateKey,
                 created: new Date().toISOString(),
                 balance: '0',
                 tokens: []
             };
             
+            this.keystore.addWallet(walletData, wallet.privateKey);
             this.wallets.push(walletData);
             this.saveWallets();
             
@@ -3999,18 +3649,113 @@ class WorldchainTradingBot {
         }
     }
 
-    async listWallets() {
-        if (this.wallets.length === 0) {
-            console.log(chalk.yellow('\n📭 No wallets found. Create one first!'));
-            await this.getUserInput('\nPress Enter to continue...');
-            return;
+    // Unlock the keystore at startup (or after auto-lock); migrates plaintext wallets.json
+    async unlockKeystore() {
+        if (this.keystore.hasPlaintextKeys(this.wallets)) {
+            console.log(chalk.yellow('\n🔐 Plaintext private keys found in wallets.json'));
+            console.log(chalk.white('   They will be encrypted with a keystore passphrase.'));
+            
+            const passphrase = await this.promptNewPassphrase();
+            this.keystore.migrateWallets(this.wallets, passphrase);
+            this.saveWallets();
+            this.walletsStore.deleteBackups(); // Backups still hold the plaintext keys
+            console.log(chalk.green('✅ wallets.json migrated - private keys are now encrypted'));
+            return true;
         }
         
-        console.log(chalk.white('\n📋 WALLET LIST'));
-        console.log(chalk.gray('═'.repeat(80)));
+        if (!this.keystore.hasEncryptedKeys(this.wallets)) {
+            return true; // Nothing to unlock yet - passphrase is set with the first wallet
+        }
         
-        for (let i = 0; i < this.wallets.length; i++) {
-            const wallet = this.wallets[i];
+        // Headless runs can supply the passphrase via the environment
+        if (process.env.KEYSTORE_PASSPHRASE) {
+            this.keystore.unlock(this.wallets, process.env.KEYSTORE_PASSPHRASE);
+            console.log(chalk.green(`🔓 Keystore unlocked (${this.wallets.length} wallets)`));
+            return true;
+        }
+        
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const passphrase = await this.getHiddenInput(`🔑 Keystore passphrase (attempt ${attempt}/3): `);
+            
+            try {
+                const count = this.keystore.unlock(this.wallets, passphrase);
+                console.log(chalk.green(`🔓 Keystore unlocked (${count} wallets)`));
+                return true;
+            } catch (error) {
+                console.log(chalk.red(`❌ ${error.message}`));
+            }
+        }
+        
+        console.log(chalk.red('❌ Keystore remains locked - trading with stored wallets is unavailable'));
+        return false;
+    }
+
+    // Make sure a passphrase is set before a key is added to the keystore
+    async ensureKeystoreUnlocked() {
+        if (this.keystore.isUnlocked()) return true;
+        
+        if (this.keystore.hasEncryptedKeys(this.wallets)) {
+            return await this.unlockKeystore();
+        }
+        
+        console.log(chalk.white('\n🔐 Set a keystore passphrase to encrypt your private keys'));
+        const passphrase = await this.promptNewPassphrase();
+        this.keystore.unlock(this.wallets, passphrase);
+        return true;
+    }
+
+    // Ask for a new passphrase twice
+    async promptNewPassphrase() {
+        while (true) {
+            const passphrase = await this.getHiddenInput('🔑 New keystore passphrase (min 8 characters): ');
+            if (passphrase.length < 8) {
+                console.log(chalk.red('❌ Passphrase must be at least 8 characters'));
+                continue;
+            }
+            
+            const confirm = await this.getHiddenInput('🔑 Confirm passphrase: ');
+            if (passphrase !== confirm) {
+                console.log(chalk.red('❌ Passphrases do not match'));
+                continue;
+            }
+            
+            return passphrase;
+        }
+    }
+
+    async changeKeystorePassphrase() {
+        try {
+            if (!this.keystore.hasEncryptedKeys(this.wallets)) {
+                console.log(chalk.yellow('\n📭 No encrypted wallets yet'));
+                await this.getUserInput('\nPress Enter to continue...');
+                return;
+            }
+            
+            const current = await this.getHiddenInput('🔑 Current passphrase: ');
+            const passphrase = await this.promptNewPassphrase();
+            
+            this.keystore.changePassphrase(this.wallets, current, passphrase);
+            this.saveWallets();
+            console.log(chalk.green('\n✅ Keystore passphrase changed'));
+        } catch (error) {
+            console.log(chalk.red(`❌ Error changing passphrase: ${error.message}`));
+        }
+        
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    async listWallets() {
+        if (this.wallets.length === 0) {
+            console.log(chalk.yellow('\n📭 No wallets found. Create one first!'));
+            await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        console.log(chalk.white('\n📋 WALLET LIST'));
+        console.log(chalk.gray('═'.repeat(80)));
+        
+        for (let i = 0; i < this.wallets.length; i++) {
+            const wallet = this.wallets[i];
             console.log(chalk.cyan(`\n${i + 1}. ${wallet.name}`));
             console.log(chalk.white(`   📍 Address: ${wallet.address}`));
             console.log(chalk.white(`   📅 Created: ${new Date(wallet.created).toLocaleDateString()}`));
@@ -4040,6 +3785,7 @@ class WorldchainTradingBot {
             
             if (confirm.toLowerCase() === 'yes') {
                 this.wallets.splice(walletIndex, 1);
+                this.keystore.removeWallet(wallet.address);
                 this.saveWallets();
                 console.log(chalk.green('\n✅ Wallet removed successfully!'));
             } else {
@@ -4487,7 +4233,11 @@ class WorldchainTradingBot {
             console.log(chalk.cyan('7. ⚡ High-Speed Trading Mode'));
             console.log(chalk.cyan('8. 📈 Price Monitoring'));
             console.log(chalk.cyan('9. 📋 Trade History'));
-            console.log(chalk.red('10. ⬅️  Back to Main Menu'));
+            console.log(chalk.cyan('10. 💹 P&L & Tax Report'));
+            console.log(chalk.cyan('11. 🔍 Reconcile Positions'));
+            console.log(chalk.cyan('12. ⚖️  Portfolio Rebalancer'));
+            console.log(chalk.cyan('13. 📅 DCA Plans'));
+            console.log(chalk.red('14. ⬅️  Back to Main Menu'));
             
             const choice = await this.getUserInput('\nSelect option (Enter for Enhanced Trade): ');
             
@@ -4520,6 +4270,18 @@ class WorldchainTradingBot {
                     await this.tradeHistory();
                     break;
                 case '10':
+                    await this.profitAndLossReport();
+                    break;
+                case '11':
+                    await this.reconcilePositions();
+                    break;
+                case '12':
+                    await this.portfolioRebalancerMenu();
+                    break;
+                case '13':
+                    await this.dcaPlansMenu();
+                    break;
+                case '14':
                     return;
                 default:
                     console.log(chalk.red('❌ Invalid option'));
@@ -4666,6 +4428,10 @@ class WorldchainTradingBot {
                 this.config.slippage || 0.5
             );
             
+            if (result.success) {
+                this.journalConsoleTrade(wallet, tokenIn, tokenOut, amount, result, token.symbol, isBuy ? 'manual_buy' : 'manual_sell');
+            }
+            
             return result;
             
         } catch (error) {
@@ -4934,10 +4700,12 @@ class WorldchainTradingBot {
                 tokenIn,
                 tokenOut,
                 parseFloat(amount),
-                this.config.slippage || 0.5
+                this.config.slippage || 0.5,
+                { interactive: true }
             );
             
             if (result && result.success) {
+                this.journalConsoleTrade(selectedWallet, tokenIn, tokenOut, parseFloat(amount), result, selectedToken.symbol, direction === '1' ? 'sinclave_buy' : 'sinclave_sell');
                 console.log(chalk.green('\n🎉 SINCLAVE ENHANCED TRADE SUCCESS!'));
                 console.log(chalk.white(`📊 Pair: ${direction === '1' ? 'WLD' : selectedToken.symbol} → ${direction === '1' ? selectedToken.symbol : 'WLD'}`));
                 console.log(chalk.white(`💰 Amount: ${amount}`));
@@ -5139,27 +4907,666 @@ class WorldchainTradingBot {
     }
 
     async tradeHistory() {
-        console.log(chalk.white('\n📋 TRADE HISTORY'));
+        const filters = {};
+        
+        while (true) {
+            console.clear();
+            console.log(chalk.white('\n📋 TRADE HISTORY'));
+            console.log(chalk.gray('═'.repeat(50)));
+            
+            const active = Object.entries(filters).map(([key, value]) => `${key}=${value}`);
+            console.log(chalk.gray(`Filters: ${active.length > 0 ? active.join(', ') : 'none'}`));
+            
+            let trades = [];
+            try {
+                trades = this.tradeJournal.query(filters);
+            } catch (error) {
+                console.log(chalk.red(`❌ ${error.message}`));
+            }
+            
+            if (trades.length === 0) {
+                console.log(chalk.yellow('\n📭 No trades recorded yet'));
+            } else {
+                trades.slice(0, 20).forEach((trade, index) => {
+                    const typeColor = trade.side === 'buy' ? chalk.green : chalk.red;
+                    const price = trade.effectivePrice !== null ? trade.effectivePrice.toFixed(8) : 'N/A';
+                    const slippage = trade.slippagePercent !== null ? `${trade.slippagePercent.toFixed(2)}%` : 'N/A';
+                    
+                    console.log(chalk.cyan(`\n${index + 1}. ${trade.pair}${trade.paper ? chalk.yellow(' 📝 [PAPER]') : ''}`));
+                    console.log(typeColor(`   ${trade.side.toUpperCase()} ${trade.amountIn} → ${trade.amountOut} @ ${price} WLD`));
+                    console.log(chalk.white(`   ⛽ Gas: ${trade.gasCostETH.toFixed(8)} ETH | 📉 Slippage vs quote: ${slippage}`));
+                    console.log(chalk.white(`   🎯 ${trade.strategyName || trade.source}${trade.reason ? ` - ${trade.reason}` : ''}`));
+                    console.log(chalk.gray(`   💼 ${trade.walletName || trade.wallet} | 🧾 ${trade.txHash || 'N/A'}`));
+                    console.log(chalk.gray(`   ${new Date(trade.timestamp).toLocaleString()}`));
+                });
+                
+                const summary = this.tradeJournal.getSummary(trades);
+                console.log(chalk.white(`\n📊 ${summary.totalTrades} trades (${summary.buys} buys, ${summary.sells} sells${trades.length > 20 ? ', showing latest 20' : ''})`));
+                console.log(chalk.white(`   WLD spent: ${summary.wldSpent.toFixed(6)} | WLD received: ${summary.wldReceived.toFixed(6)} | Gas: ${summary.totalGasETH.toFixed(8)} ETH`));
+            }
+            
+            console.log(chalk.cyan('\n1. 🪙 Filter by Token'));
+            console.log(chalk.cyan('2. 💼 Filter by Wallet'));
+            console.log(chalk.cyan('3. 🎯 Filter by Strategy'));
+            console.log(chalk.cyan('4. 📅 Filter by Date Range'));
+            console.log(chalk.cyan('5. 🧹 Clear Filters'));
+            console.log(chalk.red('6. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            switch (choice) {
+                case '1':
+                    filters.token = await this.getUserInput('Token symbol or address: ');
+                    break;
+                case '2':
+                    filters.wallet = await this.getUserInput('Wallet name or address: ');
+                    break;
+                case '3':
+                    filters.strategy = await this.getUserInput('Strategy ID or name: ');
+                    break;
+                case '4':
+                    filters.from = await this.getUserInput('From date (YYYY-MM-DD, blank = any): ');
+                    filters.to = await this.getUserInput('To date (YYYY-MM-DD, blank = any): ');
+                    break;
+                case '5':
+                    Object.keys(filters).forEach(key => delete filters[key]);
+                    break;
+                case '6':
+                    return;
+                default:
+                    console.log(chalk.red('❌ Invalid option'));
+                    await this.sleep(1500);
+            }
+            
+            // Blank answers remove the filter
+            Object.keys(filters).forEach(key => {
+                if (!filters[key]) delete filters[key];
+            });
+        }
+    }
+
+    async profitAndLossReport() {
+        while (true) {
+            console.clear();
+            console.log(chalk.white('\n💹 P&L & TAX REPORT'));
+            console.log(chalk.gray('═'.repeat(50)));
+            
+            const prices = (token) => this.priceDatabase.getCurrentPrice(token);
+            const summary = this.lotAccounting.getSummary(prices);
+            const realizedColor = summary.realizedWLD >= 0 ? chalk.green : chalk.red;
+            const unrealizedColor = summary.unrealizedWLD >= 0 ? chalk.green : chalk.red;
+            
+            console.log(chalk.white(`📒 Cost Basis Method: ${summary.method.toUpperCase()}`));
+            console.log(realizedColor(`💰 Realized P&L: ${summary.realizedWLD.toFixed(6)} WLD (${summary.disposals} disposals)`));
+            console.log(unrealizedColor(`📈 Unrealized P&L: ${summary.unrealizedWLD.toFixed(6)} WLD`));
+            console.log(chalk.white(`🏦 Open Cost Basis: ${summary.costBasisWLD.toFixed(6)} WLD | Market Value: ${summary.marketValueWLD.toFixed(6)} WLD`));
+            if (summary.unpricedPositions > 0) {
+                console.log(chalk.yellow(`⚠️  ${summary.unpricedPositions} position(s) have no tracked price and are not valued`));
+            }
+            
+            const positions = this.lotAccounting.getPositions(prices);
+            if (positions.length > 0) {
+                console.log(chalk.white('\n📊 Open Positions:'));
+                positions.forEach(position => {
+                    const pnl = position.unrealizedWLD !== null ? `${position.unrealizedWLD.toFixed(6)} WLD (${position.unrealizedPercent.toFixed(2)}%)` : 'no price';
+                    const pnlColor = position.unrealizedWLD >= 0 ? chalk.green : chalk.red;
+                    const wallet = this.wallets.find(w => w.address.toLowerCase() === position.wallet.toLowerCase());
+                    
+                    console.log(chalk.cyan(`   ${position.symbol || position.token}${position.paper ? chalk.yellow(' 📝 [PAPER]') : ''} - ${wallet ? wallet.name : position.wallet}`));
+                    console.log(chalk.white(`      ${position.quantity.toFixed(6)} tokens in ${position.openLots} lot(s) @ avg ${position.averageCost.toFixed(8)} WLD`));
+                    console.log(pnlColor(`      Unrealized: ${pnl}`));
+                });
+            }
+            
+            const disposals = this.lotAccounting.getDisposals().slice(-10).reverse();
+            if (disposals.length > 0) {
+                console.log(chalk.white('\n🧾 Recent Disposals:'));
+                disposals.forEach(disposal => {
+                    const gainColor = disposal.gainWLD >= 0 ? chalk.green : chalk.red;
+                    console.log(gainColor(`   ${new Date(disposal.disposedAt).toLocaleDateString()} ${disposal.symbol || disposal.token}: ${disposal.quantity.toFixed(6)} → ${disposal.proceedsWLD.toFixed(6)} WLD (basis ${disposal.costBasisWLD.toFixed(6)}, gain ${disposal.gainWLD.toFixed(6)})`));
+                });
+            }
+            
+            console.log(chalk.cyan('\n1. 📒 Change Cost Basis Method'));
+            console.log(chalk.cyan('2. ✍️  Record Manual Trade'));
+            console.log(chalk.cyan('3. 📄 Export Disposals CSV'));
+            console.log(chalk.red('4. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            try {
+                switch (choice) {
+                    case '1': {
+                        const method = await this.getUserInput('Method (fifo / lifo / average): ');
+                        this.lotAccounting.setMethod(method);
+                        this.config.costBasisMethod = this.lotAccounting.method;
+                        this.saveConfig();
+                        break;
+                    }
+                    case '2':
+                        await this.recordManualTrade();
+                        break;
+                    case '3': {
+                        const year = await this.getUserInput('Tax year (blank = all): ');
+                        const filters = year ? { from: `${year}-01-01T00:00:00`, to: `${year}-12-31T23:59:59.999` } : {};
+                        const result = this.lotAccounting.exportDisposalsCSV(null, filters);
+                        console.log(chalk.green(`\n✅ ${result.count} disposals exported to ${result.filePath}`));
+                        await this.getUserInput('\nPress Enter to continue...');
+                        break;
+                    }
+                    case '4':
+                        return;
+                    default:
+                        console.log(chalk.red('❌ Invalid option'));
+                        await this.sleep(1500);
+                }
+            } catch (error) {
+                console.log(chalk.red(`❌ ${error.message}`));
+                await this.getUserInput('\nPress Enter to continue...');
+            }
+        }
+    }
+
+    // Compare tracked positions with on-chain balances and resolve each mismatch
+    async reconcilePositions(startup = false) {
+        const wallets = this.wallets.filter(w => w.address);
+        if (wallets.length === 0) {
+            if (!startup) {
+                console.log(chalk.yellow('\n📭 No wallets found!'));
+                await this.getUserInput('\nPress Enter to continue...');
+            }
+            return;
+        }
+        
+        if (this.tradingStrategy.positions.size === 0) {
+            await this.tradingStrategy.loadPositions();
+        }
+        
+        console.log(chalk.white('\n🔍 POSITION RECONCILIATION'));
         console.log(chalk.gray('═'.repeat(50)));
+        console.log(chalk.gray(`Checking balances and the last ${this.positionReconciler.lookbackBlocks} blocks of transfers...`));
         
-        // Simulate trade history
-        const trades = [
-            { pair: 'WLD-ORO', type: 'BUY', amount: '100', price: '0.05', time: '2024-01-15 10:30:00' },
-            { pair: 'WLD-YIELD', type: 'SELL', amount: '50', price: '0.12', time: '2024-01-15 11:45:00' },
-            { pair: 'WLD-ORO', type: 'SELL', amount: '75', price: '0.055', time: '2024-01-15 14:20:00' }
-        ];
+        let report;
+        try {
+            report = await this.positionReconciler.reconcile(wallets);
+        } catch (error) {
+            console.log(chalk.red(`❌ Reconciliation failed: ${error.message}`));
+            if (!startup) await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        report.errors.forEach(error => console.log(chalk.yellow(`⚠️  Not checked: ${error}`)));
+        
+        if (report.mismatches.length === 0) {
+            console.log(chalk.green(`✅ ${report.items.length} tracked balance(s) match on-chain`));
+            if (!startup) await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        console.log(chalk.yellow(`⚠️  ${report.mismatches.length} mismatch(es) found:`));
+        
+        for (const item of report.mismatches) {
+            const diffColor = item.status === 'untracked' ? chalk.yellow : chalk.red;
+            
+            console.log(chalk.cyan(`\n   ${item.symbol} - ${item.walletName || item.wallet}`));
+            console.log(chalk.white(`      Tracked: ${item.tracked.toFixed(6)} in ${item.positions.length} position(s)`));
+            console.log(chalk.white(`      On-chain: ${item.onChain.toFixed(6)}`));
+            console.log(diffColor(`      Difference: ${item.difference >= 0 ? '+' : ''}${item.difference.toFixed(6)} (${item.status === 'untracked' ? 'held but not tracked' : 'tracked but not held'})`));
+            item.evidence.forEach(swap => {
+                console.log(chalk.gray(`      🧾 Unrecorded ${swap.side}: ${swap.tokenAmount.toFixed(6)} for ${swap.wldAmount.toFixed(6)} WLD (block ${swap.blockNumber}, ${swap.txHash.slice(0, 12)}...)`));
+            });
+            
+            const actions = item.status === 'untracked' ? 'a = adopt' : 'c = close';
+            const answer = (await this.getUserInput(`      Action (${actions}, f = flag, Enter = skip): `)).toLowerCase();
+            
+            try {
+                if (answer === 'a' && item.status === 'untracked') {
+                    await this.positionReconciler.adopt(item);
+                } else if (answer === 'c' && item.status === 'missing') {
+                    await this.positionReconciler.close(item);
+                } else if (answer === 'f') {
+                    await this.positionReconciler.flag(item);
+                } else {
+                    console.log(chalk.gray('      ⏭️  Skipped'));
+                }
+            } catch (error) {
+                console.log(chalk.red(`      ❌ ${error.message}`));
+            }
+        }
+        
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    // Target weights, dry runs, one-shot and scheduled rebalancing
+    async portfolioRebalancerMenu() {
+        const rebalancer = this.portfolioRebalancer;
+        
+        while (true) {
+            await this.displayHeader();
+            const { settings } = rebalancer;
+            console.log(chalk.white('\n⚖️  PORTFOLIO REBALANCER'));
+            console.log(chalk.gray('─'.repeat(40)));
+            console.log(chalk.white(`🎯 Targets: ${settings.targets.length > 0 ? settings.targets.map(t => `${t.weight}% ${t.symbol}`).join(' / ') : 'not set'}`));
+            console.log(chalk.white(`💼 Wallets: ${settings.wallets.length > 0 ? rebalancer.getWallets().map(w => w.name || w.address).join(', ') : 'all'}`));
+            console.log(chalk.white(`📏 Drift band: ${settings.driftBandPercent}% | Min trade: ${settings.minTradeWLD} WLD | Slippage: ${settings.slippage}%`));
+            console.log(chalk.white(`⏰ Schedule: ${settings.schedule || 'none'} ${rebalancer.isScheduled() ? chalk.green('(running)') : chalk.gray('(stopped)')}`));
+            if (this.paperTrading.isEnabled()) {
+                console.log(chalk.yellow('📝 Paper trading: balances and swaps use the virtual ledger'));
+            }
+            console.log(chalk.gray('─'.repeat(40)));
+            console.log(chalk.cyan('1. 🎯 Set Target Weights'));
+            console.log(chalk.cyan('2. 🧪 Dry Run (show drift and planned swaps)'));
+            console.log(chalk.cyan('3. ⚖️  Rebalance Now'));
+            console.log(chalk.cyan('4. ⏰ Start / Stop Schedule'));
+            console.log(chalk.cyan('5. ⚙️  Settings (band, min trade, wallets)'));
+            console.log(chalk.cyan('6. 📜 Rebalance History'));
+            console.log(chalk.red('7. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            try {
+                switch (choice) {
+                    case '1':
+                        await this.setRebalanceTargets();
+                        break;
+                    case '2':
+                        await this.runRebalance(true);
+                        break;
+                    case '3':
+                        await this.runRebalance(false);
+                        break;
+                    case '4':
+                        if (rebalancer.isScheduled()) {
+                            rebalancer.stopSchedule();
+                        } else {
+                            const expression = await this.getUserInput(`Cron expression (Enter for ${settings.schedule || '0 */6 * * *'}): `);
+                            rebalancer.startSchedule(expression || settings.schedule || '0 */6 * * *');
+                        }
+                        await this.sleep(1500);
+                        break;
+                    case '5':
+                        await this.rebalanceSettings();
+                        break;
+                    case '6':
+                        await this.showRebalanceHistory();
+                        break;
+                    case '7':
+                        return;
+                    default:
+                        console.log(chalk.red('❌ Invalid option'));
+                        await this.sleep(1500);
+                }
+            } catch (error) {
+                console.log(chalk.red(`❌ ${error.message}`));
+                await this.getUserInput('\nPress Enter to continue...');
+            }
+        }
+    }
+
+    // Enter targets like "WLD 50, ORO 30, YIELD 20"
+    async setRebalanceTargets() {
+        console.log(chalk.gray('\nEnter token weights in percent, e.g. WLD 50, ORO 30, YIELD 20 (symbols or 0x addresses)'));
+        const input = await this.getUserInput('Targets: ');
+        if (!input.trim()) return;
+        
+        const targets = input.split(',').map(part => {
+            const [token, weight] = part.trim().replace('%', '').split(/\s+/);
+            const address = this.getTokenAddress(token || '');
+            if (!address) {
+                throw new Error(`Unknown token '${token}' - use a 0x address or a discovered token symbol`);
+            }
+            return { address, symbol: token.startsWith('0x') ? token.slice(0, 8) : token.toUpperCase(), weight };
+        });
+        
+        const saved = this.portfolioRebalancer.setTargets(targets);
+        console.log(chalk.green(`\n✅ Targets saved: ${saved.map(t => `${t.weight}% ${t.symbol}`).join(' / ')}`));
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    // Show the plan and, unless it is a dry run, confirm and execute it
+    async runRebalance(dryRun) {
+        console.log(chalk.white(`\n${dryRun ? '🧪 REBALANCE DRY RUN' : '⚖️  REBALANCE'}`));
+        console.log(chalk.gray('═'.repeat(50)));
+        console.log(chalk.gray('Fetching balances and live quotes...'));
+        
+        let plan;
+        if (dryRun) {
+            const result = await this.portfolioRebalancer.rebalance({ dryRun: true });
+            if (!result.success) throw new Error(result.error);
+            plan = result.plan;
+        } else {
+            plan = await this.portfolioRebalancer.plan();
+        }
+        this.printRebalancePlan(plan);
+        
+        if (dryRun || plan.withinBand || plan.swaps.length === 0) {
+            await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        const confirm = await this.getUserInput(`\nExecute ${plan.swaps.length} swaps? (yes/no): `);
+        if (confirm.toLowerCase() !== 'yes') {
+            console.log(chalk.yellow('❌ Rebalance cancelled'));
+            await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        // Re-plans with fresh balances so nothing moved in between
+        const result = await this.portfolioRebalancer.rebalance();
+        if (!result.success) {
+            console.log(chalk.red(`❌ ${result.error}`));
+        } else {
+            const swaps = result.plan.swaps;
+            console.log(chalk.green(`\n✅ ${swaps.filter(s => s.status === 'filled').length}/${swaps.length} swaps filled`));
+            swaps.filter(s => s.status !== 'filled').forEach(s => {
+                console.log(chalk.yellow(`   ⚠️  ${s.side} ${s.symbol}: ${s.status}${s.error ? ` - ${s.error}` : ''}`));
+            });
+        }
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    printRebalancePlan(plan) {
+        console.log(chalk.gray(`   ${'Token'.padEnd(10)}${'Balance'.padStart(16)}${'Value WLD'.padStart(14)}${'Weight'.padStart(10)}${'Target'.padStart(10)}${'Drift'.padStart(10)}`));
+        plan.holdings.forEach(row => {
+            const drift = `${row.drift >= 0 ? '+' : ''}${row.drift.toFixed(2)}%`.padStart(10);
+            console.log(chalk.white(`   ${row.symbol.padEnd(10)}${row.balance.toFixed(6).padStart(16)}${row.valueWLD.toFixed(4).padStart(14)}${`${row.currentWeight.toFixed(2)}%`.padStart(10)}${`${row.weight}%`.padStart(10)}`) +
+                (Math.abs(row.drift) > plan.driftBandPercent ? chalk.red(drift) : chalk.green(drift)));
+        });
+        console.log(chalk.white(`💰 Total: ${plan.totalValueWLD.toFixed(4)} WLD across ${plan.wallets.length} wallet(s)`));
         
-        trades.forEach((trade, index) => {
-            const typeColor = trade.type === 'BUY' ? chalk.green : chalk.red;
+        if (plan.withinBand) {
+            console.log(chalk.green(`✅ Max drift ${plan.maxDrift.toFixed(2)}% is within the ${plan.driftBandPercent}% band - no swaps needed`));
+            return;
+        }
+        
+        console.log(chalk.yellow(`\n⚠️  Max drift ${plan.maxDrift.toFixed(2)}% exceeds the ${plan.driftBandPercent}% band. Planned swaps:`));
+        plan.swaps.forEach((swap, i) => {
+            const amount = swap.side === 'sell' ? `${swap.amountIn.toFixed(6)} ${swap.symbol}` : `${swap.amountIn.toFixed(4)} WLD`;
+            console.log(chalk.white(`   ${i + 1}. ${swap.side.toUpperCase()} ${swap.symbol}: ${amount} (≈${swap.valueWLD.toFixed(4)} WLD) from ${swap.walletName || swap.wallet}`));
+        });
+        plan.skipped.forEach(skip => {
+            console.log(chalk.gray(`   ⏭️  ${skip.symbol} ≈${skip.valueWLD.toFixed(4)} WLD: ${skip.reason}`));
+        });
+    }
+
+    async rebalanceSettings() {
+        const { settings } = this.portfolioRebalancer;
+        const changes = {};
+        
+        const band = await this.getUserInput(`Drift band % (Enter for ${settings.driftBandPercent}): `);
+        if (band) changes.driftBandPercent = parseFloat(band);
+        
+        const minTrade = await this.getUserInput(`Minimum trade in WLD (Enter for ${settings.minTradeWLD}): `);
+        if (minTrade) changes.minTradeWLD = parseFloat(minTrade);
+        
+        const slippage = await this.getUserInput(`Slippage % (Enter for ${settings.slippage}): `);
+        if (slippage) changes.slippage = parseFloat(slippage);
+        
+        if (Object.values(changes).some(value => !(value > 0))) {
+            throw new Error('Values must be positive numbers');
+        }
+        
+        console.log(chalk.white('\nWallets:'));
+        this.wallets.forEach((wallet, i) => console.log(chalk.gray(`   ${i + 1}. ${wallet.name} (${wallet.address})`)));
+        const selection = await this.getUserInput('Wallet numbers to include, e.g. 1,3 (Enter to keep, "all" for all): ');
+        if (selection.toLowerCase() === 'all') {
+            changes.wallets = [];
+        } else if (selection) {
+            changes.wallets = selection.split(',').map(n => {
+                const wallet = this.wallets[parseInt(n) - 1];
+                if (!wallet) throw new Error(`Invalid wallet number: ${n.trim()}`);
+                return wallet.address;
+            });
+        }
+        
+        this.portfolioRebalancer.updateSettings(changes);
+        console.log(chalk.green('\n✅ Rebalancer settings saved'));
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    async showRebalanceHistory() {
+        const history = this.portfolioRebalancer.getHistory(10);
+        console.log(chalk.white('\n📜 REBALANCE HISTORY'));
+        console.log(chalk.gray('═'.repeat(50)));
+        
+        if (history.length === 0) {
+            console.log(chalk.gray('No rebalances yet'));
+        }
+        history.forEach(run => {
+            const label = run.dryRun ? 'dry run' : run.withinBand ? 'within band' : `${run.swaps.filter(s => s.status === 'filled').length}/${run.swaps.length} swaps filled`;
+            console.log(chalk.white(`${new Date(run.timestamp).toLocaleString()} [${run.trigger}] ${run.totalValueWLD.toFixed(4)} WLD, max drift ${run.maxDrift.toFixed(2)}% - ${label}`));
+        });
+        
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    // Recurring buy plans: create, pause / resume, run now, history
+    async dcaPlansMenu() {
+        const scheduler = this.dcaScheduler;
+        
+        while (true) {
+            await this.displayHeader();
+            console.log(chalk.white('\n📅 DCA PLANS'));
+            console.log(chalk.gray('─'.repeat(40)));
             
-            console.log(chalk.cyan(`\n${index + 1}. ${trade.pair}`));
-            console.log(typeColor(`   ${trade.type} ${trade.amount} @ ${trade.price} WLD`));
-            console.log(chalk.gray(`   ${trade.time}`));
+            const plans = scheduler.getAllPlans();
+            if (plans.length === 0) {
+                console.log(chalk.gray('No DCA plans yet'));
+            }
+            plans.forEach((plan, i) => this.printDcaPlan(plan, i + 1));
+            if (!scheduler.isRunner) {
+                console.log(chalk.yellow('\n⚠️  Another process runs the DCA schedules - changes here are picked up within a minute'));
+            }
+            
+            console.log(chalk.gray('─'.repeat(40)));
+            console.log(chalk.cyan('1. ➕ Create DCA Plan'));
+            console.log(chalk.cyan('2. ⏸️  Pause / Resume Plan'));
+            console.log(chalk.cyan('3. ⚡ Run Plan Now'));
+            console.log(chalk.cyan('4. 📜 Fill History'));
+            console.log(chalk.cyan('5. 🗑️  Delete Plan'));
+            console.log(chalk.red('6. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            try {
+                switch (choice) {
+                    case '1':
+                        await this.createDcaPlan();
+                        break;
+                    case '2': {
+                        const plan = await this.selectDcaPlan(plans);
+                        if (plan && plan.status === 'paused') {
+                            scheduler.resumePlan(plan.id);
+                        } else if (plan) {
+                            scheduler.pausePlan(plan.id);
+                        }
+                        await this.sleep(1500);
+                        break;
+                    }
+                    case '3': {
+                        const plan = await this.selectDcaPlan(plans);
+                        if (plan) await scheduler.executePlan(plan.id, 'manual');
+                        await this.getUserInput('\nPress Enter to continue...');
+                        break;
+                    }
+                    case '4':
+                        await this.showDcaHistory(await this.selectDcaPlan(plans, true));
+                        break;
+                    case '5': {
+                        const plan = await this.selectDcaPlan(plans);
+                        if (plan && (await this.getUserInput(`Delete "${plan.name}"? (yes/no): `)).toLowerCase() === 'yes') {
+                            scheduler.deletePlan(plan.id);
+                        }
+                        await this.sleep(1500);
+                        break;
+                    }
+                    case '6':
+                        return;
+                    default:
+                        console.log(chalk.red('❌ Invalid option'));
+                        await this.sleep(1500);
+                }
+            } catch (error) {
+                console.log(chalk.red(`❌ ${error.message}`));
+                await this.getUserInput('\nPress Enter to continue...');
+            }
+        }
+    }
+
+    printDcaPlan(plan, number) {
+        const statusColor = plan.status === 'active' ? chalk.green : plan.status === 'paused' ? chalk.yellow : chalk.gray;
+        const averagePrice = this.dcaScheduler.getAveragePrice(plan);
+        
+        console.log(chalk.white(`${number}. ${plan.name} `) + statusColor(`[${plan.status}]`));
+        console.log(chalk.gray(`   ${plan.amountWLD} WLD → ${plan.tokenSymbol} | ${plan.scheduleText} (${plan.schedule}) | ${plan.walletName || plan.walletAddress}`));
+        console.log(chalk.gray(`   Buys: ${plan.fills}${plan.totalBuys ? `/${plan.totalBuys}` : ''}, skipped ${plan.skips}, failed ${plan.failures} | Spent ${plan.totalSpentWLD.toFixed(4)} WLD${averagePrice ? ` @ avg ${averagePrice.toFixed(8)} WLD` : ''}`));
+        if (plan.skipIf) {
+            console.log(chalk.gray(`   Skip if: ${plan.skipIf}`));
+        }
+        if (plan.pausedReason) {
+            console.log(chalk.yellow(`   ⚠️  Paused: ${plan.pausedReason}`));
+        }
+    }
+
+    // Pick a plan by number (allowAll: Enter selects every plan)
+    async selectDcaPlan(plans, allowAll = false) {
+        if (plans.length === 0) {
+            if (!allowAll) throw new Error('No DCA plans yet');
+            return null;
+        }
+        
+        const input = await this.getUserInput(`Plan number${allowAll ? ' (Enter for all)' : ''}: `);
+        if (!input && allowAll) return null;
+        
+        const plan = plans[parseInt(input) - 1];
+        if (!plan) throw new Error('Invalid plan number');
+        return plan;
+    }
+
+    async createDcaPlan() {
+        if (this.wallets.length === 0) {
+            throw new Error('No wallets found - create a wallet first');
+        }
+        
+        console.log(chalk.white('\n➕ CREATE DCA PLAN'));
+        console.log(chalk.gray('═'.repeat(40)));
+        
+        const tokenInput = await this.getUserInput('Token to buy (symbol or 0x address): ');
+        const tokenAddress = this.getTokenAddress(tokenInput.trim());
+        if (!tokenAddress || tokenAddress === this.WLD_ADDRESS) {
+            throw new Error(`Unknown token '${tokenInput}' - use a 0x address or a discovered token symbol`);
+        }
+        
+        const amountWLD = parseFloat(await this.getUserInput('WLD per buy: '));
+        
+        console.log(chalk.gray('Schedule: daily 09:00, weekly mon 09:00, hourly, every 4h, every 15m or a cron expression'));
+        const schedule = await this.getUserInput('Schedule (Enter for daily 09:00): ') || 'daily 09:00';
+        
+        const totalBuys = await this.getUserInput('Number of buys (Enter for unlimited): ');
+        
+        this.wallets.forEach((wallet, i) => console.log(chalk.gray(`   ${i + 1}. ${wallet.name} (${wallet.address})`)));
+        const wallet = this.wallets[(parseInt(await this.getUserInput('Wallet number (Enter for 1): ')) || 1) - 1];
+        if (!wallet) throw new Error('Invalid wallet number');
+        
+        console.log(chalk.gray('Optional skip rule (trigger expression), e.g. price > sma(7d) or rsi(14) > 70'));
+        const skipIf = await this.getUserInput('Skip if (Enter for none): ');
+        
+        const symbol = tokenInput.trim().startsWith('0x') ? tokenAddress.slice(0, 8) : tokenInput.trim().toUpperCase();
+        const plan = this.dcaScheduler.createPlan({
+            name: `DCA ${symbol} ${schedule}`,
+            tokenAddress,
+            tokenSymbol: symbol,
+            amountWLD,
+            schedule,
+            totalBuys: totalBuys || null,
+            walletAddress: wallet.address,
+            walletName: wallet.name,
+            skipIf: skipIf || null
+        });
+        
+        console.log(chalk.green(`\n✅ ${plan.name} created (cron: ${plan.schedule})`));
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    async showDcaHistory(plan = null) {
+        const history = this.dcaScheduler.getHistory(plan ? plan.id : null, 20);
+        console.log(chalk.white(`\n📜 DCA FILL HISTORY${plan ? ` - ${plan.name}` : ''}`));
+        console.log(chalk.gray('═'.repeat(50)));
+        
+        if (history.length === 0) {
+            console.log(chalk.gray('No runs yet'));
+        }
+        history.forEach(entry => {
+            const when = new Date(entry.timestamp).toLocaleString();
+            if (entry.status === 'filled') {
+                console.log(chalk.green(`✅ ${when} ${entry.planName}: ${entry.amountWLD} WLD → ${entry.tokensReceived.toFixed(6)}${entry.price ? ` @ ${entry.price.toFixed(8)}` : ''}${entry.paper ? ' (paper)' : ''}`));
+            } else if (entry.status === 'skipped') {
+                console.log(chalk.yellow(`⏭️  ${when} ${entry.planName}: skipped - ${entry.skipCheck}`));
+            } else {
+                console.log(chalk.red(`❌ ${when} ${entry.planName}: ${entry.error}`));
+            }
+        });
+        
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
+    // Add a trade made outside the bot so cost basis stays complete
+    async recordManualTrade() {
+        if (this.wallets.length === 0) {
+            console.log(chalk.yellow('\n📭 No wallets found!'));
+            await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        this.wallets.forEach((wallet, index) => {
+            console.log(chalk.white(`${index + 1}. ${wallet.name} (${wallet.address})`));
+        });
+        const walletIndex = parseInt(await this.getUserInput('Select wallet: ')) - 1;
+        const wallet = this.wallets[walletIndex];
+        if (!wallet) {
+            throw new Error('Invalid wallet selection');
+        }
+        
+        const tokenInput = await this.getUserInput('Token symbol or address: ');
+        const known = Object.values(this.discoveredTokens).find(t => t.symbol && t.symbol.toLowerCase() === tokenInput.toLowerCase());
+        const token = known ? known.address : tokenInput;
+        if (!ethers.isAddress(token)) {
+            throw new Error(`Unknown token: ${tokenInput}`);
+        }
+        
+        const side = (await this.getUserInput('Side (buy / sell): ')).toLowerCase();
+        const quantity = await this.getUserInput('Token quantity: ');
+        const amountWLD = await this.getUserInput(side === 'buy' ? 'WLD paid: ' : 'WLD received: ');
+        const date = await this.getUserInput('Date (YYYY-MM-DD, blank = now): ');
+        
+        this.lotAccounting.recordManualTrade({
+            wallet: wallet.address,
+            token,
+            symbol: known ? known.symbol : null,
+            side,
+            quantity,
+            amountWLD,
+            timestamp: date || null
         });
         
+        console.log(chalk.green('\n✅ Manual trade recorded'));
         await this.getUserInput('\nPress Enter to continue...');
     }
 
+    // Record a manual or console command swap in the trade journal
+    journalConsoleTrade(wallet, tokenIn, tokenOut, amountIn, result, tokenSymbol, reason) {
+        this.tradeJournal.recordSwap({
+            source: 'console',
+            wallet,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            result,
+            tokenSymbol,
+            reason
+        });
+    }
+
     async portfolioSummary() {
         console.log(chalk.white('\n📊 PORTFOLIO SUMMARY'));
         console.log(chalk.gray('═'.repeat(50)));
@@ -5205,7 +5612,9 @@ class WorldchainTradingBot {
             console.log(chalk.cyan('3. 🔄 Auto-Discovery Settings'));
             console.log(chalk.cyan('4. 📊 Display Current Config'));
             console.log(chalk.cyan('5. 💾 Save Configuration'));
-            console.log(chalk.red('6. ⬅️  Back to Main Menu'));
+            console.log(chalk.cyan(`6. 📝 Paper Trading (${this.paperTrading.isEnabled() ? 'ON' : 'OFF'})`));
+            console.log(chalk.cyan(`7. 🌐 API Server (${this.apiServer.isRunning() ? 'ON' : 'OFF'})`));
+            console.log(chalk.red('8. ⬅️  Back to Main Menu'));
             
             const choice = await this.getUserInput('\nSelect option: ');
             
@@ -5228,6 +5637,12 @@ class WorldchainTradingBot {
                     await this.sleep(1500);
                     break;
                 case '6':
+                    await this.paperTradingSettings();
+                    break;
+                case '7':
+                    await this.apiServerSettings();
+                    break;
+                case '8':
                     return;
                 default:
                     console.log(chalk.red('❌ Invalid option'));
@@ -5290,6 +5705,209 @@ class WorldchainTradingBot {
         await this.getUserInput('\nPress Enter to continue...');
     }
 
+    async paperTradingSettings() {
+        while (true) {
+            await this.displayHeader();
+            const settings = this.paperTrading.settings;
+            
+            console.log(chalk.white('\n📝 PAPER TRADING'));
+            console.log(chalk.gray('─'.repeat(25)));
+            console.log(chalk.white(`Status: ${this.paperTrading.isEnabled() ? chalk.green('ENABLED') : chalk.red('DISABLED')}`));
+            console.log(chalk.white(`Slippage: ${settings.slippagePercent}% | Fee: ${settings.feePercent}% | Starting Balance: ${settings.startingWLD} WLD`));
+            console.log('');
+            console.log(chalk.cyan(`1. ${this.paperTrading.isEnabled() ? '🔴 Disable' : '🟢 Enable'} Paper Trading`));
+            console.log(chalk.cyan('2. ⚙️  Slippage / Fee / Starting Balance'));
+            console.log(chalk.cyan('3. 📒 View Virtual Ledger'));
+            console.log(chalk.cyan('4. 🔄 Reset Virtual Ledger'));
+            console.log(chalk.red('5. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            switch (choice) {
+                case '1':
+                    if (this.paperTrading.isEnabled() && !(await this.closePaperPositionsBeforeDisable())) {
+                        await this.sleep(1500);
+                        break;
+                    }
+                    this.paperTrading.setEnabled(!this.paperTrading.isEnabled());
+                    this.config.paperTrading = this.paperTrading.isEnabled();
+                    this.saveConfig();
+                    await this.sleep(1500);
+                    break;
+                case '2': {
+                    const slippage = await this.getUserInput(`Simulated slippage % (current: ${settings.slippagePercent}): `);
+                    const fee = await this.getUserInput(`Simulated fee % (current: ${settings.feePercent}): `);
+                    const startingWLD = await this.getUserInput(`Starting WLD for new wallets (current: ${settings.startingWLD}): `);
+                    
+                    const updates = {};
+                    if (slippage && !isNaN(parseFloat(slippage))) updates.slippagePercent = parseFloat(slippage);
+                    if (fee && !isNaN(parseFloat(fee))) updates.feePercent = parseFloat(fee);
+                    if (startingWLD && !isNaN(parseFloat(startingWLD))) updates.startingWLD = parseFloat(startingWLD);
+                    
+                    this.paperTrading.updateSettings(updates);
+                    console.log(chalk.green('\n✅ Paper trading settings updated!'));
+                    await this.sleep(1500);
+                    break;
+                }
+                case '3':
+                    await this.viewPaperLedger();
+                    break;
+                case '4': {
+                    const confirm = await this.getUserInput('Reset ALL virtual balances and paper trades? (yes/no): ');
+                    if (confirm.toLowerCase() === 'yes') {
+                        this.paperTrading.resetLedger();
+                    }
+                    await this.sleep(1500);
+                    break;
+                }
+                case '5':
+                    return;
+                default:
+                    console.log(chalk.red('❌ Invalid option'));
+                    await this.sleep(1500);
+            }
+        }
+    }
+
+    // Running automations that sign on their own (null when there are none)
+    describeRunningAutomations() {
+        const running = [];
+        const strategies = this.strategyBuilder.getActiveStrategies().length;
+        const triggers = this.priceDatabase.getAllTriggers().filter(t => t.isActive && t.status === 'open').length;
+        const plans = this.dcaScheduler.getAllPlans().filter(plan => plan.status === 'active').length;
+        const twapOrders = this.twapExecutor.getRunningOrders().length;
+        
+        if (strategies > 0) running.push(`${strategies} strategies`);
+        if (this.tradingStrategy.isRunning) running.push('trading strategy');
+        if (triggers > 0) running.push(`${triggers} triggers`);
+        if (plans > 0) running.push(`${plans} DCA plans`);
+        if (twapOrders > 0) running.push(`${twapOrders} TWAP orders`);
+        if (this.portfolioRebalancer.isScheduled()) running.push('scheduled rebalancing');
+        
+        return running.length > 0 ? running.join(', ') : null;
+    }
+
+    // Paper positions must not outlive paper mode: close them (and their paper orders) first, or keep paper mode on
+    async closePaperPositionsBeforeDisable() {
+        const strategyPositions = this.strategyBuilder.getOpenPaperPositions().length;
+        const autoPositions = this.tradingStrategy.getOpenPaperPositions().length;
+        const mlPositions = this.algoritmitStrategy.getOpenPaperPositions().length;
+        const paperOrders = this.priceDatabase.getOpenPaperTriggers();
+        const total = strategyPositions + autoPositions + mlPositions + paperOrders.length;
+        
+        if (total === 0) return true;
+        
+        console.log(chalk.yellow('\n⚠️  Open paper positions:'));
+        console.log(chalk.white(`   Custom strategies: ${strategyPositions} | Trading strategy: ${autoPositions} | ALGORITMIT: ${mlPositions} | Orders: ${paperOrders.length}`));
+        console.log(chalk.gray('   They only exist on the virtual ledger and are never sold on-chain.'));
+        
+        const confirm = await this.getUserInput('Close them (no swap, virtual balances stay in the ledger) and disable paper trading? (yes/no): ');
+        if (confirm.toLowerCase() !== 'yes') {
+            console.log(chalk.yellow('Paper trading left ENABLED'));
+            return false;
+        }
+        
+        this.strategyBuilder.closePaperPositions();
+        await this.tradingStrategy.closePaperPositions();
+        this.algoritmitStrategy.closePaperPositions();
+        paperOrders.forEach(trigger => this.priceDatabase.cancelTrigger(trigger.id, 'paper_mode_disabled'));
+        console.log(chalk.green(`✅ Closed ${total} paper positions/orders`));
+        return true;
+    }
+
+    async apiServerSettings() {
+        while (true) {
+            await this.displayHeader();
+            const info = this.apiServer.getInfo();
+            
+            console.log(chalk.white('\n🌐 API SERVER'));
+            console.log(chalk.gray('─'.repeat(25)));
+            console.log(chalk.white(`Status: ${info.running ? chalk.green('RUNNING') : chalk.red('STOPPED')}`));
+            console.log(chalk.white(`REST: ${info.url}/api | WebSocket: ${info.websocket}`));
+            console.log(chalk.white(`Dashboard: ${info.dashboard}`));
+            console.log(chalk.white(`Metrics: ${info.metrics} (Prometheus, bearer token)`));
+            console.log(chalk.white(`Start with bot: ${this.config.apiEnabled ? 'YES' : 'NO'}${info.running ? ` | Clients: ${info.clients}` : ''}`));
+            console.log('');
+            console.log(chalk.cyan(`1. ${info.running ? '🔴 Stop' : '🟢 Start'} API Server`));
+            console.log(chalk.cyan('2. 🔑 Show API Token'));
+            console.log(chalk.cyan('3. 🔌 Change Port'));
+            console.log(chalk.red('4. ⬅️  Back'));
+            
+            const choice = await this.getUserInput('\nSelect option: ');
+            
+            try {
+                switch (choice) {
+                    case '1':
+                        if (info.running) {
+                            await this.apiServer.stop();
+                        } else {
+                            await this.apiServer.start();
+                        }
+                        this.config.apiEnabled = this.apiServer.isRunning();
+                        this.saveConfig();
+                        await this.sleep(1500);
+                        break;
+                    case '2':
+                        console.log(chalk.yellow(`\n🔑 ${this.apiServer.token}`));
+                        console.log(chalk.gray('   Send as: Authorization: Bearer <token>  (WebSocket: /ws?token=<token>)'));
+                        console.log(chalk.gray(`   Dashboard: ${info.dashboard}?token=${this.apiServer.token}`));
+                        await this.getUserInput('\nPress Enter to continue...');
+                        break;
+                    case '3': {
+                        const port = parseInt(await this.getUserInput(`Port (current: ${this.apiServer.port}): `));
+                        if (port > 0 && port < 65536) {
+                            this.apiServer.port = port;
+                            this.config.apiPort = port;
+                            this.saveConfig();
+                            if (info.running) {
+                                await this.apiServer.stop();
+                                await this.apiServer.start();
+                            }
+                        }
+                        break;
+                    }
+                    case '4':
+                        return;
+                    default:
+                        console.log(chalk.red('❌ Invalid option'));
+                        await this.sleep(1500);
+                }
+            } catch (error) {
+                console.log(chalk.red(`❌ API server error: ${error.message}`));
+                await this.getUserInput('\nPress Enter to continue...');
+            }
+        }
+    }
+
+    async viewPaperLedger() {
+        console.log(chalk.white('\n📒 VIRTUAL LEDGER'));
+        console.log(chalk.gray('═'.repeat(50)));
+        
+        const summary = this.paperTrading.getLedgerSummary();
+        
+        if (summary.length === 0) {
+            console.log(chalk.yellow('\n📭 No paper trades yet'));
+        }
+        
+        summary.forEach(walletLedger => {
+            const wallet = this.wallets.find(w => w.address.toLowerCase() === walletLedger.address.toLowerCase());
+            console.log(chalk.cyan(`\n💼 ${wallet ? wallet.name : walletLedger.address}`));
+            console.log(chalk.white(`   📍 ${walletLedger.address}`));
+            console.log(chalk.white(`   🔄 Paper Trades: ${walletLedger.tradeCount} | Fees: ${walletLedger.totalFees.toFixed(6)}`));
+            
+            Object.entries(walletLedger.balances)
+                .filter(([, balance]) => balance > 0)
+                .forEach(([tokenAddress, balance]) => {
+                    const symbol = tokenAddress === this.WLD_ADDRESS.toLowerCase()
+                        ? 'WLD'
+                        : (Object.values(this.discoveredTokens).find(t => t.address && t.address.toLowerCase() === tokenAddress)?.symbol || `${tokenAddress.slice(0, 10)}...`);
+                    console.log(chalk.gray(`     • ${balance.toFixed(6)} ${symbol}`));
+                });
+        });
+        
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
     async displayCurrentConfig() {
         console.log(chalk.white('\n📊 CURRENT CONFIGURATION'));
         console.log(chalk.gray('═'.repeat(40)));
@@ -5312,8 +5930,25 @@ class WorldchainTradingBot {
     async getUserInput(prompt) {
         return new Promise((resolve) => {
             this.rl.question(chalk.white(prompt), (answer) => {
+                this.keystore.touch();
+                resolve(answer.trim());
+            });
+        });
+    }
+
+    // Read input without echoing it (passphrases, private keys)
+    async getHiddenInput(prompt) {
+        return new Promise((resolve) => {
+            const originalWrite = this.rl._writeToOutput;
+            
+            this.rl.question(chalk.white(prompt), (answer) => {
+                this.rl._writeToOutput = originalWrite;
+                this.rl.output.write('\n');
                 resolve(answer.trim());
             });
+            
+            // Prompt is already written - mask everything typed after it
+            this.rl._writeToOutput = () => {};
         });
     }
 
@@ -5816,6 +6451,9 @@ class WorldchainTradingBot {
         
         console.log(chalk.cyan('\n📊 Overall Performance:'));
         console.log(chalk.white(`   Status: ${stats.isRunning ? chalk.green('RUNNING') : chalk.red('STOPPED')}`));
+        if (stats.paperTrading || stats.paperPositions > 0) {
+            console.log(chalk.yellow(`   Mode: 📝 PAPER TRADING (${stats.paperPositions} paper positions)`));
+        }
         console.log(chalk.white(`   Total Trades: ${stats.totalTrades}`));
         console.log(chalk.white(`   Successful Trades: ${stats.successfulTrades}`));
         console.log(chalk.white(`   Success Rate: ${(stats.successRate || 0).toFixed(1)}%`));
@@ -5871,7 +6509,26 @@ class WorldchainTradingBot {
     }
 
     async run() {
+        await this.unlockKeystore();
+        
+        if (this.config.reconcileOnStartup !== false) {
+            await this.reconcilePositions(true);
+        }
+        
+        if (this.config.apiEnabled || process.env.API_ENABLED === 'true') {
+            try {
+                await this.apiServer.start();
+            } catch (error) {
+                console.log(chalk.red(`❌ Could not start API server: ${error.message}`));
+            }
+        }
+        
         while (true) {
+            // Re-unlock after auto-lock before showing the menu again
+            if (!this.keystore.isUnlocked() && this.keystore.hasEncryptedKeys(this.wallets)) {
+                await this.unlockKeystore();
+            }
+            
             await this.displayMainMenu();
             const choice = await this.getUserInput('\nSelect option: ');
             
@@ -5980,7 +6637,8 @@ class WorldchainTradingBot {
             console.log('5. Manage Triggers (Edit/Delete)');
             console.log('6. Quick Trigger Commands');
             console.log('7. Price Statistics');
-            console.log('8. Back to Main Menu');
+            console.log('8. Candle History (CSV Import/Export)');
+            console.log('9. Back to Main Menu');
             console.log('');
             
             const choice = await this.getUserInput('Select option: ');
@@ -6008,6 +6666,9 @@ class WorldchainTradingBot {
                     await this.viewPriceStatistics();
                     break;
                 case '8':
+                    await this.candleHistoryMenu();
+                    break;
+                case '9':
                     return;
                 default:
                     console.log(chalk.red('❌ Invalid option'));
@@ -6032,7 +6693,8 @@ class WorldchainTradingBot {
             console.log('8. 📊 Strategy Statistics');
             console.log('9. 📈 Multi-Strategy Dashboard');
             console.log('10. ⚡ Quick Console Commands');
-            console.log('11. 🔙 Back to Main Menu');
+            console.log('11. 🧪 Backtest Strategy');
+            console.log('12. 🔙 Back to Main Menu');
         console.log('────────────────────────────────────────────────────────────');
 
             const choice = await this.getUserInput('Select option: ');
@@ -6069,6 +6731,9 @@ class WorldchainTradingBot {
                     await this.quickConsoleCommands();
                     break;
                 case '11':
+                    await this.backtestCustomStrategy();
+                    break;
+                case '12':
                     return;
                 default:
                     console.log('❌ Invalid option. Please try again.');
@@ -6112,6 +6777,22 @@ class WorldchainTradingBot {
                     console.log(`   📈 DCA: ${strategy.dcaConfig.levels} levels, ${strategy.dcaConfig.spreadRange}% spread`);
                 }
                 
+                console.log(`   🛡️ Exit Rules: ${this.strategyBuilder.describeExitRules(strategy)}`);
+                
+                const openPositions = (strategy.positions || []).filter(p => p.status === 'open');
+                if (strategy.trailingStop > 0 && openPositions.length > 0) {
+                    const peakPrice = Math.max(...openPositions.map(p => p.peakPrice || p.entryPrice || 0));
+                    console.log(`   📈 Peak Since Entry: ${peakPrice.toFixed(8)} WLD (stop at ${(peakPrice * (1 - strategy.trailingStop / 100)).toFixed(8)})`);
+                }
+                if (strategy.lastExit) {
+                    console.log(`   🛑 Last Exit: ${strategy.lastExit.description} (${strategy.lastExit.realizedPnL.toFixed(6)} WLD, ${new Date(strategy.lastExit.timestamp).toLocaleString()})`);
+                }
+                
+                const paperPositions = (strategy.positions || []).filter(p => p.paper && p.status === 'open').length;
+                if (paperPositions > 0) {
+                    console.log(`   📝 Paper Positions: ${paperPositions} open (simulated)`);
+                }
+                
                 console.log(`   📋 ID: ${strategy.id}`);
             });
         }
@@ -6362,6 +7043,20 @@ class WorldchainTradingBot {
                 cycleLimit = 0;
             }
             
+            // Exit Rules Configuration
+            console.log('\n🛡️ EXIT RULES CONFIGURATION');
+            console.log('════════════════════════════════════════════════════════════');
+            console.log('💡 Exit rules sell ALL open positions even when the profit target is not reached');
+            console.log('   • Stop-Loss: sell when the loss below the average entry price reaches X%');
+            console.log('   • Trailing Stop: sell when the price falls X% from its peak since entry');
+            console.log('   • Max Hold Time: sell after holding for X hours');
+            console.log('');
+            
+            const stopLoss = Math.abs(parseFloat(await this.getUserInput('Stop-Loss % (e.g., 10, Enter = off): ')) || 0);
+            const trailingStop = Math.abs(parseFloat(await this.getUserInput('Trailing Stop % (e.g., 5, Enter = off): ')) || 0);
+            const maxHoldHours = parseFloat(await this.getUserInput('Max Hold Time in hours (e.g., 24, Enter = off): ')) || 0;
+            const maxHoldTime = maxHoldHours > 0 ? Math.round(maxHoldHours * 3600000) : 0;
+            
             // DCA (Dollar Cost Averaging) Configuration
             console.log('\n📈 DCA (DOLLAR COST AVERAGING) CONFIGURATION');
             console.log('════════════════════════════════════════════════════════════');
@@ -6560,6 +7255,10 @@ class WorldchainTradingBot {
                 enableHistoricalComparison,
                 // Trading Cycles Configuration
                 maxCycles: cycleLimit,
+                // Exit Rules Configuration
+                stopLoss,
+                trailingStop,
+                maxHoldTime,
                 // Profit Range Configuration
                 enableProfitRange,
                 profitRangeMin,
@@ -6597,6 +7296,8 @@ class WorldchainTradingBot {
                 console.log(`🔄 Trading Cycles: ${cycleLimit} cycles (auto-stop after completion)`);
             }
             
+            console.log(`🛡️ Exit Rules: ${this.strategyBuilder.describeExitRules(strategyId)}`);
+            
             // Display DCA configuration if enabled
             if (dcaConfig.enabled) {
                 console.log(`📈 DCA Configuration: ${dcaConfig.levels} levels, ${dcaConfig.spreadRange}% spread, ${dcaConfig.positionSizeMultiplier === 0 ? 'same amount' : `${dcaConfig.positionSizeMultiplier + 1}x amount`}`);
@@ -6646,6 +7347,81 @@ class WorldchainTradingBot {
         await this.getUserInput('\nPress Enter to continue...');
     }
 
+    // Backtest a custom strategy against stored or imported price history
+    async backtestCustomStrategy() {
+        console.clear();
+        console.log('🧪 BACKTEST STRATEGY');
+        console.log('════════════════════════════════════════════════════════════');
+
+        const strategies = this.strategyBuilder.getAllStrategies();
+
+        if (strategies.length === 0) {
+            console.log('📭 No custom strategies found. Create one first!');
+            await this.getUserInput('Press Enter to continue...');
+            return;
+        }
+
+        console.log('📋 Available Strategies:');
+        strategies.forEach((strategy, index) => {
+            const pricePoints = this.priceDatabase.priceData.get((strategy.targetToken || '').toLowerCase());
+            console.log(`${index + 1}. ${strategy.name}`);
+            console.log(`   📊 Pair: WLD → ${strategy.targetTokenSymbol || strategy.tokenSymbol} | Stored prices: ${pricePoints ? pricePoints.prices.length : 0}`);
+        });
+
+        const choice = await this.getUserInput('\nSelect strategy to backtest (number): ');
+        const strategyIndex = parseInt(choice) - 1;
+
+        if (strategyIndex < 0 || strategyIndex >= strategies.length) {
+            console.log('❌ Invalid strategy selection.');
+            await this.getUserInput('Press Enter to continue...');
+            return;
+        }
+
+        const strategy = strategies[strategyIndex];
+
+        console.log('\n📂 Price Data Source:');
+        console.log('1. 📊 Price Database history');
+        console.log('2. 📄 Import CSV file (timestamp,price)');
+        const source = await this.getUserInput('Select source (1-2): ');
+
+        let csvPath = null;
+        if (source === '2') {
+            csvPath = await this.getUserInput('CSV file path: ');
+            if (!csvPath) {
+                console.log('❌ No file path provided.');
+                await this.getUserInput('Press Enter to continue...');
+                return;
+            }
+        }
+
+        const defaultBalance = (strategy.tradeAmount || 0.1) * 10;
+        const balanceInput = await this.getUserInput(`Starting balance in WLD (default: ${defaultBalance}): `);
+        const feeInput = await this.getUserInput(`Swap fee % (default: ${this.backtestEngine.defaults.feePercent}): `);
+        const slippageInput = await this.getUserInput(`Simulated slippage % (default: ${this.backtestEngine.defaults.slippagePercent}): `);
+
+        try {
+            const result = await this.backtestEngine.runBacktest(strategy.id, {
+                csvPath: csvPath,
+                startingBalance: parseFloat(balanceInput) || defaultBalance,
+                feePercent: isNaN(parseFloat(feeInput)) ? undefined : parseFloat(feeInput),
+                slippagePercent: isNaN(parseFloat(slippageInput)) ? undefined : parseFloat(slippageInput)
+            });
+
+            this.backtestEngine.displayResults(result);
+
+            if (result.trades.length > 0) {
+                const exportChoice = await this.getUserInput('\nExport trade log to CSV? (y/n): ');
+                if (exportChoice.toLowerCase() === 'y') {
+                    this.backtestEngine.exportTradeLogCSV(result);
+                }
+            }
+        } catch (error) {
+            console.log(`❌ Backtest failed: ${error.message}`);
+        }
+
+        await this.getUserInput('\nPress Enter to continue...');
+    }
+
     // Start custom strategy
     async startCustomStrategy() {
         console.clear();
@@ -7211,6 +7987,9 @@ class WorldchainTradingBot {
         try {
             const stats = this.strategyBuilder.getStrategyStatistics();
             
+            if (stats.paperTrading) {
+                console.log('📝 PAPER TRADING MODE - figures include simulated fills');
+            }
             console.log(`📈 Total Strategies: ${stats.totalStrategies}`);
             console.log(`🟢 Active Strategies: ${stats.activeStrategies}`);
             console.log(`🔴 Stopped Strategies: ${stats.stoppedStrategies}`);
@@ -7252,6 +8031,17 @@ class WorldchainTradingBot {
         console.log('   sell YIELD 1h         - Sell at best rate from last hour');
         console.log('   sell YIELD 6h         - Sell at best rate from 6-hour period');
         console.log('');
+        console.log('⏱️  TWAP (LARGE ORDERS):');
+        console.log('   buy ORO 50 twap 30m   - Buy with 50 WLD in slices over 30 minutes');
+        console.log('   sell ORO 500 twap 2h  - Sell 500 ORO in slices over 2 hours');
+        console.log('   twap                  - Show TWAP order progress');
+        console.log('   twap cancel <id>      - Stop a TWAP order');
+        console.log('');
+        console.log('📮 TRANSACTION QUEUE:');
+        console.log('   tx                    - Show queued and pending transactions');
+        console.log('   tx speedup <id>       - Re-send a pending transaction with higher gas');
+        console.log('   tx cancel <id>        - Cancel a queued or pending transaction');
+        console.log('');
         console.log('🎯 STRATEGY CREATION:');
         console.log('   buy YIELD 0.10 d15 p15 - Create strategy (0.10 WLD, 15% DIP, 15% profit)');
         console.log('   buy ORO 0.05 d10 p20   - Create strategy (0.05 WLD, 10% DIP, 20% profit)');
@@ -7305,6 +8095,12 @@ class WorldchainTradingBot {
                 case 'help':
                     await this.showCommandHelp();
                     return;
+                case 'twap':
+                    this.manageTwapOrders(parsed.args);
+                    return;
+                case 'tx':
+                    await this.manageTransactionQueue(parsed.args);
+                    return;
                 default:
                     console.log('❌ Unknown command. Type "help" for available commands.');
                     return;
@@ -7333,6 +8129,11 @@ class WorldchainTradingBot {
             return { action };
         }
         
+        // TWAP orders: twap, twap cancel <id> / transaction queue: tx, tx speedup|cancel <id>
+        if (action === 'twap' || action === 'tx') {
+            return { action, args: parts.slice(1) };
+        }
+        
         // Trading commands need at least token
         if (parts.length < 2) return null;
         
@@ -7364,6 +8165,13 @@ class WorldchainTradingBot {
                     amount: param === 'all' ? 'all' : parseFloat(param)
                 };
                 
+                // TWAP order: buy ORO 50 twap 30m
+                if (parts[3] === 'twap' && parts[4]) {
+                    parsed.type = 'twap';
+                    parsed.duration = TwapExecutor.parseDuration(parts[4]);
+                    return parsed;
+                }
+                
                 // Strategy creation: buy YIELD 0.10 d15 p15
                 if (parts.length >= 5) {
                     const dipParam = parts[3];
@@ -7404,12 +8212,20 @@ class WorldchainTradingBot {
             
             // Immediate selling: sell YIELD all, sell YIELD 35
             if (param === 'all' || !isNaN(parseFloat(param))) {
-                return {
+                const parsed = {
                     action: 'sell',
                     token,
                     type: 'immediate',
                     amount: param === 'all' ? 'all' : parseFloat(param)
                 };
+                
+                // TWAP order: sell ORO 500 twap 2h
+                if (parts[3] === 'twap' && parts[4]) {
+                    parsed.type = 'twap';
+                    parsed.duration = TwapExecutor.parseDuration(parts[4]);
+                }
+                
+                return parsed;
             }
         }
         
@@ -7432,6 +8248,8 @@ class WorldchainTradingBot {
                  return await this.executeTimeBasedBuy(parsed, tokenAddress);
             } else if (parsed.type === 'strategy') {
                 return await this.executeStrategyBuy(parsed, tokenAddress);
+            } else if (parsed.type === 'twap') {
+                return await this.executeTwapCommand(parsed, tokenAddress);
             }
 
         } catch (error) {
@@ -7453,6 +8271,8 @@ class WorldchainTradingBot {
                 return await this.executeImmediateSell(parsed, tokenAddress);
             } else if (parsed.type === 'time-based') {
                 return await this.executeTimeBasedSell(parsed, tokenAddress);
+            } else if (parsed.type === 'twap') {
+                return await this.executeTwapCommand(parsed, tokenAddress);
             }
 
         } catch (error) {
@@ -7461,15 +8281,23 @@ class WorldchainTradingBot {
         }
     }
 
-    // Get token address from symbol
+    // Get token address from a symbol (built-in or discovered) or 0x address
     getTokenAddress(symbol) {
+        if (!symbol) return null;
+        if (/^0x[0-9a-fA-F]{40}$/.test(symbol)) return symbol.toLowerCase();
+        if (symbol.toUpperCase() === 'WLD') return this.WLD_ADDRESS;
+        
         const tokenMap = {
             'YIELD': '0x1a16f733b813a59815a76293dac835ad1c7fedff',
             'ORO': '0xcd1E32B86953D79a6AC58e813D2EA7a1790cAb63',
             'RAMEN': '0xc6f44893a558d9ae0576a2bb6bfa9c1c3f313815'
         };
+        if (tokenMap[symbol.toUpperCase()]) return tokenMap[symbol.toUpperCase()];
         
-        return tokenMap[symbol.toUpperCase()] || null;
+        // Tokens found by token discovery
+        const token = Object.values(this.discoveredTokens || {})
+            .find(t => t.symbol && t.symbol.toLowerCase() === symbol.toLowerCase());
+        return token ? token.address.toLowerCase() : null;
     }
 
     // Execute immediate buy
@@ -7498,12 +8326,14 @@ class WorldchainTradingBot {
             this.WLD_ADDRESS,
             tokenAddress,
             tradeAmount,
-            2 // 2% slippage for immediate trades
+            2, // 2% slippage for immediate trades
+            { interactive: true }
         );
         
         const executionTime = Date.now() - startTime;
         
         if (result.success) {
+            this.journalConsoleTrade(wallet, this.WLD_ADDRESS, tokenAddress, tradeAmount, result, parsed.token, 'console_buy');
             console.log(`✅ SUCCESSFUL BUY!`);
             console.log(`   💰 Spent: ${tradeAmount} WLD`);
             console.log(`   📈 Received: ${result.amountOut} ${parsed.token}`);
@@ -7565,12 +8395,14 @@ class WorldchainTradingBot {
             tokenAddress,
             this.WLD_ADDRESS,
             sellAmount,
-            2 // 2% slippage for immediate trades
+            2, // 2% slippage for immediate trades
+            { interactive: true }
         );
         
         const executionTime = Date.now() - startTime;
         
         if (result.success) {
+            this.journalConsoleTrade(wallet, tokenAddress, this.WLD_ADDRESS, sellAmount, result, parsed.token, 'console_sell');
             console.log(`✅ SUCCESSFUL SELL!`);
             console.log(`   📉 Sold: ${sellAmount} ${parsed.token}`);
             console.log(`   💰 Received: ${result.amountOut} WLD`);
@@ -7598,6 +8430,112 @@ class WorldchainTradingBot {
         }
     }
 
+    // Start a TWAP order from the console (runs in the background; "twap" shows progress)
+    async executeTwapCommand(parsed, tokenAddress) {
+        const isBuy = parsed.action === 'buy';
+        console.log(`⏱️  TWAP ${isBuy ? 'Buy' : 'Sell'}: ${parsed.amount === 'all' ? 'ALL' : parsed.amount} ${isBuy ? 'WLD of ' : ''}${parsed.token} over ${this.twapExecutor.formatDuration(parsed.duration)}`);
+        
+        const walletChoice = await this.selectWalletForTrade();
+        if (walletChoice === null) return { success: false };
+        
+        const wallet = this.wallets[walletChoice];
+        
+        // Determine amount
+        let amount = parsed.amount;
+        if (isBuy && amount === 'all') {
+            amount = parseFloat(await this.getWLDBalance(wallet.address)) * 0.99; // Leave small buffer for gas
+            console.log(`📊 Using ${amount.toFixed(6)} WLD (99% of balance)`);
+        } else if (!isBuy) {
+            const tokenBalance = parseFloat(await this.getTokenBalance(tokenAddress, wallet.address));
+            if (amount === 'all') {
+                amount = tokenBalance;
+            } else if (amount > tokenBalance) {
+                console.log(`❌ Insufficient ${parsed.token} balance. Have: ${tokenBalance}, Want: ${amount}`);
+                return { success: false };
+            }
+        }
+        
+        const order = this.twapExecutor.startOrder({
+            wallet,
+            tokenIn: isBuy ? this.WLD_ADDRESS : tokenAddress,
+            tokenOut: isBuy ? tokenAddress : this.WLD_ADDRESS,
+            tokenSymbol: parsed.token,
+            amount,
+            duration: parsed.duration,
+            slippage: 2, // 2% slippage like immediate trades
+            source: 'console',
+            reason: isBuy ? 'console_twap_buy' : 'console_twap_sell'
+        });
+        
+        console.log(`   🆔 Order: ${order.id}`);
+        console.log('   💡 Runs in the background - "twap" shows progress, "twap cancel <id>" stops it');
+        return { success: true, twapOrderId: order.id };
+    }
+
+    // List TWAP orders or cancel one (console "twap" command)
+    manageTwapOrders(args = []) {
+        if (args[0] === 'cancel') {
+            try {
+                const order = this.twapExecutor.cancelOrder(args[1]);
+                console.log(`🛑 Cancelling TWAP ${order.id} after the current child swap`);
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+            }
+            return;
+        }
+        
+        const orders = this.twapExecutor.getOrders();
+        console.log('\n⏱️  TWAP ORDERS');
+        console.log('═'.repeat(60));
+        if (orders.length === 0) {
+            console.log('📭 No TWAP orders yet');
+            return;
+        }
+        
+        for (const order of orders) {
+            const summary = this.twapExecutor.getSummary(order);
+            const progress = (order.filledAmount / order.totalAmount) * 100;
+            const timeLeft = this.twapExecutor.formatDuration(Math.max(0, order.deadline - Date.now()));
+            console.log(`${order.status === 'running' ? '🟢' : '⚪'} ${order.id} ${order.side.toUpperCase()} ${order.tokenSymbol} [${order.status}]`);
+            console.log(`   ${this.twapExecutor.describeAmount(order, order.filledAmount)} of ${this.twapExecutor.describeAmount(order, order.totalAmount)} (${progress.toFixed(1)}%) in ${order.children.length} child swaps${order.status === 'running' ? ` | ${timeLeft} left` : ''}`);
+            if (summary.averagePrice) console.log(`   Avg price: ${summary.averagePrice.toFixed(8)} WLD | skipped slots: ${order.pausedSlots} | failed: ${order.failedSlots}`);
+            if (order.lastError) console.log(`   Last error: ${order.lastError}`);
+        }
+    }
+
+    // List queued / pending transactions, or speed up or cancel one (console "tx" command)
+    async manageTransactionQueue(args = []) {
+        if (args[0] === 'speedup' || args[0] === 'cancel') {
+            try {
+                const tx = args[0] === 'speedup'
+                    ? await this.transactionQueue.speedUp(args[1])
+                    : await this.transactionQueue.cancel(args[1]);
+                console.log(`✅ ${args[0] === 'speedup' ? 'Speed-up' : 'Cancel'} sent for ${tx.id}${tx.hash ? `: ${tx.hash}` : ''}`);
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+            }
+            return;
+        }
+        
+        const transactions = this.transactionQueue.getTransactions().filter(tx => ['queued', 'pending'].includes(tx.status));
+        console.log('\n📮 TRANSACTION QUEUE');
+        console.log('═'.repeat(60));
+        if (transactions.length === 0) {
+            console.log('📭 No queued or pending transactions');
+            return;
+        }
+        
+        for (const tx of transactions) {
+            const age = Math.round((Date.now() - (tx.sentAt || tx.queuedAt)) / 1000);
+            console.log(`${tx.status === 'pending' ? '🟡' : '⏳'} ${tx.id} ${tx.label} [${tx.status}, ${tx.priority}] wallet ${tx.wallet.slice(0, 10)}...`);
+            if (tx.status === 'pending') {
+                console.log(`   Nonce ${tx.nonce} | ${age}s pending | speed-ups: ${tx.speedUps} | ${tx.hash}`);
+            } else {
+                console.log(`   Waiting ${age}s`);
+            }
+        }
+    }
+
     // Open real-time position tracker
     async openPositionTracker(result) {
         console.log(`\n📊 OPENING POSITION TRACKER...`);
@@ -7800,6 +8738,7 @@ class WorldchainTradingBot {
              );
              
              if (result.success) {
+                 this.journalConsoleTrade(wallet, this.WLD_ADDRESS, position.tokenAddress, dipBuyAmount, result, position.token, 'position_dip_buy');
                  const tokensReceived = parseFloat(result.amountOut);
                  const actualPrice = dipBuyAmount / tokensReceived;
                  
@@ -7967,6 +8906,9 @@ class WorldchainTradingBot {
         console.log('  buy YIELD 1h          → Buy at best 1-hour rate');
         console.log('  sell YIELD 6h         → Sell at best 6-hour rate');
         console.log('  buy YIELD 0.1 d15 p20 → Create strategy (15% DIP, 20% profit)');
+        console.log('  buy ORO 50 twap 30m   → Buy in slices over 30 minutes (TWAP)');
+        console.log('  twap / twap cancel <id> → TWAP progress / stop an order');
+        console.log('  tx / tx speedup <id>  → Transaction queue / re-send with higher gas');
         console.log('');
         console.log('Available tokens: YIELD, ORO, RAMEN');
         console.log('Timeframes: 1h, 6h, 12h, 24h');
@@ -8019,6 +8961,22 @@ class WorldchainTradingBot {
         }
     }
 
+    // One-line oscillator summary next to the SMA analysis
+    logIndicatorSummary(indicators) {
+        if (!indicators) return;
+        
+        const parts = [];
+        if (indicators.rsi !== null) parts.push(`RSI ${indicators.rsi.toFixed(1)}`);
+        if (indicators.macd && indicators.macd.histogram !== null) parts.push(`MACD hist ${indicators.macd.histogram.toExponential(2)}`);
+        if (indicators.bollinger) parts.push(`BB ${indicators.bollinger.lower.toFixed(8)}-${indicators.bollinger.upper.toFixed(8)}`);
+        if (indicators.atr && indicators.atr.percent !== null) parts.push(`ATR ${indicators.atr.percent.toFixed(2)}%`);
+        if (indicators.twap) parts.push(`TWAP ${indicators.twap.value.toFixed(8)}`);
+        
+        if (parts.length > 0) {
+            console.log(`   📐 ${parts.join(' | ')}`);
+        }
+    }
+
     // Execute time-based buy (buy at best SMA rate from specified period)
     async executeTimeBasedBuy(parsed, tokenAddress) {
         console.log(`🕐 Time-Based Buy: ${parsed.token} at best ${parsed.timeframe} rate`);
@@ -8047,6 +9005,7 @@ class WorldchainTradingBot {
         console.log(`   📊 ${parsed.timeframe} SMA: ${smaValue.toFixed(8)} WLD per ${parsed.token}`);
         console.log(`   📊 Price vs SMA: ${smaData.percentDifference.toFixed(2)}%`);
         console.log(`   🎯 Signal: ${smaData.signal}`);
+        this.logIndicatorSummary(updatedAnalysis.indicators);
         
         // Check if it's a good time to buy (price below SMA)
         if (currentPrice >= smaValue) {
@@ -8090,12 +9049,14 @@ class WorldchainTradingBot {
             this.WLD_ADDRESS,
             tokenAddress,
             tradeAmount,
-            2 // 2% slippage
+            2, // 2% slippage
+            { interactive: true }
         );
         
         const executionTime = Date.now() - startTime;
         
         if (result.success) {
+            this.journalConsoleTrade(wallet, this.WLD_ADDRESS, tokenAddress, tradeAmount, result, parsed.token, 'console_time_buy');
             console.log(`✅ TIME-BASED BUY SUCCESSFUL!`);
             console.log(`   💰 Spent: ${tradeAmount} WLD`);
             console.log(`   📈 Received: ${result.amountOut} ${parsed.token}`);
@@ -8152,6 +9113,7 @@ class WorldchainTradingBot {
         console.log(`   📊 ${parsed.timeframe} SMA: ${smaValue.toFixed(8)} WLD per ${parsed.token}`);
         console.log(`   📊 Price vs SMA: ${smaData.percentDifference.toFixed(2)}%`);
         console.log(`   🎯 Signal: ${smaData.signal}`);
+        this.logIndicatorSummary(smaAnalysis.indicators);
         
         // Check if it's a good time to sell (price above SMA)
         if (currentPrice <= smaValue) {
@@ -8202,12 +9164,14 @@ class WorldchainTradingBot {
             tokenAddress,
             this.WLD_ADDRESS,
             sellAmount,
-            2 // 2% slippage
+            2, // 2% slippage
+            { interactive: true }
         );
         
         const executionTime = Date.now() - startTime;
         
         if (result.success) {
+            this.journalConsoleTrade(wallet, tokenAddress, this.WLD_ADDRESS, sellAmount, result, parsed.token, 'console_time_sell');
             console.log(`✅ TIME-BASED SELL SUCCESSFUL!`);
             console.log(`   📉 Sold: ${sellAmount} ${parsed.token}`);
             console.log(`   💰 Received: ${result.amountOut} WLD`);
@@ -9111,26 +10075,31 @@ class WorldchainTradingBot {
             // Get trigger configuration
             console.log(chalk.white(`\n🎯 Setting up BUY trigger for ${selectedToken}`));
             
-            const triggerType = await this.getUserInput('Trigger type (1=Price Below, 2=Price Above, 3=% Drop): ');
-            let condition, targetPrice, description;
+            const triggerType = await this.getUserInput('Trigger type (1=Limit: Price Below, 2=Price Above, 3=% Drop, 4=Expression): ');
+            let condition, targetPrice, description, expression;
             
             switch (triggerType) {
                 case '1':
-                    targetPrice = await this.getUserInput('Target price (WLD per token): ');
-                    condition = 'below';
-                    description = `Buy ${selectedToken} when price drops below ${targetPrice} WLD`;
+                    targetPrice = await this.getUserInput('Limit price (WLD per token): ');
+                    condition = 'price_below';
+                    description = `Buy ${selectedToken} when price ≤ ${targetPrice} WLD`;
                     break;
                 case '2':
                     targetPrice = await this.getUserInput('Target price (WLD per token): ');
-                    condition = 'above';
-                    description = `Buy ${selectedToken} when price rises above ${targetPrice} WLD`;
+                    condition = 'price_above';
+                    description = `Buy ${selectedToken} when price ≥ ${targetPrice} WLD`;
                     break;
                 case '3':
                     const dropPercent = await this.getUserInput('Drop percentage (e.g., 10 for 10%): ');
-                    condition = 'drop';
+                    condition = 'price_drop';
                     targetPrice = dropPercent;
                     description = `Buy ${selectedToken} on ${dropPercent}% price drop`;
                     break;
+                case '4':
+                    expression = await this.promptTriggerExpression();
+                    condition = 'expression';
+                    description = `Buy ${selectedToken} when ${expression}`;
+                    break;
                 default:
                     console.log(chalk.red('❌ Invalid trigger type'));
                     await this.getUserInput('Press Enter to continue...');
@@ -9146,28 +10115,34 @@ class WorldchainTradingBot {
                 return;
             }
             
-            // Create the trigger
-            const trigger = {
-                id: `buy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                type: 'buy',
-                tokenSymbol: selectedToken,
-                tokenAddress: tokenAddress,
-                condition: condition,
-                targetPrice: parseFloat(targetPrice),
-                amount: parseFloat(amount),
-                walletIndex: parseInt(walletIndex) - 1 || 0,
-                description: description,
-                active: true,
-                created: Date.now(),
-                executed: false
-            };
+            const wallet = this.wallets[parseInt(walletIndex) - 1] || this.wallets[0];
+            if (!wallet) {
+                console.log(chalk.red('❌ No wallet available'));
+                await this.getUserInput('Press Enter to continue...');
+                return;
+            }
             
-            // Store trigger (assuming we have a triggers storage)
-            if (!this.triggers) this.triggers = [];
-            this.triggers.push(trigger);
+            const { expiresIn, bracket } = await this.promptOrderOptions('buy');
             
             // Start monitoring this token if not already
-            this.priceDatabase.addToken(tokenAddress, selectedToken);
+            if (!this.priceDatabase.trackedTokens.has(tokenAddress.toLowerCase())) {
+                this.priceDatabase.addToken(tokenAddress, { symbol: selectedToken });
+            }
+            
+            // Create the trigger (checked by the price database monitoring loop)
+            const trigger = this.priceDatabase.createTrigger({
+                name: description,
+                tokenAddress,
+                tokenSymbol: selectedToken,
+                action: 'buy',
+                condition,
+                threshold: parseFloat(targetPrice),
+                expression,
+                amount: parseFloat(amount),
+                walletAddress: wallet.address,
+                expiresIn,
+                bracket
+            });
             
             console.log(chalk.green('\n✅ Buy trigger created successfully!'));
             console.log(chalk.white(`🎯 ${description}`));
@@ -9233,31 +10208,36 @@ class WorldchainTradingBot {
             console.log(chalk.white(`\n🎯 Setting up SELL trigger for position`));
             console.log(chalk.white(`Token: ${selectedPosition.tokenAddress.slice(0, 10)}...`));
             
-            const triggerType = await this.getUserInput('Trigger type (1=Price Above, 2=Price Below, 3=% Profit, 4=% Loss): ');
-            let condition, targetPrice, description;
+            const triggerType = await this.getUserInput('Trigger type (1=Price Above, 2=Price Below, 3=% Profit, 4=% Loss, 5=Expression): ');
+            let condition, targetPrice, description, expression;
             
             switch (triggerType) {
                 case '1':
-                    targetPrice = await this.getUserInput('Target price (WLD per token): ');
-                    condition = 'above';
-                    description = `Sell when price rises above ${targetPrice} WLD`;
+                    targetPrice = await this.getUserInput('Limit price (WLD per token): ');
+                    condition = 'price_above';
+                    description = `Sell when price ≥ ${targetPrice} WLD`;
                     break;
                 case '2':
-                    targetPrice = await this.getUserInput('Target price (WLD per token): ');
-                    condition = 'below';
-                    description = `Sell when price drops below ${targetPrice} WLD`;
+                    targetPrice = await this.getUserInput('Stop price (WLD per token): ');
+                    condition = 'price_below';
+                    description = `Sell when price ≤ ${targetPrice} WLD (stop)`;
                     break;
                 case '3':
                     const profitPercent = await this.getUserInput('Profit percentage (e.g., 15 for 15%): ');
-                    condition = 'profit';
-                    targetPrice = profitPercent;
-                    description = `Sell at ${profitPercent}% profit`;
+                    condition = 'price_above';
+                    targetPrice = selectedPosition.entryPrice * (1 + parseFloat(profitPercent) / 100);
+                    description = `Sell at ${profitPercent}% profit (≥ ${targetPrice.toFixed(8)} WLD)`;
                     break;
                 case '4':
                     const lossPercent = await this.getUserInput('Loss percentage (e.g., 10 for 10%): ');
-                    condition = 'loss';
-                    targetPrice = lossPercent;
-                    description = `Sell at ${lossPercent}% loss (stop loss)`;
+                    condition = 'price_below';
+                    targetPrice = selectedPosition.entryPrice * (1 - parseFloat(lossPercent) / 100);
+                    description = `Sell at ${lossPercent}% loss (stop ≤ ${targetPrice.toFixed(8)} WLD)`;
+                    break;
+                case '5':
+                    expression = await this.promptTriggerExpression();
+                    condition = 'expression';
+                    description = `Sell when ${expression}`;
                     break;
                 default:
                     console.log(chalk.red('❌ Invalid trigger type'));
@@ -9273,25 +10253,22 @@ class WorldchainTradingBot {
                 return;
             }
             
-            // Create the trigger
-            const trigger = {
-                id: `sell_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                type: 'sell',
-                tokenSymbol: selectedPosition.tokenAddress.slice(0, 8) + '...',
+            const { expiresIn } = await this.promptOrderOptions('sell');
+            const wallet = this.wallets.find(w => w.address.toLowerCase() === (selectedPosition.walletAddress || '').toLowerCase()) || this.wallets[0];
+            
+            // Create the trigger (checked by the price database monitoring loop)
+            const trigger = this.priceDatabase.createTrigger({
+                name: description,
                 tokenAddress: selectedPosition.tokenAddress,
-                positionId: selectedPosition.id,
-                condition: condition,
-                targetPrice: parseFloat(targetPrice),
+                tokenSymbol: this.tradeJournal.getSymbol(selectedPosition.tokenAddress),
+                action: 'sell',
+                condition,
+                threshold: parseFloat(targetPrice),
+                expression,
                 amount: parseFloat(sellAmount),
-                description: description,
-                active: true,
-                created: Date.now(),
-                executed: false
-            };
-            
-            // Store trigger
-            if (!this.triggers) this.triggers = [];
-            this.triggers.push(trigger);
+                walletAddress: wallet.address,
+                expiresIn
+            });
             
             console.log(chalk.green('\n✅ Sell trigger created successfully!'));
             console.log(chalk.white(`🎯 ${description}`));
@@ -9322,55 +10299,66 @@ class WorldchainTradingBot {
         console.log(chalk.cyan('🎯 ACTIVE TRIGGERS'));
         console.log(chalk.gray('═'.repeat(40)));
         
-        if (!this.triggers || this.triggers.length === 0) {
+        const triggers = this.priceDatabase.getAllTriggers();
+        if (triggers.length === 0) {
             console.log(chalk.yellow('📭 No triggers created yet.'));
             console.log(chalk.white('💡 Use "Create Buy Trigger" or "Create Sell Trigger" to get started.'));
             await this.getUserInput('\nPress Enter to continue...');
             return;
         }
         
-        const activeTriggers = this.triggers.filter(t => t.active && !t.executed);
-        const executedTriggers = this.triggers.filter(t => t.executed);
-        const inactiveTriggers = this.triggers.filter(t => !t.active && !t.executed);
+        const openTriggers = triggers.filter(t => t.status === 'open');
+        const activeTriggers = openTriggers.filter(t => t.isActive);
+        const executedTriggers = triggers.filter(t => t.status === 'filled');
+        const closedTriggers = triggers.filter(t => t.status === 'expired' || t.status === 'cancelled');
         
         console.log(chalk.white(`\n📊 Trigger Summary:`));
         console.log(chalk.green(`🟢 Active: ${activeTriggers.length}`));
-        console.log(chalk.blue(`✅ Executed: ${executedTriggers.length}`));
-        console.log(chalk.yellow(`⏸️  Inactive: ${inactiveTriggers.length}`));
-        console.log(chalk.white(`📈 Total: ${this.triggers.length}`));
-        
-        if (activeTriggers.length > 0) {
-            console.log(chalk.cyan('\n🟢 ACTIVE TRIGGERS:'));
-            activeTriggers.forEach((trigger, index) => {
-                const typeEmoji = trigger.type === 'buy' ? '🟢' : '🔴';
-                const ageHours = ((Date.now() - trigger.created) / (1000 * 60 * 60)).toFixed(1);
-                
-                console.log(chalk.white(`\n${index + 1}. ${typeEmoji} ${trigger.type.toUpperCase()} TRIGGER`));
-                console.log(chalk.white(`   🆔 ID: ${trigger.id}`));
-                console.log(chalk.white(`   🪙 Token: ${trigger.tokenSymbol}`));
-                console.log(chalk.white(`   📊 ${trigger.description}`));
-                console.log(chalk.white(`   💰 Amount: ${trigger.amount} ${trigger.type === 'buy' ? 'WLD' : 'tokens'}`));
-                console.log(chalk.gray(`   ⏰ Created: ${ageHours}h ago`));
-            });
+        console.log(chalk.yellow(`⏸️  Paused: ${openTriggers.length - activeTriggers.length}`));
+        console.log(chalk.blue(`✅ Filled: ${executedTriggers.length}`));
+        console.log(chalk.gray(`⌛ Expired/Cancelled: ${closedTriggers.length}`));
+        console.log(chalk.white(`📈 Total: ${triggers.length}`));
+        
+        if (openTriggers.length > 0) {
+            console.log(chalk.cyan('\n🟢 OPEN ORDERS:'));
+            openTriggers.forEach((trigger, index) => this.displayTrigger(trigger, index));
         }
         
         if (executedTriggers.length > 0) {
-            console.log(chalk.cyan('\n✅ RECENTLY EXECUTED:'));
-            executedTriggers.slice(-5).forEach((trigger, index) => {
-                const typeEmoji = trigger.type === 'buy' ? '🟢' : '🔴';
-                const ageHours = ((Date.now() - trigger.executed) / (1000 * 60 * 60)).toFixed(1);
-                
-                console.log(chalk.white(`\n${index + 1}. ${typeEmoji} ${trigger.type.toUpperCase()} EXECUTED`));
-                console.log(chalk.white(`   🆔 ID: ${trigger.id}`));
-                console.log(chalk.white(`   🪙 Token: ${trigger.tokenSymbol}`));
-                console.log(chalk.green(`   ✅ ${trigger.description}`));
-                console.log(chalk.gray(`   ⏰ Executed: ${ageHours}h ago`));
-            });
+            console.log(chalk.cyan('\n✅ RECENTLY FILLED:'));
+            executedTriggers.slice(-5).forEach((trigger, index) => this.displayTrigger(trigger, index));
         }
         
         await this.getUserInput('\nPress Enter to continue...');
     }
 
+    // Print one price database trigger
+    displayTrigger(trigger, index) {
+        const typeEmoji = trigger.action === 'buy' ? '🟢' : '🔴';
+        const statusEmoji = { open: trigger.isActive ? '🟢' : '⏸️', filled: '✅', expired: '⌛', cancelled: '🚫' }[trigger.status] || '❔';
+        const ageHours = ((Date.now() - trigger.createdAt) / (1000 * 60 * 60)).toFixed(1);
+        
+        console.log(chalk.white(`\n${index + 1}. ${statusEmoji} ${typeEmoji} ${trigger.name}`));
+        console.log(chalk.white(`   🪙 ${trigger.tokenSymbol} | ${trigger.action.toUpperCase()} ${trigger.amount} ${trigger.action === 'buy' ? 'WLD' : 'tokens'}`));
+        console.log(chalk.white(`   📊 ${this.priceDatabase.describeTriggerCondition(trigger)}`));
+        
+        if (trigger.expiresAt && trigger.status === 'open') {
+            const remaining = trigger.expiresAt - Date.now();
+            console.log(chalk.white(`   ⏳ Expires in ${this.priceDatabase.formatTimeframe(Math.max(0, remaining))}`));
+        }
+        if (trigger.ocoGroup) {
+            const peers = this.priceDatabase.getOCOPeers(trigger).map(p => p.name);
+            console.log(chalk.white(`   🔗 OCO with: ${peers.join(', ') || 'none'}`));
+        }
+        if (trigger.bracket) {
+            console.log(chalk.white(`   🎯 Bracket: +${trigger.bracket.takeProfitPercent}% / -${trigger.bracket.stopLossPercent}%${trigger.bracketChildren ? ' (attached)' : ''}`));
+        }
+        if (trigger.status === 'cancelled') {
+            console.log(chalk.gray(`   🚫 Cancelled: ${trigger.cancelReason}`));
+        }
+        console.log(chalk.gray(`   🆔 ${trigger.id} | ⏰ Created ${ageHours}h ago`));
+    }
+
     async viewPriceDatabaseStatus() {
         console.clear();
         console.log(chalk.cyan('📊 PRICE DATABASE STATUS'));
@@ -9430,18 +10418,19 @@ class WorldchainTradingBot {
         console.log(chalk.cyan('🔧 MANAGE TRIGGERS'));
         console.log(chalk.gray('═'.repeat(40)));
         
-        if (!this.triggers || this.triggers.length === 0) {
+        const triggers = this.priceDatabase.getAllTriggers();
+        if (triggers.length === 0) {
             console.log(chalk.yellow('📭 No triggers to manage.'));
             await this.getUserInput('Press Enter to continue...');
             return;
         }
         
         console.log(chalk.white('\n📋 All Triggers:'));
-        this.triggers.forEach((trigger, index) => {
-            const statusEmoji = trigger.executed ? '✅' : (trigger.active ? '🟢' : '⏸️');
-            const typeEmoji = trigger.type === 'buy' ? '🟢' : '🔴';
+        triggers.forEach((trigger, index) => {
+            const statusEmoji = { open: trigger.isActive ? '🟢' : '⏸️', filled: '✅', expired: '⌛', cancelled: '🚫' }[trigger.status] || '❔';
+            const typeEmoji = trigger.action === 'buy' ? '🟢' : '🔴';
             
-            console.log(chalk.white(`${index + 1}. ${statusEmoji} ${typeEmoji} ${trigger.description}`));
+            console.log(chalk.white(`${index + 1}. ${statusEmoji} ${typeEmoji} ${trigger.name} (${this.priceDatabase.describeTriggerCondition(trigger)})`));
             console.log(chalk.gray(`   ID: ${trigger.id}`));
         });
         
@@ -9450,45 +10439,56 @@ class WorldchainTradingBot {
         
         if (choice === '0') return;
         
-        if (triggerIndex < 0 || triggerIndex >= this.triggers.length) {
+        if (triggerIndex < 0 || triggerIndex >= triggers.length) {
             console.log(chalk.red('❌ Invalid selection'));
             await this.getUserInput('Press Enter to continue...');
             return;
         }
         
-        const trigger = this.triggers[triggerIndex];
+        const trigger = triggers[triggerIndex];
         
-        console.log(chalk.white(`\n🔧 Managing trigger: ${trigger.description}`));
-        console.log(chalk.white('1. Toggle Active/Inactive'));
-        console.log(chalk.white('2. Delete Trigger'));
-        console.log(chalk.white('3. View Details'));
-        console.log(chalk.white('4. Back'));
+        console.log(chalk.white(`\n🔧 Managing trigger: ${trigger.name}`));
+        console.log(chalk.white('1. Toggle Active/Paused'));
+        console.log(chalk.white('2. Cancel Order (and OCO peers stay open)'));
+        console.log(chalk.white('3. Delete Trigger'));
+        console.log(chalk.white('4. View Details'));
+        console.log(chalk.white('5. Back'));
         
         const action = await this.getUserInput('Select action: ');
         
-        switch (action) {
-            case '1':
-                trigger.active = !trigger.active;
-                console.log(chalk.green(`✅ Trigger ${trigger.active ? 'activated' : 'deactivated'}`));
-                break;
-            case '2':
-                const confirm = await this.getUserInput('Confirm delete (y/N): ');
-                if (confirm.toLowerCase() === 'y') {
-                    this.triggers.splice(triggerIndex, 1);
-                    console.log(chalk.green('✅ Trigger deleted'));
-                }
-                break;
-            case '3':
-                console.log(chalk.white('\n📊 Trigger Details:'));
-                console.log(chalk.white(`   ID: ${trigger.id}`));
-                console.log(chalk.white(`   Type: ${trigger.type.toUpperCase()}`));
-                console.log(chalk.white(`   Token: ${trigger.tokenSymbol}`));
-                console.log(chalk.white(`   Condition: ${trigger.condition}`));
-                console.log(chalk.white(`   Target: ${trigger.targetPrice}`));
-                console.log(chalk.white(`   Amount: ${trigger.amount}`));
-                console.log(chalk.white(`   Status: ${trigger.executed ? 'Executed' : (trigger.active ? 'Active' : 'Inactive')}`));
-                console.log(chalk.white(`   Created: ${new Date(trigger.created).toLocaleString()}`));
-                break;
+        try {
+            switch (action) {
+                case '1':
+                    if (trigger.status !== 'open') {
+                        throw new Error(`Trigger is ${trigger.status}`);
+                    }
+                    this.priceDatabase.setTriggerActive(trigger.id, !trigger.isActive);
+                    console.log(chalk.green(`✅ Trigger ${trigger.isActive ? 'activated' : 'paused'}`));
+                    break;
+                case '2':
+                    this.priceDatabase.cancelTrigger(trigger.id, 'manual');
+                    console.log(chalk.green('✅ Order cancelled'));
+                    break;
+                case '3':
+                    const confirm = await this.getUserInput('Confirm delete (y/N): ');
+                    if (confirm.toLowerCase() === 'y') {
+                        this.priceDatabase.deleteTrigger(trigger.id);
+                        console.log(chalk.green('✅ Trigger deleted'));
+                    }
+                    break;
+                case '4':
+                    this.displayTrigger(trigger, triggerIndex);
+                    console.log(chalk.white(`   Status: ${trigger.status}${trigger.status === 'open' ? (trigger.isActive ? ' (active)' : ' (paused)') : ''}`));
+                    console.log(chalk.white(`   Executions: ${trigger.triggerCount}/${trigger.maxTriggers}`));
+                    console.log(chalk.white(`   Wallet: ${trigger.walletAddress}`));
+                    if (trigger.parentTriggerId) {
+                        console.log(chalk.white(`   Bracket of: ${trigger.parentTriggerId}`));
+                    }
+                    console.log(chalk.white(`   Created: ${new Date(trigger.createdAt).toLocaleString()}`));
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`❌ ${error.message}`));
         }
         
         await this.getUserInput('\nPress Enter to continue...');
@@ -9500,14 +10500,24 @@ class WorldchainTradingBot {
         console.log(chalk.gray('═'.repeat(40)));
         
         console.log(chalk.white('\n💡 Quick Command Format:'));
-        console.log(chalk.white('   Buy triggers: buy [token] [amount] [condition] [value]'));
-        console.log(chalk.white('   Sell triggers: sell [token] [amount] [condition] [value]'));
+        console.log(chalk.white('   Buy triggers: buy [token] [amount] [condition] [value] [gtt <time>] [tp <%>] [sl <%>]'));
+        console.log(chalk.white('   Sell triggers: sell [token] [amount] [condition] [value] [gtt <time>]'));
+        console.log(chalk.white('   OCO pair: oco sell [token] [amount] above [price] below [price] [gtt <time>]'));
+        console.log(chalk.white('   Composite: buy/sell [token] [amount] [gtt <time>] [tp <%>] [sl <%>] when <expression>'));
+        console.log(chalk.gray('   Conditions: below / above (WLD price), drop / rise (%), profit / loss (% vs average buy price)'));
+        console.log(chalk.gray('   Expressions: AND / OR / NOT over price, change(1h), drop(1h), sma(24h), volatility(6h), rsi(14), ema(20), macdhist, bbupper, bblower, atr, twap, hour, time, weekday'));
         
         console.log(chalk.white('\n📝 Examples:'));
-        console.log(chalk.gray('   buy ORO 0.1 below 0.005     - Buy 0.1 WLD of ORO when price < 0.005'));
-        console.log(chalk.gray('   buy YIELD 0.2 drop 10       - Buy 0.2 WLD of YIELD on 10% drop'));
-        console.log(chalk.gray('   sell ORO 100 profit 15      - Sell 100 ORO tokens at 15% profit'));
-        console.log(chalk.gray('   sell YIELD 50 above 0.008   - Sell 50 YIELD when price > 0.008'));
+        console.log(chalk.gray('   buy ORO 5 below 0.0123            - Limit buy 5 WLD of ORO when price ≤ 0.0123'));
+        console.log(chalk.gray('   buy ORO 5 below 0.0123 gtt 24h    - Same, expires unfilled after 24 hours'));
+        console.log(chalk.gray('   buy ORO 5 below 0.0123 tp 10 sl 5 - Bracket: after the fill sell at +10% or -5%'));
+        console.log(chalk.gray('   buy YIELD 0.2 drop 10             - Buy 0.2 WLD of YIELD on 10% drop'));
+        console.log(chalk.gray('   sell ORO 100 profit 15            - Sell 100 ORO tokens at 15% profit'));
+        console.log(chalk.gray('   sell YIELD 50 above 0.008         - Sell 50 YIELD when price ≥ 0.008'));
+        console.log(chalk.gray('   oco sell ORO 100 above 0.02 below 0.01 - Take profit or stop, whichever fills first'));
+        console.log(chalk.gray('   buy ORO 5 when drop(1h) >= 8 and price < sma(24h) and rsi(14) < 30'));
+        console.log(chalk.gray('   sell ORO 100 when rsi(14) > 70 or price > sma(24h) * 1.2'));
+        console.log(chalk.gray('   buy YIELD 1 gtt 12h when change(6h) < -5 and hour >= 9 and hour < 17'));
         
         const command = await this.getUserInput('\nEnter quick command (or press Enter to cancel): ');
         
@@ -9525,14 +10535,16 @@ class WorldchainTradingBot {
 
     async parseAndExecuteTriggerCommand(command) {
         const parts = command.trim().split(/\s+/);
+        const isOCO = parts[0].toLowerCase() === 'oco';
+        if (isOCO) parts.shift();
         
         if (parts.length < 5) {
-            throw new Error('Invalid command format. Need: [buy/sell] [token] [amount] [condition] [value]');
+            throw new Error('Invalid command format. Need: [buy/sell] [token] [amount] [condition] [value] or ... when <expression>');
         }
         
-        const [action, token, amount, condition, value] = parts;
+        const [action, token, amount] = parts.map(p => p.toLowerCase());
         
-        if (!['buy', 'sell'].includes(action.toLowerCase())) {
+        if (!['buy', 'sell'].includes(action)) {
             throw new Error('Action must be "buy" or "sell"');
         }
         
@@ -9540,30 +10552,210 @@ class WorldchainTradingBot {
             throw new Error('Amount must be a number');
         }
         
-        if (isNaN(parseFloat(value))) {
-            throw new Error('Value must be a number');
+        const tokenAddress = await this.getTokenAddress(parts[1]);
+        if (!tokenAddress) {
+            throw new Error(`Unknown token ${parts[1]}`);
+        }
+        const tokenSymbol = parts[1].toUpperCase();
+        
+        // Everything after "when" is a composite expression (it may contain spaces)
+        const whenIndex = parts.findIndex((part, index) => index >= 3 && ['when', 'if'].includes(part.toLowerCase()));
+        const pairsEnd = whenIndex >= 0 ? whenIndex : parts.length;
+        
+        // Remaining words: condition/value pairs and gtt/tp/sl options
+        const legs = [];
+        const options = {};
+        for (let i = 3; i < pairsEnd; i += 2) {
+            const key = parts[i].toLowerCase();
+            const value = parts[i + 1];
+            if (value === undefined || i + 1 >= pairsEnd) {
+                throw new Error(`Missing value after "${parts[i]}"`);
+            }
+            
+            if (key === 'gtt' || key === 'for') {
+                options.expiresIn = this.parseDuration(value);
+            } else if (key === 'tp' || key === 'sl') {
+                options[key] = Math.abs(parseFloat(value));
+            } else {
+                legs.push(this.parseTriggerCondition(key, value, tokenAddress));
+            }
+        }
+        
+        if (whenIndex >= 0) {
+            const expression = parts.slice(whenIndex + 1).join(' ');
+            if (!expression) {
+                throw new Error('Missing expression after "when"');
+            }
+            legs.push({ condition: 'expression', expression, label: `when ${expression}` });
+        }
+        
+        if (legs.length === 0) {
+            throw new Error('A condition is required');
+        }
+        if (isOCO ? legs.length !== 2 : legs.length !== 1) {
+            throw new Error(isOCO ? 'OCO needs exactly two conditions' : 'Use "oco" for two conditions');
+        }
+        if ((options.tp || options.sl) && action !== 'buy') {
+            throw new Error('tp/sl brackets are only available for buy orders');
+        }
+        
+        const wallet = this.wallets[0];
+        if (!wallet) {
+            throw new Error('No wallet available');
+        }
+        
+        if (!this.priceDatabase.trackedTokens.has(tokenAddress.toLowerCase())) {
+            this.priceDatabase.addToken(tokenAddress, { symbol: tokenSymbol });
         }
         
-        // Create trigger based on command
-        const trigger = {
-            id: `${action}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            type: action.toLowerCase(),
-            tokenSymbol: token.toUpperCase(),
-            tokenAddress: await this.getTokenAddress(token) || 'unknown',
-            condition: condition.toLowerCase(),
-            targetPrice: parseFloat(value),
+        const configs = legs.map(leg => ({
+            name: `${action.toUpperCase()} ${tokenSymbol} ${leg.label}`,
+            tokenAddress,
+            tokenSymbol,
+            action,
+            condition: leg.condition,
+            threshold: leg.threshold,
+            expression: leg.expression,
             amount: parseFloat(amount),
-            description: `${action.toUpperCase()} ${token} ${condition} ${value}`,
-            active: true,
-            created: Date.now(),
-            executed: false
-        };
+            walletAddress: wallet.address,
+            expiresIn: options.expiresIn,
+            bracket: options.tp || options.sl ? { takeProfitPercent: options.tp, stopLossPercent: options.sl } : null
+        }));
+        
+        const triggers = isOCO
+            ? this.priceDatabase.createOCO(configs[0], configs[1])
+            : [this.priceDatabase.createTrigger(configs[0])];
+        
+        triggers.forEach(trigger => {
+            console.log(chalk.green(`✅ Quick trigger created: ${trigger.name}`));
+            console.log(chalk.white(`🆔 Trigger ID: ${trigger.id}`));
+        });
+    }
+
+    // Map a quick-command condition word to a price database condition
+    parseTriggerCondition(key, value, tokenAddress) {
+        const number = parseFloat(value);
+        if (isNaN(number)) {
+            throw new Error(`Value for "${key}" must be a number`);
+        }
+        
+        switch (key) {
+            case 'below':
+                return { condition: 'price_below', threshold: number, label: `≤ ${number}` };
+            case 'above':
+                return { condition: 'price_above', threshold: number, label: `≥ ${number}` };
+            case 'drop':
+                return { condition: 'price_drop', threshold: number, label: `drop ${number}%` };
+            case 'rise':
+                return { condition: 'price_rise', threshold: number, label: `rise ${number}%` };
+            case 'profit':
+            case 'loss': {
+                const stats = this.priceDatabase.getAveragePrice(tokenAddress);
+                const average = stats ? stats.averageBuyPrice : 0;
+                if (!average) {
+                    throw new Error(`No recorded buys for this token - use an absolute price with "above"/"below"`);
+                }
+                const price = key === 'profit' ? average * (1 + number / 100) : average * (1 - number / 100);
+                return {
+                    condition: key === 'profit' ? 'price_above' : 'price_below',
+                    threshold: price,
+                    label: `${key} ${number}% (${key === 'profit' ? '≥' : '≤'} ${price.toFixed(8)})`
+                };
+            }
+            default:
+                throw new Error(`Unknown condition "${key}" (use below, above, drop, rise, profit or loss)`);
+        }
+    }
+
+    // Show the expression language and read a validated expression
+    async promptTriggerExpression() {
+        const language = TriggerExpression.describeLanguage();
+        console.log(chalk.white('\n🧮 Expression language:'));
+        console.log(chalk.gray(`   ${language.operators}`));
+        language.functions.concat(language.variables).forEach(line => console.log(chalk.gray(`   ${line}`)));
+        console.log(chalk.gray('   e.g. drop(1h) >= 8 AND price < sma(24h) AND rsi(14) < 30'));
+        
+        const source = await this.getUserInput('\nCondition expression: ');
+        return new TriggerExpression(source).toString(); // Throws with the position of any syntax error
+    }
+
+    // Ask for good-til-time expiry and (buys only) a take-profit/stop bracket
+    async promptOrderOptions(action) {
+        const expiry = await this.getUserInput('Expires after (e.g. 30m, 24h, 7d - Enter = good til cancelled): ');
+        const options = { expiresIn: expiry.trim() ? this.parseDuration(expiry.trim()) : null, bracket: null };
+        
+        if (action === 'buy') {
+            const takeProfit = parseFloat(await this.getUserInput('Bracket take profit % after fill (Enter = none): ')) || 0;
+            const stopLoss = parseFloat(await this.getUserInput('Bracket stop loss % after fill (Enter = none): ')) || 0;
+            if (takeProfit > 0 || stopLoss > 0) {
+                options.bracket = { takeProfitPercent: takeProfit, stopLossPercent: stopLoss };
+            }
+        }
         
-        if (!this.triggers) this.triggers = [];
-        this.triggers.push(trigger);
+        return options;
+    }
+
+    // Parse durations like 90s, 30m, 24h, 7d into milliseconds
+    parseDuration(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|min|h|d)$/i);
+        if (!match) {
+            throw new Error(`Invalid duration "${value}" (use e.g. 90s, 30m, 24h, 7d)`);
+        }
+        
+        const units = { s: 1000, m: 60000, min: 60000, h: 3600000, d: 86400000 };
+        return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+    }
+
+    // Export / import OHLCV candles for a tracked token
+    async candleHistoryMenu() {
+        console.clear();
+        console.log(chalk.cyan('🕯️ CANDLE HISTORY'));
+        console.log(chalk.gray('═'.repeat(40)));
+        
+        const tokens = Array.from(this.priceDatabase.priceData.entries());
+        if (tokens.length === 0) {
+            console.log(chalk.yellow('📭 No tokens in the price database yet.'));
+            await this.getUserInput('\nPress Enter to continue...');
+            return;
+        }
+        
+        tokens.forEach(([address, data], index) => {
+            const counts = Object.entries(data.candles || {}).map(([resolution, list]) => `${resolution}: ${list.length}`).join(' | ');
+            console.log(chalk.white(`${index + 1}. ${data.symbol} (${address.slice(0, 10)}...) - ${counts || 'no candles'}`));
+        });
+        
+        const token = tokens[parseInt(await this.getUserInput('\nSelect token (number): ')) - 1];
+        if (!token) {
+            console.log(chalk.red('❌ Invalid token selection'));
+            await this.getUserInput('Press Enter to continue...');
+            return;
+        }
+        
+        const [tokenAddress, tokenData] = token;
+        console.log(chalk.white('\n1. 📤 Export candles to CSV'));
+        console.log(chalk.white('2. 📥 Import candles from CSV'));
+        const action = await this.getUserInput('Select option: ');
+        const resolution = (await this.getUserInput('Resolution (1m, 5m, 1h, 1d - default 1h): ')).trim() || '1h';
+        
+        try {
+            if (action === '1') {
+                const filePath = (await this.getUserInput(`File (Enter = candles-${tokenData.symbol}-${resolution}.csv): `)).trim();
+                const result = this.priceDatabase.exportCandlesCSV(tokenAddress, resolution, filePath || null);
+                console.log(chalk.green(`✅ Exported ${result.count} candles to ${result.filePath}`));
+            } else if (action === '2') {
+                const filePath = (await this.getUserInput('CSV file (timestamp,open,high,low,close[,volume]): ')).trim();
+                const result = this.priceDatabase.importCandlesCSV(tokenAddress, filePath, resolution);
+                console.log(chalk.green(`✅ Imported ${result.imported} candles (${result.rolledUp} rolled up into coarser resolutions)`));
+                if (result.skipped > 0) console.log(chalk.yellow(`⚠️  Skipped ${result.skipped} invalid rows`));
+                if (result.expired > 0) console.log(chalk.yellow(`⚠️  ${result.expired} candles were beyond their resolution's retention and were dropped`));
+            } else {
+                console.log(chalk.red('❌ Invalid option'));
+            }
+        } catch (error) {
+            console.log(chalk.red(`❌ Error: ${error.message}`));
+        }
         
-        console.log(chalk.green(`✅ Quick trigger created: ${trigger.description}`));
-        console.log(chalk.white(`🆔 Trigger ID: ${trigger.id}`));
+        await this.getUserInput('\nPress Enter to continue...');
     }
 
     async viewPriceStatistics() {
@@ -9602,10 +10794,19 @@ class WorldchainTradingBot {
     }
 }
 
-// Start the bot
+// Start the bot (interactive menus, or: worldchain-bot daemon --config strategies.yaml)
 if (require.main === module) {
-    const bot = new WorldchainTradingBot();
-    bot.run().catch(console.error);
+    if (process.argv[2] === 'daemon') {
+        const BotDaemon = require('./bot-daemon');
+        const daemon = new BotDaemon(BotDaemon.parseArgs(process.argv.slice(3)));
+        daemon.start(() => new WorldchainTradingBot({ headless: true })).catch(error => {
+            console.error('❌ Daemon failed to start:', error.message);
+            process.exit(1);
+        });
+    } else {
+        const bot = new WorldchainTradingBot();
+        bot.run().catch(console.error);
+    }
 }
 
 module.exports = WorldchainTradingBot;
\ No newline at end of file